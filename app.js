@@ -9,7 +9,13 @@ class FinancialModel {
             planStartYear: new Date().getFullYear(),
             projectionHorizon: 40, // years into the future
             inflation: 3.0,
-            filingStatus: 'single',
+            filingStatus: 'single', // single, married (jointly), hoh, qss (qualifying surviving spouse)
+            filingStatusChanges: [], // [{ year, status }] - filing status from that year onward
+            state: null, // two-letter state code (see STATE_TAX_TABLES), null = state tax not modeled
+            stateChanges: [], // [{ year, state }] - moves take effect from that year onward
+            taxBracketIndexing: 'inflation', // 'inflation', 'chained_cpi' or 'none' - how federal brackets grow each year
+            chainedCpiRate: 2.5, // % per year, used when taxBracketIndexing = 'chained_cpi'
+            tcjaSunsetYear: null, // null = current law continues; year = revert to pre-2018 rates from that year
             household: {
                 personA: {
                     name: 'Person A',
@@ -31,6 +37,42 @@ class FinancialModel {
                 annualAmount: 0,
                 startYear: new Date().getFullYear(),
                 growth: 0
+            },
+            // Medicare Part B/D premiums for each person from age 65 (IRMAA surcharges use MAGI from two years earlier)
+            medicare: {
+                enabled: true,
+                partDPremium: 35, // monthly Part D plan premium (2024 dollars)
+                premiumGrowth: 5.0, // % per year - Medicare premiums have outpaced general inflation
+                priorMagi: null // MAGI before the plan starts (IRMAA lookback for the first two years), null = no surcharge
+            },
+            // ACA marketplace coverage for each retired person under 65, with the premium tax credit
+            aca: {
+                enabled: false,
+                benchmarkPremium: 500, // monthly benchmark (second-lowest silver) premium for a 40-year-old (2024 dollars)
+                planPremiumPercent: 100, // chosen plan's premium as % of the benchmark (e.g. ~80 for bronze)
+                premiumGrowth: 5.0, // % per year
+                enhancedCreditsThroughYear: 2025 // enhanced credits (no 400% FPL cliff) apply through this year
+            },
+            // Health savings accounts: healthcare expenses and Medicare premiums are qualified medical expenses
+            hsa: {
+                saveReceipts: false // false = pay medical costs from the HSA each year; true = pay out of pocket and reimburse later
+            },
+            // Charitable bunching: give `interval` years of charitable-category expenses at once so they're itemized
+            charitableBunching: {
+                enabled: false,
+                interval: 2, // years of giving per bunch
+                startYear: null // first bunching year (null = plan start)
+            },
+            // Legacy view: heirs' marginal rate on inherited traditional IRAs and HSAs
+            legacy: {
+                heirTaxRate: 24
+            },
+            // Monte Carlo: seed for the random market returns, saved with the plan so a run can be reproduced
+            monteCarlo: {
+                seed: null, // null = pick a new seed on the next run
+                returnModel: 'parametric', // see MONTE_CARLO_RETURN_MODELS
+                blockLength: 5, // years per block for the bootstrap
+                stockPercent: 60 // stock/bond mix of the historical returns (bootstrap and historical backtest)
             }
         };
         // Housing - supports multiple rental periods and owned properties with date ranges
@@ -61,6 +103,9 @@ class FinancialModel {
         this.investmentGlidePath = [
             { startYear: new Date().getFullYear(), expectedReturn: 7, volatility: 15 }
         ];
+        // Yearly inflation (%) by year, replacing settings.inflation while a Monte Carlo path replays history's
+        // CPI (see MonteCarloSimulator.simulatePaths) - null otherwise, and never saved
+        this.inflationPath = null;
         this.withdrawalStrategy = {
             type: 'tax_optimized', // tax_optimized, fixed_percentage, fixed_amount, dynamic, rmd
             withdrawalPercentage: 4,
@@ -74,7 +119,20 @@ class FinancialModel {
             autoWithdrawalStart: true, // true = derive from retirement, false = use explicit year
             withdrawalMode: 'as_needed', // 'always' = apply strategy regardless of surplus/deficit, 'as_needed' = only withdraw when needed
             // Tax optimization configuration
-            taxOptimizedSequence: ['cash', 'taxable', 'traditional', 'roth', 'hsa']
+            taxOptimizedSequence: ['cash', 'taxable', 'traditional', 'roth', 'hsa'],
+            // Optimizer schedule: null, or { objective, includeConversions, years: { [year]: level } }
+            // (see WITHDRAWAL_OPTIMIZER) - replaces the sequence above in the years it covers
+            withdrawalSchedule: null,
+            // Roth conversions: move traditional balances into Roth, taxed as ordinary income
+            rothConversion: {
+                enabled: false,
+                strategy: 'fill_bracket', // fixed_amount, fill_bracket, irmaa_cliff, aca_cliff
+                startYear: null, // null = withdrawal start year
+                endYear: null, // null = year before RMDs begin
+                annualAmount: 20000, // fixed_amount strategy
+                targetBracket: 12, // fill_bracket strategy: fill up to the top of this federal bracket (%)
+                cliffMargin: 1000 // irmaa/aca strategies: stay this far below the threshold
+            }
         };
         this.scenarios = [];
         this.validationErrors = [];
@@ -103,7 +161,19 @@ class FinancialModel {
             originalType: account.type, // preserve original for display
             balance: parseFloat(account.balance),
             interestRate: parseFloat(account.interestRate) || 0,
-            taxAdvantaged: normalizedType === 'traditional' || normalizedType === 'roth' || normalizedType === 'hsa'
+            // Cost basis only matters for taxable brokerage accounts (gains realized on sale)
+            // Defaults to the balance, i.e. no unrealized gain
+            costBasis: normalizedType === 'taxable'
+                ? (account.costBasis !== undefined && account.costBasis !== '' ? parseFloat(account.costBasis) : parseFloat(account.balance))
+                : null,
+            // Yearly dividend/interest yield (% of balance) for taxable accounts; null = TAXABLE_ACCOUNT_YIELDS defaults
+            dividendYield: normalizedType === 'taxable' && account.dividendYield !== undefined && account.dividendYield !== '' && account.dividendYield !== null
+                ? parseFloat(account.dividendYield) : null,
+            interestYield: normalizedType === 'taxable' && account.interestYield !== undefined && account.interestYield !== '' && account.interestYield !== null
+                ? parseFloat(account.interestYield) : null,
+            taxAdvantaged: normalizedType === 'traditional' || normalizedType === 'roth' || normalizedType === 'hsa',
+            // Early withdrawal access: { ownerId, employerPlan, rothContributions, rothOpenedYear, seppStartYear, seppInterestRate }
+            withdrawalAccess: account.withdrawalAccess || null
         });
     }
 
@@ -131,7 +201,9 @@ class FinancialModel {
             startYear: parseInt(expense.startYear, 10),
             endYear: parseInt(expense.endYear, 10) || null,
             category: expense.category,
-            growth: parseFloat(expense.growth) || 0
+            growth: parseFloat(expense.growth) || 0,
+            // Charitable category only: cash, qcd, shares or daf (see ProjectionEngine.getScheduledCharitableGiving)
+            givingSource: expense.category === 'charitable' ? (expense.givingSource || 'cash') : undefined
         });
     }
 
@@ -151,7 +223,13 @@ class FinancialModel {
             // Tax bomb support for student loan forgiveness, etc.
             isTaxable: milestone.isTaxable || false,
             taxableAmount: parseFloat(milestone.taxableAmount) || 0,
-            taxCategory: milestone.taxCategory || null // 'loan_forgiveness', 'bonus', etc.
+            taxCategory: milestone.taxCategory || null, // 'loan_forgiveness', 'bonus', etc.
+            // Inheritance only: received as an inherited 'traditional' or 'roth' IRA instead of cash (10-year rule)
+            inheritedAccountType: milestone.type === 'inheritance' && ['traditional', 'roth'].includes(milestone.inheritedAccountType)
+                ? milestone.inheritedAccountType : null,
+            inheritedDistribution: INHERITED_IRA_RULES.strategies.includes(milestone.inheritedDistribution) ? milestone.inheritedDistribution : 'even',
+            inheritedAnnualRmds: milestone.inheritedAnnualRmds || false, // Original owner had started RMDs
+            inheritedTargetBracket: parseFloat(milestone.inheritedTargetBracket) || 22 // 'bracket' distribution only
         });
     }
 
@@ -297,7 +375,9 @@ class FinancialModel {
                 });
             }
 
-            if (this.settings.filingStatus === 'single') {
+            const statusChanges = (this.settings.filingStatusChanges || []).length > 0 ||
+                this.milestones.some(milestone => milestone.type === 'wedding');
+            if (this.settings.filingStatus === 'single' && !statusChanges) {
                 this.validationErrors.push({
                     type: 'warning',
                     message: 'Two household members defined but filing status is Single',
@@ -417,12 +497,12 @@ class FinancialModel {
         }
 
         // Check for healthcare expense category
-        const hasHealthcare = this.expenses.some(exp => exp.category === 'healthcare');
+        const hasHealthcare = this.expenses.some(exp => exp.category === 'healthcare') || this.settings.aca?.enabled;
         const currentPersonAAge = currentYear - this.settings.household.personA.birthYear;
         if (!hasHealthcare && currentPersonAAge > 50) {
             this.validationErrors.push({
                 type: 'warning',
-                message: 'No healthcare expense category defined - especially important for early retirement (Medicare starts at 65)',
+                message: 'No healthcare expense category defined - especially important for early retirement (Medicare starts at 65). Enable ACA marketplace coverage in Settings to model pre-65 premiums.',
                 field: 'expenses'
             });
         }
@@ -435,6 +515,588 @@ class FinancialModel {
     }
 }
 
+// Federal Income Tax Tables
+// Dollar thresholds are in baseYear dollars and indexed forward each projection year
+// (see ProjectionEngine.getFederalTaxTables). Bracket limits are on taxable income.
+// Filing statuses: single, married (joint), hoh (head of household), qss (qualifying surviving
+// spouse - same tables as married filing jointly)
+const FEDERAL_TAX_TABLES = {
+    baseYear: 2024,
+
+    // Current law (TCJA rates)
+    current: {
+        standardDeduction: { single: 14600, married: 29200, hoh: 21900, qss: 29200 },
+        personalExemption: 0,
+        brackets: {
+            single: [
+                { limit: 11600, rate: 0.10 },
+                { limit: 47150, rate: 0.12 },
+                { limit: 100525, rate: 0.22 },
+                { limit: 191950, rate: 0.24 },
+                { limit: 243725, rate: 0.32 },
+                { limit: 609350, rate: 0.35 },
+                { limit: Infinity, rate: 0.37 }
+            ],
+            married: [
+                { limit: 23200, rate: 0.10 },
+                { limit: 94300, rate: 0.12 },
+                { limit: 201050, rate: 0.22 },
+                { limit: 383900, rate: 0.24 },
+                { limit: 487450, rate: 0.32 },
+                { limit: 731200, rate: 0.35 },
+                { limit: Infinity, rate: 0.37 }
+            ],
+            hoh: [
+                { limit: 16550, rate: 0.10 },
+                { limit: 63100, rate: 0.12 },
+                { limit: 100500, rate: 0.22 },
+                { limit: 191950, rate: 0.24 },
+                { limit: 243700, rate: 0.32 },
+                { limit: 609350, rate: 0.35 },
+                { limit: Infinity, rate: 0.37 }
+            ],
+            qss: [
+                { limit: 23200, rate: 0.10 },
+                { limit: 94300, rate: 0.12 },
+                { limit: 201050, rate: 0.22 },
+                { limit: 383900, rate: 0.24 },
+                { limit: 487450, rate: 0.32 },
+                { limit: 731200, rate: 0.35 },
+                { limit: Infinity, rate: 0.37 }
+            ]
+        },
+        // Long-term capital gains (0% / 15% / 20%), limits on total taxable income
+        capitalGains: {
+            single: [
+                { limit: 47025, rate: 0 },
+                { limit: 518900, rate: 0.15 },
+                { limit: Infinity, rate: 0.20 }
+            ],
+            married: [
+                { limit: 94050, rate: 0 },
+                { limit: 583750, rate: 0.15 },
+                { limit: Infinity, rate: 0.20 }
+            ],
+            hoh: [
+                { limit: 63000, rate: 0 },
+                { limit: 551350, rate: 0.15 },
+                { limit: Infinity, rate: 0.20 }
+            ],
+            qss: [
+                { limit: 94050, rate: 0 },
+                { limit: 583750, rate: 0.15 },
+                { limit: Infinity, rate: 0.20 }
+            ]
+        }
+    },
+
+    // Pre-2018 law (used when modeling TCJA expiry): 2017 brackets, deductions and
+    // personal exemptions restated in 2024 dollars (~25% cumulative chained CPI)
+    preTCJA: {
+        standardDeduction: { single: 7950, married: 15900, hoh: 11700, qss: 15900 },
+        personalExemption: 5075,
+        brackets: {
+            single: [
+                { limit: 11700, rate: 0.10 },
+                { limit: 47550, rate: 0.15 },
+                { limit: 115150, rate: 0.25 },
+                { limit: 240150, rate: 0.28 },
+                { limit: 522150, rate: 0.33 },
+                { limit: 524250, rate: 0.35 },
+                { limit: Infinity, rate: 0.396 }
+            ],
+            married: [
+                { limit: 23350, rate: 0.10 },
+                { limit: 95100, rate: 0.15 },
+                { limit: 191850, rate: 0.25 },
+                { limit: 292400, rate: 0.28 },
+                { limit: 522150, rate: 0.33 },
+                { limit: 589800, rate: 0.35 },
+                { limit: Infinity, rate: 0.396 }
+            ],
+            hoh: [
+                { limit: 16750, rate: 0.10 },
+                { limit: 63650, rate: 0.15 },
+                { limit: 164400, rate: 0.25 },
+                { limit: 266250, rate: 0.28 },
+                { limit: 522150, rate: 0.33 },
+                { limit: 557000, rate: 0.35 },
+                { limit: Infinity, rate: 0.396 }
+            ],
+            qss: [
+                { limit: 23350, rate: 0.10 },
+                { limit: 95100, rate: 0.15 },
+                { limit: 191850, rate: 0.25 },
+                { limit: 292400, rate: 0.28 },
+                { limit: 522150, rate: 0.33 },
+                { limit: 589800, rate: 0.35 },
+                { limit: Infinity, rate: 0.396 }
+            ]
+        },
+        capitalGains: {
+            single: [
+                { limit: 47550, rate: 0 },
+                { limit: 524250, rate: 0.15 },
+                { limit: Infinity, rate: 0.20 }
+            ],
+            married: [
+                { limit: 95100, rate: 0 },
+                { limit: 589800, rate: 0.15 },
+                { limit: Infinity, rate: 0.20 }
+            ],
+            hoh: [
+                { limit: 63650, rate: 0 },
+                { limit: 557000, rate: 0.15 },
+                { limit: Infinity, rate: 0.20 }
+            ],
+            qss: [
+                { limit: 95100, rate: 0 },
+                { limit: 589800, rate: 0.15 },
+                { limit: Infinity, rate: 0.20 }
+            ]
+        }
+    }
+};
+
+// Display names for the filing statuses above
+const FILING_STATUS_LABELS = {
+    single: 'Single',
+    married: 'Married Filing Jointly',
+    hoh: 'Head of Household',
+    qss: 'Qualifying Surviving Spouse'
+};
+
+// Income Cliffs (2024 dollars, indexed like the federal brackets)
+// Medicare IRMAA: MAGI thresholds where Part B/D surcharges begin (uses MAGI from two years earlier)
+const MEDICARE_IRMAA_THRESHOLDS = {
+    single: [103000, 129000, 161000, 193000, 500000],
+    married: [206000, 258000, 322000, 386000, 750000],
+    hoh: [103000, 129000, 161000, 193000, 500000],
+    qss: [103000, 129000, 161000, 193000, 500000]
+};
+
+// Medicare Premiums (2024 monthly amounts, grown by settings.medicare.premiumGrowth)
+// - partB: standard Part B premium; partD: default Part D plan premium
+// - Surcharges are added per person for each IRMAA tier (index 0 = below the first threshold)
+const MEDICARE_PREMIUMS = {
+    baseYear: 2024,
+    eligibilityAge: 65,
+    partB: 174.70,
+    partD: 35,
+    partBSurcharges: [0, 69.90, 174.70, 279.50, 384.30, 419.30],
+    partDSurcharges: [0, 12.90, 33.30, 53.80, 74.20, 81.00]
+};
+
+// IRS Contribution Limits (2024 dollars, indexed like the federal brackets)
+// - '401k': employee deferrals, shared across all of a person's 401k/403b accounts (Traditional + Roth)
+// - ira: shared across all of a person's Traditional + Roth IRAs
+// - hsa: self-only or family coverage (family limit is shared by the household); catch-up is not indexed
+// - annualAdditions: 415(c) cap on employee + employer 401k contributions per person
+// - rothIraPhaseOut: MAGI range where direct Roth IRA contributions phase out (backdoor Roth avoids it)
+const IRS_CONTRIBUTION_LIMITS = {
+    '401k': { limit: 23000, catchUp: 7500, catchUpAge: 50, rounding: 500 },
+    ira: { limit: 7000, catchUp: 1000, catchUpAge: 50, rounding: 500 },
+    hsa: { self: 4150, family: 8300, catchUp: 1000, catchUpAge: 55, rounding: 50, catchUpIndexed: false },
+    annualAdditions: 69000,
+    rothIraPhaseOut: { single: [146000, 161000], married: [230000, 240000], hoh: [146000, 161000], qss: [230000, 240000] }
+};
+
+// Early withdrawal rules for retirement accounts
+// - penaltyRate: 10% additional tax on traditional withdrawals (and Roth earnings) before penaltyFreeAge
+// - ruleOf55Age: leaving the employer in or after the year you turn 55 frees that employer's 401k/403b
+// - rothSeasoningYears: each Roth conversion - and the account itself, for earnings - has its own 5-year clock
+// - HSA withdrawals not matched by medical receipts are income, plus a 20% penalty before hsaPenaltyFreeAge (65)
+// - 72(t) substantially equal periodic payments run for the longer of seppMinimumYears or until 59½,
+//   amortized over the IRS Single Life Expectancy Table (2022) at up to max(5%, 120% of the mid-term AFR)
+const EARLY_WITHDRAWAL_RULES = {
+    penaltyFreeAge: 59.5,
+    penaltyRate: 0.10,
+    ruleOf55Age: 55,
+    rothSeasoningYears: 5,
+    hsaPenaltyRate: 0.20,
+    hsaPenaltyFreeAge: 65,
+    seppMinimumYears: 5,
+    seppInterestRate: 5.0,
+    singleLifeExpectancy: {
+        30: 55.3, 31: 54.4, 32: 53.4, 33: 52.5, 34: 51.5, 35: 50.5, 36: 49.6, 37: 48.6, 38: 47.7, 39: 46.7,
+        40: 45.7, 41: 44.8, 42: 43.8, 43: 42.9, 44: 41.9, 45: 41.0, 46: 40.0, 47: 39.0, 48: 38.1, 49: 37.1,
+        50: 36.2, 51: 35.3, 52: 34.3, 53: 33.4, 54: 32.5, 55: 31.6, 56: 30.6, 57: 29.8, 58: 28.9, 59: 28.0,
+        60: 27.1, 61: 26.2, 62: 25.4, 63: 24.5, 64: 23.7, 65: 22.9, 66: 22.0, 67: 21.2, 68: 20.4, 69: 19.6,
+        70: 18.8, 71: 18.0, 72: 17.2, 73: 16.4, 74: 15.6, 75: 14.8, 76: 14.1, 77: 13.3, 78: 12.6, 79: 11.9,
+        80: 11.2, 81: 10.5, 82: 9.9, 83: 9.3, 84: 8.7, 85: 8.1, 86: 7.6, 87: 7.1, 88: 6.6, 89: 6.1, 90: 5.7
+    }
+};
+
+// Inherited IRAs (SECURE Act 10-year rule for non-spouse beneficiaries)
+// - The account must be empty by the end of the 10th year after the year of death
+// - If the original owner had started RMDs, annual RMDs are also due in years 1-9, using the beneficiary's
+//   single life expectancy (table above) the year after death, reduced by one each year
+// - Inherited Roth IRAs have no annual RMDs and come out tax-free; no 10% penalty at any age
+// Surviving spouses can usually roll the IRA into their own instead - model that as a regular account
+const INHERITED_IRA_RULES = {
+    distributionYears: 10,
+    strategies: ['even', 'backload', 'bracket'] // Spread evenly, wait until year 10, or fill a tax bracket each year
+};
+
+// Multi-year withdrawal optimizer (see ProjectionEngine.optimizeWithdrawalSchedule)
+// Each retirement year gets a level: traditional money is withdrawn first until ordinary income reaches the top
+// of that federal bracket (position in the year's bracket table, so it follows law changes; -1 = only the
+// deduction; null = the regular withdrawal order). With conversions included, room left under the level is
+// converted to Roth. Levels are searched in blocks of years, then refined one year at a time.
+const WITHDRAWAL_OPTIMIZER = {
+    levels: [null, -1, 0, 1, 2, 3, 4], // Regular order, deduction only, 10%, 12%, 22%, 24%, 32% (current law)
+    blockYears: 5,
+    maxPasses: 2,
+    horizon: 40
+};
+
+// Default yields for taxable brokerage accounts (% of balance per year) when an account doesn't set its own.
+// They are part of the account's total return, not added to it: qualified dividends are taxed at capital gains
+// rates and interest as ordinary income every year, and both add to cost basis when reinvested.
+const TAXABLE_ACCOUNT_YIELDS = {
+    qualifiedDividends: 1.5, // broad US stock index fund
+    interest: 0
+};
+
+// Net Investment Income Tax: 3.8% of the lesser of net investment income (interest, dividends, capital gains)
+// or MAGI above the threshold. Thresholds are set in law and not indexed for inflation.
+const NET_INVESTMENT_INCOME_TAX = {
+    rate: 0.038,
+    thresholds: { single: 200000, married: 250000, hoh: 200000, qss: 250000 }
+};
+
+// Itemized deductions (Schedule A). Each year takes the larger of itemized or standard deduction.
+// Dollar limits are set in law and not indexed.
+const ITEMIZED_DEDUCTIONS = {
+    saltCap: { current: 10000, preTCJA: Infinity }, // State and local taxes (property + state income tax)
+    mortgageDebtLimit: { current: 750000, preTCJA: 1000000 }, // Interest on acquisition debt above this isn't deductible
+    medicalAgiFloor: 0.075, // Only medical costs above 7.5% of AGI count
+    charitableAgiLimit: 0.60, // Cash gifts to public charities (incl. donor-advised funds)
+    propertyAgiLimit: 0.30 // Gifts of appreciated long-term shares (deducted at market value)
+};
+
+// Qualified Charitable Distributions: IRA money sent straight to charity from age 70½. Excluded from
+// income (no deduction) and counts toward the RMD. Employer plans (401k/403b) don't qualify.
+const QUALIFIED_CHARITABLE_DISTRIBUTIONS = {
+    minimumAge: 70.5,
+    annualLimit: 105000, // per IRA owner in baseYear dollars, indexed for inflation (rounded to $1,000)
+    baseYear: 2024
+};
+
+// Federal estate tax: 40% of the estate above the basic exclusion (2024 dollars, indexed like the brackets and
+// rounded to $10,000; pre-2018 law halves it). Everything left to a spouse passes tax-free (unlimited marital
+// deduction) and the survivor keeps the unused exclusion (portability). State estate taxes aren't modeled.
+const FEDERAL_ESTATE_TAX = {
+    rate: 0.40,
+    exclusion: { current: 13610000, preTCJA: 6805000 }
+};
+
+// Federal poverty level for the 48 contiguous states (ACA premium tax credit eligibility)
+const FEDERAL_POVERTY_LEVEL = {
+    firstPerson: 15060,
+    additionalPerson: 5380
+};
+
+// ACA Premium Tax Credit
+// - Schedules: expected contribution as % of MAGI, linear from `from` to `to` within each FPL band
+//   (bands start at 100% FPL). 'original' ends at 400% FPL - above that there is no credit (the cliff).
+//   'enhanced' (2021-2025 law) caps the contribution at 8.5% of income with no cliff.
+// - ageCurve: federal default age rating factors for ages 21-64 (benchmark premiums are quoted for age 40)
+const ACA_PREMIUM_TAX_CREDIT = {
+    original: [
+        { upTo: 133, from: 2.10, to: 2.10 },
+        { upTo: 150, from: 3.14, to: 4.19 },
+        { upTo: 200, from: 4.19, to: 6.60 },
+        { upTo: 250, from: 6.60, to: 8.44 },
+        { upTo: 300, from: 8.44, to: 9.96 },
+        { upTo: 400, from: 9.96, to: 9.96 }
+    ],
+    enhanced: [
+        { upTo: 150, from: 0, to: 0 },
+        { upTo: 200, from: 0, to: 2 },
+        { upTo: 250, from: 2, to: 4 },
+        { upTo: 300, from: 4, to: 6 },
+        { upTo: 400, from: 6, to: 8.5 },
+        { upTo: Infinity, from: 8.5, to: 8.5 }
+    ],
+    baseYear: 2024,
+    benchmarkAge: 40,
+    ageCurve: [
+        1.000, 1.000, 1.000, 1.000, 1.004, 1.024, 1.048, 1.087, 1.119, 1.135, // 21-30
+        1.159, 1.183, 1.198, 1.214, 1.222, 1.230, 1.238, 1.246, 1.262, 1.278, // 31-40
+        1.302, 1.325, 1.357, 1.397, 1.444, 1.500, 1.563, 1.635, 1.706, 1.786, // 41-50
+        1.865, 1.952, 2.040, 2.135, 2.230, 2.333, 2.437, 2.548, 2.603, 2.714, // 51-60
+        2.810, 2.873, 2.952, 3.000 // 61-64
+    ]
+};
+
+// Social Security benefit formula (SSA)
+// - averageWageIndex: national average wage index (AWI) used to index earnings to age 60 and set bend points
+// - taxableMaximum: contribution and benefit base by year (value applies until the next listed year)
+// - Years after the last published value are projected with wage growth = inflation + realWageGrowth
+// - PIA = 90% / 32% / 15% of AIME split at bend points (1977 base amounts scaled by AWI two years before eligibility)
+const SOCIAL_SECURITY = {
+    averageWageIndex: {
+        1951: 2799.16, 1952: 2973.32, 1953: 3139.44, 1954: 3155.64, 1955: 3301.44, 1956: 3532.36, 1957: 3641.72, 1958: 3673.80, 1959: 3855.80,
+        1960: 4007.12, 1961: 4086.76, 1962: 4291.40, 1963: 4396.64, 1964: 4576.32, 1965: 4658.72, 1966: 4938.36, 1967: 5213.44, 1968: 5571.76, 1969: 5893.76,
+        1970: 6186.24, 1971: 6497.08, 1972: 7133.80, 1973: 7580.16, 1974: 8030.76, 1975: 8630.92, 1976: 9226.48, 1977: 9779.44, 1978: 10556.03, 1979: 11479.46,
+        1980: 12513.46, 1981: 13773.10, 1982: 14531.34, 1983: 15239.24, 1984: 16135.07, 1985: 16822.51, 1986: 17321.82, 1987: 18426.51, 1988: 19334.04, 1989: 20099.55,
+        1990: 21027.98, 1991: 21811.60, 1992: 22935.42, 1993: 23132.67, 1994: 23753.53, 1995: 24705.66, 1996: 25913.90, 1997: 27426.00, 1998: 28861.44, 1999: 30469.84,
+        2000: 32154.82, 2001: 32921.92, 2002: 33252.09, 2003: 34064.95, 2004: 35648.55, 2005: 36952.94, 2006: 38651.41, 2007: 40405.48, 2008: 41334.97, 2009: 40711.61,
+        2010: 41673.83, 2011: 42979.61, 2012: 44321.67, 2013: 44888.16, 2014: 46481.52, 2015: 48098.63, 2016: 48642.15, 2017: 50321.89, 2018: 52145.80, 2019: 54099.99,
+        2020: 55628.60, 2021: 60575.07, 2022: 63795.13, 2023: 66621.80
+    },
+    taxableMaximum: {
+        1951: 3600, 1955: 4200, 1959: 4800, 1966: 6600, 1968: 7800, 1972: 9000, 1973: 10800, 1974: 13200, 1975: 14100, 1976: 15300,
+        1977: 16500, 1978: 17700, 1979: 22900, 1980: 25900, 1981: 29700, 1982: 32400, 1983: 35700, 1984: 37800, 1985: 39600, 1986: 42000,
+        1987: 43800, 1988: 45000, 1989: 48000, 1990: 51300, 1991: 53400, 1992: 55500, 1993: 57600, 1994: 60600, 1995: 61200, 1996: 62700,
+        1997: 65400, 1998: 68400, 1999: 72600, 2000: 76200, 2001: 80400, 2002: 84900, 2003: 87000, 2004: 87900, 2005: 90000, 2006: 94200,
+        2007: 97500, 2008: 102000, 2009: 106800, 2012: 110100, 2013: 113700, 2014: 117000, 2015: 118500, 2017: 127200, 2018: 128400,
+        2019: 132900, 2020: 137700, 2021: 142800, 2022: 147000, 2023: 160200, 2024: 168600
+    },
+    realWageGrowth: 1.0, // % per year above inflation (SSA intermediate assumption is ~1.1%)
+    bendPointBase: { year: 1977, first: 180, second: 1085 },
+    piaRates: [0.90, 0.32, 0.15],
+    computationYears: 35,
+    earliestClaimAge: 62,
+    latestClaimAge: 70,
+    survivorEarliestAge: 60,
+    survivorMaxReduction: 0.285, // survivor benefit at 60 vs. full retirement age
+    // Federal taxation of benefits: provisional income thresholds where 50% / 85% of benefits
+    // become taxable. Set by statute and NOT indexed for inflation.
+    taxationThresholds: { single: [25000, 34000], married: [32000, 44000], hoh: [25000, 34000], qss: [25000, 34000] }
+};
+
+// Payroll Taxes (FICA)
+// Employees pay the rates below on wages; the self-employed pay both halves (2x) on 92.35% of net
+// earnings and deduct half of it. The Social Security portion stops at the wage base
+// (SOCIAL_SECURITY.taxableMaximum), shared by wages and self-employment income. Additional Medicare
+// Tax thresholds are set by statute and NOT indexed.
+const PAYROLL_TAX = {
+    socialSecurityRate: 0.062,
+    medicareRate: 0.0145,
+    selfEmploymentFactor: 0.9235,
+    additionalMedicareRate: 0.009,
+    additionalMedicareThreshold: { single: 200000, married: 250000, hoh: 200000, qss: 200000 }
+};
+
+// State Income Tax Tables (2024 tax year unless noted, simplified)
+// - type: 'none' (no wage income tax), 'flat' (single rate) or 'graduated' (brackets)
+// - brackets: [limit, rate %] pairs; marriedBrackets 'double' = single limits x2, 'same' = identical limits
+// - standardDeduction: { single, married } or 'federal' to follow the federal standard deduction
+// - personalExemption: per-person amount (1 for single filers, 2 for married)
+// - socialSecurity: 'exempt', 'federal' (taxed like federal), or { exemptBelowAGI: { single, married } }
+// - retirementExclusion: 'full' (pensions/IRA withdrawals exempt) or { amount, minAge, maxAGI } per person
+// Local/county income taxes (MD, NYC, OH cities, etc.) are not modeled
+const STATE_TAX_TABLES = {
+    AL: { name: 'Alabama', type: 'graduated', brackets: [[500, 2], [3000, 4], [Infinity, 5]], marriedBrackets: 'double',
+        standardDeduction: { single: 2500, married: 7500 }, personalExemption: 1500,
+        socialSecurity: 'exempt', retirementExclusion: { amount: 6000, minAge: 65 } },
+    AK: { name: 'Alaska', type: 'none' },
+    AZ: { name: 'Arizona', type: 'flat', rate: 2.5, standardDeduction: 'federal', socialSecurity: 'exempt' },
+    AR: { name: 'Arkansas', type: 'graduated', brackets: [[5499, 0], [10899, 2], [15599, 3], [25699, 3.4], [Infinity, 3.9]], marriedBrackets: 'same',
+        standardDeduction: { single: 2340, married: 4680 }, socialSecurity: 'exempt', retirementExclusion: { amount: 6000, minAge: 59 } },
+    CA: { name: 'California', type: 'graduated',
+        brackets: [[10756, 1], [25499, 2], [40245, 4], [55866, 6], [70606, 8], [360659, 9.3], [432787, 10.3], [721314, 11.3], [1000000, 12.3], [Infinity, 13.3]],
+        marriedBrackets: [[21512, 1], [50998, 2], [80490, 4], [111732, 6], [141732, 8], [721318, 9.3], [865574, 10.3], [1000000, 11.3], [1442628, 12.3], [Infinity, 13.3]],
+        standardDeduction: { single: 5540, married: 11080 }, socialSecurity: 'exempt' },
+    CO: { name: 'Colorado', type: 'flat', rate: 4.25, standardDeduction: 'federal', socialSecurity: 'exempt',
+        retirementExclusion: { amount: 24000, minAge: 65 } },
+    CT: { name: 'Connecticut', type: 'graduated', brackets: [[10000, 2], [50000, 4.5], [100000, 5.5], [200000, 6], [250000, 6.5], [500000, 6.9], [Infinity, 6.99]], marriedBrackets: 'double',
+        standardDeduction: { single: 15000, married: 24000 }, socialSecurity: { exemptBelowAGI: { single: 75000, married: 100000 } },
+        retirementExclusion: { amount: Infinity, minAge: 0, maxAGI: { single: 75000, married: 100000 } } },
+    DE: { name: 'Delaware', type: 'graduated', brackets: [[2000, 0], [5000, 2.2], [10000, 3.9], [20000, 4.8], [25000, 5.2], [60000, 5.55], [Infinity, 6.6]], marriedBrackets: 'same',
+        standardDeduction: { single: 3250, married: 6500 }, personalExemption: 110, socialSecurity: 'exempt',
+        retirementExclusion: { amount: 12500, minAge: 60 } },
+    DC: { name: 'District of Columbia', type: 'graduated', brackets: [[10000, 4], [40000, 6], [60000, 6.5], [250000, 8.5], [500000, 9.25], [1000000, 9.75], [Infinity, 10.75]], marriedBrackets: 'same',
+        standardDeduction: 'federal', socialSecurity: 'exempt' },
+    FL: { name: 'Florida', type: 'none' },
+    GA: { name: 'Georgia', type: 'flat', rate: 5.39, standardDeduction: { single: 12000, married: 24000 }, socialSecurity: 'exempt',
+        retirementExclusion: { amount: 65000, minAge: 65 } },
+    HI: { name: 'Hawaii', type: 'graduated',
+        brackets: [[2400, 1.4], [4800, 3.2], [9600, 5.5], [14400, 6.4], [19200, 6.8], [24000, 7.2], [36000, 7.6], [48000, 7.9], [150000, 8.25], [175000, 9], [200000, 10], [Infinity, 11]],
+        marriedBrackets: 'double', standardDeduction: { single: 4400, married: 8800 }, personalExemption: 1144, socialSecurity: 'exempt',
+        retirementExclusion: 'full' },
+    ID: { name: 'Idaho', type: 'flat', rate: 5.695, standardDeduction: 'federal', socialSecurity: 'exempt' },
+    IL: { name: 'Illinois', type: 'flat', rate: 4.95, standardDeduction: { single: 0, married: 0 }, personalExemption: 2775,
+        socialSecurity: 'exempt', retirementExclusion: 'full' },
+    IN: { name: 'Indiana', type: 'flat', rate: 3.05, standardDeduction: { single: 0, married: 0 }, personalExemption: 1000, socialSecurity: 'exempt' },
+    // 2025 law: the flat 3.8% rate that replaced the graduated schedule (4.4% / 4.82% / 5.7% in 2024) and
+    // applies to every projection year
+    IA: { name: 'Iowa', type: 'flat', rate: 3.8, standardDeduction: 'federal', socialSecurity: 'exempt',
+        retirementExclusion: { amount: Infinity, minAge: 55 } },
+    KS: { name: 'Kansas', type: 'graduated', brackets: [[23000, 5.2], [Infinity, 5.58]], marriedBrackets: 'double',
+        standardDeduction: { single: 3605, married: 8240 }, personalExemption: 9160, socialSecurity: 'exempt' },
+    KY: { name: 'Kentucky', type: 'flat', rate: 4.0, standardDeduction: { single: 3160, married: 6320 }, socialSecurity: 'exempt',
+        retirementExclusion: { amount: 31110, minAge: 0 } },
+    LA: { name: 'Louisiana', type: 'flat', rate: 3.0, standardDeduction: { single: 12500, married: 25000 }, socialSecurity: 'exempt',
+        retirementExclusion: { amount: 6000, minAge: 65 } },
+    ME: { name: 'Maine', type: 'graduated', brackets: [[26050, 5.8], [61600, 6.75], [Infinity, 7.15]], marriedBrackets: 'double',
+        standardDeduction: 'federal', personalExemption: 5000, socialSecurity: 'exempt', retirementExclusion: { amount: 35000, minAge: 0 } },
+    MD: { name: 'Maryland', type: 'graduated',
+        brackets: [[1000, 2], [2000, 3], [3000, 4], [100000, 4.75], [125000, 5], [150000, 5.25], [250000, 5.5], [Infinity, 5.75]],
+        marriedBrackets: [[1000, 2], [2000, 3], [3000, 4], [150000, 4.75], [175000, 5], [225000, 5.25], [300000, 5.5], [Infinity, 5.75]],
+        standardDeduction: { single: 2550, married: 5150 }, personalExemption: 3200, socialSecurity: 'exempt',
+        retirementExclusion: { amount: 39500, minAge: 65 } },
+    MA: { name: 'Massachusetts', type: 'graduated', brackets: [[1053750, 5], [Infinity, 9]], marriedBrackets: 'same',
+        standardDeduction: { single: 0, married: 0 }, personalExemption: 4400, socialSecurity: 'exempt' },
+    MI: { name: 'Michigan', type: 'flat', rate: 4.25, standardDeduction: { single: 0, married: 0 }, personalExemption: 5600, socialSecurity: 'exempt',
+        retirementExclusion: { amount: 61040, minAge: 62 } },
+    MN: { name: 'Minnesota', type: 'graduated', brackets: [[31690, 5.35], [104090, 6.8], [193240, 7.85], [Infinity, 9.85]],
+        marriedBrackets: [[46330, 5.35], [184040, 6.8], [321450, 7.85], [Infinity, 9.85]],
+        standardDeduction: { single: 14575, married: 29150 }, socialSecurity: { exemptBelowAGI: { single: 82190, married: 105380 } } },
+    MS: { name: 'Mississippi', type: 'graduated', brackets: [[10000, 0], [Infinity, 4.7]], marriedBrackets: 'same',
+        standardDeduction: { single: 2300, married: 4600 }, personalExemption: 6000, socialSecurity: 'exempt', retirementExclusion: 'full' },
+    MO: { name: 'Missouri', type: 'graduated',
+        brackets: [[1273, 0], [2546, 2], [3819, 2.5], [5092, 3], [6365, 3.5], [7638, 4], [8911, 4.5], [Infinity, 4.8]], marriedBrackets: 'same',
+        standardDeduction: 'federal', socialSecurity: 'exempt' },
+    MT: { name: 'Montana', type: 'graduated', brackets: [[20500, 4.7], [Infinity, 5.9]], marriedBrackets: 'double',
+        standardDeduction: 'federal', socialSecurity: 'federal', retirementExclusion: { amount: 5500, minAge: 65 } },
+    NE: { name: 'Nebraska', type: 'graduated', brackets: [[3900, 2.46], [23370, 3.51], [37670, 5.01], [Infinity, 5.84]],
+        marriedBrackets: [[7790, 2.46], [46750, 3.51], [75340, 5.01], [Infinity, 5.84]],
+        standardDeduction: { single: 8300, married: 16600 }, socialSecurity: 'exempt' },
+    NV: { name: 'Nevada', type: 'none' },
+    NH: { name: 'New Hampshire', type: 'none' },
+    NJ: { name: 'New Jersey', type: 'graduated',
+        brackets: [[20000, 1.4], [35000, 1.75], [40000, 3.5], [75000, 5.525], [500000, 6.37], [1000000, 8.97], [Infinity, 10.75]],
+        marriedBrackets: [[20000, 1.4], [50000, 1.75], [70000, 2.45], [80000, 3.5], [150000, 5.525], [500000, 6.37], [1000000, 8.97], [Infinity, 10.75]],
+        standardDeduction: { single: 0, married: 0 }, personalExemption: 1000, socialSecurity: 'exempt',
+        retirementExclusion: { amount: 75000, minAge: 62, maxAGI: { single: 150000, married: 150000 } } },
+    NM: { name: 'New Mexico', type: 'graduated', brackets: [[5500, 1.7], [11000, 3.2], [16000, 4.7], [210000, 4.9], [Infinity, 5.9]],
+        marriedBrackets: [[8000, 1.7], [16000, 3.2], [24000, 4.7], [315000, 4.9], [Infinity, 5.9]],
+        standardDeduction: 'federal', socialSecurity: { exemptBelowAGI: { single: 100000, married: 150000 } } },
+    NY: { name: 'New York', type: 'graduated',
+        brackets: [[8500, 4], [11700, 4.5], [13900, 5.25], [80650, 5.5], [215400, 6], [1077550, 6.85], [5000000, 9.65], [25000000, 10.3], [Infinity, 10.9]],
+        marriedBrackets: [[17150, 4], [23600, 4.5], [27900, 5.25], [161550, 5.5], [323200, 6], [2155350, 6.85], [5000000, 9.65], [25000000, 10.3], [Infinity, 10.9]],
+        standardDeduction: { single: 8000, married: 16050 }, socialSecurity: 'exempt', retirementExclusion: { amount: 20000, minAge: 59 } },
+    NC: { name: 'North Carolina', type: 'flat', rate: 4.5, standardDeduction: { single: 12750, married: 25500 }, socialSecurity: 'exempt' },
+    ND: { name: 'North Dakota', type: 'graduated', brackets: [[47150, 0], [238200, 1.95], [Infinity, 2.5]],
+        marriedBrackets: [[78775, 0], [289975, 1.95], [Infinity, 2.5]],
+        standardDeduction: 'federal', socialSecurity: 'exempt' },
+    OH: { name: 'Ohio', type: 'graduated', brackets: [[26050, 0], [100000, 2.75], [Infinity, 3.5]], marriedBrackets: 'same',
+        standardDeduction: { single: 0, married: 0 }, personalExemption: 2400, socialSecurity: 'exempt' },
+    OK: { name: 'Oklahoma', type: 'graduated', brackets: [[1000, 0.25], [2500, 0.75], [3750, 1.75], [4900, 2.75], [7200, 3.75], [Infinity, 4.75]],
+        marriedBrackets: 'double', standardDeduction: { single: 6350, married: 12700 }, personalExemption: 1000,
+        socialSecurity: 'exempt', retirementExclusion: { amount: 10000, minAge: 0 } },
+    OR: { name: 'Oregon', type: 'graduated', brackets: [[4300, 4.75], [10750, 6.75], [125000, 8.75], [Infinity, 9.9]], marriedBrackets: 'double',
+        standardDeduction: { single: 2745, married: 5495 }, socialSecurity: 'exempt' },
+    PA: { name: 'Pennsylvania', type: 'flat', rate: 3.07, standardDeduction: { single: 0, married: 0 }, socialSecurity: 'exempt',
+        retirementExclusion: 'full' },
+    RI: { name: 'Rhode Island', type: 'graduated', brackets: [[77450, 3.75], [176050, 4.75], [Infinity, 5.99]], marriedBrackets: 'same',
+        standardDeduction: { single: 10550, married: 21150 }, personalExemption: 4950,
+        socialSecurity: { exemptBelowAGI: { single: 104200, married: 130250 } },
+        retirementExclusion: { amount: 20000, minAge: 67, maxAGI: { single: 104200, married: 130250 } } },
+    SC: { name: 'South Carolina', type: 'graduated', brackets: [[3460, 0], [17330, 3], [Infinity, 6.2]], marriedBrackets: 'same',
+        standardDeduction: 'federal', socialSecurity: 'exempt', retirementExclusion: { amount: 10000, minAge: 65 } },
+    SD: { name: 'South Dakota', type: 'none' },
+    TN: { name: 'Tennessee', type: 'none' },
+    TX: { name: 'Texas', type: 'none' },
+    UT: { name: 'Utah', type: 'flat', rate: 4.55, standardDeduction: { single: 0, married: 0 }, socialSecurity: 'federal' },
+    VT: { name: 'Vermont', type: 'graduated', brackets: [[45400, 3.35], [110050, 6.6], [229550, 7.6], [Infinity, 8.75]],
+        marriedBrackets: [[75850, 3.35], [183400, 6.6], [279450, 7.6], [Infinity, 8.75]],
+        standardDeduction: { single: 7400, married: 14850 }, personalExemption: 4850,
+        socialSecurity: { exemptBelowAGI: { single: 50000, married: 65000 } } },
+    VA: { name: 'Virginia', type: 'graduated', brackets: [[3000, 2], [5000, 3], [17000, 5], [Infinity, 5.75]], marriedBrackets: 'same',
+        standardDeduction: { single: 8000, married: 16000 }, personalExemption: 930, socialSecurity: 'exempt',
+        retirementExclusion: { amount: 12000, minAge: 65 } },
+    WA: { name: 'Washington', type: 'none' }, // 7% tax on capital gains over $250k not modeled
+    WV: { name: 'West Virginia', type: 'graduated', brackets: [[10000, 2.36], [25000, 3.15], [40000, 3.54], [60000, 4.72], [Infinity, 5.12]], marriedBrackets: 'same',
+        standardDeduction: { single: 0, married: 0 }, personalExemption: 2000, socialSecurity: 'exempt' },
+    WI: { name: 'Wisconsin', type: 'graduated', brackets: [[14320, 3.5], [28640, 4.4], [315310, 5.3], [Infinity, 7.65]],
+        marriedBrackets: [[19090, 3.5], [38190, 4.4], [420420, 5.3], [Infinity, 7.65]],
+        standardDeduction: { single: 13230, married: 24490 }, personalExemption: 700, socialSecurity: 'exempt' },
+    WY: { name: 'Wyoming', type: 'none' }
+};
+
+// Historical Returns for backtesting and the block bootstrap (see MonteCarloSimulator) - annual %, 1871 onward
+// - 1928 onward: S&P 500 total return with dividends reinvested and 10-year US Treasury total return (as tabulated
+//   in Damodaran, "Historical Returns on Stocks, Bonds and Bills", NYU Stern); CPI-U December to December (BLS)
+// - 1871-1927: derived from Robert Shiller's monthly data (ie_data), January to January - S&P Composite price
+//   change plus the year's dividends, a 10-year bond bought at par at the January long rate and repriced at the
+//   next January's rate, and CPI
+const HISTORICAL_RETURNS = {
+    stocks: {
+        1871: 15.32, 1872: 11.32, 1873: -2.35, 1874: 4.51, 1875: 5.07, 1876: -13.90, 1877: -1.69, 1878: 15.69, 1879: 47.77, 1880: 25.05,
+        1881: -0.16, 1882: 3.38, 1883: -5.34, 1884: -12.16, 1885: 28.54, 1886: 11.54, 1887: -0.72, 1888: 3.20, 1889: 6.87, 1890: -5.76,
+        1891: 18.39, 1892: 5.81, 1893: -18.72, 1894: 3.47, 1895: 4.94, 1896: 3.04, 1897: 19.91, 1898: 28.28, 1899: 3.62, 1900: 19.67,
+        1901: 18.53, 1902: 7.88, 1903: -17.14, 1904: 30.84, 1905: 20.88, 1906: 0.51, 1907: -20.40, 1908: 31.57, 1909: 15.34, 1910: -3.57,
+        1911: 3.45, 1912: 7.13, 1913: -4.73, 1914: -5.14, 1915: 30.21, 1916: 7.61, 1917: -17.76, 1918: 16.78, 1919: 19.24, 1920: -13.36,
+        1921: 9.99, 1922: 28.63, 1923: 5.51, 1924: 26.39, 1925: 25.52, 1926: 11.54, 1927: 36.64,
+        1928: 43.81, 1929: -8.30, 1930: -25.12, 1931: -43.84, 1932: -8.64, 1933: 49.98, 1934: -1.19, 1935: 46.74, 1936: 31.94, 1937: -35.34,
+        1938: 29.28, 1939: -1.10, 1940: -10.67, 1941: -12.77, 1942: 19.17, 1943: 25.06, 1944: 19.03, 1945: 35.82, 1946: -8.43, 1947: 5.20,
+        1948: 5.70, 1949: 18.30, 1950: 30.81, 1951: 23.68, 1952: 18.15, 1953: -1.21, 1954: 52.56, 1955: 32.60, 1956: 7.44, 1957: -10.46,
+        1958: 43.72, 1959: 12.06, 1960: 0.34, 1961: 26.64, 1962: -8.81, 1963: 22.61, 1964: 16.42, 1965: 12.40, 1966: -9.97, 1967: 23.80,
+        1968: 10.81, 1969: -8.24, 1970: 3.56, 1971: 14.22, 1972: 18.76, 1973: -14.31, 1974: -25.90, 1975: 37.00, 1976: 23.83, 1977: -6.98,
+        1978: 6.51, 1979: 18.52, 1980: 31.74, 1981: -4.70, 1982: 20.42, 1983: 22.34, 1984: 6.15, 1985: 31.24, 1986: 18.49, 1987: 5.81,
+        1988: 16.54, 1989: 31.48, 1990: -3.06, 1991: 30.23, 1992: 7.49, 1993: 9.97, 1994: 1.33, 1995: 37.20, 1996: 22.68, 1997: 33.10,
+        1998: 28.34, 1999: 20.89, 2000: -9.03, 2001: -11.85, 2002: -21.97, 2003: 28.36, 2004: 10.74, 2005: 4.83, 2006: 15.61, 2007: 5.48,
+        2008: -36.55, 2009: 25.94, 2010: 14.82, 2011: 2.10, 2012: 15.89, 2013: 32.15, 2014: 13.52, 2015: 1.38, 2016: 11.77, 2017: 21.61,
+        2018: -4.23, 2019: 31.21, 2020: 18.02, 2021: 28.47, 2022: -18.01, 2023: 26.06, 2024: 25.02
+    },
+    bonds: {
+        1871: 5.04, 1872: 3.84, 1873: 6.35, 1874: 8.30, 1875: 8.54, 1876: 5.61, 1877: 5.18, 1878: 5.31, 1879: 5.26, 1880: 6.49,
+        1881: 4.21, 1882: 3.93, 1883: 3.90, 1884: 4.55, 1885: 4.90, 1886: 3.19, 1887: 2.60, 1888: 3.77, 1889: 3.42, 1890: 1.91,
+        1891: 3.17, 1892: 3.23, 1893: 4.04, 1894: 5.38, 1895: 3.33, 1896: 3.12, 1897: 4.77, 1898: 4.16, 1899: 4.37, 1900: 3.85,
+        1901: 3.22, 1902: 2.42, 1903: 1.28, 1904: 2.83, 1905: 3.28, 1906: 2.77, 1907: 1.59, 1908: 4.03, 1909: 3.54, 1910: 3.05,
+        1911: 3.90, 1912: 3.16, 1913: 2.53, 1914: 4.20, 1915: 5.31, 1916: 4.05, 1917: 1.14, 1918: 2.44, 1919: 3.02, 1920: 4.12,
+        1921: 5.02, 1922: 10.97, 1923: 3.86, 1924: 6.58, 1925: 5.56, 1926: 5.75, 1927: 5.76,
+        1928: 0.84, 1929: 4.20, 1930: 4.54, 1931: -2.56, 1932: 8.79, 1933: 1.86, 1934: 7.96, 1935: 4.47, 1936: 5.02, 1937: 1.38,
+        1938: 4.21, 1939: 4.41, 1940: 5.40, 1941: -2.02, 1942: 2.29, 1943: 2.49, 1944: 2.58, 1945: 3.80, 1946: 3.13, 1947: 0.92,
+        1948: 1.95, 1949: 4.66, 1950: 0.43, 1951: -0.30, 1952: 2.27, 1953: 4.14, 1954: 3.29, 1955: -1.34, 1956: -2.26, 1957: 6.80,
+        1958: -2.10, 1959: -2.65, 1960: 11.64, 1961: 2.06, 1962: 5.69, 1963: 1.68, 1964: 3.73, 1965: 0.72, 1966: 2.91, 1967: -1.58,
+        1968: 3.27, 1969: -5.01, 1970: 16.75, 1971: 9.79, 1972: 2.82, 1973: 3.66, 1974: 1.99, 1975: 3.61, 1976: 15.98, 1977: 1.29,
+        1978: -0.78, 1979: 0.67, 1980: -2.99, 1981: 8.20, 1982: 32.81, 1983: 3.20, 1984: 13.73, 1985: 25.71, 1986: 24.28, 1987: -4.96,
+        1988: 8.22, 1989: 17.69, 1990: 6.24, 1991: 15.00, 1992: 9.36, 1993: 14.21, 1994: -8.04, 1995: 23.48, 1996: 1.43, 1997: 9.94,
+        1998: 14.92, 1999: -8.25, 2000: 16.66, 2001: 5.57, 2002: 15.12, 2003: 0.38, 2004: 4.49, 2005: 2.87, 2006: 1.96, 2007: 10.21,
+        2008: 20.10, 2009: -11.12, 2010: 8.46, 2011: 16.04, 2012: 2.97, 2013: -9.10, 2014: 10.75, 2015: 1.28, 2016: 0.69, 2017: 2.80,
+        2018: -0.02, 2019: 9.64, 2020: 11.33, 2021: -4.42, 2022: -17.83, 2023: 3.88, 2024: -1.64
+    },
+    inflation: {
+        1871: 1.52, 1872: 2.29, 1873: -3.71, 1874: -5.46, 1875: -3.31, 1876: -2.55, 1877: -10.72, 1878: -12.71, 1879: 14.57, 1880: -0.91,
+        1881: 1.93, 1882: 0.00, 1883: -5.89, 1884: -7.11, 1885: -3.31, 1886: -1.18, 1887: 3.47, 1888: 3.35, 1889: -6.49, 1890: 1.20,
+        1891: -1.18, 1892: 0.00, 1893: -4.55, 1894: -7.27, 1895: 1.35, 1896: -3.87, 1897: -1.39, 1898: 4.08, 1899: 7.84, 1900: 0.00,
+        1901: 0.00, 1902: 6.02, 1903: 3.43, 1904: -3.31, 1905: 0.00, 1906: 4.49, 1907: 1.13, 1908: -4.36, 1909: 7.95, 1910: 1.08,
+        1911: -3.11, 1912: 8.41, 1913: 2.04, 1914: 1.00, 1915: 2.97, 1916: 12.50, 1917: 19.66, 1918: 17.86, 1919: 16.97, 1920: -1.55,
+        1921: -11.05, 1922: -0.59, 1923: 2.98, 1924: 0.00, 1925: 3.47, 1926: -2.23, 1927: -1.14,
+        1928: -0.97, 1929: 0.20, 1930: -6.03, 1931: -9.52, 1932: -10.30, 1933: 0.51, 1934: 2.03, 1935: 2.99, 1936: 1.21, 1937: 3.10,
+        1938: -2.78, 1939: -0.48, 1940: 0.96, 1941: 9.72, 1942: 9.29, 1943: 3.16, 1944: 2.11, 1945: 2.25, 1946: 18.13, 1947: 8.84,
+        1948: 2.99, 1949: -2.07, 1950: 5.93, 1951: 6.00, 1952: 0.75, 1953: 0.75, 1954: -0.74, 1955: 0.37, 1956: 2.99, 1957: 2.90,
+        1958: 1.76, 1959: 1.73, 1960: 1.36, 1961: 0.67, 1962: 1.33, 1963: 1.64, 1964: 0.97, 1965: 1.92, 1966: 3.46, 1967: 3.04,
+        1968: 4.72, 1969: 6.20, 1970: 5.57, 1971: 3.27, 1972: 3.41, 1973: 8.71, 1974: 12.34, 1975: 6.94, 1976: 4.86, 1977: 6.70,
+        1978: 9.02, 1979: 13.29, 1980: 12.52, 1981: 8.92, 1982: 3.83, 1983: 3.79, 1984: 3.95, 1985: 3.80, 1986: 1.10, 1987: 4.43,
+        1988: 4.42, 1989: 4.65, 1990: 6.11, 1991: 3.06, 1992: 2.90, 1993: 2.75, 1994: 2.67, 1995: 2.54, 1996: 3.32, 1997: 1.70,
+        1998: 1.61, 1999: 2.68, 2000: 3.39, 2001: 1.55, 2002: 2.38, 2003: 1.88, 2004: 3.26, 2005: 3.42, 2006: 2.54, 2007: 4.08,
+        2008: 0.09, 2009: 2.72, 2010: 1.50, 2011: 2.96, 2012: 1.74, 2013: 1.50, 2014: 0.76, 2015: 0.73, 2016: 2.07, 2017: 2.11,
+        2018: 1.91, 2019: 2.29, 2020: 1.36, 2021: 7.04, 2022: 6.45, 2023: 3.35, 2024: 2.89
+    }
+};
+
+// Monte Carlo return models (see MonteCarloSimulator.simulatePaths)
+// - parametric: independent years drawn from each glide path period's distribution (RETURN_DISTRIBUTIONS below),
+//   with the plan's inflation rate
+// - bootstrap: blocks of blockLength consecutive years of history, each replaying that year's actual return of
+//   the stock/bond mix and its CPI (HISTORICAL_RETURNS) - the glide path and the plan's inflation rate aren't
+//   used, so history's return levels, streaks, crashes and inflation spells arrive together as they happened
+const MONTE_CARLO_RETURN_MODELS = {
+    parametric: { label: 'Glide Path Distributions' },
+    bootstrap: { label: 'Block Bootstrap (History)' }
+};
+
+// Return distributions for a glide path period (see MonteCarloSimulator.drawReturn)
+// - normal: expected return is the average (arithmetic) year; a bad enough draw can fall below -100%
+// - lognormal: log returns are normal, calibrated so the geometric (compound) average is the expected return and
+//   the yearly standard deviation is the volatility - a year can't lose more than everything
+// - student_t: log returns follow a Student-t with the lognormal's mean and spread, so the geometric average still
+//   matches, with fatter tails (more crashes and booms) the fewer the degrees of freedom. Skew (Fernandez-Steel)
+//   below 1 makes the losing side longer than the winning side; 1 is symmetric.
+const RETURN_DISTRIBUTIONS = {
+    normal: { label: 'Normal' },
+    lognormal: { label: 'Lognormal' },
+    // maxShock: draws are capped at this many standard deviations - with few degrees of freedom the tails would
+    // otherwise allow years like +1,000% that no diversified portfolio has had
+    student_t: { label: 'Student-t', defaultDegreesOfFreedom: 5, minDegreesOfFreedom: 2.5, maxDegreesOfFreedom: 100, defaultSkew: 1, minSkew: 0.5, maxSkew: 2, maxShock: 8 }
+};
+
 // Projection Engine
 class ProjectionEngine {
     constructor(model) {
@@ -477,34 +1139,8 @@ class ProjectionEngine {
                 }
             });
 
-            // Add retirement income - Social Security for Person A
-            // Social Security includes COLA (Cost of Living Adjustment), typically ~2-3% annually
-            const personA = this.model.settings.household.personA;
-            if (personA.socialSecurity && personA.socialSecurity.enabled) {
-                const personAAge = year - personA.birthYear;
-                if (personAAge >= personA.socialSecurity.startAge) {
-                    const startYear = personA.birthYear + personA.socialSecurity.startAge;
-                    const yearsSinceSSStart = Math.max(0, year - startYear);
-                    // Apply inflation adjustment (COLA) to Social Security
-                    const inflationRate = this.model.settings.inflation / 100;
-                    const adjustedSS = personA.socialSecurity.annualAmount * Math.pow(1 + inflationRate, yearsSinceSSStart);
-                    annualIncome += adjustedSS;
-                }
-            }
-
-            // Add retirement income - Social Security for Person B
-            const personB = this.model.settings.household.personB;
-            if (personB && personB.socialSecurity && personB.socialSecurity.enabled) {
-                const personBAge = year - personB.birthYear;
-                if (personBAge >= personB.socialSecurity.startAge) {
-                    const startYear = personB.birthYear + personB.socialSecurity.startAge;
-                    const yearsSinceSSStart = Math.max(0, year - startYear);
-                    // Apply inflation adjustment (COLA) to Social Security
-                    const inflationRate = this.model.settings.inflation / 100;
-                    const adjustedSS = personB.socialSecurity.annualAmount * Math.pow(1 + inflationRate, yearsSinceSSStart);
-                    annualIncome += adjustedSS;
-                }
-            }
+            // Add retirement income - Social Security (own, spousal and survivor benefits, with COLA)
+            annualIncome += this.getSocialSecurityIncome(year).total;
 
             // Add retirement income - Pension
             const pension = this.model.settings.pension;
@@ -546,6 +1182,373 @@ class ProjectionEngine {
             .reduce((sum, acc) => sum + acc.balance, 0);
     }
 
+    getInitialCostBasis(account) {
+        // Only taxable brokerage accounts track basis; missing basis = no unrealized gain
+        if (account.type !== 'taxable') return null;
+        const basis = parseFloat(account.costBasis);
+        return isNaN(basis) ? account.balance : Math.max(0, basis);
+    }
+
+    getInvestmentYields(acc) {
+        // Portion of a taxable account's return paid out each year (reinvested), as decimals
+        if (acc.type !== 'taxable') return { qualifiedDividends: 0, interest: 0 };
+        return {
+            qualifiedDividends: (acc.dividendYield ?? TAXABLE_ACCOUNT_YIELDS.qualifiedDividends) / 100,
+            interest: (acc.interestYield ?? TAXABLE_ACCOUNT_YIELDS.interest) / 100
+        };
+    }
+
+    calculateInvestmentIncome(accountBalances) {
+        // Dividends and interest taxed this year, on start-of-year balances
+        return accountBalances.reduce((totals, acc) => {
+            if (acc.balance <= 0) return totals;
+            const yields = this.getInvestmentYields(acc);
+            totals.qualifiedDividends += acc.balance * yields.qualifiedDividends;
+            totals.interest += acc.balance * yields.interest;
+            this.noteAccountActivity(acc, 'dividends', acc.balance * yields.qualifiedDividends);
+            this.noteAccountActivity(acc, 'interest', acc.balance * yields.interest);
+            return totals;
+        }, { qualifiedDividends: 0, interest: 0 });
+    }
+
+    getUnrealizedGainRatio(accountBalances) {
+        // Fraction of taxable account value that is unrealized gain (used to estimate tax on sales)
+        const taxableAccounts = this.getAccountsByType(accountBalances, 'taxable');
+        const totalValue = taxableAccounts.reduce((sum, acc) => sum + acc.balance, 0);
+        const totalBasis = taxableAccounts.reduce((sum, acc) => sum + (acc.costBasis || 0), 0);
+        if (totalValue <= 0) return 0;
+        return Math.max(0, 1 - totalBasis / totalValue);
+    }
+
+    depositToAccount(acc, amount, conversionYear = null) {
+        // New money added to a taxable account is already-taxed dollars, so it adds to basis
+        // Roth deposits are contributions, or conversions with their own 5-year clock
+        acc.balance += amount;
+        if (acc.type === 'taxable') {
+            acc.costBasis = (acc.costBasis || 0) + amount;
+        } else if (acc.type === 'roth') {
+            if (conversionYear !== null) {
+                acc.rothConversions = acc.rothConversions || [];
+                acc.rothConversions.push({ year: conversionYear, amount });
+            } else {
+                acc.rothContributions = (acc.rothContributions || 0) + amount;
+            }
+        }
+    }
+
+    withdrawFromAccount(acc, amount) {
+        // Sell proportionally from the account; for taxable accounts the gain portion is realized
+        // Returns the realized long-term capital gain
+        let realizedGain = 0;
+        if (acc.type === 'taxable' && acc.balance > 0) {
+            const basisFraction = Math.min(1, (acc.costBasis || 0) / acc.balance);
+            const basisSold = amount * basisFraction;
+            realizedGain = Math.max(0, amount - basisSold);
+            acc.costBasis = Math.max(0, (acc.costBasis || 0) - basisSold);
+        }
+        acc.balance -= amount;
+        this.noteAccountActivity(acc, 'withdrawn', amount);
+        this.noteAccountActivity(acc, 'realizedGain', realizedGain);
+        return realizedGain;
+    }
+
+    noteAccountActivity(acc, key, amount) {
+        // Running totals per account for the current projection year (reset at the start of each year,
+        // kept in the yearly snapshot so the Form 1040 view can trace each line to its accounts)
+        if (!amount) return;
+        acc.yearActivity = acc.yearActivity || {};
+        acc.yearActivity[key] = (acc.yearActivity[key] || 0) + amount;
+    }
+
+    getWithdrawalAccessState(account) {
+        // Per-account state used by the early withdrawal rules (tracked alongside the balance)
+        const access = account.withdrawalAccess || {};
+        const household = this.model.settings.household;
+        const ownerId = (access.ownerId || account.contributionRule?.ownerId) === 'personB' && household.personB ? 'personB' : 'personA';
+        const state = { ownerId };
+        if (account.type === 'traditional') {
+            // Rule of 55 only covers employer plans; default from the account's contribution rule
+            state.employerPlan = access.employerPlan ?? account.contributionRule?.plan === '401k';
+            state.sepp = access.seppStartYear
+                ? { startYear: access.seppStartYear, interestRate: access.seppInterestRate ?? EARLY_WITHDRAWAL_RULES.seppInterestRate, payment: null, paidYear: null }
+                : null;
+        } else if (account.type === 'roth') {
+            // Missing contribution basis = the whole balance is contributions (withdrawable any time)
+            const basis = parseFloat(access.rothContributions);
+            state.rothContributions = isNaN(basis) ? account.balance : Math.max(0, basis);
+            state.rothConversions = [];
+            state.rothOpenedYear = access.rothOpenedYear || null; // null = 5-year clock already satisfied
+        } else if (account.type === 'hsa') {
+            // Unreimbursed qualified medical expenses - withdrawable tax-free at any age
+            state.hsaReceipts = parseFloat(access.hsaReceipts) || 0;
+        }
+        return state;
+    }
+
+    getAccountOwnerAge(acc, year) {
+        const household = this.model.settings.household;
+        const owner = acc.ownerId === 'personB' && household.personB ? household.personB : household.personA;
+        return year - owner.birthYear;
+    }
+
+    isPastPenaltyAge(acc, year) {
+        // Ages are whole years (the age reached during the year), so 59½ is only certain the year the owner turns 60
+        return this.getAccountOwnerAge(acc, year) > EARLY_WITHDRAWAL_RULES.penaltyFreeAge;
+    }
+
+    qualifiesForRuleOf55(acc, year) {
+        // Separation from service (the owner's retirement year) in or after the year they turn 55
+        if (acc.type !== 'traditional' || !acc.employerPlan) return false;
+        const household = this.model.settings.household;
+        const owner = acc.ownerId === 'personB' && household.personB ? household.personB : household.personA;
+        return year >= owner.retirementYear &&
+            owner.retirementYear - owner.birthYear >= EARLY_WITHDRAWAL_RULES.ruleOf55Age;
+    }
+
+    getSeppPayment(acc, year) {
+        // 72(t) amortization payment - fixed in the first year from the balance and single life expectancy
+        // Returns 0 outside the payment window
+        if (!acc.sepp || year < acc.sepp.startYear) return 0;
+        const household = this.model.settings.household;
+        const owner = acc.ownerId === 'personB' && household.personB ? household.personB : household.personA;
+        const lastYear = Math.max(
+            acc.sepp.startYear + EARLY_WITHDRAWAL_RULES.seppMinimumYears - 1,
+            owner.birthYear + Math.floor(EARLY_WITHDRAWAL_RULES.penaltyFreeAge)
+        );
+        if (year > lastYear) return 0;
+
+        if (acc.sepp.payment === null) {
+            const ages = Object.keys(EARLY_WITHDRAWAL_RULES.singleLifeExpectancy).map(Number);
+            const age = Math.min(Math.max(acc.sepp.startYear - owner.birthYear, Math.min(...ages)), Math.max(...ages));
+            const lifeExpectancy = EARLY_WITHDRAWAL_RULES.singleLifeExpectancy[age];
+            const rate = acc.sepp.interestRate / 100;
+            acc.sepp.payment = rate > 0
+                ? acc.balance * rate / (1 - Math.pow(1 + rate, -lifeExpectancy))
+                : acc.balance / lifeExpectancy;
+        }
+        return Math.min(acc.sepp.payment, acc.balance);
+    }
+
+    getPenaltyFreeAmount(acc, year) {
+        // How much can come out of this account this year without the 10% early withdrawal penalty
+        if (acc.inherited) return acc.balance; // Beneficiaries are never penalized
+        if (acc.type === 'traditional') {
+            if (this.isPastPenaltyAge(acc, year) || this.qualifiesForRuleOf55(acc, year)) return acc.balance;
+            // A 72(t) schedule frees exactly its payment (anything more breaks the schedule)
+            return acc.sepp && acc.sepp.paidYear !== year ? this.getSeppPayment(acc, year) : 0;
+        }
+        if (acc.type === 'roth') {
+            if (this.isPastPenaltyAge(acc, year)) return acc.balance;
+            // Contributions any time, conversions once their 5-year clock has run
+            const seasonedConversions = (acc.rothConversions || [])
+                .filter(layer => year >= layer.year + EARLY_WITHDRAWAL_RULES.rothSeasoningYears)
+                .reduce((sum, layer) => sum + layer.amount, 0);
+            return Math.min(acc.balance, (acc.rothContributions ?? acc.balance) + seasonedConversions);
+        }
+        if (acc.type === 'hsa') {
+            // Medical receipts any time; from 65 the rest is taxed but not penalized
+            if (this.getAccountOwnerAge(acc, year) >= EARLY_WITHDRAWAL_RULES.hsaPenaltyFreeAge) return acc.balance;
+            return Math.min(acc.balance, acc.hsaReceipts || 0);
+        }
+        return acc.balance;
+    }
+
+    withdrawWithAccessRules(acc, amount, year) {
+        // Withdraw from an account applying the early withdrawal rules
+        // Returns the realized gain, the amount hit by the 10% (HSA: 20%) penalty, and Roth earnings or
+        // non-qualified HSA withdrawals that are taxable income
+        const result = { realizedGain: 0, penalizedAmount: 0, taxableIncome: 0, penalty: 0 };
+        const pastPenaltyAge = this.isPastPenaltyAge(acc, year);
+
+        if (acc.inherited) {
+            // Inherited IRA: no penalty; inherited Roth money is tax-free (the original owner's 5 years are assumed met)
+            this.noteInheritedWithdrawal(acc, amount, year);
+            result.realizedGain = this.withdrawFromAccount(acc, amount);
+            return result;
+        }
+
+        if (acc.type === 'traditional') {
+            result.penalizedAmount = Math.max(0, amount - this.getPenaltyFreeAmount(acc, year));
+        } else if (acc.type === 'roth') {
+            // Ordering rules: contributions first, then conversions oldest first, then earnings
+            let remaining = amount;
+            const fromContributions = Math.min(remaining, acc.rothContributions ?? acc.balance);
+            acc.rothContributions = (acc.rothContributions ?? acc.balance) - fromContributions;
+            remaining -= fromContributions;
+
+            (acc.rothConversions || []).forEach(layer => {
+                const fromLayer = Math.min(remaining, layer.amount);
+                if (fromLayer <= 0) return;
+                layer.amount -= fromLayer;
+                remaining -= fromLayer;
+                if (!pastPenaltyAge && year < layer.year + EARLY_WITHDRAWAL_RULES.rothSeasoningYears) {
+                    result.penalizedAmount += fromLayer;
+                }
+            });
+            acc.rothConversions = (acc.rothConversions || []).filter(layer => layer.amount > 0.01);
+
+            // Earnings are tax- and penalty-free only after 59½ and 5 years from the first contribution
+            if (remaining > 0) {
+                const seasoned = !acc.rothOpenedYear || year >= acc.rothOpenedYear + EARLY_WITHDRAWAL_RULES.rothSeasoningYears;
+                if (!pastPenaltyAge || !seasoned) result.taxableIncome = remaining;
+                if (!pastPenaltyAge) result.penalizedAmount += remaining;
+            }
+        } else if (acc.type === 'hsa') {
+            // Tax-free up to saved medical receipts
+            const qualified = Math.min(amount, acc.hsaReceipts || 0);
+            acc.hsaReceipts = (acc.hsaReceipts || 0) - qualified;
+            result.taxableIncome = amount - qualified;
+            if (this.getAccountOwnerAge(acc, year) < EARLY_WITHDRAWAL_RULES.hsaPenaltyFreeAge) {
+                result.penalizedAmount = result.taxableIncome;
+            }
+        }
+
+        result.penalty = result.penalizedAmount *
+            (acc.type === 'hsa' ? EARLY_WITHDRAWAL_RULES.hsaPenaltyRate : EARLY_WITHDRAWAL_RULES.penaltyRate);
+        this.noteAccountActivity(acc, 'taxableIncome', result.taxableIncome);
+        this.noteAccountActivity(acc, 'penalty', result.penalty);
+        result.realizedGain = this.withdrawFromAccount(acc, amount);
+        return result;
+    }
+
+    takeSeppPayments(accountBalances, year) {
+        // 72(t) payments are required every year of the schedule, whether or not the money is needed
+        let total = 0;
+        accountBalances.forEach(acc => {
+            if (!acc.sepp || acc.sepp.paidYear === year) return;
+            const payment = this.getSeppPayment(acc, year);
+            if (payment <= 0) return;
+            this.withdrawFromAccount(acc, payment);
+            this.noteAccountActivity(acc, 'sepp', payment);
+            acc.sepp.paidYear = year;
+            total += payment;
+        });
+        return total;
+    }
+
+    addHsaReceipts(accountBalances, amount) {
+        // Qualified medical expenses become receipts on the household's HSAs (split by balance), up to the
+        // balance not already claimed by earlier receipts. Returns the amount recorded: it's reimbursed tax-free,
+        // so it isn't deductible - the rest is paid out of pocket for good and can be itemized.
+        const hsaAccounts = this.getAccountsByType(accountBalances, 'hsa');
+        const total = hsaAccounts.reduce((sum, acc) => sum + Math.max(0, acc.balance), 0);
+        const claimed = hsaAccounts.reduce((sum, acc) => sum + (acc.hsaReceipts || 0), 0);
+        const recorded = Math.min(amount, Math.max(0, total - claimed));
+        if (recorded <= 0) return 0;
+        hsaAccounts.forEach(acc => {
+            acc.hsaReceipts = (acc.hsaReceipts || 0) + recorded * Math.max(0, acc.balance) / total;
+        });
+        return recorded;
+    }
+
+    reimburseHsaReceipts(accountBalances, year) {
+        // Pay medical costs from the HSAs (tax-free), as far as the balances allow
+        let total = 0;
+        this.getAccountsByType(accountBalances, 'hsa').forEach(acc => {
+            const amount = Math.min(Math.max(0, acc.balance), acc.hsaReceipts || 0);
+            if (amount <= 0) return;
+            this.withdrawWithAccessRules(acc, amount, year);
+            total += amount;
+        });
+        return total;
+    }
+
+    getSingleLifeExpectancy(age) {
+        // IRS Single Life Expectancy Table - a year more per year below the table, the last entry above it
+        const table = EARLY_WITHDRAWAL_RULES.singleLifeExpectancy;
+        const ages = Object.keys(table).map(Number);
+        const youngest = Math.min(...ages);
+        if (age < youngest) return table[youngest] + (youngest - age);
+        return table[Math.min(age, Math.max(...ages))];
+    }
+
+    createInheritedAccount(milestone) {
+        // An inheritance milestone received as an inherited traditional or Roth IRA (its own account,
+        // owned by the beneficiary and emptied under the 10-year rule)
+        const household = this.model.settings.household;
+        const type = milestone.inheritedAccountType === 'roth' ? 'roth' : 'traditional';
+        const account = {
+            id: `inherited-${milestone.id}`,
+            name: `Inherited ${type === 'roth' ? 'Roth IRA' : 'IRA'} (${milestone.name})`,
+            type,
+            balance: milestone.cost,
+            costBasis: null,
+            interestRate: 0,
+            ownerId: milestone.ownerId === 'personB' && household.personB ? 'personB' : 'personA',
+            employerPlan: false,
+            sepp: null,
+            inherited: {
+                year: milestone.year,
+                deadlineYear: milestone.year + INHERITED_IRA_RULES.distributionYears,
+                strategy: milestone.inheritedDistribution || 'even',
+                annualRmds: type === 'traditional' && !!milestone.inheritedAnnualRmds,
+                targetBracket: milestone.inheritedTargetBracket || 22,
+                lifeExpectancy: null,
+                taken: 0,
+                takenYear: null
+            }
+        };
+        if (type === 'roth') {
+            account.rothContributions = milestone.cost;
+            account.rothConversions = [];
+            account.rothOpenedYear = null;
+        }
+        // RMD divisor is fixed at the beneficiary's age the year after death
+        account.inherited.lifeExpectancy = this.getSingleLifeExpectancy(this.getAccountOwnerAge(account, milestone.year + 1));
+        return account;
+    }
+
+    noteInheritedWithdrawal(acc, amount, year) {
+        // Everything taken from an inherited IRA during the year counts toward that year's distribution
+        acc.inherited.taken = (acc.inherited.takenYear === year ? acc.inherited.taken : 0) + amount;
+        acc.inherited.takenYear = year;
+    }
+
+    getInheritedIraDistribution(acc, year, income, filingStatus) {
+        // How much more has to come out of an inherited IRA this year, on top of what was already taken
+        const inherited = acc.inherited;
+        if (!inherited || year <= inherited.year || acc.balance <= 0) return 0;
+        if (year >= inherited.deadlineYear) return acc.balance; // Must be empty by the end of year 10
+
+        const taken = inherited.takenYear === year ? inherited.taken : 0;
+        const startBalance = acc.balance + taken;
+        const rmd = inherited.annualRmds
+            ? startBalance / Math.max(1, inherited.lifeExpectancy - (year - inherited.year - 1))
+            : 0;
+
+        let amount = Math.max(0, rmd - taken); // 'backload': only what's required until year 10
+        if (inherited.strategy === 'even') {
+            amount = Math.max(amount, startBalance / (inherited.deadlineYear - year + 1) - taken);
+        } else if (inherited.strategy === 'bracket' && acc.type === 'traditional') {
+            amount = Math.max(amount, this.getBracketHeadroom(year, income, filingStatus, inherited.targetBracket, acc.balance));
+        }
+        return Math.min(amount, acc.balance);
+    }
+
+    reinvestDistribution(accountBalances, amount, taxableAmount, year, taxComponents, filingStatus, newAccount) {
+        // Money forced out of a retirement account beyond the year's need (RMDs, inherited IRAs): the tax its
+        // taxable part adds to the year is withheld, and the rest is reinvested in a taxable (or cash) account -
+        // newAccount is opened if there's neither - rather than leaving the plan. Returns the tax withheld.
+        let withheld = 0;
+        if (taxableAmount > 0) {
+            const taxWithout = this.calculateYearTaxes(year, taxComponents, filingStatus).total;
+            const taxWith = this.calculateYearTaxes(year, {
+                ...taxComponents,
+                ordinaryIncome: taxComponents.ordinaryIncome + taxableAmount,
+                retirementIncome: taxComponents.retirementIncome + taxableAmount
+            }, filingStatus).total;
+            withheld = Math.min(amount, Math.max(0, taxWith - taxWithout));
+        }
+
+        let reinvestAccount = accountBalances.find(a => a.type === 'taxable') || accountBalances.find(a => a.type === 'cash');
+        if (!reinvestAccount) {
+            reinvestAccount = { ...newAccount, type: 'taxable', balance: 0, costBasis: 0, interestRate: 0 };
+            accountBalances.push(reinvestAccount);
+        }
+        this.depositToAccount(reinvestAccount, amount - withheld);
+        return withheld;
+    }
+
     projectNetWorth(years = 40) {
         const projections = [];
         const currentYear = this.model.settings.planStartYear;
@@ -557,73 +1560,74 @@ class ProjectionEngine {
             name: acc.name,
             type: acc.type,
             balance: acc.balance,
-            interestRate: acc.interestRate
+            costBasis: this.getInitialCostBasis(acc),
+            interestRate: acc.interestRate,
+            dividendYield: acc.dividendYield ?? null,
+            interestYield: acc.interestYield ?? null,
+            ...this.getWithdrawalAccessState(acc) // owner, Rule of 55, 72(t) schedule, Roth basis layers
         }));
+        let dafBalance = 0; // Donor-advised fund: contributed (and deducted), not yet granted to charities
         let initialPortfolioAtWithdrawal = null;
         let previousWithdrawal = 0;
         let yearsSinceWithdrawalStart = 0;
+        const socialSecurityPIAs = this.getSocialSecurityPIAs(); // Earnings-based PIAs don't change year to year
+        const magiByYear = {}; // IRMAA looks back two years
 
         for (let i = 0; i <= years; i++) {
             const year = currentYear + i;
             const startBalance = this.getTotalBalance(accountBalances);
+            accountBalances.forEach(acc => { acc.yearActivity = {}; });
 
             // Calculate annual income
             let annualIncome = 0;
+            let socialSecurityIncome = 0; // Tracked separately for state tax exemptions
+            let pensionIncome = 0; // Tracked separately for state retirement income exclusions
             this.model.incomes.forEach(income => {
                 if (year >= income.startYear && (!income.endYear || year <= income.endYear)) {
-                    const yearsSinceStart = year - income.startYear;
-                    const adjustedAmount = income.amount * Math.pow(1 + income.growth / 100, yearsSinceStart);
-                    annualIncome += income.frequency === 'monthly' ? adjustedAmount * 12 : adjustedAmount;
+                    const annualAmount = this.getIncomeAmountForYear(income, year);
+                    annualIncome += annualAmount;
+                    if (income.category === 'social_security') {
+                        socialSecurityIncome += annualAmount;
+                    } else if (income.category === 'pension') {
+                        pensionIncome += annualAmount;
+                    }
                 }
             });
 
-            // Add retirement income - Social Security for Person A
-            // Social Security includes COLA (Cost of Living Adjustment), typically ~2-3% annually
-            const personA = this.model.settings.household.personA;
-            if (personA.socialSecurity && personA.socialSecurity.enabled) {
-                const personAAge = year - personA.birthYear;
-                if (personAAge >= personA.socialSecurity.startAge) {
-                    const startYear = personA.birthYear + personA.socialSecurity.startAge;
-                    const yearsSinceSSStart = Math.max(0, year - startYear);
-                    // Apply inflation adjustment (COLA) to Social Security
-                    const inflationRate = this.model.settings.inflation / 100;
-                    const adjustedSS = personA.socialSecurity.annualAmount * Math.pow(1 + inflationRate, yearsSinceSSStart);
-                    annualIncome += adjustedSS;
-                }
-            }
-
-            // Add retirement income - Social Security for Person B
-            const personB = this.model.settings.household.personB;
-            if (personB && personB.socialSecurity && personB.socialSecurity.enabled) {
-                const personBAge = year - personB.birthYear;
-                if (personBAge >= personB.socialSecurity.startAge) {
-                    const startYear = personB.birthYear + personB.socialSecurity.startAge;
-                    const yearsSinceSSStart = Math.max(0, year - startYear);
-                    // Apply inflation adjustment (COLA) to Social Security
-                    const inflationRate = this.model.settings.inflation / 100;
-                    const adjustedSS = personB.socialSecurity.annualAmount * Math.pow(1 + inflationRate, yearsSinceSSStart);
-                    annualIncome += adjustedSS;
-                }
-            }
+            // Add retirement income - Social Security (own, spousal and survivor benefits)
+            // Social Security includes COLA (Cost of Living Adjustment) matching inflation
+            const socialSecurity = this.getSocialSecurityIncome(year, null, socialSecurityPIAs);
+            annualIncome += socialSecurity.total;
+            socialSecurityIncome += socialSecurity.total;
 
             // Add retirement income - Pension
             const pension = this.model.settings.pension;
             if (pension && pension.enabled && year >= pension.startYear) {
-                const yearsSinceStart = year - pension.startYear;
-                const adjustedPension = pension.annualAmount * Math.pow(1 + pension.growth / 100, yearsSinceStart);
+                const adjustedPension = pension.annualAmount * this.getGrowthFactor(pension.growth, pension.startYear, year);
                 annualIncome += adjustedPension;
+                pensionIncome += adjustedPension;
             }
 
             // Calculate annual expenses
             let annualExpenses = 0;
+            let healthcareExpenses = 0; // Qualified medical expenses for HSA withdrawals
             this.model.expenses.forEach(expense => {
+                if (expense.category === 'charitable') return; // Added below (may be bunched)
                 if (year >= expense.startYear && (!expense.endYear || year <= expense.endYear)) {
-                    const yearsSinceStart = year - expense.startYear;
-                    const adjustedAmount = expense.amount * Math.pow(1 + expense.growth / 100, yearsSinceStart);
-                    annualExpenses += expense.frequency === 'monthly' ? adjustedAmount * 12 : adjustedAmount;
+                    const adjustedAmount = expense.amount * this.getGrowthFactor(expense.growth, expense.startYear, year);
+                    const annualAmount = expense.frequency === 'monthly' ? adjustedAmount * 12 : adjustedAmount;
+                    annualExpenses += annualAmount;
+                    if (expense.category === 'healthcare') {
+                        healthcareExpenses += annualAmount;
+                    }
                 }
             });
 
+            // Charitable giving (itemized deduction) - with bunching, several years' gifts land in one year
+            const charitable = this.getCharitableGivingForYear(year);
+            const charitableGiving = charitable.cash + charitable.qcd + charitable.shares + charitable.daf;
+            annualExpenses += charitableGiving;
+
             // Calculate housing costs for this year (broken down by component)
             // New model: supports multiple rental periods and owned properties simultaneously
             let housingCosts = 0;
@@ -632,6 +1636,7 @@ class ProjectionEngine {
             let rentCost = 0;
             let mortgageCost = 0;
             let propertyTaxCost = 0;
+            let mortgageInterest = 0; // Deductible if itemizing
             let insuranceCost = 0;
             let hoaCost = 0;
             let maintenanceCost = 0;
@@ -698,6 +1703,7 @@ class ProjectionEngine {
                         const maintenance = currentHomeValue * (property.maintenanceRate / 100);
 
                         mortgageCost += monthlyPayment * 12;
+                        mortgageInterest += this.calculateMortgageInterestForYear(property, year);
                         propertyTaxCost += propertyTax;
                         insuranceCost += insurance;
                         hoaCost += hoa;
@@ -722,6 +1728,39 @@ class ProjectionEngine {
             // Add housing and debt costs to annual expenses
             annualExpenses += housingCosts + debtData.totalPayment;
 
+            // MEDICARE: Part B/D premiums from 65, with IRMAA surcharges based on MAGI from two years earlier
+            const lookbackMagi = magiByYear[year - 2] ?? this.model.settings.medicare?.priorMagi ?? null;
+            const filingStatus = this.getFilingStatusForYear(year);
+            const medicare = this.calculateMedicarePremiums(year, lookbackMagi, filingStatus);
+            annualExpenses += medicare.total;
+
+            // HSA: healthcare expenses and Medicare premiums are qualified medical expenses. They're
+            // reimbursed from the HSA right away, or paid out of pocket with the receipts saved for a
+            // tax-free withdrawal later
+            const hsaReceipts = this.addHsaReceipts(accountBalances, healthcareExpenses + medicare.total);
+            const hsaMedicalWithdrawals = this.model.settings.hsa?.saveReceipts ? 0 : this.reimburseHsaReceipts(accountBalances, year);
+
+            // CHARITABLE GIFTS FROM ACCOUNTS: QCDs go straight from the IRAs of owners past 70½ (out of income,
+            // count toward the RMD); appreciated shares are donated without realizing the gain. Whatever
+            // can't be given that way is given in cash. DAF contributions are deducted now and granted out on schedule.
+            const qualifiedCharitableDistributions = this.takeQualifiedCharitableDistributions(accountBalances, charitable.qcd, year);
+            const shareGift = this.giftAppreciatedShares(accountBalances, charitable.shares);
+            const charitableAccountGifts = qualifiedCharitableDistributions + shareGift.gifted;
+            dafBalance += charitable.daf;
+            const dafGrants = Math.min(dafBalance, charitable.dafGrants);
+            dafBalance -= dafGrants;
+
+            // ITEMIZED DEDUCTIONS: each tax calculation below takes the larger of these or the standard deduction
+            // (medical costs paid from the HSA, now or later from saved receipts, aren't deductible)
+            const deductions = {
+                mortgageInterest,
+                mortgageBalance,
+                propertyTax: propertyTaxCost,
+                charitable: charitableGiving - charitableAccountGifts,
+                charitableProperty: shareGift.gifted,
+                medical: Math.max(0, healthcareExpenses + medicare.total - hsaReceipts)
+            };
+
             // Handle home purchase closing costs and home sales
             let homePurchaseCosts = 0;
             let homeSaleProceeds = 0;
@@ -745,9 +1784,13 @@ class ProjectionEngine {
             let milestoneCosts = 0;
             let milestoneWindfalls = 0;
             let milestoneTaxableIncome = 0; // Tax bombs (e.g., student loan forgiveness)
+            let inheritedAccountsReceived = 0; // Inherited IRAs arrive as their own accounts, not as cash
             this.model.milestones.forEach(milestone => {
                 if (milestone.year === year) {
-                    if (milestone.isPositive) {
+                    if (milestone.isPositive && milestone.type === 'inheritance' && milestone.inheritedAccountType) {
+                        accountBalances.push(this.createInheritedAccount(milestone));
+                        inheritedAccountsReceived += milestone.cost;
+                    } else if (milestone.isPositive) {
                         milestoneWindfalls += milestone.cost;
                     } else {
                         milestoneCosts += milestone.cost;
@@ -766,8 +1809,7 @@ class ProjectionEngine {
                     if (yearsSinceStart % interval === 0) {
                         // Apply growth rate to recurring amount
                         // Growth compounds from the start year, not from each occurrence
-                        const growthRate = (milestone.recurringGrowth || 0) / 100;
-                        const adjustedAmount = milestone.recurringAmount * Math.pow(1 + growthRate, yearsSinceStart);
+                        const adjustedAmount = milestone.recurringAmount * this.getGrowthFactor(milestone.recurringGrowth || 0, milestone.year, year);
 
                         if (milestone.isPositive) {
                             milestoneWindfalls += adjustedAmount;
@@ -778,16 +1820,59 @@ class ProjectionEngine {
                 }
             });
 
+            // CONTRIBUTION RULES: 401k deferrals, IRA and HSA contributions (accumulation phase only)
+            // Pre-tax contributions (Traditional/HSA) lower taxable income
+            const contributionPlan = year < withdrawalStartYear
+                ? this.calculateContributionRules(year, annualIncome, filingStatus)
+                : { planned: [], employeeTotal: 0, preTaxTotal: 0 };
+            let preTaxContributions = contributionPlan.preTaxTotal;
+
+            // PAYROLL TAXES: Social Security + Medicare on wages, self-employment tax (half is deductible)
+            const payrollTaxes = this.calculatePayrollTaxes(year, filingStatus);
+            const seTaxDeduction = payrollTaxes.seDeduction;
+
             // FIRST PASS: Calculate taxes on earned income only
             // (We'll recalculate after withdrawals to include Traditional IRA/401k taxation)
-            const filingStatus = this.model.settings.filingStatus;
             // Include debt forgiveness as taxable income (e.g., student loan forgiveness)
             const debtTaxableIncome = debtData.totalTaxableIncome || 0;
-            let annualTaxes = this.calculateTaxes(annualIncome + milestoneTaxableIncome + debtTaxableIncome, filingStatus);
+
+            // INVESTMENT INCOME: dividends and interest from taxable accounts are taxed every year
+            // even though they're reinvested - qualified dividends at capital gains rates, interest as ordinary income
+            const investmentIncome = this.calculateInvestmentIncome(accountBalances);
+            const qualifiedDividends = investmentIncome.qualifiedDividends;
+            const taxableInterest = investmentIncome.interest;
+
+            // ACA MARKETPLACE: retired and under 65 - premiums are paid net of the advance premium tax credit,
+            // estimated from MAGI before withdrawals (refined below once withdrawals are known)
+            const incomeBeforeWithdrawals = annualIncome - preTaxContributions - seTaxDeduction + milestoneTaxableIncome + debtTaxableIncome + taxableInterest;
+            let acaCoverage = this.calculateAcaPremiums(year, incomeBeforeWithdrawals + qualifiedDividends);
+            annualExpenses += acaCoverage.netPremium;
+
+            const calculateEarnedIncomeTaxes = () => this.calculateYearTaxes(year, {
+                ordinaryIncome: annualIncome - preTaxContributions - seTaxDeduction + milestoneTaxableIncome + debtTaxableIncome + taxableInterest,
+                capitalGains: qualifiedDividends,
+                socialSecurity: socialSecurityIncome,
+                retirementIncome: pensionIncome,
+                interestIncome: taxableInterest,
+                deductions
+            }, filingStatus).total;
+            let annualTaxes = calculateEarnedIncomeTaxes();
+
+            // Contributions can only be funded from what's left after taxes and spending -
+            // scale them down (and lose part of the deduction) when the budget is short
+            let contributionScale = 1;
+            if (contributionPlan.employeeTotal > 0) {
+                const availableSavings = Math.max(0, annualIncome + hsaMedicalWithdrawals + charitableAccountGifts - annualTaxes - payrollTaxes.total - annualExpenses - milestoneCosts - homePurchaseCosts);
+                if (availableSavings < contributionPlan.employeeTotal) {
+                    contributionScale = availableSavings / contributionPlan.employeeTotal;
+                    preTaxContributions = contributionPlan.preTaxTotal * contributionScale;
+                    annualTaxes = calculateEarnedIncomeTaxes();
+                }
+            }
 
             // Calculate net cash flow (separating regular contributions from windfalls)
-            // Income - Taxes - Expenses - Milestone Costs - Home Purchase Costs = Regular Savings
-            const regularSavings = annualIncome - annualTaxes - annualExpenses - milestoneCosts - homePurchaseCosts;
+            // Income + HSA Medical Reimbursements + Gifts From Accounts - Taxes - Payroll Taxes - Expenses - Milestone Costs - Home Purchase Costs = Regular Savings
+            const regularSavings = annualIncome + hsaMedicalWithdrawals + charitableAccountGifts - annualTaxes - payrollTaxes.total - annualExpenses - milestoneCosts - homePurchaseCosts;
             const netCashFlow = regularSavings + milestoneWindfalls + homeSaleProceeds; // Total including windfalls and home sales
 
             // Determine contributions or withdrawals needed
@@ -796,7 +1881,16 @@ class ProjectionEngine {
             let withdrawals = 0;
             let withdrawalShortfall = 0;
             let traditionalWithdrawals = 0; // Track traditional withdrawals for tax calculation
+            let realizedCapitalGains = 0; // Long-term gains realized by selling taxable (brokerage) shares
             let withdrawalsByType = {}; // Track withdrawals by account type for Sankey diagram
+            let earlyWithdrawalPenalty = 0; // 10% additional tax before 59½ (20% on non-qualified HSA withdrawals before 65)
+            let penalizedWithdrawals = 0;
+            let taxableRothEarnings = 0; // Non-qualified Roth earnings withdrawn (ordinary income)
+            let taxableHsaWithdrawals = 0; // HSA withdrawals beyond medical receipts (ordinary income)
+
+            // Optimizer schedule (retirement years): traditional money first, up to the year's level
+            const scheduled = year >= withdrawalStartYear ? this.getWithdrawalScheduleForYear(year) : null;
+            const followsSchedule = scheduled !== null && scheduled.level !== null;
 
             if (netCashFlow > 0) {
                 // Surplus - separate regular contributions from windfalls
@@ -822,20 +1916,63 @@ class ProjectionEngine {
                 const traditionalBalance = this.getTotalByType(accountBalances, 'traditional');
                 const traditionalPercentage = totalBalance > 0 ? traditionalBalance / totalBalance : 0;
 
+                // Same estimate for taxable (brokerage) sales - only the unrealized gain portion is taxed
+                const taxableBalance = this.getTotalByType(accountBalances, 'taxable');
+                const taxablePercentage = totalBalance > 0 ? taxableBalance / totalBalance : 0;
+                const unrealizedGainRatio = this.getUnrealizedGainRatio(accountBalances);
+
+                // On a schedule, traditional money up to the year's level comes out first and the rest mostly
+                // from cash and taxable accounts
+                const scheduledTraditionalRoom = followsSchedule
+                    ? this.getScheduledTraditionalRoom(year, {
+                        ordinaryIncome: incomeBeforeWithdrawals,
+                        capitalGains: qualifiedDividends,
+                        socialSecurity: socialSecurityIncome,
+                        deductions
+                    }, filingStatus, scheduled.level, traditionalBalance)
+                    : 0;
+                const otherTaxablePercentage = totalBalance > traditionalBalance ? taxableBalance / (totalBalance - traditionalBalance) : 0;
+
+                // Money beyond what can come out penalty-free owes the 10% early withdrawal penalty
+                // (the sequence uses penalty-free sources first; proportional withdrawals hit everything)
+                const penaltyFreeBalance = accountBalances.reduce((sum, acc) => sum + this.getPenaltyFreeAmount(acc, year), 0);
+                const restrictedPercentage = totalBalance > 0 ? Math.max(0, 1 - penaltyFreeBalance / totalBalance) : 0;
+
                 // Iteratively solve for withdrawal amount (max 5 iterations)
                 let iterationCount = 0;
                 let converged = false;
 
                 while (!converged && iterationCount < 5) {
                     // Estimate how much of the withdrawal will be from traditional accounts
-                    const estimatedTraditionalWithdrawal = neededWithdrawal * traditionalPercentage;
+                    const estimatedTraditionalWithdrawal = followsSchedule
+                        ? Math.min(neededWithdrawal, scheduledTraditionalRoom)
+                        : neededWithdrawal * traditionalPercentage;
 
                     // Calculate total taxable income including estimated traditional withdrawal and debt taxable income
-                    const estimatedTaxableIncome = annualIncome + milestoneTaxableIncome + debtTaxableIncome + estimatedTraditionalWithdrawal;
-                    const estimatedTotalTaxes = this.calculateTaxes(estimatedTaxableIncome, filingStatus);
+                    const estimatedTaxableIncome = annualIncome - preTaxContributions - seTaxDeduction + milestoneTaxableIncome + debtTaxableIncome + taxableInterest + estimatedTraditionalWithdrawal;
+                    const estimatedCapitalGains = (followsSchedule
+                        ? (neededWithdrawal - estimatedTraditionalWithdrawal) * otherTaxablePercentage
+                        : neededWithdrawal * taxablePercentage) * unrealizedGainRatio + qualifiedDividends;
+                    const estimatedTotalTaxes = this.calculateYearTaxes(year, {
+                        ordinaryIncome: estimatedTaxableIncome,
+                        capitalGains: estimatedCapitalGains,
+                        socialSecurity: socialSecurityIncome,
+                        retirementIncome: pensionIncome + estimatedTraditionalWithdrawal,
+                        interestIncome: taxableInterest,
+                        deductions
+                    }, filingStatus).total;
+
+                    // Withdrawals raise ACA MAGI, which shrinks the premium tax credit
+                    const estimatedAca = this.calculateAcaPremiums(year, estimatedTaxableIncome + estimatedCapitalGains);
+                    annualExpenses += estimatedAca.netPremium - acaCoverage.netPremium;
+                    acaCoverage = estimatedAca;
+
+                    const estimatedPenalty = EARLY_WITHDRAWAL_RULES.penaltyRate * (year >= withdrawalStartYear
+                        ? Math.max(0, neededWithdrawal - penaltyFreeBalance)
+                        : neededWithdrawal * restrictedPercentage);
 
                     // Calculate new deficit including the higher taxes
-                    const newDeficit = annualExpenses + milestoneCosts + estimatedTotalTaxes - annualIncome;
+                    const newDeficit = annualExpenses + milestoneCosts + estimatedTotalTaxes + estimatedPenalty + payrollTaxes.total - annualIncome - hsaMedicalWithdrawals - charitableAccountGifts;
 
                     // Check if we've converged (within $1)
                     if (Math.abs(newDeficit - neededWithdrawal) < 1) {
@@ -940,7 +2077,12 @@ class ProjectionEngine {
                 }
 
                 // Apply this account's return rate to its current balance
+                // Dividends and interest are part of that return; they're taxed now, so reinvesting them adds basis
                 const accountReturns = acc.balance * accountReturnRate;
+                if (acc.type === 'taxable' && acc.balance > 0) {
+                    const yields = this.getInvestmentYields(acc);
+                    acc.costBasis = (acc.costBasis || 0) + acc.balance * (yields.qualifiedDividends + yields.interest);
+                }
                 acc.balance += accountReturns;
                 totalInvestmentReturns += accountReturns;
 
@@ -950,24 +2092,58 @@ class ProjectionEngine {
                 }
                 returnsByType[acc.type] += accountReturns;
             });
+            dafBalance *= 1 + returnRate; // DAF money stays invested until it's granted
 
             // Apply contributions
             // IMPORTANT: Only contribute if we're in accumulation phase (before retirement)
             // Once in drawdown phase, excess income should reduce withdrawals, not create contributions
             const inDrawdownPhase = year >= withdrawalStartYear;
+            let employeeContributions = 0; // Directed by account contribution rules
+            let employerContributions = 0; // Employer match (on top of take-home savings)
+            let depositedPreTax = 0;
 
             if (contributions > 0 && !inDrawdownPhase) {
-                // Accumulation phase: Regular contributions (from salary) - distribute proportionally to maintain allocation
-                const totalBalance = this.getTotalBalance(accountBalances);
-                if (totalBalance > 0) {
-                    accountBalances.forEach(acc => {
-                        const proportion = acc.balance / totalBalance;
-                        acc.balance += contributions * proportion;
-                    });
-                } else {
-                    // If zero balance, add to first account
-                    if (accountBalances.length > 0) {
-                        accountBalances[0].balance += contributions;
+                // Accumulation phase: fund each account's contribution rule first
+                let remainingSavings = contributions;
+                contributionPlan.planned.forEach(planned => {
+                    const acc = accountBalances.find(a => a.id === planned.accountId);
+                    if (!acc) return;
+                    const amount = Math.min(planned.amount * contributionScale, remainingSavings);
+                    if (amount <= 0) return;
+                    this.depositToAccount(acc, amount);
+                    remainingSavings -= amount;
+                    employeeContributions += amount;
+                    if (planned.preTax) {
+                        depositedPreTax += amount;
+                        this.noteAccountActivity(acc, 'preTaxContributions', amount);
+                    }
+
+                    const match = this.calculateEmployerMatch(year, { ...planned, amount });
+                    if (match > 0) {
+                        this.depositToAccount(acc, match);
+                        employerContributions += match;
+                    }
+                });
+                contributions += employerContributions;
+
+                // Leftover surplus goes to the chosen overflow account, otherwise
+                // distribute proportionally to maintain allocation
+                const overflowAccount = accountBalances.find(acc => acc.id === this.model.settings.overflowAccountId);
+                if (remainingSavings > 0 && overflowAccount) {
+                    this.depositToAccount(overflowAccount, remainingSavings);
+                } else if (remainingSavings > 0) {
+                    const savingsAccounts = accountBalances.filter(acc => !acc.inherited); // No new money into inherited IRAs
+                    const totalBalance = this.getTotalBalance(savingsAccounts);
+                    if (totalBalance > 0) {
+                        savingsAccounts.forEach(acc => {
+                            const proportion = acc.balance / totalBalance;
+                            this.depositToAccount(acc, remainingSavings * proportion);
+                        });
+                    } else {
+                        // If zero balance, add to first account
+                        if (accountBalances.length > 0) {
+                            this.depositToAccount(accountBalances[0], remainingSavings);
+                        }
                     }
                 }
             } else if (contributions > 0 && inDrawdownPhase) {
@@ -977,6 +2153,8 @@ class ProjectionEngine {
                 console.log(`Year ${year}: In drawdown phase - excess income of $${contributions.toLocaleString()} reducing withdrawal need (not contributing)`);
                 contributions = 0; // Clear this so it doesn't affect balance calculation
             }
+            // Only contributions that were actually made reduce taxable income
+            preTaxContributions = depositedPreTax;
 
             // Windfalls (inheritance, gifts, etc.) - always contribute these to taxable/cash accounts
             // Even in drawdown phase, windfalls should be added (they're one-time events, not regular income)
@@ -993,49 +2171,85 @@ class ProjectionEngine {
                     if (taxableTotalBalance > 0) {
                         taxableAccounts.forEach(acc => {
                             const proportion = acc.balance / taxableTotalBalance;
-                            acc.balance += windfallContributions * proportion;
+                            this.depositToAccount(acc, windfallContributions * proportion);
                         });
                     } else {
                         // If all taxable accounts are empty, distribute evenly
                         const perAccount = windfallContributions / taxableAccounts.length;
                         taxableAccounts.forEach(acc => {
-                            acc.balance += perAccount;
+                            this.depositToAccount(acc, perAccount);
                         });
                     }
                 } else {
                     // No taxable accounts - add to first account as fallback (shouldn't happen)
                     console.warn(`Year ${year}: No taxable/cash accounts found for windfall - adding to first account`);
                     if (accountBalances.length > 0) {
-                        accountBalances[0].balance += windfallContributions;
+                        this.depositToAccount(accountBalances[0], windfallContributions);
                     }
                 }
             }
+            windfallContributions += inheritedAccountsReceived; // Already opened as inherited IRAs
+
+            // 72(t) PAYMENTS: required every year of the schedule. They cover the withdrawal need first;
+            // any excess is reinvested in a taxable (or cash) account
+            const seppWithdrawals = this.takeSeppPayments(accountBalances, year);
+            if (seppWithdrawals > 0) {
+                const seppExcess = Math.max(0, seppWithdrawals - withdrawals);
+                withdrawals = Math.max(0, withdrawals - seppWithdrawals);
+                const reinvestAccount = accountBalances.find(acc => acc.type === 'taxable') || accountBalances.find(acc => acc.type === 'cash');
+                if (seppExcess > 0 && reinvestAccount) {
+                    this.depositToAccount(reinvestAccount, seppExcess);
+                    contributions += seppExcess;
+                }
+            }
 
             // Apply withdrawals using tax-optimized sequence (after retirement) or proportionally (before retirement)
             if (withdrawals > 0) {
                 if (year >= withdrawalStartYear) {
-                    // Detect tax bomb year - if so, adjust withdrawal sequence to minimize taxes
-                    let customSequence = null;
-                    const totalTaxBombs = milestoneTaxableIncome + debtTaxableIncome;
-                    if (totalTaxBombs > 0) {
-                        // Tax bomb detected! Skip traditional accounts to avoid stacking taxable income
-                        // Sequence: cash → taxable → roth → hsa → traditional (traditional as last resort)
-                        customSequence = ['cash', 'taxable', 'roth', 'hsa', 'traditional'];
-                        console.log(`Year ${year}: TAX BOMB DETECTED ($${totalTaxBombs.toLocaleString()}) - Using Roth-first sequence`);
-                    }
+                    let withdrawalDetails;
+                    if (followsSchedule) {
+                        // Optimizer schedule: traditional money up to the year's level (72(t) payments count toward
+                        // it), then cash → taxable → roth → hsa, with more traditional only as a last resort
+                        const traditionalRoom = this.getScheduledTraditionalRoom(year, {
+                            ordinaryIncome: incomeBeforeWithdrawals + seppWithdrawals,
+                            capitalGains: qualifiedDividends,
+                            socialSecurity: socialSecurityIncome,
+                            deductions
+                        }, filingStatus, scheduled.level, withdrawals);
+                        const traditionalFirst = this.executeWithdrawalSequence(accountBalances, traditionalRoom, year, { forceTypes: ['traditional'] });
+                        const rest = this.executeWithdrawalSequence(accountBalances, withdrawals - traditionalFirst.totalWithdrawn, year, {
+                            forceTypes: ['cash', 'taxable', 'roth', 'hsa', 'traditional']
+                        });
+                        withdrawalDetails = this.combineWithdrawalDetails(traditionalFirst, rest);
+                    } else {
+                        // Detect tax bomb year - if so, adjust withdrawal sequence to minimize taxes
+                        let customSequence = null;
+                        const totalTaxBombs = milestoneTaxableIncome + debtTaxableIncome;
+                        if (totalTaxBombs > 0) {
+                            // Tax bomb detected! Skip traditional accounts to avoid stacking taxable income
+                            // Sequence: cash → taxable → roth → hsa → traditional (traditional as last resort)
+                            customSequence = ['cash', 'taxable', 'roth', 'hsa', 'traditional'];
+                            console.log(`Year ${year}: TAX BOMB DETECTED ($${totalTaxBombs.toLocaleString()}) - Using Roth-first sequence`);
+                        }
 
-                    // Use tax-optimized withdrawal sequence for ALL withdrawal types after retirement
-                    const withdrawalDetails = this.executeWithdrawalSequence(
-                        accountBalances,
-                        withdrawals,
-                        year,
-                        customSequence ? { forceTypes: customSequence } : {}
-                    );
+                        // Use tax-optimized withdrawal sequence for ALL withdrawal types after retirement
+                        withdrawalDetails = this.executeWithdrawalSequence(
+                            accountBalances,
+                            withdrawals,
+                            year,
+                            customSequence ? { forceTypes: customSequence } : {}
+                        );
+                    }
 
                     // Update tracking variables
                     withdrawals = withdrawalDetails.totalWithdrawn;
                     withdrawalShortfall = withdrawalDetails.shortfall;
                     traditionalWithdrawals = withdrawalDetails.byType['traditional'] || 0;
+                    realizedCapitalGains = withdrawalDetails.realizedGains;
+                    earlyWithdrawalPenalty = withdrawalDetails.penalties;
+                    penalizedWithdrawals = withdrawalDetails.penalizedAmount;
+                    taxableRothEarnings = withdrawalDetails.taxableRothEarnings;
+                    taxableHsaWithdrawals = withdrawalDetails.taxableHsaWithdrawals;
 
                     // Store full withdrawal breakdown for Sankey diagram
                     withdrawalsByType = withdrawalDetails.byType;
@@ -1069,8 +2283,16 @@ class ProjectionEngine {
                             withdrawalsByType[acc.type] += amountFromAccount;
                             actualTotalWithdrawn += amountFromAccount;
 
-                            // Deduct from account
-                            acc.balance -= amountFromAccount;
+                            // Deduct from account (realizes gains on taxable accounts, early withdrawal penalties)
+                            const result = this.withdrawWithAccessRules(acc, amountFromAccount, year);
+                            realizedCapitalGains += result.realizedGain;
+                            earlyWithdrawalPenalty += result.penalty;
+                            penalizedWithdrawals += result.penalizedAmount;
+                            if (acc.type === 'hsa') {
+                                taxableHsaWithdrawals += result.taxableIncome;
+                            } else {
+                                taxableRothEarnings += result.taxableIncome;
+                            }
                         });
 
                         traditionalWithdrawals = withdrawalsByType.traditional || 0;
@@ -1078,24 +2300,58 @@ class ProjectionEngine {
                 }
             }
 
+            if (seppWithdrawals > 0) {
+                withdrawals += seppWithdrawals;
+                traditionalWithdrawals += seppWithdrawals;
+                withdrawalsByType.traditional = (withdrawalsByType.traditional || 0) + seppWithdrawals;
+            }
+            if (hsaMedicalWithdrawals > 0) {
+                withdrawals += hsaMedicalWithdrawals;
+                withdrawalsByType.hsa = (withdrawalsByType.hsa || 0) + hsaMedicalWithdrawals;
+            }
+            if (qualifiedCharitableDistributions > 0) {
+                withdrawals += qualifiedCharitableDistributions;
+                withdrawalsByType.traditional = (withdrawalsByType.traditional || 0) + qualifiedCharitableDistributions;
+            }
+            if (shareGift.gifted > 0) {
+                withdrawals += shareGift.gifted;
+                withdrawalsByType.taxable = (withdrawalsByType.taxable || 0) + shareGift.gifted;
+            }
+
+            // The year's taxable income so far, to price distributions taken beyond the year's need
+            const getTaxComponents = () => ({
+                ordinaryIncome: annualIncome - preTaxContributions - seTaxDeduction + milestoneTaxableIncome + debtTaxableIncome + taxableInterest + traditionalWithdrawals + taxableRothEarnings + taxableHsaWithdrawals,
+                capitalGains: realizedCapitalGains + qualifiedDividends,
+                socialSecurity: socialSecurityIncome,
+                retirementIncome: pensionIncome + traditionalWithdrawals,
+                interestIncome: taxableInterest,
+                deductions
+            });
+
             // ENFORCE RMDs: Check if we need to take Required Minimum Distributions
             // RMDs are mandatory regardless of withdrawal strategy type
             const personAAge = year - this.model.settings.household.personA.birthYear;
             const rmdStartAge = this.model.withdrawalStrategy.rmdStartAge || 73;
+            let rmdTax = 0;
 
             if (personAAge >= rmdStartAge) {
-                // Calculate RMD from traditional accounts only
-                const traditionalBalance = this.getTotalByType(accountBalances, 'traditional');
+                // Calculate RMD from traditional accounts only (inherited IRAs follow their own schedule below)
+                const traditionalAccounts = accountBalances.filter(acc => acc.type === 'traditional' && !acc.inherited);
+                const traditionalBalance = traditionalAccounts.reduce((sum, acc) => sum + acc.balance, 0);
+                const inheritedTaken = accountBalances
+                    .filter(acc => acc.type === 'traditional' && acc.inherited && acc.inherited.takenYear === year)
+                    .reduce((sum, acc) => sum + acc.inherited.taken, 0);
+                const ownWithdrawals = traditionalWithdrawals - inheritedTaken;
                 if (traditionalBalance > 0) {
                     const rmdDivisor = this.getRMDDivisor(personAAge);
                     const requiredRMD = traditionalBalance / rmdDivisor;
 
                     // If we haven't withdrawn enough from traditional accounts, force additional withdrawal
-                    if (traditionalWithdrawals < requiredRMD) {
-                        const additionalRMD = requiredRMD - traditionalWithdrawals;
+                    // (QCDs count toward the RMD)
+                    if (ownWithdrawals + qualifiedCharitableDistributions < requiredRMD) {
+                        const additionalRMD = requiredRMD - ownWithdrawals - qualifiedCharitableDistributions;
 
                         // Withdraw the additional RMD from traditional accounts
-                        const traditionalAccounts = accountBalances.filter(acc => acc.type === 'traditional');
                         const totalTraditionalBalance = traditionalAccounts.reduce((sum, acc) => sum + acc.balance, 0);
 
                         if (totalTraditionalBalance > 0) {
@@ -1103,10 +2359,17 @@ class ProjectionEngine {
                             traditionalAccounts.forEach(acc => {
                                 const proportion = acc.balance / totalTraditionalBalance;
                                 const amountFromAccount = Math.min(additionalRMD * proportion, acc.balance);
-                                acc.balance -= amountFromAccount;
+                                this.withdrawFromAccount(acc, amountFromAccount);
+                                this.noteAccountActivity(acc, 'rmd', amountFromAccount);
                                 rmdRemaining -= amountFromAccount;
                             });
 
+                            // The year's need is already covered, so the forced RMD is extra cash
+                            const withheld = this.reinvestDistribution(accountBalances, additionalRMD, additionalRMD, year, getTaxComponents(), filingStatus,
+                                { id: 'rmd-distributions', name: 'RMD Distributions', ownerId: traditionalAccounts[0].ownerId });
+                            rmdTax += withheld;
+                            contributions += additionalRMD - withheld;
+
                             // Update tracking
                             traditionalWithdrawals += additionalRMD;
                             withdrawals += additionalRMD;
@@ -1119,14 +2382,111 @@ class ProjectionEngine {
                 }
             }
 
+            // INHERITED IRAs: 10-year rule - annual RMDs where required, then the chosen pace (even, back-loaded,
+            // or filling a bracket), with whatever is left due in year 10. Traditional distributions are ordinary
+            // income; the tax is withheld and the rest reinvested in a taxable (or cash) account
+            let inheritedIraTax = 0;
+            accountBalances.filter(acc => acc.inherited && acc.balance > 0).forEach(acc => {
+                const taxComponents = getTaxComponents();
+                const amount = this.getInheritedIraDistribution(acc, year, taxComponents, filingStatus);
+                if (amount <= 0) return;
+
+                const withheld = this.reinvestDistribution(accountBalances, amount, acc.type === 'traditional' ? amount : 0, year, taxComponents, filingStatus,
+                    { id: 'inherited-distributions', name: 'Inherited IRA Distributions', ownerId: acc.ownerId });
+                if (acc.type === 'traditional') {
+                    traditionalWithdrawals += amount;
+                }
+                this.withdrawFromAccount(acc, amount);
+                this.noteInheritedWithdrawal(acc, amount, year);
+                withdrawals += amount;
+                withdrawalsByType[acc.type] = (withdrawalsByType[acc.type] || 0) + amount;
+                inheritedIraTax += withheld;
+                contributions += amount - withheld;
+            });
+            const inheritedIraDistributions = accountBalances
+                .filter(acc => acc.inherited && acc.inherited.takenYear === year)
+                .reduce((sum, acc) => sum + acc.inherited.taken, 0);
+
+            // ROTH CONVERSIONS: Move traditional money to Roth after RMDs are satisfied
+            // (RMDs can't be converted). The conversion is ordinary income; its tax is paid
+            // from cash/taxable accounts, or withheld from the conversion if those run dry.
+            let rothConversions = 0;
+            let rothConversionTax = 0;
+            const conversionAmount = this.calculateRothConversion(year, accountBalances, {
+                ordinaryIncome: annualIncome - preTaxContributions - seTaxDeduction + milestoneTaxableIncome + debtTaxableIncome + taxableInterest + traditionalWithdrawals + taxableRothEarnings + taxableHsaWithdrawals,
+                capitalGains: realizedCapitalGains + qualifiedDividends,
+                socialSecurity: socialSecurityIncome,
+                interestIncome: taxableInterest,
+                deductions
+            }, filingStatus);
+
+            if (conversionAmount > 0) {
+                const incomeBeforeConversion = annualIncome - preTaxContributions - seTaxDeduction + milestoneTaxableIncome + debtTaxableIncome + taxableInterest + traditionalWithdrawals + taxableRothEarnings + taxableHsaWithdrawals;
+                const taxComponents = {
+                    capitalGains: realizedCapitalGains + qualifiedDividends,
+                    socialSecurity: socialSecurityIncome,
+                    retirementIncome: pensionIncome + traditionalWithdrawals,
+                    interestIncome: taxableInterest,
+                    deductions
+                };
+                const taxWithout = this.calculateYearTaxes(year, { ...taxComponents, ordinaryIncome: incomeBeforeConversion }, filingStatus).total;
+                const taxWith = this.calculateYearTaxes(year, { ...taxComponents, ordinaryIncome: incomeBeforeConversion + conversionAmount }, filingStatus).total;
+                rothConversionTax = taxWith - taxWithout;
+
+                // Pay the conversion tax from outside the IRA first
+                const taxPayment = this.executeWithdrawalSequence(accountBalances, rothConversionTax, year, { forceTypes: ['cash', 'taxable'] });
+                withdrawals += taxPayment.totalWithdrawn;
+                realizedCapitalGains += taxPayment.realizedGains;
+                Object.entries(taxPayment.byType).forEach(([type, amount]) => {
+                    withdrawalsByType[type] = (withdrawalsByType[type] || 0) + amount;
+                });
+
+                // Whatever couldn't be paid from cash/taxable is withheld from the conversion
+                const withheld = Math.min(taxPayment.shortfall, conversionAmount);
+                this.executeRothConversion(accountBalances, conversionAmount, withheld, year);
+                withdrawals += withheld;
+                rothConversions = conversionAmount;
+            }
+
             const endBalance = this.getTotalBalance(accountBalances);
 
             // SECOND PASS: Recalculate taxes including Traditional IRA/401k withdrawals
             // traditionalWithdrawals was already calculated in the withdrawal section above
             // These withdrawals are taxed as ordinary income
             // ALSO include debt forgiveness tax bombs (e.g., student loan forgiveness)
-            const totalTaxableIncome = annualIncome + milestoneTaxableIncome + debtTaxableIncome + traditionalWithdrawals;
-            const finalTaxes = this.calculateTaxes(totalTaxableIncome, filingStatus);
+            // Non-qualified Roth earnings and HSA withdrawals beyond medical receipts are ordinary income too
+            const totalTaxableIncome = annualIncome - preTaxContributions - seTaxDeduction + milestoneTaxableIncome + debtTaxableIncome + taxableInterest + traditionalWithdrawals + taxableRothEarnings + taxableHsaWithdrawals + rothConversions;
+            // Realized gains from selling brokerage shares and qualified dividends are stacked on top at long-term capital gains rates
+            const taxComponents = {
+                ordinaryIncome: totalTaxableIncome,
+                capitalGains: realizedCapitalGains + qualifiedDividends,
+                socialSecurity: socialSecurityIncome,
+                retirementIncome: pensionIncome + traditionalWithdrawals,
+                interestIncome: taxableInterest,
+                deductions
+            };
+            const yearTaxes = this.calculateYearTaxes(year, taxComponents, filingStatus);
+            const magi = yearTaxes.federalOrdinaryIncome + realizedCapitalGains + qualifiedDividends; // AGI, used for IRMAA two years later
+            magiByYear[year] = magi;
+
+            // Tax drag: what this year's dividends and interest cost in taxes (including NIIT)
+            const taxDrag = qualifiedDividends + taxableInterest > 0
+                ? yearTaxes.total - this.calculateYearTaxes(year, {
+                    ...taxComponents,
+                    ordinaryIncome: totalTaxableIncome - taxableInterest,
+                    capitalGains: realizedCapitalGains,
+                    interestIncome: 0
+                }, filingStatus).total
+                : 0;
+
+            // Premium tax credit is settled on the return: repay excess advance credit (or claim the rest)
+            // ACA MAGI also counts untaxed Social Security
+            const acaMagi = totalTaxableIncome + realizedCapitalGains + qualifiedDividends;
+            const acaFinal = this.calculateAcaPremiums(year, acaMagi, acaCoverage.credit);
+            const premiumTaxCreditReconciliation = acaCoverage.credit - acaFinal.credit;
+            // The early withdrawal penalty is an additional federal tax on the return
+            const finalTaxes = yearTaxes.total + premiumTaxCreditReconciliation + earlyWithdrawalPenalty;
+            const capitalGainsTax = yearTaxes.federal - yearTaxes.niit - this.calculateTaxes(yearTaxes.federalOrdinaryIncome, filingStatus, 0, year, yearTaxes.deduction);
 
             // Calculate additional tax burden from withdrawals
             const withdrawalTaxes = finalTaxes - annualTaxes;
@@ -1158,9 +2518,30 @@ class ProjectionEngine {
                 year,
                 startBalance,
                 contributions,
+                employeeContributions, // Portion of contributions directed by account contribution rules
+                employerContributions, // Employer match (included in contributions)
+                preTaxContributions, // Traditional 401k/IRA and HSA contributions excluded from taxable income
                 windfallContributions,
                 withdrawals,
                 traditionalWithdrawals, // Track how much came from Traditional accounts
+                capitalGains: realizedCapitalGains, // Long-term gains realized from taxable account sales
+                rothConversions, // Traditional → Roth conversions (taxed as ordinary income)
+                rothConversionTax, // Additional tax caused by the conversions
+                inheritedIraDistributions, // Taken from inherited IRAs this year (traditional part is in traditionalWithdrawals)
+                inheritedIraTax, // Tax withheld from those distributions
+                rmdTax, // Tax withheld from RMDs taken beyond the year's need
+                inheritedIraBalance: accountBalances.filter(acc => acc.inherited).reduce((sum, acc) => sum + acc.balance, 0),
+                earlyWithdrawalPenalty, // 10% (HSA: 20%) additional tax on early withdrawals (included in taxes)
+                penalizedWithdrawals, // Withdrawals subject to that penalty
+                taxableRothEarnings, // Non-qualified Roth earnings taxed as ordinary income
+                seppWithdrawals, // 72(t) substantially equal periodic payments (included in traditional withdrawals)
+                hsaMedicalWithdrawals, // HSA reimbursements of this year's medical costs (tax-free, included in withdrawals)
+                taxableHsaWithdrawals, // HSA withdrawals beyond saved medical receipts (ordinary income)
+                capitalGainsTax, // Portion of taxes owed on those gains and qualified dividends
+                qualifiedDividends, // Reinvested dividends from taxable accounts (taxed at capital gains rates)
+                taxableInterest, // Reinvested interest from taxable accounts (ordinary income)
+                niit: yearTaxes.niit, // Net Investment Income Tax (included in federal taxes)
+                taxDrag, // Taxes caused by this year's dividends and interest
                 withdrawalsByType, // Track breakdown by account type (taxable, traditional, roth, hsa)
                 withdrawalShortfall,
                 investmentReturns: totalInvestmentReturns,
@@ -1168,7 +2549,40 @@ class ProjectionEngine {
                 endBalance,
                 netWorth,
                 income: annualIncome,
-                taxes: finalTaxes, // Use final taxes including Traditional withdrawal taxation
+                taxes: finalTaxes, // Use final taxes including Traditional withdrawal taxation (federal + state)
+                payrollTaxes: payrollTaxes.total, // FICA + self-employment tax (not included in taxes)
+                payrollTaxDetail: payrollTaxes,
+                deduction: yearTaxes.deduction, // Federal deduction taken
+                itemizes: yearTaxes.itemizes, // Itemized deductions beat the standard deduction this year
+                itemizedDeductions: yearTaxes.itemizedDeductions, // { mortgageInterest, salt, saltLost, charitable, medical, total }
+                charitableGiving, // Gifts made this year (after bunching; included in expenses)
+                qualifiedCharitableDistributions, // IRA → charity (tax-free, counts toward the RMD; included in withdrawals)
+                appreciatedSharesGifted: shareGift.gifted, // Taxable shares donated at market value (included in withdrawals)
+                capitalGainsAvoided: shareGift.avoidedGain, // Unrealized gain on those shares that is never taxed
+                dafContributions: charitable.daf,
+                dafGrants,
+                dafBalance, // Donor-advised fund balance (not part of net worth)
+                mortgageInterest,
+                federalTaxes: yearTaxes.federal + premiumTaxCreditReconciliation + earlyWithdrawalPenalty,
+                stateTaxes: yearTaxes.state,
+                state: yearTaxes.stateCode, // State of residence this year (null = not modeled)
+                filingStatus, // Filing status this year (see getFilingStatusForYear)
+                socialSecurityIncome,
+                taxableSocialSecurity: yearTaxes.taxableSocialSecurity, // Portion of benefits subject to federal tax (0-85%)
+                pensionIncome,
+                magi,
+                medicareCost: medicare.total, // Part B/D premiums incl. IRMAA (included in expenses)
+                medicareIrmaa: medicare.irmaa, // IRMAA surcharge portion
+                irmaaTier: medicare.tier, // 0 = no surcharge
+                medicareEnrollees: medicare.enrollees,
+                acaMagi, // MAGI for the premium tax credit (includes all Social Security)
+                acaPremium: acaFinal.premium, // Marketplace premiums before the credit
+                acaPremiumTaxCredit: acaFinal.credit, // Credit based on the final MAGI
+                acaPremiumTaxCreditReconciliation: premiumTaxCreditReconciliation, // > 0 = excess advance credit repaid with taxes
+                acaFplPercent: acaFinal.fplPercent,
+                acaCliffMagi: acaFinal.cliffMagi, // MAGI where the credit disappears (null = no cliff)
+                acaOverCliff: acaFinal.covered > 0 && acaFinal.overCliff,
+                acaCovered: acaFinal.covered,
                 taxOnWithdrawals: withdrawalTaxes, // Track additional tax from withdrawals
                 expenses: annualExpenses,
                 netCashFlow,
@@ -1189,6 +2603,8 @@ class ProjectionEngine {
                 debtPayments: debtData.totalPayment,
                 debtInterest: debtData.totalInterest,
                 debtBalance: debtData.totalBalance,
+                taxComponents, // Inputs to calculateYearTaxes for the final tax calculation (see getForm1040)
+                socialSecurityBenefits: socialSecurity, // { personA, personB, total } from the benefit calculator
                 accountBalances: JSON.parse(JSON.stringify(accountBalances)) // snapshot per year
             });
         }
@@ -1196,6 +2612,235 @@ class ProjectionEngine {
         return projections;
     }
 
+    calculateLegacy(projections) {
+        // Estate at each person's life expectancy (end of that year) and what heirs keep after taxes:
+        // taxable shares and the home get a stepped-up basis (the gain is never taxed), heirs pay income tax
+        // on traditional IRAs and HSAs at their own rate, Roth money is tax-free, and federal estate tax
+        // applies above the exclusion. A couple's first death passes everything to the survivor.
+        if (projections.length === 0) return [];
+        const household = this.model.settings.household;
+        const heirTaxRate = (this.model.settings.legacy?.heirTaxRate ?? 24) / 100;
+        const lastProjection = projections[projections.length - 1];
+        const projectionFor = (year) => projections.find(p => p.year === year) ||
+            (year > lastProjection.year ? lastProjection : projections[0]);
+        const deaths = [household.personA, household.personB]
+            .filter(Boolean)
+            .map(person => ({ name: person.name, age: person.lifeExpectancy, year: person.birthYear + person.lifeExpectancy }))
+            .sort((a, b) => a.year - b.year);
+        // Married couples: marital deduction at the first death, both exclusions at the second (portability)
+        const married = deaths.length === 2 && projectionFor(deaths[0].year).filingStatus === 'married';
+
+        return deaths.map((death, index) => {
+            const p = projectionFor(death.year);
+            const byType = { taxable: 0, cash: 0, traditional: 0, roth: 0, hsa: 0 };
+            let stepUpGain = 0;
+            (p.accountBalances || []).forEach(acc => {
+                byType[acc.type] = (byType[acc.type] || 0) + acc.balance;
+                if (acc.type === 'taxable') stepUpGain += Math.max(0, acc.balance - (acc.costBasis ?? acc.balance));
+            });
+            (this.model.housing.ownedProperties || []).forEach(property => {
+                if (p.year >= property.purchaseYear && (!property.sellYear || p.year < property.sellYear)) {
+                    stepUpGain += Math.max(0, this.calculateHomeValueForYear(property, p.year) - (property.purchasePrice || 0));
+                }
+            });
+
+            const homeEquity = p.homeEquity || 0;
+            const debts = p.debtBalance || 0;
+            const grossEstate = Object.values(byType).reduce((sum, amount) => sum + amount, 0) + homeEquity - debts;
+            const toSurvivor = deaths.length === 2 && index === 0;
+            const exclusion = this.getFederalTaxTables(p.year).estateTaxExclusion * (married && !toSurvivor ? 2 : 1);
+            // Unmarried partners: only the decedent's half (assumed) is in the estate, with no marital deduction
+            const taxableEstate = toSurvivor ? (married ? 0 : grossEstate / 2) : grossEstate;
+            const estateTax = Math.max(0, taxableEstate - exclusion) * FEDERAL_ESTATE_TAX.rate;
+            const heirsIncomeTax = toSurvivor ? 0 : (byType.traditional + byType.hsa) * heirTaxRate;
+
+            return {
+                name: death.name,
+                age: death.age,
+                year: p.year,
+                beyondHorizon: death.year > lastProjection.year,
+                toSurvivor,
+                survivorName: toSurvivor ? deaths[1].name : null,
+                byType,
+                homeEquity,
+                debts,
+                grossEstate,
+                stepUpGain, // Unrealized gain on shares and the home wiped out by the step-up in basis
+                exclusion,
+                estateTax,
+                heirsIncomeTax,
+                netToHeirs: grossEstate - estateTax - heirsIncomeTax
+            };
+        });
+    }
+
+    getForm1040(projection) {
+        // Pro-forma Form 1040 for one projection year, rebuilt from that year's projection record. Each line
+        // lists the incomes, accounts and milestones behind it; the AGI and total tax are checked against
+        // what the engine used for the year
+        const p = projection;
+        const year = p.year;
+        const filingStatus = p.filingStatus;
+        const household = this.model.settings.household;
+        const accounts = p.accountBalances || [];
+        const yearTaxes = this.calculateYearTaxes(year, p.taxComponents, filingStatus);
+        const activity = (acc, key) => acc.yearActivity?.[key] || 0;
+        const money = (amount) => `$${Math.round(amount).toLocaleString()}`;
+        const total = (sources) => sources.reduce((sum, source) => sum + source.amount, 0);
+        const line = (number, label, amount, sources = [], note = null) => ({ number, label, amount, sources, note });
+
+        // Income streams active this year, grouped by where they land on the return
+        const knownCategories = ['salary', 'pension', 'social_security', 'business', 'freelance', 'self_employment', 'rental'];
+        const incomeSources = (matches, note = null) => this.model.incomes
+            .filter(income => matches(income.category) && year >= income.startYear && (!income.endYear || year <= income.endYear))
+            .map(income => ({ label: income.name, amount: this.getIncomeAmountForYear(income, year), note }));
+        const accountSources = (amountOf, noteOf = () => null) => accounts
+            .map(acc => ({ label: acc.name, amount: amountOf(acc), note: noteOf(acc) }))
+            .filter(source => Math.abs(source.amount) >= 0.5);
+
+        const wages = incomeSources(category => category === 'salary');
+        const interest = accountSources(acc => activity(acc, 'interest'), acc => acc.type === 'cash' ? 'savings interest' : 'interest yield');
+        const dividends = accountSources(acc => activity(acc, 'dividends'), () => 'treated as qualified');
+
+        // IRA distributions: 4a is everything taken from IRAs, 4b the taxable part (QCDs and Roth basis are not)
+        const describeIra = (acc) => [
+            acc.inherited ? `inherited IRA (${acc.inherited.strategy}, empty by ${acc.inherited.deadlineYear})` : null,
+            activity(acc, 'converted') ? `Roth conversion ${money(activity(acc, 'converted'))}` : null,
+            activity(acc, 'rmd') ? `RMD top-up ${money(activity(acc, 'rmd'))}` : null,
+            activity(acc, 'sepp') ? `72(t) payment ${money(activity(acc, 'sepp'))}` : null,
+            activity(acc, 'qcd') ? `QCD ${money(activity(acc, 'qcd'))} excluded` : null
+        ].filter(Boolean).join(', ') || null;
+        const iraGross = accountSources(acc => ['traditional', 'roth'].includes(acc.type) ? activity(acc, 'withdrawn') : 0, describeIra);
+        const iraTaxable = [
+            ...accountSources(acc => acc.type === 'traditional' ? activity(acc, 'withdrawn') - activity(acc, 'qcd') : 0, describeIra),
+            ...accountSources(acc => acc.type === 'roth' ? activity(acc, 'taxableIncome') : 0, () => 'non-qualified Roth earnings')
+        ];
+
+        const pensions = incomeSources(category => category === 'pension');
+        const pension = this.model.settings.pension;
+        if (pension && pension.enabled && year >= pension.startYear) {
+            pensions.push({ label: pension.name || 'Pension', amount: pension.annualAmount * this.getGrowthFactor(pension.growth, pension.startYear, year), note: null });
+        }
+
+        const benefits = p.socialSecurityBenefits || { personA: 0, personB: 0 };
+        const socialSecurity = [
+            { label: `${household.personA.name} Social Security`, amount: benefits.personA || 0, note: null },
+            ...(household.personB ? [{ label: `${household.personB.name} Social Security`, amount: benefits.personB || 0, note: null }] : []),
+            ...incomeSources(category => category === 'social_security')
+        ].filter(source => source.amount >= 0.5);
+
+        const capitalGains = accountSources(acc => acc.type === 'taxable' ? activity(acc, 'realizedGain') : 0, () => 'gain on shares sold');
+
+        // Schedule 1: business and rental income, taxable milestones, cancelled debt, non-medical HSA withdrawals
+        const otherIncome = [
+            ...incomeSources(category => ['business', 'freelance', 'self_employment'].includes(category), 'business income (Schedule C)'),
+            ...incomeSources(category => category === 'rental', 'rental income (Schedule E)'),
+            ...incomeSources(category => !knownCategories.includes(category), 'other income'),
+            ...this.model.milestones
+                .filter(milestone => milestone.year === year && milestone.isTaxable && milestone.taxableAmount > 0)
+                .map(milestone => ({ label: milestone.name, amount: milestone.taxableAmount, note: 'taxable milestone' })),
+            ...this.model.debts.loans
+                .filter(loan => year >= loan.startYear)
+                .map(loan => ({ label: loan.name, amount: this.calculateLoanPaymentForYear(loan, year).taxableAmount || 0, note: 'cancelled debt' }))
+                .filter(source => source.amount > 0),
+            ...accountSources(acc => acc.type === 'hsa' ? activity(acc, 'taxableIncome') : 0, () => 'HSA withdrawal not used for medical costs')
+        ];
+
+        const adjustments = [
+            ...accountSources(acc => activity(acc, 'preTaxContributions'), acc => acc.type === 'hsa' ? 'HSA contribution' : 'pre-tax contribution'),
+            ...(p.payrollTaxDetail?.seDeduction > 0 ? [{ label: 'Deductible part of self-employment tax', amount: p.payrollTaxDetail.seDeduction, note: null }] : [])
+        ];
+
+        const totalIncome = total(wages) + total(interest) + total(dividends) + total(iraTaxable) + total(pensions) +
+            yearTaxes.taxableSocialSecurity + total(capitalGains) + total(otherIncome);
+        const agi = totalIncome - total(adjustments);
+
+        // Deduction: the larger of itemized (Schedule A) and standard, plus personal exemptions under pre-2018 law
+        const standardDeduction = this.getStandardDeduction(filingStatus, year);
+        const personalExemptions = this.getPersonalExemptions(filingStatus, year);
+        const itemized = yearTaxes.itemizedDeductions;
+        const deductionSources = yearTaxes.itemizes
+            ? [
+                { label: 'Mortgage interest', amount: itemized.mortgageInterest, note: null },
+                { label: 'State and local taxes', amount: itemized.salt, note: itemized.saltLost > 0 ? `${money(itemized.saltLost)} above the SALT cap` : null },
+                { label: 'Charitable gifts', amount: itemized.charitable, note: null },
+                { label: 'Medical expenses', amount: itemized.medical, note: 'above 7.5% of AGI' },
+                { label: 'Personal exemptions', amount: personalExemptions, note: null }
+            ].filter(source => source.amount >= 0.5)
+            : [{ label: 'Standard deduction', amount: standardDeduction, note: personalExemptions > 0 ? `includes ${money(personalExemptions)} of personal exemptions` : null }];
+        const deductionNote = yearTaxes.itemizes
+            ? `Itemized ${money(yearTaxes.deduction)} beats the standard ${money(standardDeduction)}`
+            : itemized?.total > 0 ? `Standard beats itemized ${money(itemized.total + personalExemptions)}` : 'Nothing to itemize';
+
+        const taxableIncome = Math.max(0, agi - yearTaxes.deduction);
+        const brackets = this.getTaxByBracket(yearTaxes.federalOrdinaryIncome, filingStatus, p.taxComponents.capitalGains, year, yearTaxes.deduction);
+        const bracketSources = brackets.map(bracket => ({
+            label: `${Math.round(bracket.rate * 1000) / 10}% ${bracket.kind === 'capitalGains' ? 'capital gains' : 'ordinary'} bracket`,
+            amount: bracket.tax,
+            note: `on ${money(bracket.amount)}`
+        }));
+        const incomeTax = total(bracketSources);
+
+        // Premium tax credit: excess advance credit is repaid (Schedule 2), the rest of the credit is refundable
+        const excessAdvanceCredit = Math.max(0, p.acaPremiumTaxCreditReconciliation || 0);
+        const netPremiumTaxCredit = Math.max(0, -(p.acaPremiumTaxCreditReconciliation || 0));
+        const otherTaxes = [
+            { label: 'Net Investment Income Tax', amount: yearTaxes.niit, note: 'Form 8960' },
+            ...accountSources(acc => activity(acc, 'penalty'), acc => acc.type === 'hsa' ? '20% additional tax (Form 8889)' : '10% early withdrawal penalty (Form 5329)')
+        ].filter(source => source.amount >= 0.5);
+        const totalTax = incomeTax + excessAdvanceCredit + total(otherTaxes);
+
+        // Marginal rate: federal tax on the next $1,000 of ordinary income
+        const nextDollars = this.calculateYearTaxes(year, { ...p.taxComponents, ordinaryIncome: p.taxComponents.ordinaryIncome + 1000 }, filingStatus);
+        const ordinaryBrackets = brackets.filter(bracket => bracket.kind === 'ordinary');
+
+        const lines = [
+            line('1z', 'Wages, salaries, tips', total(wages), wages),
+            line('2b', 'Taxable interest', total(interest), interest),
+            line('3a', 'Qualified dividends', total(dividends), dividends),
+            line('3b', 'Ordinary dividends', total(dividends), [], 'All dividends are modeled as qualified'),
+            line('4a', 'IRA distributions', total(iraGross), iraGross),
+            line('4b', 'IRA distributions - taxable amount', total(iraTaxable), iraTaxable),
+            line('5a', 'Pensions and annuities', total(pensions), pensions),
+            line('5b', 'Pensions and annuities - taxable amount', total(pensions)),
+            line('6a', 'Social Security benefits', total(socialSecurity), socialSecurity),
+            line('6b', 'Social Security - taxable amount', yearTaxes.taxableSocialSecurity, [],
+                total(socialSecurity) > 0 ? `${Math.round(yearTaxes.taxableSocialSecurity / total(socialSecurity) * 100)}% of benefits (provisional income test)` : null),
+            line('7', 'Capital gain', total(capitalGains), capitalGains,
+                p.capitalGainsAvoided > 0 ? `${money(p.capitalGainsAvoided)} of gain avoided by gifting shares` : null),
+            line('8', 'Additional income (Schedule 1)', total(otherIncome), otherIncome),
+            line('9', 'Total income', totalIncome),
+            line('10', 'Adjustments to income', total(adjustments), adjustments,
+                adjustments.some(source => source.note === 'pre-tax contribution') ? '401(k) deferrals are shown here rather than netted out of wages' : null),
+            line('11', 'Adjusted gross income', agi),
+            line('12', yearTaxes.itemizes ? 'Itemized deductions (Schedule A)' : 'Standard deduction', yearTaxes.deduction, deductionSources, deductionNote),
+            line('15', 'Taxable income', taxableIncome),
+            line('16', 'Tax', incomeTax, bracketSources),
+            line('17', 'Excess advance premium tax credit repayment (Schedule 2)', excessAdvanceCredit),
+            line('21', 'Credits', 0, [], 'No nonrefundable credits are modeled'),
+            line('23', 'Other taxes (Schedule 2)', total(otherTaxes), otherTaxes),
+            line('24', 'Total tax', totalTax),
+            line('31', 'Net premium tax credit', netPremiumTaxCredit, [], netPremiumTaxCredit > 0 ? 'Refundable - reduces the tax owed' : null)
+        ];
+
+        return {
+            year,
+            filingStatus,
+            lawLabel: this.getFederalTaxTables(year).lawLabel,
+            lines,
+            agi,
+            engineAgi: p.magi,
+            federalTax: totalTax - netPremiumTaxCredit,
+            engineFederalTax: p.federalTaxes,
+            effectiveRate: agi > 0 ? (totalTax - netPremiumTaxCredit) / agi : 0,
+            marginalRate: (nextDollars.federal - yearTaxes.federal) / 1000,
+            bracketRate: ordinaryBrackets.length > 0 ? ordinaryBrackets[ordinaryBrackets.length - 1].rate : 0,
+            stateTaxes: p.stateTaxes,
+            stateCode: p.state,
+            selfEmploymentTax: p.payrollTaxDetail?.selfEmployment || 0 // Paid with payroll taxes in the projection
+        };
+    }
+
     executeWithdrawalSequence(accountBalances, targetWithdrawal, year, options = {}) {
         // CRITICAL FIX: Include 'cash' in withdrawal sequence
         // Cash should be withdrawn first (most liquid, no tax consequences)
@@ -1208,76 +2853,895 @@ class ProjectionEngine {
             totalWithdrawn: 0,
             byType: {},
             byAccount: [],
+            realizedGains: 0, // Capital gains realized from taxable account sales
+            penalizedAmount: 0, // Early withdrawals subject to the 10% additional tax
+            penalties: 0,
+            taxableRothEarnings: 0, // Non-qualified Roth earnings (ordinary income)
+            taxableHsaWithdrawals: 0, // HSA withdrawals beyond medical receipts (ordinary income)
             shortfall: 0
         };
 
-        for (const accountType of sequence) {
-            if (remaining <= 0.01) break; // floating point tolerance
+        // Two passes over the sequence: penalty-free money first (cash, taxable, traditional after 59½,
+        // Rule of 55 or 72(t) payments, Roth contributions and seasoned conversions), then the rest
+        for (const penaltyFreeOnly of [true, false]) {
+            for (const accountType of sequence) {
+                if (remaining <= 0.01) break; // floating point tolerance
+
+                const accountsOfType = this.getAccountsByType(accountBalances, accountType);
+                const available = accountsOfType.map(acc => penaltyFreeOnly ? this.getPenaltyFreeAmount(acc, year) : acc.balance);
+                const totalAvailable = available.reduce((sum, amount) => sum + amount, 0);
+
+                if (totalAvailable < 0.01) continue;
+
+                const toWithdraw = Math.min(remaining, totalAvailable);
+
+                // Withdraw proportionally from all accounts of this type
+                accountsOfType.forEach((acc, index) => {
+                    const amountFromAccount = toWithdraw * (available[index] / totalAvailable);
+                    if (amountFromAccount <= 0) return;
+
+                    const result = this.withdrawWithAccessRules(acc, amountFromAccount, year);
+                    withdrawalDetails.realizedGains += result.realizedGain;
+                    withdrawalDetails.penalizedAmount += result.penalizedAmount;
+                    withdrawalDetails.penalties += result.penalty;
+                    withdrawalDetails[acc.type === 'hsa' ? 'taxableHsaWithdrawals' : 'taxableRothEarnings'] += result.taxableIncome;
+                    withdrawalDetails.byAccount.push({
+                        id: acc.id,
+                        name: acc.name,
+                        type: acc.type,
+                        amount: amountFromAccount,
+                        realizedGain: result.realizedGain,
+                        penalty: result.penalty
+                    });
+                });
 
-            const accountsOfType = this.getAccountsByType(accountBalances, accountType);
-            const totalAvailable = accountsOfType.reduce((sum, acc) => sum + acc.balance, 0);
+                withdrawalDetails.byType[accountType] =
+                    (withdrawalDetails.byType[accountType] || 0) + toWithdraw;
+                withdrawalDetails.totalWithdrawn += toWithdraw;
+                remaining -= toWithdraw;
+            }
+        }
 
-            if (totalAvailable < 0.01) continue;
+        withdrawalDetails.shortfall = Math.max(0, remaining);
+        return withdrawalDetails;
+    }
 
-            const toWithdraw = Math.min(remaining, totalAvailable);
+    combineWithdrawalDetails(first, second) {
+        // Totals of two executeWithdrawalSequence results taken one after the other
+        const byType = { ...first.byType };
+        Object.entries(second.byType).forEach(([type, amount]) => {
+            byType[type] = (byType[type] || 0) + amount;
+        });
+        const sum = (key) => first[key] + second[key];
+        return {
+            totalWithdrawn: sum('totalWithdrawn'),
+            byType,
+            byAccount: [...first.byAccount, ...second.byAccount],
+            realizedGains: sum('realizedGains'),
+            penalizedAmount: sum('penalizedAmount'),
+            penalties: sum('penalties'),
+            taxableRothEarnings: sum('taxableRothEarnings'),
+            taxableHsaWithdrawals: sum('taxableHsaWithdrawals'),
+            shortfall: second.shortfall
+        };
+    }
 
-            // Withdraw proportionally from all accounts of this type
-            accountsOfType.forEach(acc => {
-                const proportion = acc.balance / totalAvailable;
-                const amountFromAccount = toWithdraw * proportion;
+    getWithdrawalScheduleForYear(year) {
+        // The optimizer schedule's entry for this year: { level, includeConversions }, or null when the
+        // schedule doesn't cover it (see WITHDRAWAL_OPTIMIZER for levels)
+        const schedule = this.model.withdrawalStrategy.withdrawalSchedule;
+        if (!schedule || !schedule.years || !(year in schedule.years)) return null;
+        return { level: schedule.years[year], includeConversions: !!schedule.includeConversions };
+    }
 
-                acc.balance -= amountFromAccount;
-                withdrawalDetails.byAccount.push({
-                    id: acc.id,
-                    name: acc.name,
-                    type: acc.type,
-                    amount: amountFromAccount
-                });
-            });
+    getScheduledTraditionalRoom(year, income, filingStatus, level, maxAmount) {
+        // Ordinary income that still fits under a schedule level this year (0 for the regular order)
+        if (level === null || maxAmount <= 0) return 0;
+        if (level < 0) return this.getBracketHeadroom(year, income, filingStatus, 0, maxAmount);
+        const tables = this.getFederalTaxTables(year);
+        const brackets = tables.brackets[filingStatus] || tables.brackets.single;
+        const bracket = brackets[Math.min(level, brackets.length - 2)]; // Never the open-ended top bracket
+        return this.getBracketHeadroom(year, income, filingStatus, Math.round(bracket.rate * 1000) / 10, maxAmount);
+    }
 
-            withdrawalDetails.byType[accountType] =
-                (withdrawalDetails.byType[accountType] || 0) + toWithdraw;
-            withdrawalDetails.totalWithdrawn += toWithdraw;
-            remaining -= toWithdraw;
-        }
+    getScheduleLevelLabel(level, year, filingStatus) {
+        if (level === null || level === undefined) return 'Regular order';
+        if (level < 0) return 'Deduction only';
+        const tables = this.getFederalTaxTables(year);
+        const brackets = tables.brackets[filingStatus] || tables.brackets.single;
+        return `Top of ${Math.round(brackets[Math.min(level, brackets.length - 2)].rate * 1000) / 10}%`;
+    }
 
-        withdrawalDetails.shortfall = Math.max(0, remaining);
-        return withdrawalDetails;
+    scoreWithdrawalPlan(projections, objective) {
+        // Lifetime taxes (income taxes, penalties and IRMAA surcharges) and after-tax terminal wealth
+        // (traditional and HSA balances net of the heirs' tax rate), both in today's dollars
+        const inflation = this.model.settings.inflation / 100;
+        const startYear = this.model.settings.planStartYear;
+        const real = (amount, year) => amount / Math.pow(1 + inflation, year - startYear);
+        const heirTaxRate = (this.model.settings.legacy?.heirTaxRate ?? 24) / 100;
+        const last = projections[projections.length - 1];
+        const lifetimeTaxes = projections.reduce((sum, p) => sum + real(p.taxes + (p.medicareIrmaa || 0), p.year), 0);
+        const terminalWealth = real((last.accountBalances || []).reduce((sum, acc) =>
+            sum + acc.balance * (acc.type === 'traditional' || acc.type === 'hsa' ? 1 - heirTaxRate : 1), 0), last.year);
+        const shortfall = projections.reduce((sum, p) => sum + (p.withdrawalShortfall || 0), 0);
+        return {
+            lifetimeTaxes,
+            terminalWealth,
+            shortfall,
+            score: objective === 'terminal_wealth' ? -terminalWealth : lifetimeTaxes // Lower is better
+        };
     }
 
-    calculateWithdrawal(year, totalAssets, initialAssets, previousWithdrawal, yearsSinceRetirement) {
+    optimizeWithdrawalSchedule(objective = 'lifetime_taxes', includeConversions = false) {
+        // Searches the yearly mix of traditional vs. other withdrawals (and optionally Roth conversions)
+        // for the lowest lifetime taxes or the highest after-tax terminal wealth. Every candidate is a
+        // full projection; plans that leave spending unmet in more years than today's plan are rejected.
+        // Coordinate descent: all years at one level, then blocks of years, then single years one level up or down
         const strategy = this.model.withdrawalStrategy;
-        const inflation = this.model.settings.inflation / 100;
+        const savedSchedule = strategy.withdrawalSchedule;
+        const startYear = Math.max(this.getWithdrawalStartYear(), this.model.settings.planStartYear);
+        const endYear = this.model.settings.planStartYear + WITHDRAWAL_OPTIMIZER.horizon;
+        if (startYear > endYear) return null;
 
-        // Only withdraw if we're at or past the withdrawal start year
-        if (year < strategy.withdrawalStartYear) {
-            return 0;
-        }
+        const years = [];
+        for (let year = startYear; year <= endYear; year++) {
+            years.push(year);
+        }
+        let evaluations = 0;
+        const evaluate = (schedule) => {
+            strategy.withdrawalSchedule = schedule;
+            const projections = this.projectNetWorth(WITHDRAWAL_OPTIMIZER.horizon);
+            evaluations++;
+            return { projections, ...this.scoreWithdrawalPlan(projections, objective) };
+        };
+        const scheduleFor = (levels) => ({
+            objective,
+            includeConversions,
+            years: Object.fromEntries(years.map((year, i) => [year, levels[i]]))
+        });
 
-        let withdrawal = 0;
+        try {
+            const current = evaluate(savedSchedule);
+            const regular = savedSchedule ? evaluate(null) : current;
+            const allowedShortfall = Math.min(current.shortfall, regular.shortfall) + 1;
+            let levels = years.map(() => null);
+            let best = null;
+            const tryLevels = (candidate) => {
+                const result = evaluate(scheduleFor(candidate));
+                if (result.shortfall > allowedShortfall) return false;
+                if (best && result.score >= best.score - 1) return false; // Only keep real ($1+) improvements
+                best = result;
+                levels = candidate;
+                return true;
+            };
 
-        switch (strategy.type) {
-            case 'tax_optimized':
-                // Use the same logic as fixed_percentage, but withdrawal execution
-                // will follow the tax-optimized sequence
-                if (strategy.inflationAdjusted) {
-                    const initialWithdrawal = initialAssets * (strategy.withdrawalPercentage / 100);
-                    withdrawal = initialWithdrawal * Math.pow(1 + inflation, yearsSinceRetirement);
-                } else {
-                    withdrawal = totalAssets * (strategy.withdrawalPercentage / 100);
+            WITHDRAWAL_OPTIMIZER.levels.forEach(level => tryLevels(years.map(() => level)));
+            if (!best) return { current, regular, best: null, evaluations };
+
+            for (let pass = 0; pass < WITHDRAWAL_OPTIMIZER.maxPasses; pass++) {
+                let improved = false;
+                for (let i = 0; i < years.length; i += WITHDRAWAL_OPTIMIZER.blockYears) {
+                    const blockEnd = Math.min(years.length, i + WITHDRAWAL_OPTIMIZER.blockYears);
+                    WITHDRAWAL_OPTIMIZER.levels
+                        .filter(level => level !== levels[i])
+                        .forEach(level => {
+                            improved = tryLevels(levels.map((value, j) => j >= i && j < blockEnd ? level : value)) || improved;
+                        });
                 }
-                break;
+                if (!improved) break;
+            }
 
-            case 'fixed_percentage':
-                if (strategy.inflationAdjusted) {
-                    // Traditional 4% rule: Take X% of initial portfolio in year 1,
-                    // then adjust that dollar amount for inflation each year
-                    const initialWithdrawal = initialAssets * (strategy.withdrawalPercentage / 100);
-                    withdrawal = initialWithdrawal * Math.pow(1 + inflation, yearsSinceRetirement);
-                } else {
-                    // Variable percentage: Take X% of CURRENT portfolio each year
-                    // (more conservative, adjusts spending to portfolio performance)
-                    withdrawal = totalAssets * (strategy.withdrawalPercentage / 100);
+            const order = WITHDRAWAL_OPTIMIZER.levels;
+            years.forEach((year, i) => {
+                const position = order.indexOf(levels[i]);
+                [position - 1, position + 1]
+                    .filter(index => index >= 0 && index < order.length)
+                    .forEach(index => tryLevels(levels.map((value, j) => j === i ? order[index] : value)));
+            });
+
+            return { current, regular, best: { ...best, schedule: scheduleFor(levels) }, evaluations };
+        } finally {
+            strategy.withdrawalSchedule = savedSchedule;
+        }
+    }
+
+    getRothConversionWindow() {
+        // Default window: from the withdrawal start year until the year before RMDs begin
+        const plan = this.model.withdrawalStrategy.rothConversion || {};
+        const rmdStartAge = this.model.withdrawalStrategy.rmdStartAge || 73;
+        const rmdStartYear = this.model.settings.household.personA.birthYear + rmdStartAge;
+        return {
+            startYear: plan.startYear || this.getWithdrawalStartYear(),
+            endYear: plan.endYear || rmdStartYear - 1
+        };
+    }
+
+    getInflationFactor(fromYear, toYear) {
+        // Price growth from fromYear to toYear: settings.inflation every year, or the model's inflationPath
+        // for the years it covers (a Monte Carlo path replaying history's CPI)
+        const inflation = (this.model.settings.inflation || 0) / 100;
+        const path = this.model.inflationPath;
+        if (!path) return Math.pow(1 + inflation, toYear - fromYear);
+
+        let factor = 1;
+        for (let year = Math.min(fromYear, toYear); year < Math.max(fromYear, toYear); year++) {
+            factor *= 1 + (path[year] !== undefined ? path[year] / 100 : inflation);
+        }
+        return toYear >= fromYear ? factor : 1 / factor;
+    }
+
+    getGrowthFactor(growth, fromYear, toYear) {
+        // Growth at a yearly rate (%) set against settings.inflation: under an inflationPath the amount keeps
+        // its spread over inflation, so a 3% income or expense with 3% inflation follows the path's CPI exactly
+        const factor = Math.pow(1 + growth / 100, toYear - fromYear);
+        if (!this.model.inflationPath) return factor;
+        return factor * this.getInflationFactor(fromYear, toYear) / Math.pow(1 + (this.model.settings.inflation || 0) / 100, toYear - fromYear);
+    }
+
+    getIndexFactor(year) {
+        // Growth of indexed thresholds since the tax table base year (same indexing as the brackets,
+        // but independent of which tax law applies)
+        const settings = this.model.settings;
+        const method = settings.taxBracketIndexing || 'inflation';
+        const baseYear = FEDERAL_TAX_TABLES.baseYear;
+        if (method === 'none' || year <= baseYear) return 1;
+        const factor = this.getInflationFactor(baseYear, year);
+        if (method !== 'chained_cpi') return factor;
+        // Chained CPI keeps its gap below inflation
+        const gap = (1 + (settings.chainedCpiRate ?? settings.inflation) / 100) / (1 + settings.inflation / 100);
+        return factor * Math.pow(gap, year - baseYear);
+    }
+
+    getContributionLimit(year, plan, age, coverage = 'self') {
+        // Annual IRS limit for one person, including catch-up. IRS rounds indexed limits down.
+        const limits = IRS_CONTRIBUTION_LIMITS[plan];
+        if (!limits) return Infinity;
+        const factor = this.getIndexFactor(year);
+        const indexDown = (amount) => Math.floor(amount * factor / limits.rounding) * limits.rounding;
+
+        const base = plan === 'hsa' ? limits[coverage === 'family' ? 'family' : 'self'] : limits.limit;
+        let limit = indexDown(base);
+        if (age >= limits.catchUpAge) {
+            limit += limits.catchUpIndexed === false ? limits.catchUp : indexDown(limits.catchUp);
+        }
+        return limit;
+    }
+
+    getIncomeAmountForYear(income, year) {
+        // Annual amount of an income stream in a year it's active, grown from its start year
+        const adjustedAmount = income.amount * this.getGrowthFactor(income.growth, income.startYear, year);
+        return income.frequency === 'monthly' ? adjustedAmount * 12 : adjustedAmount;
+    }
+
+    getEarnedIncomeByOwner(year, category = 'salary') {
+        // Salary/wages (or another income category) per person this year. Household-owned
+        // incomes are split evenly between a couple (all Person A's when single).
+        const hasPersonB = !!this.model.settings.household.personB;
+        const earned = { personA: 0, personB: 0 };
+        this.model.incomes.forEach(income => {
+            if (income.category !== category) return;
+            if (year < income.startYear || (income.endYear && year > income.endYear)) return;
+            const amount = this.getIncomeAmountForYear(income, year);
+            if (income.ownerId === 'personB' && hasPersonB) {
+                earned.personB += amount;
+            } else if (income.ownerId === 'household' && hasPersonB) {
+                earned.personA += amount / 2;
+                earned.personB += amount / 2;
+            } else {
+                earned.personA += amount;
+            }
+        });
+        return earned;
+    }
+
+    calculateContributionRules(year, magi, filingStatus) {
+        // Planned employee contributions from each account's contribution rule this year, capped by
+        // the IRS limits shared across a person's accounts. Traditional and HSA contributions are
+        // pre-tax (payroll deductions); Roth, taxable and cash contributions come from after-tax pay.
+        const household = this.model.settings.household;
+        const earned = this.getEarnedIncomeByOwner(year);
+        const used = {}; // `${ownerId}|${plan}` -> amount already counted against the limit
+        const planned = [];
+
+        this.model.accounts.forEach(account => {
+            const rule = account.contributionRule;
+            if (!rule || !rule.method || rule.method === 'none') return;
+            if (rule.startYear && year < rule.startYear) return;
+            if (rule.endYear && year > rule.endYear) return;
+
+            const ownerId = rule.ownerId === 'personB' && household.personB ? 'personB' : 'personA';
+            const person = household[ownerId];
+            const age = year - person.birthYear;
+            const salary = earned[ownerId];
+            const plan = rule.plan || 'none';
+
+            // Workplace plans need a paycheck; IRAs/HSAs can be funded from savings
+            if (plan === '401k' && salary <= 0) return;
+            // No HSA contributions once enrolled in Medicare at 65 (even when its premiums aren't modeled)
+            if (plan === 'hsa' && age >= MEDICARE_PREMIUMS.eligibilityAge) return;
+
+            let limit = this.getContributionLimit(year, plan, age, rule.hsaCoverage);
+            if (plan === 'ira' && account.type === 'roth' && !rule.backdoorRoth) {
+                // Direct Roth IRA contributions phase out with income
+                const [start, end] = (IRS_CONTRIBUTION_LIMITS.rothIraPhaseOut[filingStatus] || IRS_CONTRIBUTION_LIMITS.rothIraPhaseOut.single)
+                    .map(amount => amount * this.getIndexFactor(year));
+                if (magi >= end) {
+                    limit = 0;
+                } else if (magi > start) {
+                    limit = limit * (end - magi) / (end - start);
+                }
+            }
+
+            // Family HSA coverage shares one limit across the household
+            const limitKey = plan === 'hsa' && rule.hsaCoverage === 'family' ? `household|hsa` : `${ownerId}|${plan}`;
+            const remaining = Math.max(0, limit - (used[limitKey] || 0));
+
+            let desired = 0;
+            if (rule.method === 'percent_of_salary') {
+                desired = salary * (rule.percent || 0) / 100;
+            } else if (rule.method === 'fixed') {
+                desired = rule.amount || 0;
+            } else if (rule.method === 'max') {
+                desired = remaining;
+            }
+
+            const amount = Math.min(desired, remaining);
+            if (amount <= 0) return;
+            used[limitKey] = (used[limitKey] || 0) + amount;
+
+            planned.push({
+                accountId: account.id,
+                ownerId,
+                amount,
+                salary,
+                preTax: account.type === 'traditional' || account.type === 'hsa',
+                rule
+            });
+        });
+
+        return {
+            planned,
+            employeeTotal: planned.reduce((sum, c) => sum + c.amount, 0),
+            preTaxTotal: planned.filter(c => c.preTax).reduce((sum, c) => sum + c.amount, 0)
+        };
+    }
+
+    calculatePayrollTaxes(year, filingStatus) {
+        // FICA on each person's wages plus self-employment tax on 'self_employment' incomes
+        const wageBase = this.getTaxableMaximum(year);
+        const wages = this.getEarnedIncomeByOwner(year, 'salary');
+        const selfEmployment = this.getEarnedIncomeByOwner(year, 'self_employment');
+        const result = { socialSecurity: 0, medicare: 0, additionalMedicare: 0, selfEmployment: 0, seDeduction: 0, total: 0 };
+
+        let medicareEarnings = 0;
+        ['personA', 'personB'].forEach(personId => {
+            const personWages = wages[personId];
+            const netSelfEmployment = Math.max(0, selfEmployment[personId]) * PAYROLL_TAX.selfEmploymentFactor;
+
+            result.socialSecurity += Math.min(personWages, wageBase) * PAYROLL_TAX.socialSecurityRate;
+            result.medicare += personWages * PAYROLL_TAX.medicareRate;
+
+            // Wages use up the Social Security wage base first
+            const seSocialSecurity = Math.min(netSelfEmployment, Math.max(0, wageBase - personWages)) * PAYROLL_TAX.socialSecurityRate * 2;
+            const seMedicare = netSelfEmployment * PAYROLL_TAX.medicareRate * 2;
+            result.selfEmployment += seSocialSecurity + seMedicare;
+
+            medicareEarnings += personWages + netSelfEmployment;
+        });
+
+        const threshold = PAYROLL_TAX.additionalMedicareThreshold[filingStatus] ?? PAYROLL_TAX.additionalMedicareThreshold.single;
+        result.additionalMedicare = Math.max(0, medicareEarnings - threshold) * PAYROLL_TAX.additionalMedicareRate;
+        result.seDeduction = result.selfEmployment / 2; // Above-the-line deduction for the employer-equivalent half
+        result.total = result.socialSecurity + result.medicare + result.additionalMedicare + result.selfEmployment;
+        return result;
+    }
+
+    getFullRetirementAge(birthYear) {
+        // 65 for 1937 and earlier, rising 2 months per birth year to 66 (1943-1954), then to 67 (1960+)
+        if (birthYear <= 1937) return 65;
+        if (birthYear <= 1942) return 65 + (birthYear - 1937) * 2 / 12;
+        if (birthYear <= 1954) return 66;
+        if (birthYear <= 1959) return 66 + (birthYear - 1954) * 2 / 12;
+        return 67;
+    }
+
+    getClaimingFactor(birthYear, claimAge) {
+        // Own benefit as a fraction of PIA: 5/9% per month for the first 36 months early,
+        // 5/12% per month beyond that; delayed retirement credits of 8%/year up to age 70
+        const fra = this.getFullRetirementAge(birthYear);
+        const age = Math.min(Math.max(claimAge, SOCIAL_SECURITY.earliestClaimAge), SOCIAL_SECURITY.latestClaimAge);
+        const months = Math.round((age - fra) * 12);
+        if (months >= 0) return 1 + months * (2 / 3) / 100;
+        const early = -months;
+        return 1 - (Math.min(early, 36) * 5 / 9 + Math.max(0, early - 36) * 5 / 12) / 100;
+    }
+
+    getSpousalFactor(birthYear, claimAge) {
+        // Spousal benefit as a fraction of the maximum (50% of the worker's PIA):
+        // 25/36% per month for the first 36 months early, 5/12% beyond; no delayed credits
+        const fra = this.getFullRetirementAge(birthYear);
+        const early = Math.max(0, Math.round((fra - Math.max(claimAge, SOCIAL_SECURITY.earliestClaimAge)) * 12));
+        return 1 - (Math.min(early, 36) * 25 / 36 + Math.max(0, early - 36) * 5 / 12) / 100;
+    }
+
+    getSurvivorFactor(birthYear, age) {
+        // Survivor benefits can start at 60, reduced up to 28.5%, reaching 100% at full retirement age
+        const fra = this.getFullRetirementAge(birthYear);
+        if (age >= fra) return 1;
+        const span = fra - SOCIAL_SECURITY.survivorEarliestAge;
+        const early = Math.min(span, fra - Math.max(age, SOCIAL_SECURITY.survivorEarliestAge));
+        return 1 - SOCIAL_SECURITY.survivorMaxReduction * early / span;
+    }
+
+    getAverageWageIndex(year) {
+        // Published AWI, or projected forward from the last published year
+        const awi = SOCIAL_SECURITY.averageWageIndex;
+        if (awi[year]) return awi[year];
+        const years = Object.keys(awi).map(Number);
+        const firstYear = Math.min(...years);
+        const lastYear = Math.max(...years);
+        if (year < firstYear) return awi[firstYear];
+        const wageGrowth = (this.model.settings.inflation + SOCIAL_SECURITY.realWageGrowth) / 100;
+        return awi[lastYear] * Math.pow(1 + wageGrowth, year - lastYear);
+    }
+
+    getTaxableMaximum(year) {
+        // Social Security wage base; future years grow with the wage index (rounded to $300)
+        const table = SOCIAL_SECURITY.taxableMaximum;
+        const years = Object.keys(table).map(Number).sort((a, b) => a - b);
+        const lastYear = years[years.length - 1];
+        if (year > lastYear) {
+            const growth = this.getAverageWageIndex(year - 2) / this.getAverageWageIndex(lastYear - 2);
+            return Math.round(table[lastYear] * growth / 300) * 300;
+        }
+        const applicable = years.filter(y => y <= year);
+        return applicable.length > 0 ? table[applicable[applicable.length - 1]] : table[years[0]];
+    }
+
+    getEarningsHistory(personId) {
+        // Covered earnings by year: the imported SSA earnings record, plus the person's projected
+        // salary incomes (half of household-owned ones for a couple) for plan years the record doesn't cover
+        const person = this.model.settings.household[personId];
+        const ss = person.socialSecurity || {};
+        const history = {};
+        (ss.earningsRecord || []).forEach(entry => {
+            history[entry.year] = entry.earnings;
+        });
+
+        if (ss.includeSalaryIncomes !== false) {
+            const lastYear = person.birthYear + SOCIAL_SECURITY.latestClaimAge;
+            const planStart = this.model.settings.planStartYear;
+            for (let year = planStart; year <= lastYear; year++) {
+                if (history[year] !== undefined) continue;
+                // Self-employment income is covered on 92.35% of net earnings
+                const earned = this.getEarnedIncomeByOwner(year)[personId] +
+                    this.getEarnedIncomeByOwner(year, 'self_employment')[personId] * PAYROLL_TAX.selfEmploymentFactor;
+                if (earned > 0) {
+                    history[year] = earned;
+                }
+            }
+        }
+        return history;
+    }
+
+    calculatePIA(personId) {
+        // Primary Insurance Amount from the earnings history (monthly, in eligibility-year dollars)
+        // Earnings are capped at the taxable maximum, wage-indexed to age 60, and the highest 35 years
+        // are averaged into AIME. Earnings after age 60 count at face value.
+        const person = this.model.settings.household[personId];
+        const eligibilityYear = person.birthYear + SOCIAL_SECURITY.earliestClaimAge;
+        const indexYear = eligibilityYear - 2;
+        const indexWage = this.getAverageWageIndex(indexYear);
+        const history = this.getEarningsHistory(personId);
+
+        const indexedEarnings = Object.entries(history).map(([year, earnings]) => {
+            const y = parseInt(year, 10);
+            const covered = Math.min(earnings, this.getTaxableMaximum(y));
+            return y < indexYear ? covered * indexWage / this.getAverageWageIndex(y) : covered;
+        }).sort((a, b) => b - a);
+
+        const topYears = indexedEarnings.slice(0, SOCIAL_SECURITY.computationYears);
+        const aime = Math.floor(topYears.reduce((sum, e) => sum + e, 0) / (SOCIAL_SECURITY.computationYears * 12));
+
+        const base = SOCIAL_SECURITY.bendPointBase;
+        const scale = indexWage / SOCIAL_SECURITY.averageWageIndex[base.year];
+        const bendPoints = [Math.round(base.first * scale), Math.round(base.second * scale)];
+        const [r1, r2, r3] = SOCIAL_SECURITY.piaRates;
+        const pia = r1 * Math.min(aime, bendPoints[0]) +
+            r2 * Math.max(0, Math.min(aime, bendPoints[1]) - bendPoints[0]) +
+            r3 * Math.max(0, aime - bendPoints[1]);
+
+        return {
+            aime,
+            pia: Math.floor(pia * 10) / 10, // SSA rounds PIA down to the dime
+            bendPoints,
+            eligibilityYear,
+            yearsOfEarnings: indexedEarnings.filter(e => e > 0).length
+        };
+    }
+
+    getSocialSecurityPIA(personId) {
+        // Monthly PIA and the year whose dollars it is expressed in. Benefit sources:
+        // - 'earnings': computed from the earnings record / salaries (eligibility-year dollars)
+        // - 'pia': PIA at full retirement age from an SSA statement (plan-start dollars)
+        // - 'manual': annualAmount is the benefit at startAge; PIA is backed out of it
+        const person = this.model.settings.household[personId];
+        const ss = person && person.socialSecurity;
+        if (!ss || !ss.enabled) return null;
+
+        const method = ss.benefitMethod || 'manual';
+        if (method === 'earnings') {
+            const result = this.calculatePIA(personId);
+            return { pia: result.pia, piaYear: result.eligibilityYear };
+        }
+        if (method === 'pia') {
+            return { pia: ss.pia || 0, piaYear: this.model.settings.planStartYear };
+        }
+        const factor = this.getClaimingFactor(person.birthYear, ss.startAge);
+        return { pia: (ss.annualAmount || 0) / 12 / factor, piaYear: person.birthYear + ss.startAge };
+    }
+
+    getSocialSecurityIncome(year, claimAges = null, pias = null) {
+        // Annual Social Security (nominal) for each person: own retirement benefit, spousal top-up
+        // while both are alive, and the survivor benefit after the first death (life expectancy).
+        // Benefits grow with COLA (= inflation). claimAges overrides startAge (used by the optimizer).
+        const household = this.model.settings.household;
+        pias = pias || this.getSocialSecurityPIAs();
+        const result = { personA: 0, personB: 0, total: 0 };
+
+        const people = ['personA', 'personB'].filter(id => household[id] && pias[id]).map(id => {
+            const person = household[id];
+            const claimAge = (claimAges && claimAges[id]) || person.socialSecurity.startAge;
+            const piaNow = pias[id].pia * this.getInflationFactor(pias[id].piaYear, year);
+            return {
+                id,
+                person,
+                age: year - person.birthYear,
+                claimAge,
+                alive: year - person.birthYear <= person.lifeExpectancy,
+                claimed: year - person.birthYear >= claimAge,
+                piaNow,
+                ownBenefit: piaNow * this.getClaimingFactor(person.birthYear, claimAge)
+            };
+        });
+
+        people.forEach(p => {
+            if (!p.alive) return;
+            const spouse = people.find(other => other.id !== p.id);
+            let monthly = p.claimed ? p.ownBenefit : 0;
+
+            if (spouse && spouse.alive && p.claimed && spouse.claimed) {
+                // Spousal benefit: up to 50% of the spouse's PIA, minus own PIA
+                const excess = Math.max(0, spouse.piaNow / 2 - p.piaNow);
+                monthly += excess * this.getSpousalFactor(p.person.birthYear, p.claimAge);
+            } else if (spouse && !spouse.alive && p.age >= SOCIAL_SECURITY.survivorEarliestAge) {
+                // Survivor benefit: the deceased's benefit (at least 82.5% of PIA if they claimed early;
+                // with delayed credits up to death if they never claimed), if larger than own benefit
+                const deathAge = spouse.person.lifeExpectancy;
+                const deceasedBenefit = deathAge >= spouse.claimAge
+                    ? Math.max(spouse.ownBenefit, spouse.piaNow * 0.825)
+                    : spouse.piaNow * Math.max(1, this.getClaimingFactor(spouse.person.birthYear, Math.max(deathAge, SOCIAL_SECURITY.earliestClaimAge)));
+                const survivorBenefit = deceasedBenefit * this.getSurvivorFactor(p.person.birthYear, p.age);
+                monthly = Math.max(monthly, survivorBenefit);
+            }
+
+            result[p.id] = monthly * 12;
+        });
+
+        result.total = result.personA + result.personB;
+        return result;
+    }
+
+    getSocialSecurityPIAs() {
+        return {
+            personA: this.getSocialSecurityPIA('personA'),
+            personB: this.model.settings.household.personB ? this.getSocialSecurityPIA('personB') : null
+        };
+    }
+
+    optimizeSocialSecurityClaiming() {
+        // Compare lifetime benefits (today's dollars, to each person's life expectancy) for every
+        // combination of claiming ages 62-70, including spousal and survivor benefits
+        const household = this.model.settings.household;
+        const pias = this.getSocialSecurityPIAs();
+        const ids = ['personA', 'personB'].filter(id => household[id] && pias[id]);
+        if (ids.length === 0) return null;
+
+        const inflation = this.model.settings.inflation / 100;
+        const startYear = this.model.settings.planStartYear;
+        const endYear = Math.max(...ids.map(id => household[id].birthYear + household[id].lifeExpectancy));
+        const ages = [];
+        for (let age = SOCIAL_SECURITY.earliestClaimAge; age <= SOCIAL_SECURITY.latestClaimAge; age++) {
+            ages.push(age);
+        }
+
+        // Claiming ages already in the past can't be changed
+        const currentAge = (id) => startYear - household[id].birthYear;
+        const options = (id) => currentAge(id) > household[id].socialSecurity.startAge
+            ? [household[id].socialSecurity.startAge]
+            : ages.filter(age => age >= Math.min(currentAge(id), SOCIAL_SECURITY.latestClaimAge));
+
+        const combos = [];
+        const optionsA = options(ids[0]);
+        const optionsB = ids[1] ? options(ids[1]) : [null];
+        optionsA.forEach(ageA => {
+            optionsB.forEach(ageB => {
+                const claimAges = { [ids[0]]: ageA };
+                if (ids[1]) claimAges[ids[1]] = ageB;
+                let lifetime = 0;
+                for (let year = startYear; year <= endYear; year++) {
+                    const income = this.getSocialSecurityIncome(year, claimAges, pias).total;
+                    lifetime += income / Math.pow(1 + inflation, year - startYear);
+                }
+                combos.push({ claimAges, lifetimeBenefits: lifetime });
+            });
+        });
+
+        combos.sort((a, b) => b.lifetimeBenefits - a.lifetimeBenefits);
+        const currentClaimAges = Object.fromEntries(ids.map(id => [id, household[id].socialSecurity.startAge]));
+        const current = combos.find(c => ids.every(id => c.claimAges[id] === currentClaimAges[id]));
+
+        return {
+            best: combos[0],
+            current: current || null,
+            combos
+        };
+    }
+
+    calculateEmployerMatch(year, contribution) {
+        // e.g. 50% match on contributions up to 6% of salary, capped by the 415(c) limit
+        const rule = contribution.rule;
+        if (!rule.employerMatchPercent || contribution.salary <= 0) return 0;
+        const matchable = Math.min(contribution.amount, contribution.salary * (rule.employerMatchLimit ?? 100) / 100);
+        const match = matchable * rule.employerMatchPercent / 100;
+        const annualAdditionsLimit = Math.floor(IRS_CONTRIBUTION_LIMITS.annualAdditions * this.getIndexFactor(year) / 1000) * 1000;
+        return Math.max(0, Math.min(match, annualAdditionsLimit - contribution.amount));
+    }
+
+    getIrmaaThreshold(year, filingStatus, tier = 0) {
+        const thresholds = MEDICARE_IRMAA_THRESHOLDS[filingStatus] || MEDICARE_IRMAA_THRESHOLDS.single;
+        return thresholds[tier] * this.getIndexFactor(year);
+    }
+
+    calculateMedicarePremiums(year, lookbackMagi, filingStatus) {
+        // Part B + Part D premiums for each household member 65+. Both spouses pay the IRMAA
+        // surcharge for the tier their joint MAGI (from two years earlier) falls in.
+        const medicare = this.model.settings.medicare || {};
+        const result = { partB: 0, partD: 0, irmaa: 0, tier: 0, enrollees: 0, total: 0 };
+        if (medicare.enabled === false) return result;
+
+        const household = this.model.settings.household;
+        result.enrollees = ['personA', 'personB'].filter(personId => {
+            const person = household[personId];
+            if (!person) return false;
+            const age = year - person.birthYear;
+            return age >= MEDICARE_PREMIUMS.eligibilityAge && age <= person.lifeExpectancy;
+        }).length;
+        if (result.enrollees === 0) return result;
+
+        if (lookbackMagi !== null && lookbackMagi !== undefined) {
+            const tiers = MEDICARE_IRMAA_THRESHOLDS.single.length;
+            while (result.tier < tiers && lookbackMagi > this.getIrmaaThreshold(year, filingStatus, result.tier)) {
+                result.tier++;
+            }
+        }
+
+        const growth = Math.pow(1 + (medicare.premiumGrowth ?? 5) / 100, year - MEDICARE_PREMIUMS.baseYear);
+        const monthsPerPerson = 12 * result.enrollees;
+        result.partB = MEDICARE_PREMIUMS.partB * growth * monthsPerPerson;
+        result.partD = (medicare.partDPremium ?? MEDICARE_PREMIUMS.partD) * growth * monthsPerPerson;
+        result.irmaa = (MEDICARE_PREMIUMS.partBSurcharges[result.tier] + MEDICARE_PREMIUMS.partDSurcharges[result.tier]) * growth * monthsPerPerson;
+        result.total = result.partB + result.partD + result.irmaa;
+        return result;
+    }
+
+    getFederalPovertyLevel(year, householdSize) {
+        const fpl = FEDERAL_POVERTY_LEVEL.firstPerson + FEDERAL_POVERTY_LEVEL.additionalPerson * Math.max(0, householdSize - 1);
+        return fpl * this.getIndexFactor(year);
+    }
+
+    calculateAcaPremiums(year, magi, advanceCreditPaid = 0) {
+        // Marketplace premiums for each retired person under 65, less the premium tax credit:
+        // credit = benchmark (age-rated) premium - expected contribution (% of MAGI by FPL band),
+        // limited to the chosen plan's premium. No credit past the cliff, or
+        // below 100% FPL unless an advance credit was already paid (those households stay eligible).
+        const aca = this.model.settings.aca || {};
+        const household = this.model.settings.household;
+        const result = {
+            covered: 0, benchmark: 0, premium: 0, credit: 0, netPremium: 0,
+            fplPercent: 0, applicablePercent: 0, cliffMagi: null, overCliff: false
+        };
+        if (!aca.enabled) return result;
+
+        const growth = Math.pow(1 + (aca.premiumGrowth ?? 5) / 100, year - ACA_PREMIUM_TAX_CREDIT.baseYear);
+        const curve = ACA_PREMIUM_TAX_CREDIT.ageCurve;
+        const ageFactor = (age) => curve[Math.min(Math.max(age, 21), 64) - 21] / curve[ACA_PREMIUM_TAX_CREDIT.benchmarkAge - 21];
+        ['personA', 'personB'].forEach(personId => {
+            const person = household[personId];
+            if (!person) return;
+            const age = year - person.birthYear;
+            if (age >= MEDICARE_PREMIUMS.eligibilityAge || year < person.retirementYear) return;
+            result.covered++;
+            result.benchmark += (aca.benchmarkPremium || 0) * 12 * growth * ageFactor(age);
+        });
+        if (result.covered === 0) return result;
+        result.premium = result.benchmark * (aca.planPremiumPercent ?? 100) / 100;
+
+        // Coverage year uses the prior year's poverty guideline
+        const householdSize = household.personB ? 2 : 1;
+        const fpl = this.getFederalPovertyLevel(year - 1, householdSize);
+        const schedule = year <= (aca.enhancedCreditsThroughYear ?? 2025) ? ACA_PREMIUM_TAX_CREDIT.enhanced : ACA_PREMIUM_TAX_CREDIT.original;
+        const cliff = schedule[schedule.length - 1].upTo;
+        result.fplPercent = magi / fpl * 100;
+        result.cliffMagi = cliff === Infinity ? null : fpl * cliff / 100;
+        result.overCliff = result.fplPercent > cliff;
+
+        if ((result.fplPercent >= 100 || advanceCreditPaid > 0) && !result.overCliff) {
+            let lower = 100;
+            const band = schedule.find(b => result.fplPercent <= b.upTo);
+            const index = schedule.indexOf(band);
+            if (index > 0) lower = schedule[index - 1].upTo;
+            const position = band.upTo === Infinity ? 0 : (result.fplPercent - lower) / (band.upTo - lower);
+            result.applicablePercent = band.from + (band.to - band.from) * Math.max(0, position);
+            const expectedContribution = magi * result.applicablePercent / 100;
+            result.credit = Math.min(result.premium, Math.max(0, result.benchmark - expectedContribution));
+        }
+        result.netPremium = result.premium - result.credit;
+        return result;
+    }
+
+    calculateRothConversion(year, accountBalances, income, filingStatus) {
+        // Returns how much to convert this year under the configured strategy
+        // (an optimizer schedule that includes conversions decides instead, in the years it covers)
+        const plan = this.model.withdrawalStrategy.rothConversion;
+        const scheduled = this.getWithdrawalScheduleForYear(year);
+        const scheduledConversion = scheduled && scheduled.includeConversions;
+        if (!scheduledConversion) {
+            if (!plan || !plan.enabled) return 0;
+            const window = this.getRothConversionWindow();
+            if (year < window.startYear || year > window.endYear) return 0;
+        }
+
+        const traditionalBalance = this.getAccountsByType(accountBalances, 'traditional')
+            .filter(acc => !acc.inherited) // Inherited IRAs can't be converted
+            .reduce((sum, acc) => sum + acc.balance, 0);
+        if (traditionalBalance <= 0) return 0;
+        if (scheduledConversion) {
+            // Convert whatever room is left under the year's level
+            return this.getScheduledTraditionalRoom(year, income, filingStatus, scheduled.level, traditionalBalance);
+        }
+
+        // Federal ordinary income after converting `extra` - each converted dollar can also make
+        // more Social Security taxable, so the bracket/IRMAA targets are solved numerically
+        const taxableOrdinary = (extra) => this.getFederalOrdinaryIncome({
+            ordinaryIncome: income.ordinaryIncome + extra,
+            capitalGains: income.capitalGains,
+            socialSecurity: income.socialSecurity || 0
+        }, filingStatus);
+        const margin = plan.cliffMargin ?? 1000;
+        let amount = 0;
+
+        switch (plan.strategy) {
+            case 'fixed_amount':
+                amount = plan.annualAmount || 0;
+                break;
+
+            case 'fill_bracket':
+                // Fill ordinary taxable income up to the top of the target bracket
+                amount = this.getBracketHeadroom(year, income, filingStatus, plan.targetBracket || 12, traditionalBalance);
+                break;
+
+            case 'irmaa_cliff': {
+                // Stay under the first IRMAA surcharge threshold (MAGI is looked back two years)
+                // IRMAA MAGI = AGI (taxable Social Security only) + capital gains
+                const threshold = this.getIrmaaThreshold(year, filingStatus) - margin;
+                amount = this.solveForAmount(extra => taxableOrdinary(extra) + income.capitalGains, threshold, traditionalBalance);
+                break;
+            }
+
+            case 'aca_cliff': {
+                // Stay under 400% of the federal poverty level (ACA premium tax credit cliff)
+                // ACA MAGI adds back untaxed Social Security, so all benefits count
+                const householdSize = this.model.settings.household.personB ? 2 : 1;
+                const magi = income.ordinaryIncome + income.capitalGains;
+                amount = this.getFederalPovertyLevel(year - 1, householdSize) * 4 - margin - magi; // Coverage uses the prior year's poverty line
+                break;
+            }
+        }
+
+        return Math.max(0, Math.min(amount, traditionalBalance));
+    }
+
+    getBracketHeadroom(year, income, filingStatus, targetBracket, maxAmount) {
+        // Ordinary income that can be added before taxable income passes the top of the target bracket
+        // (Roth conversions, inherited IRA distributions). Added income can make more Social Security taxable.
+        // targetBracket 0 = only up to the deduction (no taxable ordinary income)
+        const tables = this.getFederalTaxTables(year);
+        const brackets = tables.brackets[filingStatus] || tables.brackets.single;
+        const bracket = targetBracket === 0 ? { limit: 0 } : brackets.find(b => Math.abs(b.rate - targetBracket / 100) < 0.0001);
+        if (!bracket || bracket.limit === Infinity) return 0;
+        const incomeCeiling = bracket.limit + this.calculateYearTaxes(year, income, filingStatus).deduction;
+        return this.solveForAmount(extra => this.getFederalOrdinaryIncome({
+            ordinaryIncome: income.ordinaryIncome + extra,
+            capitalGains: income.capitalGains,
+            socialSecurity: income.socialSecurity || 0
+        }, filingStatus), incomeCeiling, maxAmount);
+    }
+
+    solveForAmount(fn, target, maxAmount) {
+        // Largest amount in [0, maxAmount] keeping fn(amount) at or under target (fn increasing) - bisection
+        if (fn(0) >= target) return 0;
+        let low = 0;
+        let high = maxAmount;
+        if (fn(high) <= target) return high;
+        for (let i = 0; i < 40 && high - low > 1; i++) {
+            const mid = (low + high) / 2;
+            if (fn(mid) > target) high = mid; else low = mid;
+        }
+        return low;
+    }
+
+    executeRothConversion(accountBalances, amount, withheldForTaxes = 0, year = null) {
+        // Move money out of traditional accounts (proportionally) into Roth accounts
+        // Each year's conversion starts its own 5-year clock for penalty-free withdrawal
+        const traditionalAccounts = this.getAccountsByType(accountBalances, 'traditional').filter(acc => !acc.inherited);
+        const traditionalTotal = traditionalAccounts.reduce((sum, acc) => sum + acc.balance, 0);
+        if (traditionalTotal <= 0) return;
+
+        traditionalAccounts.forEach(acc => {
+            const converted = amount * (acc.balance / traditionalTotal);
+            this.withdrawFromAccount(acc, converted);
+            this.noteAccountActivity(acc, 'converted', converted);
+        });
+
+        const deposit = amount - withheldForTaxes;
+        let rothAccounts = this.getAccountsByType(accountBalances, 'roth').filter(acc => !acc.inherited);
+        if (rothAccounts.length === 0) {
+            // No Roth account yet - open one to receive the conversions
+            const rothAccount = { id: 'roth-conversions', name: 'Roth Conversions', type: 'roth', balance: 0, costBasis: null, interestRate: 0, ownerId: 'personA', rothContributions: 0, rothConversions: [], rothOpenedYear: year };
+            accountBalances.push(rothAccount);
+            rothAccounts = [rothAccount];
+        }
+        const rothTotal = rothAccounts.reduce((sum, acc) => sum + acc.balance, 0);
+        rothAccounts.forEach(acc => {
+            const proportion = rothTotal > 0 ? acc.balance / rothTotal : 1 / rothAccounts.length;
+            this.depositToAccount(acc, deposit * proportion, year);
+        });
+    }
+
+    calculateWithdrawal(year, totalAssets, initialAssets, previousWithdrawal, yearsSinceRetirement) {
+        const strategy = this.model.withdrawalStrategy;
+        const inflationSinceRetirement = this.getInflationFactor(year - yearsSinceRetirement, year);
+
+        // Only withdraw if we're at or past the withdrawal start year
+        if (year < strategy.withdrawalStartYear) {
+            return 0;
+        }
+
+        let withdrawal = 0;
+
+        switch (strategy.type) {
+            case 'tax_optimized':
+                // Use the same logic as fixed_percentage, but withdrawal execution
+                // will follow the tax-optimized sequence
+                if (strategy.inflationAdjusted) {
+                    const initialWithdrawal = initialAssets * (strategy.withdrawalPercentage / 100);
+                    withdrawal = initialWithdrawal * inflationSinceRetirement;
+                } else {
+                    withdrawal = totalAssets * (strategy.withdrawalPercentage / 100);
+                }
+                break;
+
+            case 'fixed_percentage':
+                if (strategy.inflationAdjusted) {
+                    // Traditional 4% rule: Take X% of initial portfolio in year 1,
+                    // then adjust that dollar amount for inflation each year
+                    const initialWithdrawal = initialAssets * (strategy.withdrawalPercentage / 100);
+                    withdrawal = initialWithdrawal * inflationSinceRetirement;
+                } else {
+                    // Variable percentage: Take X% of CURRENT portfolio each year
+                    // (more conservative, adjusts spending to portfolio performance)
+                    withdrawal = totalAssets * (strategy.withdrawalPercentage / 100);
                 }
                 break;
 
@@ -1285,7 +3749,7 @@ class ProjectionEngine {
                 // Fixed dollar amount, adjusted for inflation if enabled
                 withdrawal = strategy.fixedAmount;
                 if (strategy.inflationAdjusted && yearsSinceRetirement > 0) {
-                    withdrawal = strategy.fixedAmount * Math.pow(1 + inflation, yearsSinceRetirement);
+                    withdrawal = strategy.fixedAmount * inflationSinceRetirement;
                 }
                 break;
 
@@ -1296,7 +3760,7 @@ class ProjectionEngine {
                     withdrawal = totalAssets * (strategy.dynamicInitialRate / 100);
                 } else {
                     // Subsequent years: adjust based on guardrails
-                    const inflationAdjustedPrevious = previousWithdrawal * (1 + inflation);
+                    const inflationAdjustedPrevious = previousWithdrawal * this.getInflationFactor(year - 1, year);
                     const upperThreshold = initialAssets * (1 + strategy.dynamicUpperGuardrail / 100);
                     const lowerThreshold = initialAssets * (1 - strategy.dynamicLowerGuardrail / 100);
 
@@ -1340,112 +3804,402 @@ class ProjectionEngine {
         return table[age] || (age > 100 ? 6.4 : 26.5);
     }
 
-    calculateTaxes(income, filingStatus) {
-        // 2024 Federal Tax Brackets and Standard Deduction
-        // Note: These are fixed at 2024 levels and do not adjust for inflation
-        const standardDeduction = {
-            single: 14600,
-            married: 29200
-        };
+    getHouseholdAges(year) {
+        // Ages of each household member in the given year
+        const household = this.model.settings.household;
+        const ages = [year - household.personA.birthYear];
+        if (household.personB) {
+            ages.push(year - household.personB.birthYear);
+        }
+        return ages;
+    }
 
-        const brackets = {
-            single: [
-                { limit: 11600, rate: 0.10 },
-                { limit: 47150, rate: 0.12 },
-                { limit: 100525, rate: 0.22 },
-                { limit: 191950, rate: 0.24 },
-                { limit: 243725, rate: 0.32 },
-                { limit: 609350, rate: 0.35 },
-                { limit: Infinity, rate: 0.37 }
-            ],
-            married: [
-                { limit: 23200, rate: 0.10 },
-                { limit: 94300, rate: 0.12 },
-                { limit: 201050, rate: 0.22 },
-                { limit: 383900, rate: 0.24 },
-                { limit: 487450, rate: 0.32 },
-                { limit: 731200, rate: 0.35 },
-                { limit: Infinity, rate: 0.37 }
-            ]
+    getFilingStatusForYear(year) {
+        // Starting status, changed by wedding milestones and explicit filing status changes
+        // (applied in year order). A joint return can't be filed after the year a spouse dies,
+        // so 'married' falls back to 'single' unless a change (e.g. to 'qss') says otherwise.
+        const settings = this.model.settings;
+        let status = settings.filingStatus || 'single';
+        const changes = [
+            ...this.model.milestones
+                .filter(milestone => milestone.type === 'wedding')
+                .map(milestone => ({ year: parseInt(milestone.year), status: 'married' })),
+            ...(settings.filingStatusChanges || [])
+        ]
+            .filter(change => change.year && change.status)
+            .sort((a, b) => a.year - b.year);
+        for (const change of changes) {
+            if (year >= change.year) {
+                status = change.status;
+            }
+        }
+        if (status === 'mfs') {
+            // Married Filing Separately isn't modeled (it needs a return per spouse); older plans file jointly
+            status = 'married';
+        }
+
+        const personB = settings.household.personB;
+        if (status === 'married' && personB) {
+            const personA = settings.household.personA;
+            const firstDeathYear = Math.min(personA.birthYear + personA.lifeExpectancy, personB.birthYear + personB.lifeExpectancy);
+            if (year > firstDeathYear) {
+                status = 'single';
+            }
+        }
+        return status;
+    }
+
+    getStateForYear(year) {
+        // Starting state, overridden by the most recent move at or before this year
+        let state = this.model.settings.state || null;
+        const moves = (this.model.settings.stateChanges || [])
+            .filter(move => move.state && move.year)
+            .sort((a, b) => a.year - b.year);
+        for (const move of moves) {
+            if (year >= move.year) {
+                state = move.state;
+            }
+        }
+        return state;
+    }
+
+    calculateYearTaxes(year, components, filingStatus) {
+        // Single entry point for a year's income taxes
+        // components: { ordinaryIncome, capitalGains, socialSecurity, retirementIncome, interestIncome, deductions }
+        // ordinaryIncome includes all Social Security benefits (only the taxable portion is taxed) and
+        // interestIncome; capitalGains includes qualified dividends. deductions holds the year's
+        // itemizable expenses (see calculateItemizedDeductions) - without it the standard deduction applies
+        const federalOrdinaryIncome = this.getFederalOrdinaryIncome(components, filingStatus);
+        const taxableSocialSecurity = federalOrdinaryIncome - (components.ordinaryIncome - (components.socialSecurity || 0));
+        const capitalGains = components.capitalGains || 0;
+        const stateCode = this.getStateForYear(year);
+        const state = this.calculateStateTaxes(stateCode, year, { ...components, taxableSocialSecurity }, filingStatus);
+
+        // State income tax paid this year counts toward the SALT deduction
+        const agi = federalOrdinaryIncome + capitalGains;
+        const standardDeduction = this.getStandardDeduction(filingStatus, year);
+        const itemizedDeductions = components.deductions
+            ? this.calculateItemizedDeductions(year, components.deductions, agi, state, filingStatus)
+            : null;
+        const itemizes = !!itemizedDeductions && itemizedDeductions.total + this.getPersonalExemptions(filingStatus, year) > standardDeduction;
+        const deduction = itemizes ? itemizedDeductions.total + this.getPersonalExemptions(filingStatus, year) : standardDeduction;
+
+        const niit = this.calculateNetInvestmentIncomeTax(
+            agi,
+            capitalGains + (components.interestIncome || 0),
+            filingStatus
+        );
+        const federal = this.calculateTaxes(federalOrdinaryIncome, filingStatus, capitalGains, year, deduction) + niit;
+        return {
+            federal, // includes NIIT
+            state,
+            stateCode,
+            taxableSocialSecurity,
+            federalOrdinaryIncome,
+            niit,
+            deduction, // Federal deduction taken (incl. any personal exemptions)
+            itemizes,
+            itemizedDeductions,
+            total: federal + state
         };
+    }
 
-        // Apply standard deduction
-        const deduction = standardDeduction[filingStatus] || standardDeduction.single;
-        const taxableIncome = Math.max(0, income - deduction);
+    calculateNetInvestmentIncomeTax(magi, netInvestmentIncome, filingStatus) {
+        // 3.8% of the lesser of net investment income or MAGI over the (unindexed) threshold
+        const threshold = NET_INVESTMENT_INCOME_TAX.thresholds[filingStatus] || NET_INVESTMENT_INCOME_TAX.thresholds.single;
+        const base = Math.min(Math.max(0, netInvestmentIncome), Math.max(0, magi - threshold));
+        return base * NET_INVESTMENT_INCOME_TAX.rate;
+    }
+
+    getFederalOrdinaryIncome(components, filingStatus) {
+        // Ordinary income with Social Security replaced by its taxable portion
+        const socialSecurity = components.socialSecurity || 0;
+        const otherIncome = components.ordinaryIncome - socialSecurity;
+        return otherIncome + this.calculateTaxableSocialSecurity(socialSecurity, otherIncome + (components.capitalGains || 0), filingStatus);
+    }
+
+    calculateTaxableSocialSecurity(benefits, otherIncome, filingStatus) {
+        // Provisional income = other income + half of benefits. Below the first threshold nothing is
+        // taxable; between the thresholds up to 50%; above the second threshold up to 85%.
+        if (benefits <= 0) return 0;
+        const [base, adjustedBase] = (SOCIAL_SECURITY.taxationThresholds[filingStatus] || SOCIAL_SECURITY.taxationThresholds.single);
+        const provisionalIncome = otherIncome + benefits / 2;
+        if (provisionalIncome <= base) return 0;
+        if (provisionalIncome <= adjustedBase) {
+            return Math.min(benefits * 0.5, (provisionalIncome - base) * 0.5);
+        }
+        const firstTier = Math.min(benefits * 0.5, (adjustedBase - base) * 0.5);
+        return Math.min(benefits * 0.85, (provisionalIncome - adjustedBase) * 0.85 + firstTier);
+    }
+
+    calculateStateTaxes(stateCode, year, components, filingStatus) {
+        const table = stateCode ? STATE_TAX_TABLES[stateCode] : null;
+        if (!table || table.type === 'none') {
+            return 0;
+        }
+
+        // States without separate tables: surviving spouses use joint rates, HoH uses single
+        const status = filingStatus === 'married' || filingStatus === 'qss' ? 'married' : 'single';
+        const numFilers = filingStatus === 'married' ? 2 : 1;
+        const capitalGains = components.capitalGains || 0;
+        const socialSecurity = components.socialSecurity || 0;
+        const taxableSocialSecurity = components.taxableSocialSecurity ?? socialSecurity;
+        const retirementIncome = components.retirementIncome || 0;
+
+        // States start from federal AGI (which only includes the taxable part of Social Security);
+        // capital gains are taxed as ordinary income
+        const agi = components.ordinaryIncome - socialSecurity + taxableSocialSecurity + capitalGains;
+        let stateIncome = agi;
+
+        // Social Security exemption
+        const ssRule = table.socialSecurity || 'federal';
+        if (ssRule === 'exempt') {
+            stateIncome -= taxableSocialSecurity;
+        } else if (ssRule.exemptBelowAGI && agi <= ssRule.exemptBelowAGI[status]) {
+            stateIncome -= taxableSocialSecurity;
+        }
+
+        // Retirement income (pension / IRA / 401k) exclusion
+        const retirementRule = table.retirementExclusion;
+        if (retirementRule === 'full') {
+            stateIncome -= retirementIncome;
+        } else if (retirementRule && (!retirementRule.maxAGI || agi <= retirementRule.maxAGI[status])) {
+            const eligiblePeople = this.getHouseholdAges(year)
+                .slice(0, numFilers)
+                .filter(age => age >= retirementRule.minAge).length;
+            stateIncome -= Math.min(retirementIncome, retirementRule.amount * eligiblePeople);
+        }
+
+        const deduction = table.standardDeduction === 'federal'
+            ? this.getStandardDeduction(filingStatus, year)
+            : ((table.standardDeduction && table.standardDeduction[status]) || 0);
+        const exemptions = (table.personalExemption || 0) * numFilers;
+        const taxableIncome = Math.max(0, stateIncome - deduction - exemptions);
 
-        // If income is below standard deduction, no federal tax
         if (taxableIncome <= 0) {
             return 0;
         }
 
-        const applicableBrackets = brackets[filingStatus] || brackets.single;
+        if (table.type === 'flat') {
+            return taxableIncome * (table.rate / 100);
+        }
+
+        let tax = 0;
+        let previousLimit = 0;
+        for (const [limit, rate] of this.getStateBrackets(table, status)) {
+            if (taxableIncome <= previousLimit) break;
+            tax += (Math.min(taxableIncome, limit) - previousLimit) * (rate / 100);
+            previousLimit = limit;
+        }
+
+        return tax;
+    }
+
+    getStateBrackets(table, status) {
+        if (status !== 'married' || table.marriedBrackets === 'same') {
+            return table.brackets;
+        }
+        if (table.marriedBrackets === 'double') {
+            return table.brackets.map(([limit, rate]) => [limit * 2, rate]);
+        }
+        return table.marriedBrackets || table.brackets;
+    }
+
+    getFederalTaxTables(year = null) {
+        // Returns bracket/deduction tables for a projection year, indexed from the base year.
+        // Indexing follows settings.taxBracketIndexing: 'inflation' (settings.inflation),
+        // 'chained_cpi' (settings.chainedCpiRate) or 'none' (frozen at base-year dollars) - see getIndexFactor.
+        // If settings.tcjaSunsetYear is set, pre-2018 law applies from that year onward.
+        const settings = this.model.settings;
+        const taxYear = year || FEDERAL_TAX_TABLES.baseYear;
+        const sunset = settings.tcjaSunsetYear && taxYear >= settings.tcjaSunsetYear;
+        const factor = this.getIndexFactor(taxYear);
+
+        const cacheKey = `${taxYear}|${factor}|${sunset}`;
+        if (!this.taxTableCache) {
+            this.taxTableCache = new Map();
+        }
+        if (this.taxTableCache.has(cacheKey)) {
+            return this.taxTableCache.get(cacheKey);
+        }
+
+        const base = sunset ? FEDERAL_TAX_TABLES.preTCJA : FEDERAL_TAX_TABLES.current;
+        // IRS rounds indexed thresholds to $50
+        const index = (amount) => amount === Infinity ? Infinity : Math.round(amount * factor / 50) * 50;
+        const indexBrackets = (byStatus) => Object.fromEntries(
+            Object.entries(byStatus).map(([status, brackets]) => [
+                status,
+                brackets.map(bracket => ({ limit: index(bracket.limit), rate: bracket.rate }))
+            ])
+        );
+
+        const tables = {
+            law: sunset ? 'preTCJA' : 'current',
+            lawLabel: sunset ? 'Pre-2018 law (TCJA expired)' : 'Current law',
+            standardDeduction: Object.fromEntries(
+                Object.entries(base.standardDeduction).map(([status, amount]) => [status, index(amount)])
+            ),
+            personalExemption: index(base.personalExemption),
+            estateTaxExclusion: Math.round(FEDERAL_ESTATE_TAX.exclusion[sunset ? 'preTCJA' : 'current'] * factor / 10000) * 10000,
+            brackets: indexBrackets(base.brackets),
+            capitalGains: indexBrackets(base.capitalGains)
+        };
+
+        this.taxTableCache.set(cacheKey, tables);
+        return tables;
+    }
+
+    calculateTaxes(income, filingStatus, capitalGains = 0, year = null, deduction = null) {
+        // Federal income tax using the shared bracket table, indexed to the given year
+        const tables = this.getFederalTaxTables(year);
+
+        // Apply standard deduction (plus personal exemptions under pre-2018 law) unless the caller
+        // passes the year's deduction (itemized, see calculateYearTaxes)
+        deduction = deduction ?? this.getStandardDeduction(filingStatus, year);
+        const taxableIncome = Math.max(0, income - deduction);
+
+        // Any deduction not used up by ordinary income shelters capital gains
+        const unusedDeduction = Math.max(0, deduction - income);
+        const taxableGains = Math.max(0, capitalGains - unusedDeduction);
+
+        const applicableBrackets = tables.brackets[filingStatus] || tables.brackets.single;
         let tax = 0;
         let remainingIncome = taxableIncome;
         let previousLimit = 0;
 
         for (const bracket of applicableBrackets) {
+            if (remainingIncome <= 0) break;
             const taxableInBracket = Math.min(remainingIncome, bracket.limit - previousLimit);
             if (taxableInBracket <= 0) break;
 
             tax += taxableInBracket * bracket.rate;
             remainingIncome -= taxableInBracket;
             previousLimit = bracket.limit;
+        }
 
-            if (remainingIncome <= 0) break;
+        // Long-term capital gains are stacked on top of ordinary taxable income
+        tax += this.calculateCapitalGainsTax(taxableIncome, taxableGains, filingStatus, year);
+
+        return tax;
+    }
+
+    calculateCapitalGainsTax(ordinaryTaxableIncome, gains, filingStatus, year = null) {
+        // Long-Term Capital Gains Brackets (0% / 15% / 20%)
+        // Limits are on TOTAL taxable income - ordinary income fills the lower brackets first
+        if (gains <= 0) {
+            return 0;
+        }
+
+        const tables = this.getFederalTaxTables(year);
+        const applicableBrackets = tables.capitalGains[filingStatus] || tables.capitalGains.single;
+        let tax = 0;
+        let stackedIncome = ordinaryTaxableIncome;
+        let remainingGains = gains;
+
+        for (const bracket of applicableBrackets) {
+            if (remainingGains <= 0) break;
+            if (stackedIncome >= bracket.limit) continue;
+
+            const gainsInBracket = Math.min(remainingGains, bracket.limit - stackedIncome);
+            tax += gainsInBracket * bracket.rate;
+            remainingGains -= gainsInBracket;
+            stackedIncome += gainsInBracket;
         }
 
         return tax;
     }
 
-    getStandardDeduction(filingStatus) {
-        // 2024 Federal Standard Deductions
-        const standardDeduction = {
-            single: 14600,
-            married: 29200
+    getTaxByBracket(income, filingStatus, capitalGains = 0, year = null, deduction = null) {
+        // The calculateTaxes result split by bracket: [{ kind: 'ordinary' | 'capitalGains', rate, amount, tax }]
+        const tables = this.getFederalTaxTables(year);
+        deduction = deduction ?? this.getStandardDeduction(filingStatus, year);
+        const taxableIncome = Math.max(0, income - deduction);
+        const taxableGains = Math.max(0, capitalGains - Math.max(0, deduction - income));
+        const rows = [];
+
+        let previousLimit = 0;
+        for (const bracket of tables.brackets[filingStatus] || tables.brackets.single) {
+            const amount = Math.min(taxableIncome, bracket.limit) - previousLimit;
+            if (amount <= 0) break;
+            rows.push({ kind: 'ordinary', rate: bracket.rate, amount, tax: amount * bracket.rate });
+            previousLimit = bracket.limit;
+        }
+
+        // Gains stack on top of ordinary taxable income
+        let stackedIncome = taxableIncome;
+        let remainingGains = taxableGains;
+        for (const bracket of tables.capitalGains[filingStatus] || tables.capitalGains.single) {
+            if (remainingGains <= 0) break;
+            if (stackedIncome >= bracket.limit) continue;
+            const amount = Math.min(remainingGains, bracket.limit - stackedIncome);
+            rows.push({ kind: 'capitalGains', rate: bracket.rate, amount, tax: amount * bracket.rate });
+            remainingGains -= amount;
+            stackedIncome += amount;
+        }
+        return rows;
+    }
+
+    getStandardDeduction(filingStatus, year = null) {
+        // Standard deduction for the year (pre-2018 law adds personal exemptions)
+        const tables = this.getFederalTaxTables(year);
+        const standardDeduction = tables.standardDeduction[filingStatus] || tables.standardDeduction.single;
+        return standardDeduction + this.getPersonalExemptions(filingStatus, year);
+    }
+
+    getPersonalExemptions(filingStatus, year = null) {
+        // Zero under current law
+        const numExemptions = filingStatus === 'married' ? 2 : 1;
+        return this.getFederalTaxTables(year).personalExemption * numExemptions;
+    }
+
+    calculateItemizedDeductions(year, expenses, agi, stateIncomeTax, filingStatus) {
+        // expenses: { mortgageInterest, mortgageBalance, propertyTax, charitable, charitableProperty, medical } for the year
+        // (charitable = cash gifts incl. DAF contributions; charitableProperty = appreciated shares at market value)
+        // Returns the Schedule A total and its lines after the SALT cap, debt limit and AGI floors
+        const law = this.getFederalTaxTables(year).law;
+        const debtLimit = ITEMIZED_DEDUCTIONS.mortgageDebtLimit[law];
+        const mortgageBalance = expenses.mortgageBalance || 0;
+        const mortgageInterest = (expenses.mortgageInterest || 0) * (mortgageBalance > debtLimit ? debtLimit / mortgageBalance : 1);
+
+        const stateAndLocalTaxes = (expenses.propertyTax || 0) + Math.max(0, stateIncomeTax);
+        const salt = Math.min(stateAndLocalTaxes, ITEMIZED_DEDUCTIONS.saltCap[law]);
+
+        const cashLimit = Math.max(0, agi) * ITEMIZED_DEDUCTIONS.charitableAgiLimit;
+        const cashGifts = Math.min(expenses.charitable || 0, cashLimit);
+        const propertyGifts = Math.min(expenses.charitableProperty || 0, Math.max(0, agi) * ITEMIZED_DEDUCTIONS.propertyAgiLimit, cashLimit - cashGifts);
+        const charitable = cashGifts + propertyGifts;
+        const medical = Math.max(0, (expenses.medical || 0) - Math.max(0, agi) * ITEMIZED_DEDUCTIONS.medicalAgiFloor);
+
+        return {
+            mortgageInterest,
+            salt,
+            saltLost: stateAndLocalTaxes - salt, // Above the cap
+            charitable,
+            medical,
+            total: mortgageInterest + salt + charitable + medical
         };
-        return standardDeduction[filingStatus] || standardDeduction.single;
     }
 
-    getMarginalTaxBracket(income, filingStatus) {
-        // Returns the marginal tax rate (highest bracket that applies)
-        const standardDeduction = this.getStandardDeduction(filingStatus);
+    getMarginalTaxBracket(income, filingStatus, year = null) {
+        // Returns the marginal tax rate (highest bracket that applies) as a percentage
+        const standardDeduction = this.getStandardDeduction(filingStatus, year);
         const taxableIncome = Math.max(0, income - standardDeduction);
 
         if (taxableIncome <= 0) {
             return 0;
         }
 
-        const brackets = {
-            single: [
-                { limit: 11600, rate: 10 },
-                { limit: 47150, rate: 12 },
-                { limit: 100525, rate: 22 },
-                { limit: 191950, rate: 24 },
-                { limit: 243725, rate: 32 },
-                { limit: 609350, rate: 35 },
-                { limit: Infinity, rate: 37 }
-            ],
-            married: [
-                { limit: 23200, rate: 10 },
-                { limit: 94300, rate: 12 },
-                { limit: 201050, rate: 22 },
-                { limit: 383900, rate: 24 },
-                { limit: 487450, rate: 32 },
-                { limit: 731200, rate: 35 },
-                { limit: Infinity, rate: 37 }
-            ]
-        };
-
-        const applicableBrackets = brackets[filingStatus] || brackets.single;
+        const tables = this.getFederalTaxTables(year);
+        const applicableBrackets = tables.brackets[filingStatus] || tables.brackets.single;
 
         // Find the highest bracket that the income reaches
         for (const bracket of applicableBrackets) {
             if (taxableIncome <= bracket.limit) {
-                return bracket.rate;
+                return Math.round(bracket.rate * 1000) / 10;
             }
         }
 
-        return 37; // Top bracket
+        return Math.round(applicableBrackets[applicableBrackets.length - 1].rate * 1000) / 10; // Top bracket
     }
 
     calculateCreditCardPaymentForYear(card, year) {
@@ -1624,6 +4378,106 @@ class ProjectionEngine {
         };
     }
 
+    calculateMortgageInterestForYear(property, year) {
+        // Interest paid over the 12 monthly payments of this year (Form 1098)
+        let balance = this.calculateMortgageBalanceForYear(property, year).balance;
+        const monthlyRate = property.interestRate / 100 / 12;
+        let interestPaid = 0;
+        for (let m = 0; m < 12 && balance > 0; m++) {
+            const interest = balance * monthlyRate;
+            interestPaid += interest;
+            balance -= property.monthlyPayment - interest;
+        }
+        return interestPaid;
+    }
+
+    getScheduledCharitableGiving(year) {
+        // Expenses in the charitable category for the year (before bunching), by how they're given:
+        // cash, qcd (from an IRA), shares (appreciated taxable shares) or daf (donor-advised fund contribution)
+        const giving = { cash: 0, qcd: 0, shares: 0, daf: 0 };
+        this.model.expenses.forEach(expense => {
+            if (expense.category !== 'charitable' || year < expense.startYear || (expense.endYear && year > expense.endYear)) return;
+            const adjustedAmount = expense.amount * this.getGrowthFactor(expense.growth, expense.startYear, year);
+            const source = giving[expense.givingSource] !== undefined ? expense.givingSource : 'cash';
+            giving[source] += expense.frequency === 'monthly' ? adjustedAmount * 12 : adjustedAmount;
+        });
+        return giving;
+    }
+
+    getCharitableGivingForYear(year) {
+        // Bunching: give several years' worth at once in the first year of each cycle (and nothing in
+        // between) so the gifts clear the standard deduction at least every other year.
+        // QCDs aren't bunched (they never itemize); grants out of a donor-advised fund keep the original schedule.
+        const scheduled = this.getScheduledCharitableGiving(year);
+        const giving = { ...scheduled, dafGrants: scheduled.daf };
+        const bunching = this.model.settings.charitableBunching;
+        const startYear = bunching?.startYear || this.model.settings.planStartYear;
+        if (!bunching?.enabled || year < startYear) {
+            return giving;
+        }
+        const interval = Math.max(2, bunching.interval || 2);
+        const bunched = ['cash', 'shares', 'daf'];
+        bunched.forEach(source => { giving[source] = 0; });
+        if ((year - startYear) % interval === 0) {
+            for (let i = 0; i < interval; i++) {
+                const future = this.getScheduledCharitableGiving(year + i);
+                bunched.forEach(source => { giving[source] += future[source]; });
+            }
+        }
+        return giving;
+    }
+
+    getQcdLimit(year) {
+        // Per-owner annual QCD limit, indexed from the base year
+        const yearsIndexed = Math.max(0, year - QUALIFIED_CHARITABLE_DISTRIBUTIONS.baseYear);
+        const factor = this.getInflationFactor(year - yearsIndexed, year);
+        return Math.round(QUALIFIED_CHARITABLE_DISTRIBUTIONS.annualLimit * factor / 1000) * 1000;
+    }
+
+    takeQualifiedCharitableDistributions(accountBalances, amount, year) {
+        // Send up to `amount` from the IRAs of owners past 70½ (per-owner limit); returns the amount given
+        if (amount <= 0) return 0;
+        const limit = this.getQcdLimit(year);
+        const givenByOwner = {};
+        let given = 0;
+        accountBalances
+            .filter(acc => acc.type === 'traditional' && !acc.employerPlan && acc.balance > 0 &&
+                this.getAccountOwnerAge(acc, year) > QUALIFIED_CHARITABLE_DISTRIBUTIONS.minimumAge)
+            .forEach(acc => {
+                const room = limit - (givenByOwner[acc.ownerId] || 0);
+                const take = Math.min(amount - given, acc.balance, room);
+                if (take <= 0) return;
+                this.withdrawFromAccount(acc, take);
+                this.noteAccountActivity(acc, 'qcd', take);
+                if (acc.inherited) this.noteInheritedWithdrawal(acc, take, year);
+                givenByOwner[acc.ownerId] = (givenByOwner[acc.ownerId] || 0) + take;
+                given += take;
+            });
+        return given;
+    }
+
+    giftAppreciatedShares(accountBalances, amount) {
+        // Donate taxable shares, most-appreciated accounts first. The gain is never realized; the
+        // basis of the donated shares leaves with them. Returns { gifted, avoidedGain }
+        let gifted = 0;
+        let avoidedGain = 0;
+        if (amount <= 0) return { gifted, avoidedGain };
+        const gainRatio = (acc) => acc.balance > 0 ? 1 - Math.min(1, (acc.costBasis || 0) / acc.balance) : 0;
+        this.getAccountsByType(accountBalances, 'taxable')
+            .filter(acc => acc.balance > 0)
+            .sort((a, b) => gainRatio(b) - gainRatio(a))
+            .forEach(acc => {
+                const take = Math.min(amount - gifted, acc.balance);
+                if (take <= 0) return;
+                const basisGiven = take * Math.min(1, (acc.costBasis || 0) / acc.balance);
+                acc.costBasis = Math.max(0, (acc.costBasis || 0) - basisGiven);
+                acc.balance -= take;
+                gifted += take;
+                avoidedGain += take - basisGiven;
+            });
+        return { gifted, avoidedGain };
+    }
+
     calculateDebtCostsForYear(year) {
         let totalPayment = 0;
         let totalInterest = 0;
@@ -1679,17 +4533,49 @@ class MonteCarloSimulator {
 
         return {
             expectedReturn: applicableSegment?.expectedReturn ?? defaultReturn,
-            volatility: applicableSegment?.volatility ?? defaultVolatility
+            volatility: applicableSegment?.volatility ?? defaultVolatility,
+            distribution: applicableSegment?.distribution || 'normal',
+            degreesOfFreedom: applicableSegment?.degreesOfFreedom,
+            skew: applicableSegment?.skew
+        };
+    }
+
+    // Seeded uniform random numbers in [0, 1) (mulberry32) - the same seed always gives the same sequence
+    createRandom(seed) {
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
         };
     }
 
-    runSimulation(numSimulations, expectedReturn, volatility, years = 40) {
+    // A new seed for a run that doesn't have one yet
+    generateSeed() {
+        return Math.floor(Math.random() * 999999999) + 1;
+    }
+
+    runSimulation(numSimulations, expectedReturn, volatility, years = 40, seed = this.generateSeed()) {
+        return this.analyzeResults(this.simulatePaths(numSimulations, expectedReturn, volatility, years, seed));
+    }
+
+    // Runs the projection once per simulation and returns each path's yearly results. Simulation n always gets
+    // the same random stream for a given seed, so two plans run with the same seed see the same markets
+    // (common random numbers) and their differences come from the plans, not from sampling noise.
+    // firstSimulation numbers a batch, so a run split across Web Workers matches the same run done in one go.
+    simulatePaths(numSimulations, expectedReturn, volatility, years = 40, seed = this.generateSeed(), firstSimulation = 0) {
         const results = [];
 
         // Save original glide path - deep clone to avoid mutation
         const originalGlidePath = JSON.parse(JSON.stringify(this.model.investmentGlidePath));
 
-        for (let sim = 0; sim < numSimulations; sim++) {
+        for (let sim = firstSimulation; sim < firstSimulation + numSimulations; sim++) {
+            const random = this.createRandom(seed + Math.imul(sim + 1, 0x9E3779B1));
+            const historyYears = this.model.settings.monteCarlo?.returnModel === 'bootstrap' ? this.drawBootstrapYears(random, years + 1) : null;
+            const inflationPath = historyYears ? {} : null;
+
             // Generate random returns for each year matching the glide path structure
             const currentYear = this.model.settings.planStartYear;
             const randomGlidePath = [];
@@ -1697,24 +4583,29 @@ class MonteCarloSimulator {
             for (let i = 0; i <= years; i++) {
                 const year = currentYear + i;
 
-                // Get the base expected return and volatility for this year
-                const { expectedReturn: yearReturn, volatility: yearVolatility} = this.getReturnForYear(year, expectedReturn, volatility);
+                // Get the base expected return, volatility and distribution for this year
+                const period = this.getReturnForYear(year, expectedReturn, volatility);
 
-                // Generate random return using Box-Muller transform for normal distribution
-                const u1 = Math.random();
-                const u2 = Math.random();
-                const normalRandom = Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
-                const randomReturn = yearReturn + (normalRandom * yearVolatility);
+                // Bootstrap: a year of history - the stock/bond mix's actual return, with that year's CPI as this
+                // path's inflation; otherwise a draw from the period's distribution
+                let randomReturn;
+                if (historyYears) {
+                    randomReturn = this.getHistoricalReturn(historyYears[i], (this.model.settings.monteCarlo.stockPercent ?? 60) / 100) * 100;
+                    inflationPath[year] = HISTORICAL_RETURNS.inflation[historyYears[i]];
+                } else {
+                    randomReturn = this.drawReturn(random, period);
+                }
 
                 randomGlidePath.push({
                     startYear: year,
                     expectedReturn: randomReturn,
-                    volatility: yearVolatility
+                    volatility: period.volatility
                 });
             }
 
-            // Temporarily replace the glide path with our random one
+            // Temporarily replace the glide path (and, for the bootstrap, inflation) with our random one
             this.model.investmentGlidePath = randomGlidePath;
+            this.model.inflationPath = inflationPath;
 
             // Run the ACTUAL projection engine with random returns
             // CRITICAL: Create projection with current state
@@ -1722,6 +4613,7 @@ class MonteCarloSimulator {
 
             // IMMEDIATELY restore original glide path before next iteration
             this.model.investmentGlidePath = JSON.parse(JSON.stringify(originalGlidePath));
+            this.model.inflationPath = null;
 
             // Extract results and validate
             const simResults = projection.map(p => ({
@@ -1734,7 +4626,7 @@ class MonteCarloSimulator {
 
             // Debug logging for first simulation
             if (sim === 0) {
-                console.log(`Simulation ${sim} final netWorth:`, simResults[simResults.length - 1].netWorth);
+                console.log(`Simulation ${sim} (seed ${seed}) final netWorth:`, simResults[simResults.length - 1].netWorth);
             }
 
             results.push(simResults);
@@ -1743,7 +4635,193 @@ class MonteCarloSimulator {
         // Final restore of original glide path (redundant but safe)
         this.model.investmentGlidePath = originalGlidePath;
 
-        return this.analyzeResults(results);
+        return results;
+    }
+
+    // One year's return (%) for a glide path period, drawn from its distribution (see RETURN_DISTRIBUTIONS)
+    drawReturn(random, period) {
+        if (period.distribution !== 'lognormal' && period.distribution !== 'student_t') {
+            return period.expectedReturn + (this.drawStandardNormal(random) * period.volatility);
+        }
+
+        const { logMean, logVolatility } = this.getLogReturnParameters(period.expectedReturn, period.volatility);
+        const maxShock = RETURN_DISTRIBUTIONS.student_t.maxShock;
+        const shock = period.distribution === 'student_t'
+            ? Math.min(maxShock, Math.max(-maxShock, this.drawSkewedStudentT(random, period.degreesOfFreedom, period.skew)))
+            : this.drawStandardNormal(random);
+        return (Math.exp(logMean + logVolatility * shock) - 1) * 100;
+    }
+
+    // Mean and standard deviation of log(1 + return) for a lognormal whose geometric average is expectedReturn
+    // and whose yearly returns have a standard deviation of volatility (both %)
+    getLogReturnParameters(expectedReturn, volatility) {
+        const growth = 1 + expectedReturn / 100;
+        const variance = Math.pow(volatility / 100, 2);
+        // Var(1 + R) = growth² · e^(s²) · (e^(s²) - 1), solved for e^(s²)
+        const x = (1 + Math.sqrt(1 + 4 * variance / (growth * growth))) / 2;
+        return { logMean: Math.log(growth), logVolatility: Math.sqrt(Math.log(x)) };
+    }
+
+    // Box-Muller transform for a standard normal draw (1 - u keeps u1 above zero so the log is finite)
+    drawStandardNormal(random) {
+        const u1 = 1 - random();
+        const u2 = random();
+        return Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
+    }
+
+    // Student-t draw rescaled to mean 0 and standard deviation 1, optionally skewed (Fernandez-Steel:
+    // the positive side is stretched by skew and the negative side by 1 / skew)
+    drawSkewedStudentT(random, degreesOfFreedom, skew) {
+        const limits = RETURN_DISTRIBUTIONS.student_t;
+        const nu = Math.min(limits.maxDegreesOfFreedom, Math.max(limits.minDegreesOfFreedom, degreesOfFreedom ?? limits.defaultDegreesOfFreedom));
+        const g = Math.min(limits.maxSkew, Math.max(limits.minSkew, skew ?? limits.defaultSkew));
+
+        // t = Z / sqrt(chi-square(nu) / nu), with chi-square(nu) = 2 · Gamma(nu / 2)
+        const t = this.drawStandardNormal(random) / Math.sqrt(2 * this.drawGamma(random, nu / 2) / nu);
+        if (g === 1) return t * Math.sqrt((nu - 2) / nu);
+
+        const skewed = random() < g * g / (1 + g * g) ? Math.abs(t) * g : -Math.abs(t) / g;
+        const absMean = 2 * Math.sqrt(nu) * Math.exp(this.logGamma((nu + 1) / 2) - this.logGamma(nu / 2)) / (Math.sqrt(Math.PI) * (nu - 1));
+        const mean = absMean * (g - 1 / g);
+        const variance = nu / (nu - 2) * (Math.pow(g, 3) + Math.pow(g, -3)) / (g + 1 / g) - mean * mean;
+        return (skewed - mean) / Math.sqrt(variance);
+    }
+
+    // Gamma(shape, 1) draw for shape >= 1 (Marsaglia-Tsang)
+    drawGamma(random, shape) {
+        const d = shape - 1 / 3;
+        const c = 1 / Math.sqrt(9 * d);
+        while (true) {
+            let x, v;
+            do {
+                x = this.drawStandardNormal(random);
+                v = 1 + c * x;
+            } while (v <= 0);
+            v = v * v * v;
+            if (Math.log(1 - random()) < 0.5 * x * x + d - d * v + d * Math.log(v)) return d * v;
+        }
+    }
+
+    // Natural log of the gamma function (Lanczos approximation)
+    logGamma(x) {
+        const coefficients = [76.18009172947146, -86.50532032941677, 24.01409824083091, -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5];
+        let y = x;
+        const tmp = x + 5.5 - (x + 0.5) * Math.log(x + 5.5);
+        let series = 1.000000000190015;
+        coefficients.forEach(coefficient => { series += coefficient / ++y; });
+        return -tmp + Math.log(2.5066282746310005 * series / x);
+    }
+
+    // Years of history for the bootstrap, one per projection year. Circular block bootstrap - random starting
+    // years, each followed by the next blockLength - 1 years (wrapping from the last year back to the first), so
+    // each year's returns and CPI stay together and streaks arrive in the order they happened
+    drawBootstrapYears(random, count) {
+        const blockLength = Math.max(1, Math.round(this.model.settings.monteCarlo?.blockLength || 5));
+        const history = Object.keys(HISTORICAL_RETURNS.stocks).map(Number).sort((a, b) => a - b);
+        const drawn = [];
+        while (drawn.length < count) {
+            const start = Math.floor(random() * history.length);
+            for (let k = 0; k < Math.min(blockLength, history.length) && drawn.length < count; k++) {
+                drawn.push(history[(start + k) % history.length]);
+            }
+        }
+        return drawn;
+    }
+
+    // Nominal return of a stock/bond mix rebalanced annually, as a decimal
+    getHistoricalReturn(historyYear, stockShare) {
+        stockShare = Math.min(1, Math.max(0, stockShare));
+        return stockShare * HISTORICAL_RETURNS.stocks[historyYear] / 100 + (1 - stockShare) * HISTORICAL_RETURNS.bonds[historyYear] / 100;
+    }
+
+    // Historical backtest: replays every complete stretch of HISTORICAL_RETURNS starting in the plan's first
+    // retirement year (before that, the glide path's expected returns and the plan's inflation rate apply). Each
+    // replayed year earns the stock/bond mix's actual return, rebalanced annually, and its CPI becomes the plan's
+    // inflation through model.inflationPath - as in the bootstrap - so spending, incomes, Social Security and tax
+    // brackets follow history's prices. Cash accounts keep their own interest rate. A start year fails if liquid
+    // net worth runs out in any year from retirement on. The cycles can be run one at a time (see
+    // UIController.runHistoricalBacktest) or all at once with runHistoricalBacktest.
+    getHistoricalBacktestSetup(stockPercent = 60, years = 40) {
+        const planStartYear = this.model.settings.planStartYear;
+        const retirementYear = Math.min(Math.max(this.engine.getWithdrawalStartYear(), planStartYear), planStartYear + years);
+        const span = planStartYear + years - retirementYear + 1; // years replayed from history
+        const historyYears = Object.keys(HISTORICAL_RETURNS.stocks).map(Number).sort((a, b) => a - b);
+        const firstHistoryYear = historyYears[0];
+        const lastHistoryYear = historyYears[historyYears.length - 1];
+        return {
+            years,
+            retirementYear,
+            span,
+            stockShare: Math.min(100, Math.max(0, stockPercent)) / 100,
+            firstHistoryYear,
+            lastHistoryYear,
+            startYears: historyYears.filter(startYear => startYear + span - 1 <= lastHistoryYear)
+        };
+    }
+
+    runHistoricalBacktestCycle(setup, startYear) {
+        const { years, retirementYear, span, stockShare } = setup;
+        const planStartYear = this.model.settings.planStartYear;
+        const historicalGlidePath = [];
+        const inflationPath = {};
+        for (let i = 0; i <= years; i++) {
+            const year = planStartYear + i;
+            let expectedReturn;
+            if (year < retirementYear) {
+                expectedReturn = this.getReturnForYear(year, 7, 15).expectedReturn;
+            } else {
+                const historyYear = startYear + (year - retirementYear);
+                expectedReturn = this.getHistoricalReturn(historyYear, stockShare) * 100;
+                inflationPath[year] = HISTORICAL_RETURNS.inflation[historyYear];
+            }
+            historicalGlidePath.push({ startYear: year, expectedReturn, volatility: 0 });
+        }
+
+        // Save original glide path - deep clone to avoid mutation
+        const originalGlidePath = JSON.parse(JSON.stringify(this.model.investmentGlidePath));
+        this.model.investmentGlidePath = historicalGlidePath;
+        this.model.inflationPath = inflationPath;
+        const projection = this.engine.projectNetWorth(years);
+
+        // Liquid net worth in today's dollars (deflated by the replayed CPI)
+        const path = projection.map(p => {
+            const liquid = isNaN(p.netWorth) || !isFinite(p.netWorth) ? 0 : p.netWorth - (p.homeEquity || 0);
+            return { year: p.year, liquid, realLiquid: liquid / this.engine.getInflationFactor(planStartYear, p.year) };
+        });
+        this.model.investmentGlidePath = originalGlidePath;
+        this.model.inflationPath = null;
+
+        const retired = path.filter(p => p.year >= retirementYear);
+        const depleted = retired.find(p => p.liquid <= 0);
+        return {
+            startYear,
+            endYear: startYear + span - 1,
+            success: !depleted,
+            depletedYear: depleted ? depleted.year : null, // plan year the money ran out
+            endingRealLiquid: path[path.length - 1].realLiquid,
+            lowestRealLiquid: Math.min(...retired.map(p => p.realLiquid)),
+            path
+        };
+    }
+
+    summarizeHistoricalBacktest(setup, cycles) {
+        return {
+            retirementYear: setup.retirementYear,
+            span: setup.span,
+            stockPercent: setup.stockShare * 100,
+            firstHistoryYear: setup.firstHistoryYear,
+            lastHistoryYear: setup.lastHistoryYear,
+            cycles,
+            successRate: cycles.length > 0 ? cycles.filter(c => c.success).length / cycles.length * 100 : 0,
+            // Failures first (earliest to run out), then the smallest real ending balances
+            worst: [...cycles].sort((a, b) =>
+                (a.success - b.success) || ((a.depletedYear ?? Infinity) - (b.depletedYear ?? Infinity)) || (a.endingRealLiquid - b.endingRealLiquid))
+        };
+    }
+
+    runHistoricalBacktest(stockPercent = 60, years = 40) {
+        const setup = this.getHistoricalBacktestSetup(stockPercent, years);
+        return this.summarizeHistoricalBacktest(setup, setup.startYears.map(startYear => this.runHistoricalBacktestCycle(setup, startYear)));
     }
 
     // OLD MONTE CARLO CODE - KEEPING FOR REFERENCE BUT NOT USED
@@ -1835,7 +4913,7 @@ class MonteCarloSimulator {
                 });
 
                 // Calculate taxes on income
-                const filingStatus = this.model.settings.filingStatus;
+                const filingStatus = this.engine.getFilingStatusForYear(year);
                 const annualTaxes = this.engine.calculateTaxes(annualIncome, filingStatus);
 
                 // Calculate withdrawal if applicable
@@ -1924,6 +5002,7 @@ class UIController {
         this.simulator = new MonteCarloSimulator(this.model, this.projectionEngine);
         this.charts = {};
         this.currentScenarioId = null; // Track which scenario is currently loaded (null = base plan)
+        this.monteCarloShown = null; // { seed, returnModel, completed } of the Monte Carlo results on screen
 
         this.initializeEventListeners();
         this.initializeCharts();
@@ -1961,6 +5040,12 @@ class UIController {
 
         // Account management
         document.getElementById('addAccountBtn').addEventListener('click', () => this.showAccountModal());
+        document.getElementById('overflowAccount').addEventListener('change', (e) => {
+            const id = parseFloat(e.target.value);
+            this.model.settings.overflowAccountId = isNaN(id) ? null : id;
+            this.updateDashboard();
+            this.saveData();
+        });
 
         // Income management
         document.getElementById('addIncomeBtn').addEventListener('click', () => this.showIncomeModal());
@@ -1998,6 +5083,13 @@ class UIController {
 
         // Simulation
         document.getElementById('runSimulationBtn').addEventListener('click', () => this.runMonteCarlo());
+        document.getElementById('cancelSimulationBtn').addEventListener('click', () => this.cancelMonteCarlo());
+        document.getElementById('runHistoricalBacktestBtn').addEventListener('click', () => this.runHistoricalBacktest());
+        document.getElementById('compareReturnModelsBtn').addEventListener('click', () => this.runReturnModelComparison());
+        document.getElementById('monteCarloReturnModel').addEventListener('change', () => this.toggleReturnModelOptions());
+        document.getElementById('newSeedBtn').addEventListener('click', () => {
+            document.getElementById('monteCarloSeed').value = this.simulator.generateSeed();
+        });
 
         // Stress test buttons
         document.getElementById('stressTest2008').addEventListener('click', () => this.runStressTest('2008'));
@@ -2025,6 +5117,7 @@ class UIController {
 
         // Tax projections
         document.getElementById('updateTaxProjectionsBtn').addEventListener('click', () => this.updateTaxProjections());
+        document.getElementById('form1040Year').addEventListener('change', (e) => this.renderForm1040(parseInt(e.target.value)));
 
         // Future Sankey diagram
         document.getElementById('updateFutureSankeyBtn').addEventListener('click', () => this.updateFutureSankey());
@@ -2032,13 +5125,19 @@ class UIController {
         // Withdrawal strategy
         document.getElementById('withdrawalStrategy').addEventListener('change', (e) => this.toggleWithdrawalSettings(e.target.value));
         document.getElementById('saveWithdrawalStrategyBtn').addEventListener('click', () => this.saveWithdrawalStrategy());
+        document.getElementById('rothConversionEnabled').addEventListener('change', () => this.toggleRothConversionSettings());
+        document.getElementById('rothConversionStrategy').addEventListener('change', () => this.toggleRothConversionSettings());
+        document.getElementById('runWithdrawalOptimizerBtn').addEventListener('click', () => this.runWithdrawalOptimizer());
 
         // Scenario management
         document.getElementById('saveScenarioBtn').addEventListener('click', () => this.saveScenario());
+        document.getElementById('compareScenariosMonteCarloBtn').addEventListener('click', () => this.runScenarioMonteCarloComparison());
         document.getElementById('clearScenariosBtn').addEventListener('click', () => this.clearScenarios());
 
         // Settings
         document.getElementById('saveSettingsBtn').addEventListener('click', () => this.saveSettings());
+        document.getElementById('addStateChangeBtn').addEventListener('click', () => this.addStateChangeRow());
+        document.getElementById('addFilingStatusChangeBtn').addEventListener('click', () => this.addFilingStatusChangeRow());
         document.getElementById('enablePersonB').addEventListener('change', (e) => this.togglePersonB(e.target.checked));
 
         // Auto-calculate ages when birth year or retirement year changes
@@ -2050,14 +5149,15 @@ class UIController {
         });
 
         // Retirement income toggles
-        document.getElementById('personASocialSecurityEnabled').addEventListener('change', (e) => {
-            document.getElementById('personASocialSecurityAmount').disabled = !e.target.checked;
-            document.getElementById('personASocialSecurityStartAge').disabled = !e.target.checked;
-        });
-        document.getElementById('personBSocialSecurityEnabled').addEventListener('change', (e) => {
-            document.getElementById('personBSocialSecurityAmount').disabled = !e.target.checked;
-            document.getElementById('personBSocialSecurityStartAge').disabled = !e.target.checked;
+        ['personA', 'personB'].forEach(personId => {
+            document.getElementById(`${personId}SocialSecurityEnabled`).addEventListener('change', (e) => {
+                this.setSocialSecurityFieldsDisabled(personId, !e.target.checked);
+            });
+            document.getElementById(`${personId}SocialSecurityMethod`).addEventListener('change', () => {
+                this.toggleSocialSecurityMethod(personId);
+            });
         });
+        document.getElementById('optimizeSocialSecurityBtn').addEventListener('click', () => this.showSocialSecurityOptimizer());
         document.getElementById('pensionEnabled').addEventListener('change', (e) => {
             const disabled = !e.target.checked;
             document.getElementById('pensionOwner').disabled = disabled;
@@ -2089,6 +5189,7 @@ class UIController {
             this.loadSettings();
         } else if (tabName === 'simulation') {
             this.updateGlidePathList();
+            this.loadMonteCarloSettings();
         } else if (tabName === 'withdrawal') {
             this.loadWithdrawalSettings();
         } else if (tabName === 'scenarios') {
@@ -2111,7 +5212,15 @@ class UIController {
         document.getElementById('planStartYear').value = settings.planStartYear;
         document.getElementById('projectionHorizon').value = settings.projectionHorizon;
         document.getElementById('inflationRate').value = settings.inflation;
-        document.getElementById('householdFilingStatus').value = settings.filingStatus;
+        document.getElementById('householdFilingStatus').value = settings.filingStatus === 'mfs' ? 'married' : settings.filingStatus;
+        this.populateStateSelect(document.getElementById('householdState'), settings.state, true);
+        document.getElementById('taxBracketIndexing').value = settings.taxBracketIndexing || 'inflation';
+        document.getElementById('chainedCpiRate').value = settings.chainedCpiRate ?? 2.5;
+        document.getElementById('tcjaSunsetYear').value = settings.tcjaSunsetYear || '';
+        document.getElementById('stateChangesList').innerHTML = '';
+        (settings.stateChanges || []).forEach(move => this.addStateChangeRow(move));
+        document.getElementById('filingStatusChangesList').innerHTML = '';
+        (settings.filingStatusChanges || []).forEach(change => this.addFilingStatusChangeRow(change));
 
         // Person A
         document.getElementById('personAName').value = settings.household.personA.name;
@@ -2134,23 +5243,14 @@ class UIController {
         }
 
         // Retirement Income - Person A Social Security
-        const personASS = settings.household.personA.socialSecurity || { enabled: false, annualAmount: 0, startAge: 67 };
-        document.getElementById('personASocialSecurityEnabled').checked = personASS.enabled;
-        document.getElementById('personASocialSecurityAmount').value = personASS.annualAmount;
-        document.getElementById('personASocialSecurityAmount').disabled = !personASS.enabled;
-        document.getElementById('personASocialSecurityStartAge').value = personASS.startAge;
-        document.getElementById('personASocialSecurityStartAge').disabled = !personASS.enabled;
+        this.loadSocialSecurityFields('personA', settings.household.personA.socialSecurity);
 
         // Retirement Income - Person B Social Security
         document.getElementById('personBRetirementIncome').style.display = hasPersonB ? 'block' : 'none';
         if (hasPersonB) {
-            const personBSS = settings.household.personB.socialSecurity || { enabled: false, annualAmount: 0, startAge: 67 };
-            document.getElementById('personBSocialSecurityEnabled').checked = personBSS.enabled;
-            document.getElementById('personBSocialSecurityAmount').value = personBSS.annualAmount;
-            document.getElementById('personBSocialSecurityAmount').disabled = !personBSS.enabled;
-            document.getElementById('personBSocialSecurityStartAge').value = personBSS.startAge;
-            document.getElementById('personBSocialSecurityStartAge').disabled = !personBSS.enabled;
+            this.loadSocialSecurityFields('personB', settings.household.personB.socialSecurity);
         }
+        document.getElementById('socialSecurityOptimizerResults').innerHTML = '';
 
         // Retirement Income - Pension
         const pension = settings.pension || { enabled: false, owner: 'personA', name: '', annualAmount: 0, startYear: settings.planStartYear, growth: 0 };
@@ -2166,10 +5266,78 @@ class UIController {
         document.getElementById('pensionGrowth').value = pension.growth;
         document.getElementById('pensionGrowth').disabled = !pension.enabled;
 
+        // Medicare
+        const medicare = settings.medicare || {};
+        document.getElementById('medicareEnabled').checked = medicare.enabled !== false;
+        document.getElementById('medicarePartDPremium').value = medicare.partDPremium ?? MEDICARE_PREMIUMS.partD;
+        document.getElementById('medicarePremiumGrowth').value = medicare.premiumGrowth ?? 5;
+        document.getElementById('medicarePriorMagi').value = medicare.priorMagi ?? '';
+
+        // ACA marketplace
+        const aca = settings.aca || {};
+        document.getElementById('acaEnabled').checked = !!aca.enabled;
+        document.getElementById('acaBenchmarkPremium').value = aca.benchmarkPremium ?? 500;
+        document.getElementById('acaPlanPremiumPercent').value = aca.planPremiumPercent ?? 100;
+        document.getElementById('acaPremiumGrowth').value = aca.premiumGrowth ?? 5;
+        document.getElementById('acaEnhancedCreditsThroughYear').value = aca.enhancedCreditsThroughYear ?? 2025;
+
+        // HSA
+        document.getElementById('hsaSaveReceipts').checked = !!settings.hsa?.saveReceipts;
+
+        // Charitable bunching
+        const bunching = settings.charitableBunching || {};
+        document.getElementById('bunchingEnabled').checked = !!bunching.enabled;
+        document.getElementById('bunchingInterval').value = bunching.interval ?? 2;
+        document.getElementById('bunchingStartYear').value = bunching.startYear ?? '';
+
+        // Legacy
+        document.getElementById('heirTaxRate').value = settings.legacy?.heirTaxRate ?? 24;
+
         // Run validation and display
         this.displayValidation();
     }
 
+    populateStateSelect(select, selected, includeNotModeled = false) {
+        const options = Object.entries(STATE_TAX_TABLES)
+            .sort((a, b) => a[1].name.localeCompare(b[1].name))
+            .map(([code, table]) => `<option value="${code}" ${code === selected ? 'selected' : ''}>${table.name}${table.type === 'none' ? ' (no income tax)' : ''}</option>`)
+            .join('');
+        select.innerHTML = (includeNotModeled ? `<option value="" ${!selected ? 'selected' : ''}>Not modeled (federal only)</option>` : '') + options;
+    }
+
+    addStateChangeRow(move = null) {
+        const container = document.getElementById('stateChangesList');
+        const row = document.createElement('div');
+        row.className = 'state-change-row';
+        row.style.cssText = 'display: flex; gap: 10px; align-items: center; margin-bottom: 8px;';
+        row.innerHTML = `
+            <input type="number" class="state-change-year" placeholder="Year" min="2020" max="2100" style="width: 110px;" value="${move ? move.year : ''}">
+            <select class="state-change-state"></select>
+            <button type="button" class="btn btn-danger" style="padding: 6px 12px;">Remove</button>
+        `;
+        this.populateStateSelect(row.querySelector('.state-change-state'), move ? move.state : null);
+        row.querySelector('button').addEventListener('click', () => row.remove());
+        container.appendChild(row);
+    }
+
+    addFilingStatusChangeRow(change = null) {
+        const container = document.getElementById('filingStatusChangesList');
+        const row = document.createElement('div');
+        row.className = 'filing-status-change-row';
+        row.style.cssText = 'display: flex; gap: 10px; align-items: center; margin-bottom: 8px;';
+        row.innerHTML = `
+            <input type="number" class="filing-status-change-year" placeholder="Year" min="2020" max="2100" style="width: 110px;" value="${change ? change.year : ''}">
+            <select class="filing-status-change-status">
+                ${Object.entries(FILING_STATUS_LABELS).map(([value, label]) =>
+                    `<option value="${value}" ${change && (change.status === 'mfs' ? 'married' : change.status) === value ? 'selected' : ''}>${label}</option>`
+                ).join('')}
+            </select>
+            <button type="button" class="btn btn-danger" style="padding: 6px 12px;">Remove</button>
+        `;
+        row.querySelector('button').addEventListener('click', () => row.remove());
+        container.appendChild(row);
+    }
+
     togglePersonB(enabled) {
         document.getElementById('personBFields').style.display = enabled ? 'block' : 'none';
         document.getElementById('personBRetirementIncome').style.display = enabled ? 'block' : 'none';
@@ -2205,26 +5373,176 @@ class UIController {
             const retirementAge = retirementYear - birthYear;
             const yearsToRetirement = retirementYear - startYear;
 
-            document.getElementById('personACurrentAge').textContent = currentAge;
-            document.getElementById('personARetirementAge').textContent = retirementAge;
-            document.getElementById('personAYearsToRetirement').textContent = Math.max(0, yearsToRetirement);
+            document.getElementById('personACurrentAge').textContent = currentAge;
+            document.getElementById('personARetirementAge').textContent = retirementAge;
+            document.getElementById('personAYearsToRetirement').textContent = Math.max(0, yearsToRetirement);
+        }
+    }
+
+    updatePersonBCalculations() {
+        const startYear = parseInt(document.getElementById('planStartYear').value);
+        const birthYear = parseInt(document.getElementById('personBBirthYear').value);
+        const retirementYear = parseInt(document.getElementById('personBRetirementYear').value);
+
+        if (startYear && birthYear && retirementYear) {
+            const currentAge = startYear - birthYear;
+            const retirementAge = retirementYear - birthYear;
+            const yearsToRetirement = retirementYear - startYear;
+
+            document.getElementById('personBCurrentAge').textContent = currentAge;
+            document.getElementById('personBRetirementAge').textContent = retirementAge;
+            document.getElementById('personBYearsToRetirement').textContent = Math.max(0, yearsToRetirement);
+        }
+    }
+
+    loadSocialSecurityFields(personId, ss) {
+        ss = ss || { enabled: false, annualAmount: 0, startAge: 67 };
+        document.getElementById(`${personId}SocialSecurityEnabled`).checked = ss.enabled;
+        document.getElementById(`${personId}SocialSecurityAmount`).value = ss.annualAmount;
+        document.getElementById(`${personId}SocialSecurityStartAge`).value = ss.startAge;
+        document.getElementById(`${personId}SocialSecurityMethod`).value = ss.benefitMethod || 'manual';
+        document.getElementById(`${personId}SocialSecurityPIA`).value = ss.pia || '';
+        document.getElementById(`${personId}SocialSecurityEarnings`).value = this.formatEarningsRecord(ss.earningsRecord);
+        document.getElementById(`${personId}SocialSecurityIncludeSalary`).checked = ss.includeSalaryIncomes !== false;
+        this.setSocialSecurityFieldsDisabled(personId, !ss.enabled);
+        this.toggleSocialSecurityMethod(personId);
+        this.updateSocialSecuritySummary(personId);
+    }
+
+    readSocialSecurityFields(personId) {
+        return {
+            enabled: document.getElementById(`${personId}SocialSecurityEnabled`).checked,
+            annualAmount: parseFloat(document.getElementById(`${personId}SocialSecurityAmount`).value) || 0,
+            startAge: parseInt(document.getElementById(`${personId}SocialSecurityStartAge`).value) || 67,
+            benefitMethod: document.getElementById(`${personId}SocialSecurityMethod`).value,
+            pia: parseFloat(document.getElementById(`${personId}SocialSecurityPIA`).value) || 0,
+            earningsRecord: this.parseEarningsRecord(document.getElementById(`${personId}SocialSecurityEarnings`).value),
+            includeSalaryIncomes: document.getElementById(`${personId}SocialSecurityIncludeSalary`).checked
+        };
+    }
+
+    setSocialSecurityFieldsDisabled(personId, disabled) {
+        ['Amount', 'StartAge', 'Method', 'PIA', 'Earnings', 'IncludeSalary'].forEach(field => {
+            document.getElementById(`${personId}SocialSecurity${field}`).disabled = disabled;
+        });
+    }
+
+    toggleSocialSecurityMethod(personId) {
+        const method = document.getElementById(`${personId}SocialSecurityMethod`).value;
+        document.getElementById(`${personId}SocialSecurityAmount`).parentElement.style.display = method === 'manual' ? 'block' : 'none';
+        document.getElementById(`${personId}SocialSecurityPIA`).parentElement.style.display = method === 'pia' ? 'block' : 'none';
+        document.getElementById(`${personId}SocialSecurityEarningsGroup`).style.display = method === 'earnings' ? 'block' : 'none';
+    }
+
+    parseEarningsRecord(text) {
+        // Accepts "year earnings" lines (commas/$ allowed) or the XML download from my Social Security
+        const record = [];
+        if (!text) return record;
+        if (text.includes('FicaEarnings')) {
+            const pattern = /startYear="(\d{4})"[\s\S]*?<[\w:]*FicaEarnings>\s*(-?[\d.,]+)/g;
+            let match;
+            while ((match = pattern.exec(text)) !== null) {
+                record.push({ year: parseInt(match[1], 10), earnings: parseFloat(match[2].replace(/,/g, '')) });
+            }
+        } else {
+            text.split('\n').forEach(line => {
+                const match = line.match(/(\d{4})\D+?([\d,]+(?:\.\d+)?)/);
+                if (match) {
+                    record.push({ year: parseInt(match[1], 10), earnings: parseFloat(match[2].replace(/,/g, '')) });
+                }
+            });
+        }
+        // Drop invalid entries (the SSA download uses -1 for years not yet posted)
+        return record.filter(entry => entry.year > 1900 && entry.earnings >= 0 && !isNaN(entry.earnings)).sort((a, b) => a.year - b.year);
+    }
+
+    formatEarningsRecord(record) {
+        return (record || []).map(entry => `${entry.year} ${entry.earnings}`).join('\n');
+    }
+
+    updateSocialSecuritySummary(personId) {
+        const summary = document.getElementById(`${personId}SocialSecuritySummary`);
+        const person = this.model.settings.household[personId];
+        const pia = person ? this.projectionEngine.getSocialSecurityPIA(personId) : null;
+        if (!pia) {
+            summary.innerHTML = '';
+            return;
+        }
+
+        const ss = person.socialSecurity;
+        const fra = this.projectionEngine.getFullRetirementAge(person.birthYear);
+        const fraLabel = `${Math.floor(fra)}${fra % 1 ? ` and ${Math.round((fra % 1) * 12)} months` : ''}`;
+        const factor = this.projectionEngine.getClaimingFactor(person.birthYear, ss.startAge);
+        let details = '';
+        if (ss.benefitMethod === 'earnings') {
+            const result = this.projectionEngine.calculatePIA(personId);
+            details = `AIME $${result.aime.toLocaleString()} from ${result.yearsOfEarnings} years of earnings | `;
+            if (result.yearsOfEarnings === 0) {
+                details = `No earnings yet - enter ${person.name}'s record, or set ${person.name} as the owner of their salary on the Income tab | `;
+            }
         }
+        summary.innerHTML = `
+            <div style="margin-top: 10px; padding: 10px; background: var(--primary-light); border-radius: 8px;">
+                ${details}PIA $${Math.round(pia.pia).toLocaleString()}/mo (${pia.piaYear} dollars) |
+                Full retirement age ${fraLabel} |
+                Claiming at ${ss.startAge}: ${(factor * 100).toFixed(1)}% = $${Math.round(pia.pia * factor).toLocaleString()}/mo
+            </div>
+        `;
     }
 
-    updatePersonBCalculations() {
-        const startYear = parseInt(document.getElementById('planStartYear').value);
-        const birthYear = parseInt(document.getElementById('personBBirthYear').value);
-        const retirementYear = parseInt(document.getElementById('personBRetirementYear').value);
+    showSocialSecurityOptimizer() {
+        const container = document.getElementById('socialSecurityOptimizerResults');
+        const result = this.projectionEngine.optimizeSocialSecurityClaiming();
+        if (!result) {
+            container.innerHTML = '<p style="color: var(--text-secondary);">Enable Social Security for at least one person (and save settings) to compare claiming ages.</p>';
+            return;
+        }
 
-        if (startYear && birthYear && retirementYear) {
-            const currentAge = startYear - birthYear;
-            const retirementAge = retirementYear - birthYear;
-            const yearsToRetirement = retirementYear - startYear;
+        const household = this.model.settings.household;
+        const describe = (claimAges) => Object.entries(claimAges)
+            .map(([id, age]) => `${household[id].name} at ${age}`).join(', ');
+        const fmt = (value) => `$${Math.round(value).toLocaleString()}`;
+        const gain = result.current ? result.best.lifetimeBenefits - result.current.lifetimeBenefits : 0;
 
-            document.getElementById('personBCurrentAge').textContent = currentAge;
-            document.getElementById('personBRetirementAge').textContent = retirementAge;
-            document.getElementById('personBYearsToRetirement').textContent = Math.max(0, yearsToRetirement);
-        }
+        container.innerHTML = `
+            <div style="padding: 15px; background: #dcfce7; border-left: 4px solid #22c55e; border-radius: 4px; margin-bottom: 15px;">
+                <strong>Best: ${describe(result.best.claimAges)}</strong> - lifetime benefits ${fmt(result.best.lifetimeBenefits)}
+                ${result.current ? `<br>Current plan (${describe(result.current.claimAges)}): ${fmt(result.current.lifetimeBenefits)}${gain > 0 ? ` - ${fmt(gain)} less` : ''}` : ''}
+            </div>
+            <table style="width: 100%; border-collapse: collapse; font-size: 14px;">
+                <thead>
+                    <tr style="background: #f1f5f9;">
+                        <th style="padding: 8px; text-align: left;">Claiming Ages</th>
+                        <th style="padding: 8px; text-align: right;">Lifetime Benefits (today's $)</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${result.combos.slice(0, 5).map(combo => `
+                        <tr style="border-bottom: 1px solid #e2e8f0;">
+                            <td style="padding: 8px;">${describe(combo.claimAges)}</td>
+                            <td style="padding: 8px; text-align: right;">${fmt(combo.lifetimeBenefits)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            <button id="applySocialSecurityAgesBtn" class="btn btn-primary" style="margin-top: 15px;">Use Best Claiming Ages</button>
+        `;
+
+        document.getElementById('applySocialSecurityAgesBtn').addEventListener('click', () => {
+            Object.entries(result.best.claimAges).forEach(([id, age]) => {
+                const person = household[id];
+                const ss = person.socialSecurity;
+                if ((ss.benefitMethod || 'manual') === 'manual' && age !== ss.startAge) {
+                    // Manual amounts are the benefit at the start age - restate it for the new age
+                    const engine = this.projectionEngine;
+                    const ratio = engine.getClaimingFactor(person.birthYear, age) / engine.getClaimingFactor(person.birthYear, ss.startAge);
+                    const cola = Math.pow(1 + this.model.settings.inflation / 100, age - ss.startAge);
+                    document.getElementById(`${id}SocialSecurityAmount`).value = Math.round(ss.annualAmount * ratio * cola);
+                }
+                document.getElementById(`${id}SocialSecurityStartAge`).value = age;
+            });
+            this.saveSettings();
+        });
     }
 
     saveSettings() {
@@ -2233,6 +5551,24 @@ class UIController {
         this.model.settings.projectionHorizon = parseInt(document.getElementById('projectionHorizon').value);
         this.model.settings.inflation = parseFloat(document.getElementById('inflationRate').value);
         this.model.settings.filingStatus = document.getElementById('householdFilingStatus').value;
+        this.model.settings.state = document.getElementById('householdState').value || null;
+        this.model.settings.taxBracketIndexing = document.getElementById('taxBracketIndexing').value;
+        this.model.settings.chainedCpiRate = parseFloat(document.getElementById('chainedCpiRate').value) || 0;
+        this.model.settings.tcjaSunsetYear = parseInt(document.getElementById('tcjaSunsetYear').value) || null;
+        this.model.settings.stateChanges = Array.from(document.querySelectorAll('#stateChangesList .state-change-row'))
+            .map(row => ({
+                year: parseInt(row.querySelector('.state-change-year').value),
+                state: row.querySelector('.state-change-state').value
+            }))
+            .filter(move => move.year && move.state)
+            .sort((a, b) => a.year - b.year);
+        this.model.settings.filingStatusChanges = Array.from(document.querySelectorAll('#filingStatusChangesList .filing-status-change-row'))
+            .map(row => ({
+                year: parseInt(row.querySelector('.filing-status-change-year').value),
+                status: row.querySelector('.filing-status-change-status').value
+            }))
+            .filter(change => change.year && change.status)
+            .sort((a, b) => a.year - b.year);
 
         // Person A
         this.model.settings.household.personA.name = document.getElementById('personAName').value;
@@ -2247,22 +5583,18 @@ class UIController {
                 birthYear: parseInt(document.getElementById('personBBirthYear').value),
                 retirementYear: parseInt(document.getElementById('personBRetirementYear').value),
                 lifeExpectancy: parseInt(document.getElementById('personBLifeExpectancy').value),
-                socialSecurity: {
-                    enabled: document.getElementById('personBSocialSecurityEnabled').checked,
-                    annualAmount: parseFloat(document.getElementById('personBSocialSecurityAmount').value) || 0,
-                    startAge: parseInt(document.getElementById('personBSocialSecurityStartAge').value) || 67
-                }
+                socialSecurity: this.readSocialSecurityFields('personB')
             };
         } else {
             this.model.settings.household.personB = null;
         }
 
         // Retirement Income - Person A Social Security
-        this.model.settings.household.personA.socialSecurity = {
-            enabled: document.getElementById('personASocialSecurityEnabled').checked,
-            annualAmount: parseFloat(document.getElementById('personASocialSecurityAmount').value) || 0,
-            startAge: parseInt(document.getElementById('personASocialSecurityStartAge').value) || 67
-        };
+        this.model.settings.household.personA.socialSecurity = this.readSocialSecurityFields('personA');
+        this.updateSocialSecuritySummary('personA');
+        if (this.model.settings.household.personB) {
+            this.updateSocialSecuritySummary('personB');
+        }
 
         // Retirement Income - Pension
         this.model.settings.pension = {
@@ -2274,6 +5606,42 @@ class UIController {
             growth: parseFloat(document.getElementById('pensionGrowth').value) || 0
         };
 
+        // Medicare
+        const priorMagi = parseFloat(document.getElementById('medicarePriorMagi').value);
+        this.model.settings.medicare = {
+            enabled: document.getElementById('medicareEnabled').checked,
+            partDPremium: parseFloat(document.getElementById('medicarePartDPremium').value) || 0,
+            premiumGrowth: parseFloat(document.getElementById('medicarePremiumGrowth').value) || 0,
+            priorMagi: isNaN(priorMagi) ? null : priorMagi
+        };
+
+        // ACA marketplace
+        this.model.settings.aca = {
+            enabled: document.getElementById('acaEnabled').checked,
+            benchmarkPremium: parseFloat(document.getElementById('acaBenchmarkPremium').value) || 0,
+            planPremiumPercent: parseFloat(document.getElementById('acaPlanPremiumPercent').value) || 0,
+            premiumGrowth: parseFloat(document.getElementById('acaPremiumGrowth').value) || 0,
+            enhancedCreditsThroughYear: parseInt(document.getElementById('acaEnhancedCreditsThroughYear').value) || 2025
+        };
+
+        // HSA
+        this.model.settings.hsa = {
+            saveReceipts: document.getElementById('hsaSaveReceipts').checked
+        };
+
+        // Charitable bunching
+        this.model.settings.charitableBunching = {
+            enabled: document.getElementById('bunchingEnabled').checked,
+            interval: Math.max(2, parseInt(document.getElementById('bunchingInterval').value) || 2),
+            startYear: parseInt(document.getElementById('bunchingStartYear').value) || null
+        };
+
+        // Legacy
+        const heirTaxRate = parseFloat(document.getElementById('heirTaxRate').value);
+        this.model.settings.legacy = {
+            heirTaxRate: isNaN(heirTaxRate) ? 24 : Math.min(50, Math.max(0, heirTaxRate))
+        };
+
         // Validate
         const validation = this.model.validate();
 
@@ -2351,6 +5719,138 @@ class UIController {
         if (modeRadio) modeRadio.checked = true;
 
         this.toggleWithdrawalSettings(strategy.type);
+
+        // Roth conversion planner
+        const conversion = strategy.rothConversion || new FinancialModel().withdrawalStrategy.rothConversion;
+        document.getElementById('rothConversionEnabled').checked = conversion.enabled;
+        document.getElementById('rothConversionStrategy').value = conversion.strategy;
+        document.getElementById('rothConversionStartYear').value = conversion.startYear || '';
+        document.getElementById('rothConversionEndYear').value = conversion.endYear || '';
+        document.getElementById('rothConversionAmount').value = conversion.annualAmount;
+        document.getElementById('rothConversionBracket').value = conversion.targetBracket;
+        document.getElementById('rothConversionMargin').value = conversion.cliffMargin ?? 1000;
+        this.toggleRothConversionSettings();
+        this.renderWithdrawalScheduleStatus();
+    }
+
+    renderWithdrawalScheduleStatus() {
+        const container = document.getElementById('withdrawalScheduleStatus');
+        const schedule = this.model.withdrawalStrategy.withdrawalSchedule;
+        if (!container) return;
+        if (!schedule) {
+            container.innerHTML = '';
+            return;
+        }
+
+        const years = Object.keys(schedule.years).map(Number);
+        container.innerHTML = `
+            <div style="padding: 10px; background: var(--primary-light); border-radius: 8px; display: flex; align-items: center; justify-content: space-between; gap: 10px;">
+                <span>✓ Using an optimized schedule for ${Math.min(...years)}-${Math.max(...years)}
+                    (${schedule.objective === 'terminal_wealth' ? 'max after-tax wealth' : 'min lifetime taxes'}${schedule.includeConversions ? ', with Roth conversions' : ''})</span>
+                <button id="clearWithdrawalScheduleBtn" class="btn btn-secondary">Clear Schedule</button>
+            </div>
+        `;
+        document.getElementById('clearWithdrawalScheduleBtn').addEventListener('click', () => {
+            this.model.withdrawalStrategy.withdrawalSchedule = null;
+            this.saveData();
+            this.updateDashboard();
+            this.renderWithdrawalScheduleStatus();
+            document.getElementById('withdrawalOptimizerResults').innerHTML = '';
+        });
+    }
+
+    runWithdrawalOptimizer() {
+        const container = document.getElementById('withdrawalOptimizerResults');
+        const objective = document.getElementById('withdrawalOptimizerObjective').value;
+        const includeConversions = document.getElementById('withdrawalOptimizerConversions').checked;
+        container.innerHTML = '<p style="color: var(--text-secondary);">Optimizing... (each candidate is a full projection)</p>';
+
+        // Let the message paint before the search blocks the page
+        setTimeout(() => {
+            const result = this.projectionEngine.optimizeWithdrawalSchedule(objective, includeConversions);
+            this.showWithdrawalOptimizerResults(result, objective);
+        }, 20);
+    }
+
+    showWithdrawalOptimizerResults(result, objective) {
+        const container = document.getElementById('withdrawalOptimizerResults');
+        if (!result) {
+            container.innerHTML = '<p style="color: var(--text-secondary);">Withdrawals start after the projection ends - nothing to optimize.</p>';
+            return;
+        }
+        if (!result.best) {
+            container.innerHTML = '<p style="color: var(--text-secondary);">No schedule covered spending as well as the current plan.</p>';
+            return;
+        }
+
+        const fmt = (value) => `$${Math.round(value).toLocaleString()}`;
+        const { current, best } = result;
+        const gain = objective === 'terminal_wealth' ? best.terminalWealth - current.terminalWealth : current.lifetimeTaxes - best.lifetimeTaxes;
+        const currentByYear = Object.fromEntries(current.projections.map(p => [p.year, p]));
+        const scheduledYears = Object.keys(best.schedule.years).map(Number);
+        const rows = best.projections.filter(p => scheduledYears.includes(p.year));
+
+        container.innerHTML = `
+            <div style="padding: 15px; background: ${gain > 0 ? '#dcfce7' : '#f1f5f9'}; border-left: 4px solid ${gain > 0 ? '#22c55e' : '#94a3b8'}; border-radius: 4px; margin-bottom: 15px;">
+                ${gain > 0
+                    ? `<strong>${objective === 'terminal_wealth' ? `${fmt(gain)} more after-tax wealth` : `${fmt(gain)} less in lifetime taxes`}</strong> (today's dollars)`
+                    : '<strong>The current plan is already as good as any schedule found</strong>'}
+                <br>Lifetime taxes: ${fmt(current.lifetimeTaxes)} now → ${fmt(best.lifetimeTaxes)} optimized
+                <br>After-tax wealth at ${best.projections[best.projections.length - 1].year}: ${fmt(current.terminalWealth)} now → ${fmt(best.terminalWealth)} optimized
+                <br><small style="color: var(--text-secondary);">${result.evaluations} projections compared</small>
+            </div>
+            <div style="max-height: 400px; overflow-y: auto;">
+                <table style="width: 100%; border-collapse: collapse; font-size: 14px;">
+                    <thead>
+                        <tr style="background: #f1f5f9; position: sticky; top: 0;">
+                            <th style="padding: 8px; text-align: left;">Year</th>
+                            <th style="padding: 8px; text-align: left;">Traditional Up To</th>
+                            <th style="padding: 8px; text-align: right;">Traditional</th>
+                            <th style="padding: 8px; text-align: right;">Other Withdrawals</th>
+                            <th style="padding: 8px; text-align: right;">Roth Conversions</th>
+                            <th style="padding: 8px; text-align: right;">Taxes</th>
+                            <th style="padding: 8px; text-align: right;">vs. Current</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${rows.map(p => {
+                            const taxChange = p.taxes - (currentByYear[p.year]?.taxes || 0);
+                            return `
+                            <tr style="border-bottom: 1px solid #e2e8f0;">
+                                <td style="padding: 8px;">${p.year}</td>
+                                <td style="padding: 8px;">${this.projectionEngine.getScheduleLevelLabel(best.schedule.years[p.year], p.year, p.filingStatus)}</td>
+                                <td style="padding: 8px; text-align: right;">${fmt(p.traditionalWithdrawals)}</td>
+                                <td style="padding: 8px; text-align: right;">${fmt(p.withdrawals - p.traditionalWithdrawals)}</td>
+                                <td style="padding: 8px; text-align: right;">${fmt(p.rothConversions)}</td>
+                                <td style="padding: 8px; text-align: right;">${fmt(p.taxes)}</td>
+                                <td style="padding: 8px; text-align: right; color: ${taxChange > 0 ? 'var(--danger-color)' : 'var(--success-color)'};">${taxChange >= 0 ? '+' : '-'}${fmt(Math.abs(taxChange))}</td>
+                            </tr>
+                        `;}).join('')}
+                    </tbody>
+                </table>
+            </div>
+            ${gain > 0 ? '<button id="applyWithdrawalScheduleBtn" class="btn btn-primary" style="margin-top: 15px;">Use This Schedule</button>' : ''}
+        `;
+
+        const applyButton = document.getElementById('applyWithdrawalScheduleBtn');
+        if (applyButton) {
+            applyButton.addEventListener('click', () => {
+                this.model.withdrawalStrategy.withdrawalSchedule = best.schedule;
+                this.saveData();
+                this.updateDashboard();
+                this.renderWithdrawalScheduleStatus();
+            });
+        }
+    }
+
+    toggleRothConversionSettings() {
+        const enabled = document.getElementById('rothConversionEnabled').checked;
+        const strategy = document.getElementById('rothConversionStrategy').value;
+        document.getElementById('rothConversionSettings').style.display = enabled ? 'block' : 'none';
+        document.getElementById('rothConversionAmountGroup').style.display = strategy === 'fixed_amount' ? 'block' : 'none';
+        document.getElementById('rothConversionBracketGroup').style.display = strategy === 'fill_bracket' ? 'block' : 'none';
+        document.getElementById('rothConversionMarginGroup').style.display =
+            strategy === 'irmaa_cliff' || strategy === 'aca_cliff' ? 'block' : 'none';
     }
 
     initializeCharts() {
@@ -2589,6 +6089,13 @@ class UIController {
             console.error('Error updating cash flow breakdown:', e);
         }
 
+        // Update legacy view (estate at each life expectancy)
+        try {
+            this.updateLegacyView(projections);
+        } catch (e) {
+            console.error('Error updating legacy view:', e);
+        }
+
         // Update Sankey diagram (current year using projection data)
         try {
             this.updateSankeyDiagram(annualIncome, annualExpenses, this.model);
@@ -2738,6 +6245,60 @@ class UIController {
         });
     }
 
+    updateLegacyView(projections) {
+        const container = document.getElementById('legacyView');
+        if (!container) return;
+        const legacy = this.projectionEngine.calculateLegacy(projections);
+        if (legacy.length === 0) {
+            container.innerHTML = '';
+            return;
+        }
+        const fmt = (value) => `$${Math.round(value).toLocaleString()}`;
+        const cell = 'padding: 8px; text-align: right;';
+
+        container.innerHTML = `
+            <div style="overflow-x: auto;">
+                <table style="width: 100%; border-collapse: collapse; font-size: 13px;">
+                    <thead>
+                        <tr style="border-bottom: 2px solid var(--border-color);">
+                            <th style="text-align: left; padding: 8px;">At Life Expectancy</th>
+                            <th style="${cell}">Taxable &amp; Cash</th>
+                            <th style="${cell}">Traditional</th>
+                            <th style="${cell}">Roth</th>
+                            <th style="${cell}">HSA</th>
+                            <th style="${cell}" title="Home equity minus other debts">Home - Debts</th>
+                            <th style="${cell} font-weight: 600;">Estate</th>
+                            <th style="${cell} color: var(--danger-color);">Estate Tax</th>
+                            <th style="${cell} color: var(--danger-color);" title="Heirs' income tax on inherited traditional IRAs and HSAs">Heirs' Income Tax</th>
+                            <th style="${cell} color: var(--success-color); font-weight: 600;">Net to Heirs</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${legacy.map(l => `
+                            <tr style="border-bottom: 1px solid var(--border-color);">
+                                <td style="padding: 8px;">${this.escapeHtml(l.name)} (${l.age}) - ${l.year}${l.beyondHorizon ? ' <span style="color: var(--text-secondary);">(plan horizon)</span>' : ''}</td>
+                                <td style="${cell}">${fmt(l.byType.taxable + l.byType.cash)}</td>
+                                <td style="${cell}">${fmt(l.byType.traditional)}</td>
+                                <td style="${cell}">${fmt(l.byType.roth)}</td>
+                                <td style="${cell}">${fmt(l.byType.hsa)}</td>
+                                <td style="${cell}">${fmt(l.homeEquity - l.debts)}</td>
+                                <td style="${cell} font-weight: 600;" title="Exclusion: ${fmt(l.exclusion)}">${fmt(l.grossEstate)}</td>
+                                <td style="${cell}">${fmt(l.estateTax)}</td>
+                                ${l.toSurvivor
+                                    ? `<td colspan="2" style="${cell} color: var(--text-secondary);">Passes to ${this.escapeHtml(l.survivorName)}</td>`
+                                    : `<td style="${cell}">${fmt(l.heirsIncomeTax)}</td>
+                                <td style="${cell} font-weight: 600;" title="Step-up in basis: ${fmt(l.stepUpGain)} of gains never taxed">${fmt(l.netToHeirs)}</td>`}
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+            <p style="margin-top: 10px; font-size: 13px; color: var(--text-secondary);">
+                Heirs get a stepped-up basis on taxable shares and the home (${fmt(legacy[legacy.length - 1].stepUpGain)} of gains never taxed at the last life expectancy), pay income tax on inherited traditional IRAs and HSAs at ${this.model.settings.legacy?.heirTaxRate ?? 24}% (Settings), and nothing on Roth money. Federal estate tax is 40% above the exclusion (${fmt(legacy[legacy.length - 1].exclusion)}).
+            </p>
+        `;
+    }
+
     updateCashFlowBreakdown(projections) {
         const currentYear = this.model.settings.planStartYear;
 
@@ -2758,6 +6319,7 @@ class UIController {
                                 <th style="text-align: right; padding: 8px;" title="Salary, SS, Pension">Work/SS/Pension</th>
                                 <th style="text-align: right; padding: 8px; color: var(--success-color);" title="Investment returns, dividends, interest">Investment Income</th>
                                 <th style="text-align: right; padding: 8px; color: var(--danger-color);">Taxes</th>
+                                <th style="text-align: right; padding: 8px; color: var(--danger-color);" title="Social Security and Medicare (FICA) plus self-employment tax">Payroll Tax</th>
                                 <th style="text-align: right; padding: 8px; color: var(--danger-color);">Expenses</th>
                                 <th style="text-align: right; padding: 8px; font-weight: 600;">Total Income</th>
                                 <th style="text-align: right; padding: 8px; color: var(--success-color); font-weight: 600;">Net Savings</th>
@@ -2768,7 +6330,7 @@ class UIController {
 
         yearsToShow.forEach((p, index) => {
             const totalIncome = p.income + (p.investmentReturns || 0);
-            const netSavings = totalIncome - (p.taxes || 0) - p.expenses;
+            const netSavings = totalIncome - (p.taxes || 0) - (p.payrollTaxes || 0) - p.expenses;
             const savingsColor = netSavings >= 0 ? 'var(--success-color)' : 'var(--danger-color)';
             const bgColor = index % 2 === 0 ? 'transparent' : 'rgba(0,0,0,0.02)';
 
@@ -2784,6 +6346,9 @@ class UIController {
                     <td style="text-align: right; padding: 6px; color: var(--danger-color);">
                         -$${Math.round(p.taxes || 0).toLocaleString()}
                     </td>
+                    <td style="text-align: right; padding: 6px; color: var(--danger-color);">
+                        ${p.payrollTaxes > 0 ? '-$' + Math.round(p.payrollTaxes).toLocaleString() : '—'}
+                    </td>
                     <td style="text-align: right; padding: 6px; color: var(--danger-color);">
                         -$${Math.round(p.expenses).toLocaleString()}
                     </td>
@@ -2802,11 +6367,12 @@ class UIController {
             workIncome: acc.workIncome + p.income,
             investmentIncome: acc.investmentIncome + (p.investmentReturns || 0),
             taxes: acc.taxes + (p.taxes || 0),
+            payrollTaxes: acc.payrollTaxes + (p.payrollTaxes || 0),
             expenses: acc.expenses + p.expenses
-        }), { workIncome: 0, investmentIncome: 0, taxes: 0, expenses: 0 });
+        }), { workIncome: 0, investmentIncome: 0, taxes: 0, payrollTaxes: 0, expenses: 0 });
 
         const totalIncome = totals.workIncome + totals.investmentIncome;
-        const totalNetSavings = totalIncome - totals.taxes - totals.expenses;
+        const totalNetSavings = totalIncome - totals.taxes - totals.payrollTaxes - totals.expenses;
         const totalSavingsColor = totalNetSavings >= 0 ? 'var(--success-color)' : 'var(--danger-color)';
 
         html += `
@@ -2815,6 +6381,7 @@ class UIController {
                     <td style="text-align: right; padding: 10px;">$${Math.round(totals.workIncome).toLocaleString()}</td>
                     <td style="text-align: right; padding: 10px; color: var(--success-color);">$${Math.round(totals.investmentIncome).toLocaleString()}</td>
                     <td style="text-align: right; padding: 10px; color: var(--danger-color);">-$${Math.round(totals.taxes).toLocaleString()}</td>
+                    <td style="text-align: right; padding: 10px; color: var(--danger-color);">-$${Math.round(totals.payrollTaxes).toLocaleString()}</td>
                     <td style="text-align: right; padding: 10px; color: var(--danger-color);">-$${Math.round(totals.expenses).toLocaleString()}</td>
                     <td style="text-align: right; padding: 10px;">$${Math.round(totalIncome).toLocaleString()}</td>
                     <td style="text-align: right; padding: 10px; color: ${totalSavingsColor};">
@@ -2833,7 +6400,8 @@ class UIController {
                 • <strong>Work/SS/Pension:</strong> Active income from work, Social Security, and pensions<br>
                 • <strong>Investment Income:</strong> Returns from your portfolio (stocks, bonds, etc.)<br>
                 • <strong>Total Income:</strong> Sum of all income sources<br>
-                • <strong>Net Savings:</strong> Total Income - Taxes - Expenses (positive = growing wealth, negative = drawing down)<br>
+                • <strong>Payroll Tax:</strong> Social Security and Medicare withheld from wages, plus self-employment tax<br>
+                • <strong>Net Savings:</strong> Total Income - Taxes - Payroll Tax - Expenses (positive = growing wealth, negative = drawing down)<br>
                 ${totals.taxes > 0 && totals.workIncome > 0 ? `<br><strong>💸 Tax Impact:</strong> Paying average $${Math.round(totals.taxes / yearsToShow.length).toLocaleString()}/year (${Math.round(totals.taxes / totals.workIncome * 100)}% effective rate on work income)` : ''}
                 ${totals.investmentIncome > totals.workIncome * 2 ? `<br><strong>📈 Milestone:</strong> Your investments are generating significant income! Investment returns (${Math.round(totals.investmentIncome / totalIncome * 100)}% of total) are working hard for you.` : ''}
             </div>
@@ -2911,6 +6479,14 @@ class UIController {
                         borderWidth: 1,
                         stack: 'expenses'
                     },
+                    {
+                        label: 'Payroll Taxes',
+                        data: yearsToShow.map(p => -Math.round(p.payrollTaxes || 0)),
+                        backgroundColor: 'rgba(185, 28, 28, 0.7)',
+                        borderColor: 'rgba(185, 28, 28, 1)',
+                        borderWidth: 1,
+                        stack: 'expenses'
+                    },
                     {
                         label: 'Expenses',
                         data: yearsToShow.map(p => -Math.round(p.expenses)),
@@ -2921,7 +6497,7 @@ class UIController {
                     },
                     {
                         label: 'Net Savings',
-                        data: yearsToShow.map(p => Math.round(p.income + (p.investmentReturns || 0) - (p.taxes || 0) - p.expenses)),
+                        data: yearsToShow.map(p => Math.round(p.income + (p.investmentReturns || 0) - (p.taxes || 0) - (p.payrollTaxes || 0) - p.expenses)),
                         backgroundColor: 'rgba(59, 130, 246, 0.9)',
                         borderColor: 'rgba(59, 130, 246, 1)',
                         borderWidth: 3,
@@ -3271,6 +6847,14 @@ class UIController {
             }
         });
 
+        // Charitable giving follows the bunching schedule
+        if (yearData.charitableGiving !== undefined) {
+            delete expensesByCategory.charitable;
+            if (yearData.charitableGiving > 0) {
+                expensesByCategory.charitable = yearData.charitableGiving;
+            }
+        }
+
         // Add milestone costs as one-time expenses
         model.milestones.forEach(milestone => {
             if (milestone.year === selectedYear && !milestone.isPositive && milestone.cost > 0) {
@@ -3329,10 +6913,21 @@ class UIController {
             expensesByCategory['Debt Payments'] = yearData.debtPayments;
         }
 
+        // Add Medicare premiums (Part B/D + IRMAA)
+        if (yearData.medicareCost && yearData.medicareCost > 0) {
+            expensesByCategory['Medicare Premiums'] = yearData.medicareCost;
+        }
+
+        // Add ACA marketplace premiums (paid net of the advance credit; the rest settles in taxes)
+        const acaPaid = (yearData.acaPremium || 0) - (yearData.acaPremiumTaxCredit || 0) - (yearData.acaPremiumTaxCreditReconciliation || 0);
+        if (acaPaid > 0) {
+            expensesByCategory['Health Insurance (ACA)'] = acaPaid;
+        }
+
         // Calculate net savings FIRST (needed for color map)
         // Note: annualExpenses from yearData already includes housing and debt costs
         const totalInflows = annualIncome + (yearData.withdrawals || 0) + (yearData.milestoneWindfalls || 0);
-        const totalOutflows = yearData.taxes + annualExpenses + (yearData.milestoneCosts || 0);
+        const totalOutflows = yearData.taxes + (yearData.payrollTaxes || 0) + annualExpenses + (yearData.milestoneCosts || 0);
         const netSavings = totalInflows - totalOutflows;
 
         // Check balance - in surplus years, netSavings > 0 and gets invested
@@ -3362,6 +6957,7 @@ class UIController {
                 pension: '#0ea5e9',          // Sky blue
                 social_security: '#3b82f6',  // Blue
                 freelance: '#22c55e',        // Green
+                self_employment: '#16a34a',  // Dark green
                 other: '#10b981',            // Emerald
                 // Withdrawal-specific colors (gradient from green to purple based on tax efficiency)
                 withdrawal_cash: '#94a3b8',          // Slate gray
@@ -3386,10 +6982,12 @@ class UIController {
                 entertainment: '#9333ea',    // Purple
                 travel: '#2563eb',           // Blue
                 gifts: '#ec4899',            // Hot pink
+                charitable: '#f472b6',       // Light pink
                 savings: '#16a34a',          // Green
                 pets: '#65a30d',             // Olive green
                 subscriptions: '#4f46e5',    // Indigo
                 taxes: '#991b1b',            // Dark red (for tax node)
+                payroll_taxes: '#7f1d1d',    // Darker red (for FICA node)
                 other: '#6b7280'             // Gray
             },
             savings: netSavings >= 0 ? '#2563eb' : '#dc2626'  // Blue for surplus, red for deficit
@@ -3442,6 +7040,21 @@ class UIController {
             });
         }
 
+        // Payroll taxes (FICA + self-employment) get their own node
+        if (yearData.payrollTaxes > 0) {
+            const payrollNodeId = nodeId++;
+            nodes.push({
+                name: 'Payroll Taxes (FICA)',
+                type: 'expense',
+                category: 'payroll_taxes'
+            });
+            links.push({
+                source: totalIncomeNodeId,
+                target: payrollNodeId,
+                value: yearData.payrollTaxes
+            });
+        }
+
         // Add savings node if positive net savings, or deficit node if negative
         if (netSavings > 0.01) {
             // Surplus year - add savings node (money flows OUT from Total Income)
@@ -3602,9 +7215,9 @@ class UIController {
                 <div class="list-item">
                     <div class="list-item-info">
                         <h3>${account.name}</h3>
-                        <p>${account.type} - Balance: $${account.balance.toLocaleString()} - Rate: ${account.interestRate}%</p>
+                        <p>${account.type} - Balance: $${account.balance.toLocaleString()} - Rate: ${account.interestRate}%${account.type === 'taxable' && account.costBasis !== null && account.costBasis !== undefined ? ` - Cost Basis: $${account.costBasis.toLocaleString()}` : ''}${account.type === 'taxable' && (account.dividendYield != null || account.interestYield != null) ? ` - Yield: ${account.dividendYield ?? TAXABLE_ACCOUNT_YIELDS.qualifiedDividends}% div / ${account.interestYield ?? TAXABLE_ACCOUNT_YIELDS.interest}% int` : ''}</p>
                         <p style="font-size: 13px; color: var(--text-secondary); margin-top: 5px;">
-                            ${taxLabels[account.type] || '💵 Taxable'}
+                            ${taxLabels[account.type] || '💵 Taxable'}${account.contributionRule ? ` - ${this.describeContributionRule(account.contributionRule)}` : ''}${account.type === 'traditional' && account.withdrawalAccess?.seppStartYear ? ` - 72(t) payments from ${account.withdrawalAccess.seppStartYear}` : ''}${this.model.settings.overflowAccountId === account.id ? ' - ⬇️ Receives leftover savings' : ''}
                         </p>
                     </div>
                     <div class="list-item-actions">
@@ -3614,6 +7227,15 @@ class UIController {
                 </div>
             `).join('') +
         '</div>';
+
+        // Overflow account for savings left after contribution rules
+        const overflowSelect = document.getElementById('overflowAccount');
+        if (overflowSelect) {
+            overflowSelect.innerHTML = '<option value="">Spread across all accounts (by balance)</option>' +
+                this.model.accounts.map(account =>
+                    `<option value="${account.id}" ${this.model.settings.overflowAccountId === account.id ? 'selected' : ''}>${account.name}</option>`
+                ).join('');
+        }
     }
 
     updateIncomeList() {
@@ -3626,14 +7248,18 @@ class UIController {
             pension: 'Pension',
             social_security: 'Social Security',
             freelance: 'Freelance/Contract',
+            self_employment: 'Self-Employment',
             other: 'Other'
         };
+        const household = this.model.settings.household;
+        const ownerLabel = (income) => income.ownerId === 'personA' ? ` - ${household.personA.name}` :
+            income.ownerId === 'personB' && household.personB ? ` - ${household.personB.name}` : '';
         container.innerHTML = '<div class="item-list">' +
             this.model.incomes.map(income => `
                 <div class="list-item">
                     <div class="list-item-info">
                         <h3>${income.name}</h3>
-                        <p>${categoryLabels[income.category] || income.category || 'Salary/Wages'} - $${income.amount.toLocaleString()}/${income.frequency} - Growth: ${income.growth}% - Years: ${income.startYear}-${income.endYear || 'ongoing'}</p>
+                        <p>${categoryLabels[income.category] || income.category || 'Salary/Wages'}${ownerLabel(income)} - $${income.amount.toLocaleString()}/${income.frequency} - Growth: ${income.growth}% - Years: ${income.startYear}-${income.endYear || 'ongoing'}</p>
                     </div>
                     <div class="list-item-actions">
                         <button class="btn btn-secondary" onclick="ui.editIncome(${income.id})">Edit</button>
@@ -3664,6 +7290,7 @@ class UIController {
                 entertainment: 'Entertainment & Recreation',
                 travel: 'Travel & Vacation',
                 gifts: 'Gifts & Donations',
+                charitable: 'Charitable Giving',
                 savings: 'Savings & Investments',
                 pets: 'Pets',
                 subscriptions: 'Subscriptions & Memberships',
@@ -3684,7 +7311,7 @@ class UIController {
                 <div class="list-item">
                     <div class="list-item-info">
                         <h3>${expense.name}</h3>
-                        <p>${formatCategory(expense.category)} - $${expense.amount.toLocaleString()}/${expense.frequency} - Growth: ${expense.growth}% - Years: ${expense.startYear}-${expense.endYear || 'ongoing'}</p>
+                        <p>${formatCategory(expense.category)}${expense.category === 'charitable' && expense.givingSource && expense.givingSource !== 'cash' ? ` (${this.getGivingSourceLabel(expense.givingSource)})` : ''} - $${expense.amount.toLocaleString()}/${expense.frequency} - Growth: ${expense.growth}% - Years: ${expense.startYear}-${expense.endYear || 'ongoing'}</p>
                     </div>
                     <div class="list-item-actions">
                         <button class="btn btn-secondary" onclick="ui.editExpense(${expense.id})">Edit</button>
@@ -3705,7 +7332,7 @@ class UIController {
                 <div class="list-item">
                     <div class="list-item-info">
                         <h3>${milestone.name} ${milestone.isPositive ? '💰' : ''}</h3>
-                        <p>${milestone.type} - Year: ${milestone.year} - ${label}: ${sign}$${milestone.cost.toLocaleString()}</p>
+                        <p>${milestone.type} - Year: ${milestone.year} - ${label}: ${sign}$${milestone.cost.toLocaleString()}${milestone.inheritedAccountType ? ` - ${this.getInheritedAccountLabel(milestone)}` : ''}</p>
                     </div>
                     <div class="list-item-actions">
                         <button class="btn btn-secondary" onclick="ui.editMilestone(${milestone.id})">Edit</button>
@@ -3745,6 +7372,16 @@ class UIController {
                 <label>Interest/Return Rate (%)</label>
                 <input type="number" id="accountRate" placeholder="7" step="0.1">
             </div>
+            <div class="form-group">
+                <label>Cost Basis (Taxable Investment only)</label>
+                <input type="number" id="accountCostBasis" placeholder="Leave blank to use current balance">
+                <small style="color: var(--text-secondary); display: block; margin-top: 5px;">
+                    What you paid for the shares. Sales realize a proportional gain taxed at long-term capital gains rates.
+                </small>
+            </div>
+            ${this.renderInvestmentYieldFields(null)}
+            ${this.renderWithdrawalAccessFields(null)}
+            ${this.renderContributionRuleFields(null)}
             <button class="btn btn-primary" id="saveAccountModalBtn">Add Account</button>
         `);
         document.body.appendChild(modal);
@@ -3754,6 +7391,7 @@ class UIController {
         if (saveBtn) {
             saveBtn.addEventListener('click', () => this.addAccount());
         }
+        this.attachContributionRuleListeners();
     }
 
     addAccount() {
@@ -3762,6 +7400,7 @@ class UIController {
             const type = document.getElementById('accountType').value;
             const balance = document.getElementById('accountBalance').value;
             const rate = document.getElementById('accountRate').value;
+            const costBasis = document.getElementById('accountCostBasis').value;
 
             if (!name || name.trim() === '') {
                 alert('Please enter an account name');
@@ -3802,7 +7441,11 @@ class UIController {
                 originalType: type,
                 balance: parseFloat(balance) || 0,
                 interestRate: parseFloat(rate) || 0,
-                taxAdvantaged: normalizedType === 'traditional' || normalizedType === 'roth' || normalizedType === 'hsa'
+                costBasis: normalizedType === 'taxable' ? (costBasis !== '' ? parseFloat(costBasis) : (parseFloat(balance) || 0)) : null,
+                ...this.readInvestmentYieldFields(normalizedType),
+                taxAdvantaged: normalizedType === 'traditional' || normalizedType === 'roth' || normalizedType === 'hsa',
+                withdrawalAccess: this.readWithdrawalAccessFields(),
+                contributionRule: this.readContributionRuleFields()
             });
 
             console.log('Account added successfully. Total accounts:', this.model.accounts.length);
@@ -3851,6 +7494,16 @@ class UIController {
                 <label>Interest/Return Rate (%)</label>
                 <input type="number" id="accountRate" placeholder="7" step="0.1" value="${account.interestRate}">
             </div>
+            <div class="form-group">
+                <label>Cost Basis (Taxable Investment only)</label>
+                <input type="number" id="accountCostBasis" placeholder="Leave blank to use current balance" value="${account.costBasis ?? ''}">
+                <small style="color: var(--text-secondary); display: block; margin-top: 5px;">
+                    What you paid for the shares. Sales realize a proportional gain taxed at long-term capital gains rates.
+                </small>
+            </div>
+            ${this.renderInvestmentYieldFields(account)}
+            ${this.renderWithdrawalAccessFields(account.withdrawalAccess, account.contributionRule)}
+            ${this.renderContributionRuleFields(account.contributionRule)}
             <button class="btn btn-primary" id="updateAccountModalBtn">Update Account</button>
         `);
         document.body.appendChild(modal);
@@ -3860,6 +7513,7 @@ class UIController {
         if (updateBtn) {
             updateBtn.addEventListener('click', () => this.updateAccount(id));
         }
+        this.attachContributionRuleListeners();
     }
 
     updateAccount(id) {
@@ -3868,6 +7522,7 @@ class UIController {
             const type = document.getElementById('accountType').value;
             const balance = document.getElementById('accountBalance').value;
             const rate = document.getElementById('accountRate').value;
+            const costBasis = document.getElementById('accountCostBasis').value;
 
             if (!name || name.trim() === '') {
                 alert('Please enter an account name');
@@ -3896,7 +7551,11 @@ class UIController {
                 account.originalType = type;
                 account.balance = parseFloat(balance) || 0;
                 account.interestRate = parseFloat(rate) || 0;
+                account.costBasis = normalizedType === 'taxable' ? (costBasis !== '' ? parseFloat(costBasis) : account.balance) : null;
+                Object.assign(account, this.readInvestmentYieldFields(normalizedType));
                 account.taxAdvantaged = normalizedType === 'traditional' || normalizedType === 'roth' || normalizedType === 'hsa';
+                account.withdrawalAccess = this.readWithdrawalAccessFields();
+                account.contributionRule = this.readContributionRuleFields();
             }
 
             this.closeModal();
@@ -3910,10 +7569,265 @@ class UIController {
 
     deleteAccount(id) {
         this.model.removeItem(this.model.accounts, id);
+        if (this.model.settings.overflowAccountId === id) {
+            this.model.settings.overflowAccountId = null;
+        }
         this.updateDashboard();
         this.saveData();
     }
 
+    renderContributionRuleFields(rule) {
+        // Contribution rule section shared by the add/edit account modals
+        const r = rule || {};
+        const method = r.method || 'none';
+        const plan = r.plan || 'none';
+        const hasPersonB = !!this.model.settings.household.personB;
+        return `
+            <div style="border-top: 1px solid var(--border-color, #e2e8f0); margin-top: 10px; padding-top: 15px;">
+                <h3 style="font-size: 1rem; margin-bottom: 10px;">Contribution Rule (before retirement)</h3>
+                <div class="form-group">
+                    <label>Contribute</label>
+                    <select id="contributionMethod">
+                        <option value="none" ${method === 'none' ? 'selected' : ''}>Nothing (only receives overflow savings)</option>
+                        <option value="percent_of_salary" ${method === 'percent_of_salary' ? 'selected' : ''}>Percentage of salary</option>
+                        <option value="fixed" ${method === 'fixed' ? 'selected' : ''}>Fixed amount per year</option>
+                        <option value="max" ${method === 'max' ? 'selected' : ''}>IRS maximum</option>
+                    </select>
+                </div>
+                <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 10px;">
+                    <div class="form-group">
+                        <label>% of Salary</label>
+                        <input type="number" id="contributionPercent" step="0.5" min="0" value="${r.percent ?? ''}" placeholder="e.g., 10">
+                    </div>
+                    <div class="form-group">
+                        <label>Fixed Amount ($/yr)</label>
+                        <input type="number" id="contributionAmount" step="500" min="0" value="${r.amount ?? ''}" placeholder="e.g., 7000">
+                    </div>
+                </div>
+                <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 10px;">
+                    <div class="form-group">
+                        <label>Whose Salary / Limit</label>
+                        <select id="contributionOwner">
+                            <option value="personA" ${r.ownerId !== 'personB' ? 'selected' : ''}>${this.model.settings.household.personA.name}</option>
+                            ${hasPersonB ? `<option value="personB" ${r.ownerId === 'personB' ? 'selected' : ''}>${this.model.settings.household.personB.name}</option>` : ''}
+                        </select>
+                    </div>
+                    <div class="form-group">
+                        <label>IRS Limit</label>
+                        <select id="contributionPlan">
+                            <option value="none" ${plan === 'none' ? 'selected' : ''}>None (taxable/cash)</option>
+                            <option value="401k" ${plan === '401k' ? 'selected' : ''}>401k/403b deferral</option>
+                            <option value="ira" ${plan === 'ira' ? 'selected' : ''}>IRA</option>
+                            <option value="hsa" ${plan === 'hsa' ? 'selected' : ''}>HSA</option>
+                        </select>
+                    </div>
+                </div>
+                <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 10px;">
+                    <div class="form-group">
+                        <label>Employer Match (%)</label>
+                        <input type="number" id="contributionMatchPercent" step="5" min="0" value="${r.employerMatchPercent ?? ''}" placeholder="e.g., 50">
+                    </div>
+                    <div class="form-group">
+                        <label>Match Up To (% of salary)</label>
+                        <input type="number" id="contributionMatchLimit" step="0.5" min="0" value="${r.employerMatchLimit ?? ''}" placeholder="e.g., 6">
+                    </div>
+                </div>
+                <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 10px;">
+                    <div class="form-group">
+                        <label>HSA Coverage</label>
+                        <select id="contributionHsaCoverage">
+                            <option value="self" ${r.hsaCoverage !== 'family' ? 'selected' : ''}>Self-only</option>
+                            <option value="family" ${r.hsaCoverage === 'family' ? 'selected' : ''}>Family</option>
+                        </select>
+                    </div>
+                    <div class="form-group" style="display: flex; align-items: center; gap: 8px; margin-top: 28px;">
+                        <input type="checkbox" id="contributionBackdoorRoth" ${r.backdoorRoth ? 'checked' : ''}>
+                        <label for="contributionBackdoorRoth" style="margin: 0;">Backdoor Roth IRA</label>
+                    </div>
+                </div>
+                <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 10px;">
+                    <div class="form-group">
+                        <label>Start Year (optional)</label>
+                        <input type="number" id="contributionStartYear" value="${r.startYear ?? ''}" placeholder="Now">
+                    </div>
+                    <div class="form-group">
+                        <label>End Year (optional)</label>
+                        <input type="number" id="contributionEndYear" value="${r.endYear ?? ''}" placeholder="Until retirement">
+                    </div>
+                </div>
+                <div id="contributionOwnerWarning" style="display: none; background: #fef3c7; color: #92400e; padding: 8px 10px; border-radius: 6px; margin-bottom: 10px; font-size: 0.875rem;"></div>
+                <small style="color: var(--text-secondary); display: block;">
+                    Traditional and HSA contributions are pre-tax and lower taxable income. Limits are shared across a person's accounts and include catch-up amounts at 50+ (HSA: 55+). A backdoor Roth IRA ignores the Roth income phase-out.
+                </small>
+            </div>
+        `;
+    }
+
+    attachContributionRuleListeners() {
+        // Keep the no-salary warning in step with the owner, method and plan selects
+        ['contributionOwner', 'contributionMethod', 'contributionPlan'].forEach(id => {
+            document.getElementById(id)?.addEventListener('change', () => this.updateContributionOwnerWarning());
+        });
+        this.updateContributionOwnerWarning();
+    }
+
+    updateContributionOwnerWarning() {
+        // Percent-of-salary rules, 401k deferrals and the employer match all need the owner's salary
+        const warning = document.getElementById('contributionOwnerWarning');
+        if (!warning) return;
+        const ownerId = document.getElementById('contributionOwner').value;
+        const method = document.getElementById('contributionMethod').value;
+        const plan = document.getElementById('contributionPlan').value;
+        const household = this.model.settings.household;
+        const hasSalary = this.model.incomes.some(income => income.category === 'salary' &&
+            (income.ownerId === ownerId || (income.ownerId === 'household' && (ownerId === 'personA' || household.personB)) ||
+                (income.ownerId === 'personB' && ownerId === 'personA' && !household.personB)));
+        const needsSalary = method === 'percent_of_salary' || (method !== 'none' && plan === '401k');
+        const person = household[ownerId] || household.personA;
+        warning.style.display = needsSalary && !hasSalary ? 'block' : 'none';
+        warning.textContent = `${person.name} has no salary income, so this rule won't contribute and no employer match is paid. Set the owner of their salary on the Income tab.`;
+    }
+
+    readContributionRuleFields() {
+        const method = document.getElementById('contributionMethod').value;
+        if (method === 'none') return null;
+        const matchLimit = parseFloat(document.getElementById('contributionMatchLimit').value);
+        return {
+            method,
+            percent: parseFloat(document.getElementById('contributionPercent').value) || 0,
+            amount: parseFloat(document.getElementById('contributionAmount').value) || 0,
+            ownerId: document.getElementById('contributionOwner').value,
+            plan: document.getElementById('contributionPlan').value,
+            hsaCoverage: document.getElementById('contributionHsaCoverage').value,
+            backdoorRoth: document.getElementById('contributionBackdoorRoth').checked,
+            employerMatchPercent: parseFloat(document.getElementById('contributionMatchPercent').value) || 0,
+            employerMatchLimit: isNaN(matchLimit) ? null : matchLimit, // null = match every contributed dollar
+            startYear: parseInt(document.getElementById('contributionStartYear').value) || null,
+            endYear: parseInt(document.getElementById('contributionEndYear').value) || null
+        };
+    }
+
+    renderInvestmentYieldFields(account) {
+        // Dividend/interest yield inputs for the add/edit account modals (taxable accounts only)
+        const a = account || {};
+        return `
+            <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 10px;">
+                <div class="form-group">
+                    <label>Qualified Dividend Yield (%)</label>
+                    <input type="number" id="accountDividendYield" step="0.1" min="0" value="${a.dividendYield ?? ''}" placeholder="${TAXABLE_ACCOUNT_YIELDS.qualifiedDividends}">
+                </div>
+                <div class="form-group">
+                    <label>Interest Yield (%)</label>
+                    <input type="number" id="accountInterestYield" step="0.1" min="0" value="${a.interestYield ?? ''}" placeholder="${TAXABLE_ACCOUNT_YIELDS.interest}">
+                </div>
+            </div>
+            <small style="color: var(--text-secondary); display: block; margin: -5px 0 10px;">
+                Taxable Investment only: the part of the return paid out each year and reinvested. Dividends are taxed at capital gains rates and interest as ordinary income every year (plus the 3.8% NIIT at high incomes); the rest is price growth, taxed only when sold.
+            </small>
+        `;
+    }
+
+    readInvestmentYieldFields(normalizedType) {
+        if (normalizedType !== 'taxable') return { dividendYield: null, interestYield: null };
+        const dividendYield = parseFloat(document.getElementById('accountDividendYield').value);
+        const interestYield = parseFloat(document.getElementById('accountInterestYield').value);
+        return {
+            dividendYield: isNaN(dividendYield) ? null : Math.max(0, dividendYield),
+            interestYield: isNaN(interestYield) ? null : Math.max(0, interestYield)
+        };
+    }
+
+    renderWithdrawalAccessFields(access, rule = null) {
+        // Early withdrawal rules section shared by the add/edit account modals (retirement accounts only)
+        const a = access || {};
+        const hasPersonB = !!this.model.settings.household.personB;
+        return `
+            <div style="border-top: 1px solid var(--border-color, #e2e8f0); margin-top: 10px; padding-top: 15px;">
+                <h3 style="font-size: 1rem; margin-bottom: 10px;">Early Withdrawals (Traditional/Roth/HSA only)</h3>
+                <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 10px;">
+                    <div class="form-group">
+                        <label>Account Owner</label>
+                        <select id="accessOwner">
+                            <option value="" ${!a.ownerId ? 'selected' : ''}>Same as contribution rule</option>
+                            <option value="personA" ${a.ownerId === 'personA' ? 'selected' : ''}>${this.model.settings.household.personA.name}</option>
+                            ${hasPersonB ? `<option value="personB" ${a.ownerId === 'personB' ? 'selected' : ''}>${this.model.settings.household.personB.name}</option>` : ''}
+                        </select>
+                    </div>
+                    <div class="form-group" style="display: flex; align-items: center; gap: 8px; margin-top: 28px;">
+                        <input type="checkbox" id="accessEmployerPlan" ${(a.employerPlan ?? rule?.plan === '401k') ? 'checked' : ''}>
+                        <label for="accessEmployerPlan" style="margin: 0;">Employer 401k/403b (Rule of 55)</label>
+                    </div>
+                </div>
+                <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 10px;">
+                    <div class="form-group">
+                        <label>72(t) Payments Start Year</label>
+                        <input type="number" id="accessSeppStartYear" value="${a.seppStartYear ?? ''}" placeholder="None">
+                    </div>
+                    <div class="form-group">
+                        <label>72(t) Interest Rate (%)</label>
+                        <input type="number" id="accessSeppInterestRate" step="0.1" min="0" value="${a.seppInterestRate ?? ''}" placeholder="${EARLY_WITHDRAWAL_RULES.seppInterestRate}">
+                    </div>
+                </div>
+                <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 10px;">
+                    <div class="form-group">
+                        <label>Roth Contributions (basis)</label>
+                        <input type="number" id="accessRothContributions" min="0" value="${a.rothContributions ?? ''}" placeholder="Leave blank to use current balance">
+                    </div>
+                    <div class="form-group">
+                        <label>Year of First Roth Contribution</label>
+                        <input type="number" id="accessRothOpenedYear" value="${a.rothOpenedYear ?? ''}" placeholder="5+ years ago">
+                    </div>
+                </div>
+                <div class="form-group">
+                    <label>Saved HSA Medical Receipts ($)</label>
+                    <input type="number" id="accessHsaReceipts" min="0" value="${a.hsaReceipts ?? ''}" placeholder="0">
+                </div>
+                <small style="color: var(--text-secondary); display: block;">
+                    Withdrawals before 59½ owe a 10% penalty unless you left this employer's plan in or after the year you turned 55, or take 72(t) equal payments (amortized, for the longer of 5 years or until 59½). Roth contributions come out first and are always penalty-free; each conversion needs 5 years; earnings are penalized and taxed before 59½. HSA withdrawals are tax-free up to your unreimbursed medical costs; beyond that they are taxed, plus 20% before 65.
+                </small>
+            </div>
+        `;
+    }
+
+    readWithdrawalAccessFields() {
+        const seppStartYear = parseInt(document.getElementById('accessSeppStartYear').value) || null;
+        const seppInterestRate = parseFloat(document.getElementById('accessSeppInterestRate').value);
+        const rothContributions = parseFloat(document.getElementById('accessRothContributions').value);
+        return {
+            ownerId: document.getElementById('accessOwner').value || null,
+            employerPlan: document.getElementById('accessEmployerPlan').checked,
+            seppStartYear,
+            seppInterestRate: isNaN(seppInterestRate) ? null : seppInterestRate,
+            rothContributions: isNaN(rothContributions) ? null : rothContributions,
+            rothOpenedYear: parseInt(document.getElementById('accessRothOpenedYear').value) || null,
+            hsaReceipts: parseFloat(document.getElementById('accessHsaReceipts').value) || null
+        };
+    }
+
+    describeContributionRule(rule) {
+        if (!rule) return '';
+        const labels = { '401k': '401k', ira: 'IRA', hsa: 'HSA', none: '' };
+        const amount = rule.method === 'percent_of_salary' ? `${rule.percent}% of salary` :
+            rule.method === 'max' ? 'IRS max' : `$${(rule.amount || 0).toLocaleString()}/yr`;
+        const match = rule.employerMatchPercent ? ` + ${rule.employerMatchPercent}% match${rule.employerMatchLimit != null ? ` up to ${rule.employerMatchLimit}%` : ''}` : '';
+        return `Contributes ${amount}${labels[rule.plan] ? ` (${labels[rule.plan]}${rule.backdoorRoth ? ', backdoor' : ''})` : ''}${match}`;
+    }
+
+    renderIncomeOwnerField(ownerId) {
+        // Whose paycheck this is: drives payroll tax, contribution rules and the Social Security earnings record
+        const household = this.model.settings.household;
+        return `
+            <div class="form-group">
+                <label>Owner</label>
+                <select id="incomeOwner">
+                    <option value="personA" ${ownerId === 'personA' ? 'selected' : ''}>${household.personA.name}</option>
+                    ${household.personB ? `<option value="personB" ${ownerId === 'personB' ? 'selected' : ''}>${household.personB.name}</option>` : ''}
+                    <option value="household" ${ownerId !== 'personA' && !(ownerId === 'personB' && household.personB) ? 'selected' : ''}>Household${household.personB ? ' (split evenly)' : ''}</option>
+                </select>
+            </div>
+        `;
+    }
+
     showIncomeModal() {
         const currentYear = new Date().getFullYear();
         const modal = this.createModal('Add Income', `
@@ -3931,9 +7845,11 @@ class UIController {
                     <option value="pension">Pension</option>
                     <option value="social_security">Social Security</option>
                     <option value="freelance">Freelance/Contract</option>
+                    <option value="self_employment">Self-Employment</option>
                     <option value="other">Other</option>
                 </select>
             </div>
+            ${this.renderIncomeOwnerField('household')}
             <div class="form-group">
                 <label>Amount</label>
                 <input type="number" id="incomeAmount" placeholder="5000">
@@ -3976,7 +7892,8 @@ class UIController {
             category: document.getElementById('incomeCategory').value,
             startYear: document.getElementById('incomeStartYear').value,
             endYear: document.getElementById('incomeEndYear').value || null,
-            growth: document.getElementById('incomeGrowth').value
+            growth: document.getElementById('incomeGrowth').value,
+            ownerId: document.getElementById('incomeOwner').value
         });
         this.closeModal();
         this.updateDashboard();
@@ -4008,9 +7925,11 @@ class UIController {
                     <option value="pension" ${income.category === 'pension' ? 'selected' : ''}>Pension</option>
                     <option value="social_security" ${income.category === 'social_security' ? 'selected' : ''}>Social Security</option>
                     <option value="freelance" ${income.category === 'freelance' ? 'selected' : ''}>Freelance/Contract</option>
+                    <option value="self_employment" ${income.category === 'self_employment' ? 'selected' : ''}>Self-Employment</option>
                     <option value="other" ${income.category === 'other' ? 'selected' : ''}>Other</option>
                 </select>
             </div>
+            ${this.renderIncomeOwnerField(income.ownerId)}
             <div class="form-group">
                 <label>Amount</label>
                 <input type="number" id="incomeAmount" value="${income.amount}" placeholder="5000">
@@ -4056,6 +7975,7 @@ class UIController {
         income.startYear = parseInt(document.getElementById('incomeStartYear').value);
         income.endYear = parseInt(document.getElementById('incomeEndYear').value) || null;
         income.growth = parseFloat(document.getElementById('incomeGrowth').value);
+        income.ownerId = document.getElementById('incomeOwner').value;
 
         this.closeModal();
         this.updateDashboard();
@@ -4096,6 +8016,7 @@ class UIController {
                     <option value="entertainment">Entertainment & Recreation</option>
                     <option value="travel">Travel & Vacation</option>
                     <option value="gifts">Gifts & Donations</option>
+                    <option value="charitable">Charitable Giving (tax-deductible)</option>
                     <option value="savings">Savings & Investments</option>
                     <option value="pets">Pets</option>
                     <option value="subscriptions">Subscriptions & Memberships</option>
@@ -4108,6 +8029,7 @@ class UIController {
                 <input type="text" id="customExpenseCategory" placeholder="e.g., Cycling, Hobbies, etc.">
                 <small style="color: #64748b; display: block; margin-top: 5px;">Enter a custom category name (will be saved for future use)</small>
             </div>
+            ${this.renderGivingSourceField(null)}
             <div class="form-group">
                 <label>Start Year</label>
                 <input type="number" id="expenseStartYear" value="${currentYear}">
@@ -4134,11 +8056,34 @@ class UIController {
     toggleCustomExpenseCategory() {
         const select = document.getElementById('expenseCategory');
         const customGroup = document.getElementById('customExpenseCategoryGroup');
-        if (select.value === 'custom') {
-            customGroup.style.display = 'block';
-        } else {
-            customGroup.style.display = 'none';
+        if (customGroup) {
+            customGroup.style.display = select.value === 'custom' ? 'block' : 'none';
         }
+        document.getElementById('givingSourceGroup').style.display = select.value === 'charitable' ? 'block' : 'none';
+    }
+
+    getGivingSourceLabel(source) {
+        const labels = {
+            cash: 'Cash',
+            qcd: 'QCD from IRA',
+            shares: 'Appreciated shares',
+            daf: 'Donor-advised fund'
+        };
+        return labels[source] || labels.cash;
+    }
+
+    renderGivingSourceField(expense) {
+        // "Given as" select for charitable expenses (shown only for that category)
+        const source = expense?.givingSource || 'cash';
+        return `
+            <div class="form-group" id="givingSourceGroup" style="display: ${expense?.category === 'charitable' ? 'block' : 'none'};">
+                <label>Given As</label>
+                <select id="expenseGivingSource">
+                    ${['cash', 'qcd', 'shares', 'daf'].map(value => `<option value="${value}" ${source === value ? 'selected' : ''}>${this.getGivingSourceLabel(value)}</option>`).join('')}
+                </select>
+                <small style="color: #64748b; display: block; margin-top: 5px;">Cash and DAF gifts are deductible up to 60% of AGI if you itemize. Appreciated shares are deductible at market value (up to 30% of AGI) and the gain is never taxed. QCDs come from an IRA after 70½ (up to $105,000/person, indexed), stay out of income and count toward RMDs; before then they're given in cash. A DAF is deducted when funded and granted out on this schedule - pair it with bunching in Settings.</small>
+            </div>
+        `;
     }
 
     addExpense() {
@@ -4162,7 +8107,8 @@ class UIController {
             category: category,
             startYear: document.getElementById('expenseStartYear').value,
             endYear: document.getElementById('expenseEndYear').value || null,
-            growth: document.getElementById('expenseGrowth').value
+            growth: document.getElementById('expenseGrowth').value,
+            givingSource: document.getElementById('expenseGivingSource').value
         });
         this.closeModal();
         this.updateDashboard();
@@ -4212,12 +8158,14 @@ class UIController {
                     <option value="entertainment" ${expense.category === 'entertainment' ? 'selected' : ''}>Entertainment & Recreation</option>
                     <option value="travel" ${expense.category === 'travel' ? 'selected' : ''}>Travel & Vacation</option>
                     <option value="gifts" ${expense.category === 'gifts' ? 'selected' : ''}>Gifts & Donations</option>
+                    <option value="charitable" ${expense.category === 'charitable' ? 'selected' : ''}>Charitable Giving (tax-deductible)</option>
                     <option value="savings" ${expense.category === 'savings' ? 'selected' : ''}>Savings & Investments</option>
                     <option value="pets" ${expense.category === 'pets' ? 'selected' : ''}>Pets</option>
                     <option value="subscriptions" ${expense.category === 'subscriptions' ? 'selected' : ''}>Subscriptions & Memberships</option>
                     <option value="other" ${expense.category === 'other' ? 'selected' : ''}>Other</option>
                 </select>
             </div>
+            ${this.renderGivingSourceField(expense)}
             <div class="form-group">
                 <label>Start Year</label>
                 <input type="number" id="expenseStartYear" value="${expense.startYear}">
@@ -4252,6 +8200,7 @@ class UIController {
         expense.startYear = parseInt(document.getElementById('expenseStartYear').value);
         expense.endYear = parseInt(document.getElementById('expenseEndYear').value) || null;
         expense.growth = parseFloat(document.getElementById('expenseGrowth').value);
+        expense.givingSource = expense.category === 'charitable' ? document.getElementById('expenseGivingSource').value : undefined;
 
         this.closeModal();
         this.updateDashboard();
@@ -4274,6 +8223,7 @@ class UIController {
                     <option value="inheritance">Inheritance/Windfall</option>
                     <option value="education">Education</option>
                     <option value="travel">Travel</option>
+                    <option value="wedding">Wedding (files jointly from this year)</option>
                     <option value="other">Other</option>
                 </select>
                 <small style="color: #64748b; display: block; margin-top: 5px;">
@@ -4340,6 +8290,8 @@ class UIController {
                 </div>
             </div>
 
+            ${this.renderInheritedAccountFields(null)}
+
             <div style="padding: 15px; background: #fef2f2; border: 1px solid #fecaca; border-radius: 8px; margin-bottom: 15px;">
                 <h4 style="margin: 0 0 10px 0; font-size: 14px; font-weight: 600; color: #991b1b;">Tax Bomb 💣</h4>
 
@@ -4396,6 +8348,15 @@ class UIController {
             });
         }
 
+        // Inherited account fields only apply to inheritances
+        const milestoneTypeSelect = document.getElementById('milestoneType');
+        const inheritedAccountGroup = document.getElementById('inheritedAccountGroup');
+        if (milestoneTypeSelect && inheritedAccountGroup) {
+            milestoneTypeSelect.addEventListener('change', (e) => {
+                inheritedAccountGroup.style.display = e.target.value === 'inheritance' ? 'block' : 'none';
+            });
+        }
+
         // Attach event listener
         const saveBtn = document.getElementById('saveMilestoneModalBtn');
         if (saveBtn) {
@@ -4418,13 +8379,78 @@ class UIController {
             recurringGrowth: isRecurring ? (document.getElementById('milestoneRecurringGrowth').value || 0) : 0,
             isTaxable: isTaxable,
             taxableAmount: isTaxable ? parseFloat(document.getElementById('milestoneTaxableAmount').value) || 0 : 0,
-            taxCategory: isTaxable ? document.getElementById('milestoneTaxCategory').value : null
+            taxCategory: isTaxable ? document.getElementById('milestoneTaxCategory').value : null,
+            ...this.readInheritedAccountFields(document.getElementById('milestoneType').value)
         });
         this.closeModal();
         this.updateDashboard();
         this.saveData();
     }
 
+    getInheritedAccountLabel(milestone) {
+        const pace = { even: 'spread evenly', backload: 'taken in year 10', bracket: `fills the ${milestone.inheritedTargetBracket}% bracket` };
+        return `Inherited ${milestone.inheritedAccountType === 'roth' ? 'Roth IRA' : 'IRA'}, ${pace[milestone.inheritedDistribution] || pace.even}${milestone.inheritedAnnualRmds ? ' + annual RMDs' : ''}`;
+    }
+
+    renderInheritedAccountFields(milestone) {
+        // "Received as" section for inheritance milestones (shown only for that type)
+        const m = milestone || {};
+        const household = this.model.settings.household;
+        return `
+            <div id="inheritedAccountGroup" style="display: ${m.type === 'inheritance' ? 'block' : 'none'}; padding: 15px; background: #f0fdf4; border: 1px solid #bbf7d0; border-radius: 8px; margin-bottom: 15px;">
+                <h4 style="margin: 0 0 10px 0; font-size: 14px; font-weight: 600; color: #166534;">Inherited Account</h4>
+                <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 10px;">
+                    <div class="form-group" style="margin-bottom: 12px;">
+                        <label>Received As</label>
+                        <select id="milestoneInheritedType">
+                            <option value="" ${!m.inheritedAccountType ? 'selected' : ''}>Cash / taxable assets</option>
+                            <option value="traditional" ${m.inheritedAccountType === 'traditional' ? 'selected' : ''}>Inherited Traditional IRA/401k</option>
+                            <option value="roth" ${m.inheritedAccountType === 'roth' ? 'selected' : ''}>Inherited Roth IRA</option>
+                        </select>
+                    </div>
+                    <div class="form-group" style="margin-bottom: 12px;">
+                        <label>Beneficiary</label>
+                        <select id="milestoneBeneficiary">
+                            <option value="personA" ${m.ownerId !== 'personB' ? 'selected' : ''}>${household.personA.name}</option>
+                            ${household.personB ? `<option value="personB" ${m.ownerId === 'personB' ? 'selected' : ''}>${household.personB.name}</option>` : ''}
+                        </select>
+                    </div>
+                    <div class="form-group" style="margin-bottom: 12px;">
+                        <label>Distribution</label>
+                        <select id="milestoneInheritedDistribution">
+                            <option value="even" ${(m.inheritedDistribution || 'even') === 'even' ? 'selected' : ''}>Spread evenly over 10 years</option>
+                            <option value="backload" ${m.inheritedDistribution === 'backload' ? 'selected' : ''}>Back-load (minimum until year 10)</option>
+                            <option value="bracket" ${m.inheritedDistribution === 'bracket' ? 'selected' : ''}>Fill a tax bracket each year</option>
+                        </select>
+                    </div>
+                    <div class="form-group" style="margin-bottom: 12px;">
+                        <label>Target Bracket (%)</label>
+                        <input type="number" id="milestoneInheritedBracket" value="${m.inheritedTargetBracket || 22}" min="10" max="37" step="1">
+                    </div>
+                </div>
+                <div style="display: flex; align-items: center; gap: 8px;">
+                    <input type="checkbox" id="milestoneInheritedRmds" ${m.inheritedAnnualRmds ? 'checked' : ''} style="margin: 0;">
+                    <label for="milestoneInheritedRmds" style="margin: 0; font-weight: normal;">The original owner had started RMDs (annual RMDs in years 1-9)</label>
+                </div>
+                <small style="color: #64748b; display: block; margin-top: 8px;">
+                    Enter the account value as the one-time amount. It becomes its own account under the 10-year rule: empty by the end of the 10th year after the year of death, with no 10% penalty at any age. Traditional distributions are taxed as ordinary income in the year taken (tax withheld, the rest reinvested in your taxable account); Roth distributions are tax-free and need no annual RMDs. A surviving spouse can usually roll it into their own IRA instead - add it as a regular account.
+                </small>
+            </div>
+        `;
+    }
+
+    readInheritedAccountFields(type) {
+        const accountType = document.getElementById('milestoneInheritedType').value;
+        if (type !== 'inheritance' || !accountType) return { inheritedAccountType: null };
+        return {
+            inheritedAccountType: accountType,
+            ownerId: document.getElementById('milestoneBeneficiary').value,
+            inheritedDistribution: document.getElementById('milestoneInheritedDistribution').value,
+            inheritedTargetBracket: parseFloat(document.getElementById('milestoneInheritedBracket').value) || 22,
+            inheritedAnnualRmds: accountType === 'traditional' && document.getElementById('milestoneInheritedRmds').checked
+        };
+    }
+
     deleteMilestone(id) {
         this.model.removeItem(this.model.milestones, id);
         this.updateDashboard();
@@ -4447,8 +8473,10 @@ class UIController {
                 <select id="milestoneType">
                     <option value="retirement" ${milestone.type === 'retirement' ? 'selected' : ''}>Retirement Expenses (party, relocation, RV, etc.)</option>
                     <option value="home" ${milestone.type === 'home' ? 'selected' : ''}>Home Purchase</option>
+                    <option value="inheritance" ${milestone.type === 'inheritance' ? 'selected' : ''}>Inheritance/Windfall</option>
                     <option value="education" ${milestone.type === 'education' ? 'selected' : ''}>Education</option>
                     <option value="travel" ${milestone.type === 'travel' ? 'selected' : ''}>Travel</option>
+                    <option value="wedding" ${milestone.type === 'wedding' ? 'selected' : ''}>Wedding (files jointly from this year)</option>
                     <option value="other" ${milestone.type === 'other' ? 'selected' : ''}>Other</option>
                 </select>
                 <small style="color: #64748b; display: block; margin-top: 5px;">
@@ -4515,6 +8543,8 @@ class UIController {
                 </div>
             </div>
 
+            ${this.renderInheritedAccountFields(milestone)}
+
             <div style="padding: 15px; background: #fef2f2; border: 1px solid #fecaca; border-radius: 8px; margin-bottom: 15px;">
                 <h4 style="margin: 0 0 10px 0; font-size: 14px; font-weight: 600; color: #991b1b;">Tax Bomb 💣</h4>
 
@@ -4571,6 +8601,15 @@ class UIController {
             });
         }
 
+        // Inherited account fields only apply to inheritances
+        const milestoneTypeSelect = document.getElementById('milestoneType');
+        const inheritedAccountGroup = document.getElementById('inheritedAccountGroup');
+        if (milestoneTypeSelect && inheritedAccountGroup) {
+            milestoneTypeSelect.addEventListener('change', (e) => {
+                inheritedAccountGroup.style.display = e.target.value === 'inheritance' ? 'block' : 'none';
+            });
+        }
+
         // Attach event listener
         const saveBtn = document.getElementById('updateMilestoneModalBtn');
         if (saveBtn) {
@@ -4596,6 +8635,7 @@ class UIController {
         milestone.isTaxable = isTaxable;
         milestone.taxableAmount = isTaxable ? parseFloat(document.getElementById('milestoneTaxableAmount').value) || 0 : 0;
         milestone.taxCategory = isTaxable ? document.getElementById('milestoneTaxCategory').value : null;
+        Object.assign(milestone, this.readInheritedAccountFields(milestone.type));
 
         this.closeModal();
         this.updateDashboard();
@@ -5052,10 +9092,35 @@ class UIController {
                 <input type="number" id="glidePathVolatility" value="15" step="0.1">
                 <small style="color: #64748b; display: block; margin-top: 5px;">Risk level (e.g., 15-20% for stocks, 5-10% for bonds, 3-5% for cash)</small>
             </div>
+            <div class="form-group">
+                <label>Return Distribution (Monte Carlo)</label>
+                <select id="glidePathDistribution">
+                    <option value="normal">Normal - expected return is the average year</option>
+                    <option value="lognormal">Lognormal - expected return is the compound (geometric) average</option>
+                    <option value="student_t">Student-t - fat tails, compound average matches</option>
+                </select>
+                <small style="color: #64748b; display: block; margin-top: 5px;">Lognormal and Student-t can't lose more than 100% in a year. Student-t has more crashes and booms than a bell curve.</small>
+            </div>
+            <div id="glidePathStudentTOptions" style="display: none;">
+                <div class="form-group">
+                    <label>Degrees of Freedom</label>
+                    <input type="number" id="glidePathDegreesOfFreedom" value="${RETURN_DISTRIBUTIONS.student_t.defaultDegreesOfFreedom}" min="${RETURN_DISTRIBUTIONS.student_t.minDegreesOfFreedom}" max="${RETURN_DISTRIBUTIONS.student_t.maxDegreesOfFreedom}" step="0.5">
+                    <small style="color: #64748b; display: block; margin-top: 5px;">Lower = fatter tails (3-5 is typical for annual stock returns; 30+ is close to lognormal)</small>
+                </div>
+                <div class="form-group">
+                    <label>Skew</label>
+                    <input type="number" id="glidePathSkew" value="${RETURN_DISTRIBUTIONS.student_t.defaultSkew}" min="${RETURN_DISTRIBUTIONS.student_t.minSkew}" max="${RETURN_DISTRIBUTIONS.student_t.maxSkew}" step="0.05">
+                    <small style="color: #64748b; display: block; margin-top: 5px;">1 = symmetric; below 1 makes losses deeper than gains (e.g., 0.85)</small>
+                </div>
+            </div>
             <button class="btn btn-primary" id="saveGlidePathModalBtn">Add Period</button>
         `);
         document.body.appendChild(modal);
 
+        document.getElementById('glidePathDistribution').addEventListener('change', (e) => {
+            document.getElementById('glidePathStudentTOptions').style.display = e.target.value === 'student_t' ? 'block' : 'none';
+        });
+
         // Attach event listener
         const saveBtn = document.getElementById('saveGlidePathModalBtn');
         if (saveBtn) {
@@ -5067,8 +9132,16 @@ class UIController {
         const newPeriod = {
             startYear: parseInt(document.getElementById('glidePathYear').value),
             expectedReturn: parseFloat(document.getElementById('glidePathReturn').value),
-            volatility: parseFloat(document.getElementById('glidePathVolatility').value)
+            volatility: parseFloat(document.getElementById('glidePathVolatility').value),
+            distribution: document.getElementById('glidePathDistribution').value
         };
+        if (newPeriod.distribution === 'student_t') {
+            const limits = RETURN_DISTRIBUTIONS.student_t;
+            const degreesOfFreedom = parseFloat(document.getElementById('glidePathDegreesOfFreedom').value);
+            const skew = parseFloat(document.getElementById('glidePathSkew').value);
+            newPeriod.degreesOfFreedom = isNaN(degreesOfFreedom) ? limits.defaultDegreesOfFreedom : Math.min(limits.maxDegreesOfFreedom, Math.max(limits.minDegreesOfFreedom, degreesOfFreedom));
+            newPeriod.skew = isNaN(skew) ? limits.defaultSkew : Math.min(limits.maxSkew, Math.max(limits.minSkew, skew));
+        }
 
         // Remove any existing period with the same start year
         this.model.investmentGlidePath = this.model.investmentGlidePath.filter(
@@ -5109,7 +9182,7 @@ class UIController {
                 <div class="list-item">
                     <div class="list-item-info">
                         <h3>Year ${period.startYear}${endYearText}</h3>
-                        <p>Expected Return: ${period.expectedReturn}% | Volatility: ${period.volatility}%</p>
+                        <p>Expected Return: ${period.expectedReturn}% | Volatility: ${period.volatility}% | ${this.getDistributionLabel(period)}</p>
                     </div>
                     <div class="list-item-actions">
                         <button class="btn btn-danger" onclick="ui.deleteGlidePathPeriod(${period.startYear})">Delete</button>
@@ -5120,8 +9193,86 @@ class UIController {
         '</div>';
     }
 
+    loadMonteCarloSettings() {
+        const settings = this.model.settings.monteCarlo || {};
+        document.getElementById('monteCarloSeed').value = settings.seed || '';
+        document.getElementById('monteCarloReturnModel').value = MONTE_CARLO_RETURN_MODELS[settings.returnModel] ? settings.returnModel : 'parametric';
+        document.getElementById('monteCarloBlockLength').value = settings.blockLength || 5;
+        document.getElementById('monteCarloStockPercent').value = settings.stockPercent ?? 60;
+        document.getElementById('historicalStockPercent').value = settings.stockPercent ?? 60;
+        this.toggleReturnModelOptions();
+    }
+
+    toggleReturnModelOptions() {
+        const isBootstrap = document.getElementById('monteCarloReturnModel').value === 'bootstrap';
+        document.getElementById('bootstrapOptions').style.display = isBootstrap ? 'contents' : 'none';
+    }
+
+    // Return model, block length and historical mix from the Monte Carlo tab, saved with the plan
+    saveMonteCarloSettings() {
+        const blockLength = parseInt(document.getElementById('monteCarloBlockLength').value);
+        const stockPercent = parseFloat(document.getElementById('monteCarloStockPercent').value);
+        const returnModel = document.getElementById('monteCarloReturnModel').value;
+        const current = this.model.settings.monteCarlo || {};
+        const updated = {
+            ...current,
+            returnModel: MONTE_CARLO_RETURN_MODELS[returnModel] ? returnModel : 'parametric',
+            blockLength: isNaN(blockLength) ? 5 : Math.min(30, Math.max(1, blockLength)),
+            stockPercent: isNaN(stockPercent) ? 60 : Math.min(100, Math.max(0, stockPercent))
+        };
+        if (JSON.stringify(updated) !== JSON.stringify(current)) {
+            this.model.settings.monteCarlo = updated;
+            this.saveData();
+        }
+    }
+
+    // e.g. "Block Bootstrap (History): 5-year blocks, 60% stocks" or "Normal to 2044, Student-t (5 df) from 2045"
+    getReturnModelDescription(settings = this.model.settings.monteCarlo || {}, glidePath = this.model.investmentGlidePath) {
+        const model = MONTE_CARLO_RETURN_MODELS[settings.returnModel] ? settings.returnModel : 'parametric';
+        if (model === 'bootstrap') {
+            return `${MONTE_CARLO_RETURN_MODELS.bootstrap.label}: ${settings.blockLength || 5}-year blocks, ${settings.stockPercent ?? 60}% stocks`;
+        }
+
+        // Each glide path period's distribution, merging neighbours that use the same one
+        const runs = [];
+        glidePath.forEach(period => {
+            const label = this.getDistributionLabel(period);
+            if (runs.length === 0 || runs[runs.length - 1].label !== label) runs.push({ label, startYear: period.startYear });
+        });
+        if (runs.length <= 1) return runs[0]?.label || RETURN_DISTRIBUTIONS.normal.label;
+        return runs.map((run, i) => i === 0 ? `${run.label} to ${runs[1].startYear - 1}` : `${run.label} from ${run.startYear}`).join(', ');
+    }
+
+    // e.g. "Student-t (4 df, skew 0.85)"
+    getDistributionLabel(period) {
+        const distribution = RETURN_DISTRIBUTIONS[period.distribution] ? period.distribution : 'normal';
+        if (distribution !== 'student_t') return RETURN_DISTRIBUTIONS[distribution].label;
+        const limits = RETURN_DISTRIBUTIONS.student_t;
+        const skew = period.skew ?? limits.defaultSkew;
+        return `${limits.label} (${period.degreesOfFreedom ?? limits.defaultDegreesOfFreedom} df${skew !== 1 ? `, skew ${skew}` : ''})`;
+    }
+
+    // Seed for the next run: the one typed in, else the plan's saved seed, else a new one. It's saved with the
+    // plan (and so with scenarios) so the same plan and seed give the same results later.
+    getMonteCarloSeed() {
+        const input = document.getElementById('monteCarloSeed');
+        let seed = parseInt(input?.value);
+        if (isNaN(seed) || seed < 1) {
+            seed = this.model.settings.monteCarlo?.seed || this.simulator.generateSeed();
+        }
+        if (input) input.value = seed;
+        if (this.model.settings.monteCarlo?.seed !== seed) {
+            this.model.settings.monteCarlo = { ...(this.model.settings.monteCarlo || {}), seed };
+            this.saveData();
+        }
+        return seed;
+    }
+
     runMonteCarlo() {
         const numSims = parseInt(document.getElementById('numSimulations').value);
+        this.saveMonteCarloSettings();
+        const seed = this.getMonteCarloSeed();
+        const returnModel = this.getReturnModelDescription(); // As of this run, even if settings change while it runs
 
         // Use glide path if defined, otherwise use default values
         let expectedReturn = 7;
@@ -5133,25 +9284,246 @@ class UIController {
             volatility = this.model.investmentGlidePath[0].volatility;
         }
 
-        console.log('Running Monte Carlo with:', { numSims, expectedReturn, volatility });
+        console.log('Running Monte Carlo with:', { numSims, expectedReturn, volatility, seed, returnModel });
         console.log('Glide path:', JSON.stringify(this.model.investmentGlidePath));
 
-        const results = this.simulator.runSimulation(numSims, expectedReturn, volatility, 40);
+        // Start over: stop any run in progress and clear the previous chart
+        this.cancelMonteCarlo(false);
+        if (this.charts.simulation) {
+            this.charts.simulation.destroy();
+            this.charts.simulation = null;
+        }
+        document.getElementById('simulationStats').innerHTML = '';
+        this.monteCarloShown = null;
+        document.getElementById('runSimulationBtn').disabled = true;
+        document.getElementById('compareReturnModelsBtn').disabled = true;
+        this.updateMonteCarloProgress(0, numSims);
+
+        let lastRender = 0;
+        this.startMonteCarloRun(numSims, expectedReturn, volatility, 40, seed, {
+            onBatch: (results, completed) => {
+                this.updateMonteCarloProgress(completed, numSims);
+                // Redraw at most a few times a second while batches come in
+                if (completed < numSims && Date.now() - lastRender > 300) {
+                    lastRender = Date.now();
+                    this.renderMonteCarloResults(this.simulator.analyzeResults(results), { seed, returnModel, completed, total: numSims });
+                }
+            },
+            onDone: (results) => {
+                const analysis = this.simulator.analyzeResults(results);
+                document.getElementById('runSimulationBtn').disabled = false;
+                document.getElementById('compareReturnModelsBtn').disabled = false;
+                document.getElementById('simulationProgress').style.display = 'none';
+                if (analysis.length === 0) return;
+
+                console.log('Monte Carlo final year results:');
+                console.log('  Median:', analysis[analysis.length - 1].median);
+                console.log('  P10:', analysis[analysis.length - 1].p10);
+                console.log('  P75:', analysis[analysis.length - 1].p75);
+
+                // Also run a single deterministic projection for comparison
+                const detProjection = this.projectionEngine.projectNetWorth(40);
+                console.log('Deterministic projection final year:', detProjection[detProjection.length - 1].netWorth);
+
+                this.renderMonteCarloResults(analysis, { seed, returnModel, completed: results.length, total: numSims });
+            }
+        });
+        this.monteCarloRun.returnModel = returnModel;
+    }
+
+    // Runs the simulations in Web Workers - one per CPU core, each with its own share of the runs and a copy of the
+    // plan - so the page stays responsive. Workers report back in batches; results are kept in simulation order, so
+    // a seed gives the same answer however the work is split. Where workers aren't available (e.g. the page was
+    // opened from a file) the batches run here instead, with a pause between them to redraw.
+    startMonteCarloRun(numSims, expectedReturn, volatility, years, seed, { onBatch, onDone, plan = this.getCurrentPlanData() }) {
+        const batchSize = 25;
+        const results = new Array(numSims);
+        let completed = 0;
+        const run = { workers: [], timer: null, cancelled: false, results, seed };
+        this.monteCarloRun = run;
+
+        const finish = () => {
+            run.workers.forEach(worker => worker.terminate());
+            if (this.monteCarloRun === run) this.monteCarloRun = null;
+            onDone(results.filter(Boolean));
+        };
+        const receive = (start, paths) => {
+            paths.forEach((path, i) => { results[start + i] = path; });
+            completed += paths.length;
+            onBatch(results.filter(Boolean), completed);
+            if (completed >= numSims) finish();
+        };
+
+        // Fallback: simulate the remaining ranges on the main thread, one batch per tick
+        const planModel = Object.assign(new FinancialModel(), JSON.parse(JSON.stringify(plan)));
+        const simulator = new MonteCarloSimulator(planModel, new ProjectionEngine(planModel));
+        const mainThreadQueue = [];
+        const runNextMainThreadBatch = () => {
+            run.timer = null;
+            if (run.cancelled || mainThreadQueue.length === 0) return;
+            const range = mainThreadQueue[0];
+            const size = Math.min(batchSize, range.end - range.next);
+            const paths = simulator.simulatePaths(size, expectedReturn, volatility, years, seed, range.next);
+            range.next += size;
+            if (range.next >= range.end) mainThreadQueue.shift();
+            receive(range.next - size, paths);
+            if (mainThreadQueue.length > 0) run.timer = setTimeout(runNextMainThreadBatch, 0);
+        };
+        const runOnMainThread = (range) => {
+            mainThreadQueue.push(range);
+            if (!run.timer) run.timer = setTimeout(runNextMainThreadBatch, 0);
+        };
 
-        console.log('Monte Carlo final year results:');
-        console.log('  Median:', results[results.length - 1].median);
-        console.log('  P10:', results[results.length - 1].p10);
-        console.log('  P75:', results[results.length - 1].p75);
+        // Split the sample across one worker per core
+        const workerCount = Math.max(1, Math.min(navigator.hardwareConcurrency || 2, Math.ceil(numSims / batchSize)));
+        const shareSize = Math.ceil(numSims / workerCount);
 
-        // Also run a single deterministic projection for comparison
-        const detProjection = this.projectionEngine.projectNetWorth(40);
-        console.log('Deterministic projection final year:', detProjection[detProjection.length - 1].netWorth);
+        for (let i = 0; i < workerCount; i++) {
+            const range = { next: i * shareSize, end: Math.min(numSims, (i + 1) * shareSize) };
+            if (range.next >= range.end) continue;
 
-        // Create simulation chart
-        const ctx = document.getElementById('simulationChart').getContext('2d');
-        if (this.charts.simulation) {
-            this.charts.simulation.destroy();
+            let worker;
+            try {
+                worker = new Worker('app.js');
+            } catch (e) {
+                console.warn('Web Workers unavailable, running Monte Carlo on the page:', e.message);
+                runOnMainThread(range);
+                continue;
+            }
+            run.workers.push(worker);
+
+            worker.onmessage = (event) => {
+                if (run.cancelled || event.data.type !== 'batch') return;
+                range.next = event.data.start + event.data.paths.length;
+                receive(event.data.start, event.data.paths);
+            };
+            worker.onerror = (event) => {
+                // e.g. a browser that won't start workers from file:// - finish this share on the page
+                event.preventDefault();
+                worker.terminate();
+                console.warn('Monte Carlo worker failed, finishing its share on the page:', event.message);
+                if (!run.cancelled && range.next < range.end) runOnMainThread(range);
+            };
+            worker.postMessage({ plan, expectedReturn, volatility, years, seed, start: range.next, count: range.end - range.next, batchSize });
+        }
+    }
+
+    // Stops the run in progress; the results so far stay on screen
+    cancelMonteCarlo(showPartial = true) {
+        const run = this.monteCarloRun;
+        if (!run) return;
+        run.cancelled = true;
+        run.workers.forEach(worker => worker.terminate());
+        clearTimeout(run.timer);
+        this.monteCarloRun = null;
+
+        document.getElementById('runSimulationBtn').disabled = false;
+        document.getElementById('compareReturnModelsBtn').disabled = false;
+        document.getElementById('simulationProgress').style.display = 'none';
+        const results = run.results.filter(Boolean);
+        if (run.comparison) {
+            document.getElementById('returnModelComparison').innerHTML = '<p style="color: #64748b;">Comparison cancelled.</p>';
+        } else if (showPartial && results.length > 0) {
+            this.renderMonteCarloResults(this.simulator.analyzeResults(results), {
+                seed: run.seed, returnModel: run.returnModel, completed: results.length, total: run.results.length, cancelled: true
+            });
         }
+    }
+
+    updateMonteCarloProgress(completed, total) {
+        const percent = total > 0 ? completed / total * 100 : 0;
+        document.getElementById('simulationProgress').style.display = 'block';
+        document.getElementById('simulationProgressBar').style.width = `${percent}%`;
+        document.getElementById('simulationProgressText').textContent = `${completed.toLocaleString()} of ${total.toLocaleString()} simulations`;
+    }
+
+    // The same plan, seed and number of simulations under each return model, one model after another (each split
+    // across the workers). Every model keeps the glide path's expected returns and volatility, so differences
+    // come from the shape of the returns - fat tails, streaks, crash sequences.
+    runReturnModelComparison() {
+        const numSims = parseInt(document.getElementById('numSimulations').value) || 1000;
+        this.saveMonteCarloSettings();
+        const seed = this.getMonteCarloSeed();
+        const firstPeriod = this.model.investmentGlidePath[0];
+        const expectedReturn = firstPeriod?.expectedReturn ?? 7;
+        const volatility = firstPeriod?.volatility ?? 15;
+        // Each distribution applied to every glide path period, then the bootstrap
+        const models = [
+            ...Object.keys(RETURN_DISTRIBUTIONS).map(distribution => ({ returnModel: 'parametric', distribution })),
+            { returnModel: 'bootstrap' }
+        ];
+        const container = document.getElementById('returnModelComparison');
+        const rows = [];
+
+        this.cancelMonteCarlo(false);
+        document.getElementById('runSimulationBtn').disabled = true;
+        document.getElementById('compareReturnModelsBtn').disabled = true;
+
+        const runModel = (index) => {
+            if (index >= models.length) {
+                document.getElementById('runSimulationBtn').disabled = false;
+                document.getElementById('compareReturnModelsBtn').disabled = false;
+                document.getElementById('simulationProgress').style.display = 'none';
+                this.renderReturnModelComparison(rows, { seed, numSims });
+                return;
+            }
+            const plan = this.getCurrentPlanData();
+            plan.settings.monteCarlo = { ...(plan.settings.monteCarlo || {}), returnModel: models[index].returnModel };
+            if (models[index].distribution) {
+                plan.investmentGlidePath = (plan.investmentGlidePath.length > 0 ? plan.investmentGlidePath : [{ startYear: plan.settings.planStartYear, expectedReturn, volatility }])
+                    .map(period => ({ ...period, distribution: models[index].distribution }));
+            }
+            const description = this.getReturnModelDescription(plan.settings.monteCarlo, plan.investmentGlidePath);
+            container.innerHTML = `<p style="color: #64748b;">Running ${description} (${index + 1} of ${models.length})...</p>`;
+            this.updateMonteCarloProgress(0, numSims);
+
+            this.startMonteCarloRun(numSims, expectedReturn, volatility, 40, seed, {
+                plan,
+                onBatch: (results, completed) => this.updateMonteCarloProgress(completed, numSims),
+                onDone: (results) => {
+                    rows.push({ ...models[index], description, final: this.simulator.analyzeResults(results).pop() });
+                    runModel(index + 1);
+                }
+            });
+            this.monteCarloRun.comparison = true;
+        };
+        runModel(0);
+    }
+
+    renderReturnModelComparison(rows, { seed, numSims }) {
+        const fmt = (value) => `$${Math.round(value).toLocaleString()}`;
+        const cell = 'padding: 8px; text-align: right;';
+        document.getElementById('returnModelComparison').innerHTML = `
+            <table style="width: 100%; border-collapse: collapse; font-size: 13px;">
+                <thead>
+                    <tr style="border-bottom: 2px solid var(--border-color);">
+                        <th style="text-align: left; padding: 8px;">Return Model</th>
+                        <th style="${cell}">Success (Liquid)</th>
+                        <th style="${cell}">10th Percentile</th>
+                        <th style="${cell}">Median</th>
+                        <th style="${cell}">75th Percentile</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${rows.map(row => `
+                        <tr style="border-bottom: 1px solid var(--border-color);">
+                            <td style="padding: 8px;">${row.description}</td>
+                            <td style="${cell} font-weight: 600;">${row.final.successRateExcludingHome.toFixed(1)}%</td>
+                            <td style="${cell}">${fmt(row.final.p10ExcludingHome)}</td>
+                            <td style="${cell}">${fmt(row.final.medianExcludingHome)}</td>
+                            <td style="${cell}">${fmt(row.final.p75ExcludingHome)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            <p style="color: #64748b; font-size: 13px; margin-top: 8px;">${numSims.toLocaleString()} simulations per model with seed ${seed}, liquid net worth in the final year. The distributions use your glide path's expected returns and volatility (Normal treats the expected return as the average year, the others as the compound average); the bootstrap replays the historical ${this.model.settings.monteCarlo?.stockPercent ?? 60}% stock mix's actual returns and inflation.</p>
+        `;
+    }
+
+    // Chart and statistics for the simulations finished so far (redrawn in place while a run is in progress)
+    renderMonteCarloResults(results, { seed, returnModel, completed, total, cancelled = false }) {
+        if (results.length === 0) return;
+        this.monteCarloShown = { seed, returnModel, completed };
 
         // Calculate y-axis range based on liquid net worth (excluding home)
         const allLiquidValues = results.flatMap(r => [r.p10ExcludingHome, r.medianExcludingHome, r.p75ExcludingHome]);
@@ -5161,65 +9533,85 @@ class UIController {
         const yMin = Math.floor((minLiquid - liquidRange * 0.1) / 100000) * 100000; // Round down to nearest 100k
         const yMax = Math.ceil((maxLiquid + liquidRange * 0.1) / 100000) * 100000; // Round up to nearest 100k
 
-        this.charts.simulation = new Chart(ctx, {
-            type: 'line',
-            data: {
-                labels: results.map(r => r.year),
-                datasets: [
-                    {
-                        label: '75th Percentile (Liquid)',
-                        data: results.map(r => r.p75ExcludingHome),
-                        borderColor: '#10b981',
-                        backgroundColor: 'transparent',
-                        borderWidth: 3
-                    },
-                    {
-                        label: 'Median (Liquid)',
-                        data: results.map(r => r.medianExcludingHome),
-                        borderColor: '#2563eb',
-                        backgroundColor: 'transparent',
-                        borderWidth: 3
-                    },
-                    {
-                        label: '10th Percentile (Liquid)',
-                        data: results.map(r => r.p10ExcludingHome),
-                        borderColor: '#ef4444',
-                        backgroundColor: 'transparent',
-                        borderWidth: 3
-                    },
-                    {
-                        label: 'Total Net Worth (Median, may be off-chart)',
-                        data: results.map(r => r.median),
-                        borderColor: '#9ca3af',
-                        backgroundColor: 'transparent',
-                        borderWidth: 1,
-                        borderDash: [5, 5]
-                    }
-                ]
-            },
-            options: {
-                responsive: true,
-                plugins: {
-                    legend: {
-                        display: true
-                    },
-                    title: {
-                        display: true,
-                        text: 'Liquid Net Worth (Investment Accounts Only - Excluding Primary Residence)',
-                        font: { size: 14, weight: 'bold' }
-                    }
+        const seriesData = [
+            results.map(r => r.p75ExcludingHome),
+            results.map(r => r.medianExcludingHome),
+            results.map(r => r.p10ExcludingHome),
+            results.map(r => r.median)
+        ];
+
+        if (this.charts.simulation) {
+            // Update the chart in place as more simulations finish
+            seriesData.forEach((data, i) => { this.charts.simulation.data.datasets[i].data = data; });
+            this.charts.simulation.options.scales.y.min = yMin;
+            this.charts.simulation.options.scales.y.max = yMax;
+            this.charts.simulation.update('none');
+        } else {
+            const ctx = document.getElementById('simulationChart').getContext('2d');
+            this.charts.simulation = new Chart(ctx, {
+                type: 'line',
+                data: {
+                    labels: results.map(r => r.year),
+                    datasets: [
+                        {
+                            label: '75th Percentile (Liquid)',
+                            data: seriesData[0],
+                            borderColor: '#10b981',
+                            backgroundColor: 'transparent',
+                            borderWidth: 3
+                        },
+                        {
+                            label: 'Median (Liquid)',
+                            data: seriesData[1],
+                            borderColor: '#2563eb',
+                            backgroundColor: 'transparent',
+                            borderWidth: 3
+                        },
+                        {
+                            label: '10th Percentile (Liquid)',
+                            data: seriesData[2],
+                            borderColor: '#ef4444',
+                            backgroundColor: 'transparent',
+                            borderWidth: 3
+                        },
+                        {
+                            label: 'Total Net Worth (Median, may be off-chart)',
+                            data: seriesData[3],
+                            borderColor: '#9ca3af',
+                            backgroundColor: 'transparent',
+                            borderWidth: 1,
+                            borderDash: [5, 5]
+                        }
+                    ]
                 },
-                scales: {
-                    y: {
-                        min: yMin,
-                        max: yMax,
-                        ticks: {
-                            callback: (value) => '$' + value.toLocaleString()
+                options: {
+                    responsive: true,
+                    plugins: {
+                        legend: {
+                            display: true
+                        },
+                        title: {
+                            display: true,
+                            text: 'Liquid Net Worth (Investment Accounts Only - Excluding Primary Residence)',
+                            font: { size: 14, weight: 'bold' }
+                        }
+                    },
+                    scales: {
+                        y: {
+                            min: yMin,
+                            max: yMax,
+                            ticks: {
+                                callback: (value) => '$' + value.toLocaleString()
+                            }
                         }
                     }
                 }
-            }
-        });
+            });
+        }
+
+        const status = completed < total
+            ? `${cancelled ? 'Cancelled after' : 'So far:'} ${completed.toLocaleString()} of ${total.toLocaleString()} simulations with seed ${seed}.${cancelled ? ' Percentiles use the finished simulations only.' : ''}`
+            : `${total.toLocaleString()} simulations with seed ${seed} (${returnModel} returns). The same plan and seed always give the same results; click 🎲 New Seed to draw different markets.`;
 
         // Show statistics
         const finalYear = results[results.length - 1];
@@ -5244,6 +9636,161 @@ class UIController {
                 <div class="stat-label">75th Percentile</div>
                 <div class="stat-value">$${finalYear.p75.toLocaleString()}</div>
             </div>
+            <div class="stat-item">
+                <div class="stat-label">Seed</div>
+                <div class="stat-value">${seed}</div>
+            </div>
+            <p style="grid-column: 1 / -1; color: #64748b; font-size: 13px; margin: 5px 0 0;">${status}</p>
+        `;
+    }
+
+    // Historical backtest: the plan against every complete stretch of market history from retirement on. Each
+    // start year is a full projection, so they run a few per tick on a copy of the plan (like the Monte Carlo
+    // fallback in startMonteCarloRun) to keep the page responsive.
+    runHistoricalBacktest() {
+        const stockPercent = parseFloat(document.getElementById('historicalStockPercent').value);
+        if (!isNaN(stockPercent)) {
+            document.getElementById('monteCarloStockPercent').value = stockPercent;
+            this.saveMonteCarloSettings();
+        }
+        const statsContainer = document.getElementById('historicalStats');
+        const runButton = document.getElementById('runHistoricalBacktestBtn');
+        const planModel = Object.assign(new FinancialModel(), JSON.parse(JSON.stringify(this.getCurrentPlanData())));
+        const simulator = new MonteCarloSimulator(planModel, new ProjectionEngine(planModel));
+        const setup = simulator.getHistoricalBacktestSetup(isNaN(stockPercent) ? 60 : stockPercent, 40);
+        if (setup.startYears.length === 0) {
+            statsContainer.innerHTML = `<p style="color: #64748b;">History from ${setup.firstHistoryYear} to ${setup.lastHistoryYear} is shorter than your ${setup.span}-year retirement, so there are no complete start years to test.</p>`;
+            return;
+        }
+
+        const batchSize = 5;
+        const cycles = [];
+        const showProgress = () => {
+            statsContainer.innerHTML = `<p style="color: #64748b;">Replaying history... ${cycles.length} of ${setup.startYears.length} start years</p>`;
+        };
+        const runNextBatch = () => {
+            setup.startYears.slice(cycles.length, cycles.length + batchSize)
+                .forEach(startYear => cycles.push(simulator.runHistoricalBacktestCycle(setup, startYear)));
+            if (cycles.length < setup.startYears.length) {
+                showProgress();
+                setTimeout(runNextBatch, 0);
+                return;
+            }
+            runButton.disabled = false;
+            this.renderHistoricalBacktest(simulator.summarizeHistoricalBacktest(setup, cycles));
+        };
+
+        runButton.disabled = true;
+        showProgress();
+        // Let the message render before the projections start
+        setTimeout(runNextBatch, 20);
+    }
+
+    renderHistoricalBacktest(backtest) {
+        const fmt = (value) => `$${Math.round(value).toLocaleString()}`;
+        const cycles = backtest.cycles;
+        const worstCycle = backtest.worst[0];
+
+        // One line per start year: failures in red, the worst start year highlighted
+        const ctx = document.getElementById('historicalChart').getContext('2d');
+        if (this.charts.historical) {
+            this.charts.historical.destroy();
+        }
+        this.charts.historical = new Chart(ctx, {
+            type: 'line',
+            data: {
+                labels: cycles[0].path.map(p => p.year),
+                datasets: cycles.map(cycle => ({
+                    label: `Retire into ${cycle.startYear}`,
+                    data: cycle.path.map(p => p.realLiquid),
+                    borderColor: cycle === worstCycle ? '#b91c1c' : cycle.success ? 'rgba(107, 144, 128, 0.35)' : 'rgba(239, 68, 68, 0.6)',
+                    backgroundColor: 'transparent',
+                    borderWidth: cycle === worstCycle ? 3 : 1,
+                    pointRadius: 0
+                }))
+            },
+            options: {
+                responsive: true,
+                animation: false,
+                plugins: {
+                    legend: {
+                        display: false
+                    },
+                    title: {
+                        display: true,
+                        text: `Liquid Net Worth in Today's Dollars - ${cycles.length} Historical Start Years (${backtest.stockPercent}% stocks / ${100 - backtest.stockPercent}% bonds)`,
+                        font: { size: 14, weight: 'bold' }
+                    },
+                    tooltip: {
+                        callbacks: {
+                            label: (context) => `${context.dataset.label}: ${fmt(context.parsed.y)}`
+                        }
+                    }
+                },
+                scales: {
+                    y: {
+                        ticks: {
+                            callback: (value) => '$' + value.toLocaleString()
+                        }
+                    }
+                }
+            }
+        });
+
+        const endings = cycles.map(c => c.endingRealLiquid).sort((a, b) => a - b);
+        const failures = cycles.filter(c => !c.success).length;
+        const cell = 'padding: 8px; text-align: right;';
+        document.getElementById('historicalStats').innerHTML = `
+            <div style="display: grid; grid-template-columns: repeat(3, 1fr); gap: 15px; margin-top: 20px;">
+                <div class="stat-item">
+                    <div class="stat-label">Historical Success Rate</div>
+                    <div class="stat-value">${backtest.successRate.toFixed(1)}%</div>
+                </div>
+                <div class="stat-item">
+                    <div class="stat-label">Start Years Tested</div>
+                    <div class="stat-value">${cycles.length} (${cycles[0].startYear}-${cycles[cycles.length - 1].startYear})</div>
+                </div>
+                <div class="stat-item">
+                    <div class="stat-label">Worst Start Year</div>
+                    <div class="stat-value">${worstCycle.startYear}</div>
+                </div>
+                <div class="stat-item">
+                    <div class="stat-label">Failed Start Years</div>
+                    <div class="stat-value">${failures}</div>
+                </div>
+                <div class="stat-item">
+                    <div class="stat-label">Median Ending (Today's $)</div>
+                    <div class="stat-value">${fmt(endings[Math.floor(endings.length / 2)])}</div>
+                </div>
+                <div class="stat-item">
+                    <div class="stat-label">Lowest Ending (Today's $)</div>
+                    <div class="stat-value">${fmt(endings[0])}</div>
+                </div>
+            </div>
+            <h3 style="font-size: 1.1rem; margin: 20px 0 10px;">Worst Start Years</h3>
+            <table style="width: 100%; border-collapse: collapse; font-size: 13px;">
+                <thead>
+                    <tr style="border-bottom: 2px solid var(--border-color);">
+                        <th style="text-align: left; padding: 8px;">Retire Into</th>
+                        <th style="text-align: left; padding: 8px;">Markets Replayed</th>
+                        <th style="text-align: left; padding: 8px;">Result</th>
+                        <th style="${cell}">Lowest (Today's $)</th>
+                        <th style="${cell}">Ending (Today's $)</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${backtest.worst.slice(0, 10).map(cycle => `
+                        <tr style="border-bottom: 1px solid var(--border-color);">
+                            <td style="padding: 8px; font-weight: 600;">${cycle.startYear}</td>
+                            <td style="padding: 8px;">${cycle.startYear}-${cycle.endYear} → plan years ${backtest.retirementYear}-${backtest.retirementYear + backtest.span - 1}</td>
+                            <td style="padding: 8px; color: ${cycle.success ? 'inherit' : 'var(--danger-color)'};">${cycle.success ? 'Lasted' : `Ran out in ${cycle.depletedYear}`}</td>
+                            <td style="${cell}">${fmt(cycle.lowestRealLiquid)}</td>
+                            <td style="${cell}">${fmt(cycle.endingRealLiquid)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            <p style="color: #64748b; font-size: 13px; margin-top: 8px;">Each start year replays that year's markets from your first retirement year (${backtest.retirementYear}) on: the ${backtest.stockPercent}/${100 - backtest.stockPercent} mix's actual returns together with that year's inflation, which your spending, incomes, Social Security and tax brackets follow (as in the bootstrap). Before retirement the glide path's expected returns and your inflation rate apply. Today's dollars are deflated by the replayed inflation. Data: ${backtest.firstHistoryYear}-${backtest.lastHistoryYear}, only complete ${backtest.span}-year stretches.</p>
         `;
     }
 
@@ -6279,6 +10826,25 @@ class UIController {
                 return obj;
             };
 
+            // SS_Earnings format: "2019:85000;2020:88000"
+            const parseEarnings = (value) => String(value || '')
+                .split(';')
+                .map(entry => entry.split(':'))
+                .filter(([year, earnings]) => year && earnings)
+                .map(([year, earnings]) => ({ year: parseInt(year, 10), earnings: parseFloat(earnings) }));
+            // "key=value;key=value" with booleans and numbers converted (null when empty)
+            const parseKeyValues = (value) => {
+                if (!value) return null;
+                const parsed = {};
+                String(value).split(';').forEach(entry => {
+                    const [key, val] = entry.split('=');
+                    if (!key) return;
+                    parsed[key.trim()] = val === 'true' ? true : val === 'false' ? false :
+                        (val !== '' && !isNaN(val) ? parseFloat(val) : val);
+                });
+                return parsed;
+            };
+
             switch (currentSection) {
                 case 'SETTINGS':
                     const settings = parseRow();
@@ -6286,6 +10852,19 @@ class UIController {
                     data.settings.projectionHorizon = settings.ProjectionHorizon;
                     data.settings.inflation = settings.Inflation;
                     data.settings.filingStatus = settings.FilingStatus;
+                    data.settings.state = settings.State || null;
+                    // StateChanges format: "2032:FL;2040:PA"
+                    data.settings.stateChanges = String(settings.StateChanges || '')
+                        .split(';')
+                        .map(entry => entry.split(':'))
+                        .filter(([year, state]) => year && state)
+                        .map(([year, state]) => ({ year: parseInt(year, 10), state: state.trim() }));
+                    // FilingStatusChanges format: "2030:married;2052:qss;2054:single"
+                    data.settings.filingStatusChanges = String(settings.FilingStatusChanges || '')
+                        .split(';')
+                        .map(entry => entry.split(':'))
+                        .filter(([year, status]) => year && status)
+                        .map(([year, status]) => ({ year: parseInt(year, 10), status: status.trim() }));
                     break;
 
                 case 'PERSON_A':
@@ -6298,7 +10877,11 @@ class UIController {
                         socialSecurity: {
                             enabled: personA.SS_Enabled,
                             annualAmount: personA.SS_Amount,
-                            startAge: personA.SS_StartAge
+                            startAge: personA.SS_StartAge,
+                            benefitMethod: personA.SS_Method || 'manual',
+                            pia: personA.SS_PIA || 0,
+                            earningsRecord: parseEarnings(personA.SS_Earnings),
+                            includeSalaryIncomes: personA.SS_IncludeSalary !== false
                         }
                     };
                     break;
@@ -6313,21 +10896,38 @@ class UIController {
                         socialSecurity: {
                             enabled: personB.SS_Enabled,
                             annualAmount: personB.SS_Amount,
-                            startAge: personB.SS_StartAge
+                            startAge: personB.SS_StartAge,
+                            benefitMethod: personB.SS_Method || 'manual',
+                            pia: personB.SS_PIA || 0,
+                            earningsRecord: parseEarnings(personB.SS_Earnings),
+                            includeSalaryIncomes: personB.SS_IncludeSalary !== false
                         }
                     };
                     break;
 
                 case 'ACCOUNTS':
                     const account = parseRow();
+                    const accountId = Date.now() + Math.random();
+                    // Contribution format: "method=percent_of_salary;percent=10;ownerId=personA;plan=401k;..."
+                    const contributionRule = parseKeyValues(account.Contribution);
+                    if (account.Overflow === true) {
+                        data.settings.overflowAccountId = accountId;
+                    }
                     data.accounts.push({
-                        id: Date.now() + Math.random(),
+                        id: accountId,
                         name: account.Name,
                         type: account.Type,
                         originalType: account.Type,
                         balance: account.Balance,
                         interestRate: account.InterestRate,
-                        taxAdvantaged: ['traditional', 'roth', 'hsa'].includes(account.Type)
+                        costBasis: account.Type === 'taxable'
+                            ? (account.CostBasis !== undefined && account.CostBasis !== '' ? account.CostBasis : account.Balance)
+                            : null,
+                        dividendYield: account.Type === 'taxable' && typeof account.DividendYield === 'number' ? account.DividendYield : null,
+                        interestYield: account.Type === 'taxable' && typeof account.InterestYield === 'number' ? account.InterestYield : null,
+                        taxAdvantaged: ['traditional', 'roth', 'hsa'].includes(account.Type),
+                        withdrawalAccess: parseKeyValues(account.WithdrawalAccess),
+                        contributionRule
                     });
                     break;
 
@@ -6342,7 +10942,7 @@ class UIController {
                         endYear: income.EndYear || null,
                         category: income.Category,
                         growth: income.Growth,
-                        ownerId: 'household',
+                        ownerId: ['personA', 'personB'].includes(income.Owner) ? income.Owner : 'household',
                         phasedRetirement: null
                     });
                     break;
@@ -6357,7 +10957,8 @@ class UIController {
                         startYear: expense.StartYear,
                         endYear: expense.EndYear || null,
                         category: expense.Category,
-                        growth: expense.Growth
+                        growth: expense.Growth,
+                        givingSource: expense.Category === 'charitable' ? (expense.GivingSource || 'cash') : undefined
                     });
                     break;
 
@@ -6493,21 +11094,50 @@ class UIController {
                         ownerId: 'household',
                         isTaxable: false,
                         taxableAmount: 0,
-                        taxCategory: null
+                        taxCategory: null,
+                        inheritedAccountType: null
                     });
+                    // Inherited IRA format: "type=traditional;distribution=bracket;targetBracket=22;annualRmds=true;ownerId=personA"
+                    const inheritedIra = parseKeyValues(milestone.InheritedIRA);
+                    if (milestone.Type === 'inheritance' && inheritedIra && ['traditional', 'roth'].includes(inheritedIra.type)) {
+                        Object.assign(data.milestones[data.milestones.length - 1], {
+                            inheritedAccountType: inheritedIra.type,
+                            inheritedDistribution: INHERITED_IRA_RULES.strategies.includes(inheritedIra.distribution) ? inheritedIra.distribution : 'even',
+                            inheritedTargetBracket: inheritedIra.targetBracket || 22,
+                            inheritedAnnualRmds: inheritedIra.type === 'traditional' && inheritedIra.annualRmds === true,
+                            ownerId: inheritedIra.ownerId === 'personB' ? 'personB' : 'personA'
+                        });
+                    }
                     break;
 
                 case 'INVESTMENT_GLIDE_PATH':
                     const segment = parseRow();
+                    const distribution = RETURN_DISTRIBUTIONS[segment.Distribution] ? segment.Distribution : 'normal';
+                    const limits = RETURN_DISTRIBUTIONS.student_t;
                     data.investmentGlidePath.push({
                         startYear: segment.StartYear,
                         expectedReturn: segment.ExpectedReturn,
-                        volatility: segment.Volatility
+                        volatility: segment.Volatility,
+                        distribution,
+                        // Degrees of freedom and skew only apply to Student-t (blank = defaults)
+                        ...(distribution === 'student_t' ? {
+                            degreesOfFreedom: typeof segment.DegreesOfFreedom === 'number' ? Math.min(limits.maxDegreesOfFreedom, Math.max(limits.minDegreesOfFreedom, segment.DegreesOfFreedom)) : limits.defaultDegreesOfFreedom,
+                            skew: typeof segment.Skew === 'number' ? Math.min(limits.maxSkew, Math.max(limits.minSkew, segment.Skew)) : limits.defaultSkew
+                        } : {})
                     });
                     break;
 
                 case 'WITHDRAWAL_STRATEGY':
                     const ws = parseRow();
+                    // WithdrawalSchedule format: "objective=lifetime_taxes;includeConversions=false;2030=2;2031=-1;2032=regular"
+                    const schedule = parseKeyValues(ws.WithdrawalSchedule);
+                    const scheduleYears = schedule ? Object.entries(schedule)
+                        .filter(([key, level]) => /^\d{4}$/.test(key) && (level === 'regular' || WITHDRAWAL_OPTIMIZER.levels.includes(level)))
+                        .map(([year, level]) => [year, level === 'regular' ? null : level]) : [];
+                    // RothConversion format: "enabled=true;strategy=fill_bracket;startYear=2030;endYear=;annualAmount=20000;targetBracket=12;cliffMargin=1000"
+                    const conversion = parseKeyValues(ws.RothConversion) || {};
+                    const conversionDefaults = new FinancialModel().withdrawalStrategy.rothConversion;
+                    const conversionNumber = (value, fallback) => typeof value === 'number' ? value : fallback;
                     data.withdrawalStrategy = {
                         type: ws.Type,
                         withdrawalPercentage: ws.WithdrawalPercentage,
@@ -6521,7 +11151,21 @@ class UIController {
                         withdrawalStartYear: ws.WithdrawalStartYear || null,
                         autoWithdrawalStart: !ws.WithdrawalStartYear,
                         withdrawalMode: ws.WithdrawalMode,
-                        taxOptimizedSequence: ['cash', 'taxable', 'traditional', 'roth', 'hsa']
+                        taxOptimizedSequence: ['cash', 'taxable', 'traditional', 'roth', 'hsa'],
+                        withdrawalSchedule: scheduleYears.length > 0 ? {
+                            objective: schedule.objective === 'terminal_wealth' ? 'terminal_wealth' : 'lifetime_taxes',
+                            includeConversions: schedule.includeConversions === true,
+                            years: Object.fromEntries(scheduleYears)
+                        } : null,
+                        rothConversion: {
+                            enabled: conversion.enabled === true,
+                            strategy: ['fixed_amount', 'fill_bracket', 'irmaa_cliff', 'aca_cliff'].includes(conversion.strategy) ? conversion.strategy : conversionDefaults.strategy,
+                            startYear: conversionNumber(conversion.startYear, null),
+                            endYear: conversionNumber(conversion.endYear, null),
+                            annualAmount: conversionNumber(conversion.annualAmount, conversionDefaults.annualAmount),
+                            targetBracket: conversionNumber(conversion.targetBracket, conversionDefaults.targetBracket),
+                            cliffMargin: conversionNumber(conversion.cliffMargin, conversionDefaults.cliffMargin)
+                        }
                     };
                     break;
             }
@@ -6723,47 +11367,69 @@ class UIController {
 
         // Settings
         csv += '[SETTINGS]\n';
-        csv += 'PlanStartYear,ProjectionHorizon,Inflation,FilingStatus\n';
-        csv += `${data.settings.planStartYear},${data.settings.projectionHorizon},${data.settings.inflation},${data.settings.filingStatus}\n`;
+        csv += 'PlanStartYear,ProjectionHorizon,Inflation,FilingStatus,State,StateChanges,FilingStatusChanges\n';
+        const stateChanges = (data.settings.stateChanges || []).map(move => `${move.year}:${move.state}`).join(';');
+        const filingStatusChanges = (data.settings.filingStatusChanges || []).map(change => `${change.year}:${change.status}`).join(';');
+        csv += `${data.settings.planStartYear},${data.settings.projectionHorizon},${data.settings.inflation},${data.settings.filingStatus},${data.settings.state || ''},${stateChanges},${filingStatusChanges}\n`;
         csv += '\n';
 
+        // Social Security benefit source; SS_Earnings format: "2019:85000;2020:88000"
+        const socialSecurityColumns = (ss) => [
+            ss.benefitMethod || 'manual',
+            ss.pia || '',
+            (ss.earningsRecord || []).map(entry => `${entry.year}:${entry.earnings}`).join(';'),
+            ss.includeSalaryIncomes !== false
+        ].join(',');
+
         // Person A
         csv += '[PERSON_A]\n';
-        csv += 'Name,BirthYear,RetirementYear,LifeExpectancy,SS_Enabled,SS_Amount,SS_StartAge\n';
+        csv += 'Name,BirthYear,RetirementYear,LifeExpectancy,SS_Enabled,SS_Amount,SS_StartAge,SS_Method,SS_PIA,SS_Earnings,SS_IncludeSalary\n';
         const personA = data.settings.household.personA;
-        csv += `${esc(personA.name)},${personA.birthYear},${personA.retirementYear},${personA.lifeExpectancy},${personA.socialSecurity.enabled},${personA.socialSecurity.annualAmount},${personA.socialSecurity.startAge}\n`;
+        csv += `${esc(personA.name)},${personA.birthYear},${personA.retirementYear},${personA.lifeExpectancy},${personA.socialSecurity.enabled},${personA.socialSecurity.annualAmount},${personA.socialSecurity.startAge},${socialSecurityColumns(personA.socialSecurity)}\n`;
         csv += '\n';
 
         // Person B
         if (data.settings.household.personB) {
             csv += '[PERSON_B]\n';
-            csv += 'Name,BirthYear,RetirementYear,LifeExpectancy,SS_Enabled,SS_Amount,SS_StartAge\n';
+            csv += 'Name,BirthYear,RetirementYear,LifeExpectancy,SS_Enabled,SS_Amount,SS_StartAge,SS_Method,SS_PIA,SS_Earnings,SS_IncludeSalary\n';
             const personB = data.settings.household.personB;
-            csv += `${esc(personB.name)},${personB.birthYear},${personB.retirementYear},${personB.lifeExpectancy},${personB.socialSecurity.enabled},${personB.socialSecurity.annualAmount},${personB.socialSecurity.startAge}\n`;
+            csv += `${esc(personB.name)},${personB.birthYear},${personB.retirementYear},${personB.lifeExpectancy},${personB.socialSecurity.enabled},${personB.socialSecurity.annualAmount},${personB.socialSecurity.startAge},${socialSecurityColumns(personB.socialSecurity)}\n`;
             csv += '\n';
         }
 
         // Accounts
         csv += '[ACCOUNTS]\n';
-        csv += 'Name,Type,Balance,InterestRate\n';
+        csv += 'Name,Type,Balance,InterestRate,CostBasis,Contribution,Overflow,WithdrawalAccess,DividendYield,InterestYield\n';
         data.accounts.forEach(acc => {
-            csv += `${esc(acc.name)},${acc.type},${acc.balance},${acc.interestRate}\n`;
+            // Contribution format: "method=percent_of_salary;percent=10;ownerId=personA;plan=401k;..."
+            const contribution = acc.contributionRule
+                ? Object.entries(acc.contributionRule)
+                    .filter(([, value]) => value !== null && value !== undefined && value !== '')
+                    .map(([key, value]) => `${key}=${value}`).join(';')
+                : '';
+            // Withdrawal access format: "ownerId=personA;employerPlan=true;seppStartYear=2030;rothContributions=50000;..."
+            const withdrawalAccess = acc.withdrawalAccess
+                ? Object.entries(acc.withdrawalAccess)
+                    .filter(([, value]) => value !== null && value !== undefined && value !== '')
+                    .map(([key, value]) => `${key}=${value}`).join(';')
+                : '';
+            csv += `${esc(acc.name)},${acc.type},${acc.balance},${acc.interestRate},${acc.costBasis ?? ''},${contribution},${data.settings.overflowAccountId === acc.id},${withdrawalAccess},${acc.dividendYield ?? ''},${acc.interestYield ?? ''}\n`;
         });
         csv += '\n';
 
         // Incomes
         csv += '[INCOMES]\n';
-        csv += 'Name,Amount,Frequency,StartYear,EndYear,Category,Growth\n';
+        csv += 'Name,Amount,Frequency,StartYear,EndYear,Category,Growth,Owner\n';
         data.incomes.forEach(inc => {
-            csv += `${esc(inc.name)},${inc.amount},${inc.frequency},${inc.startYear},${inc.endYear || ''},${inc.category},${inc.growth}\n`;
+            csv += `${esc(inc.name)},${inc.amount},${inc.frequency},${inc.startYear},${inc.endYear || ''},${inc.category},${inc.growth},${inc.ownerId || 'household'}\n`;
         });
         csv += '\n';
 
         // Expenses
         csv += '[EXPENSES]\n';
-        csv += 'Name,Amount,Frequency,StartYear,EndYear,Category,Growth\n';
+        csv += 'Name,Amount,Frequency,StartYear,EndYear,Category,Growth,GivingSource\n';
         data.expenses.forEach(exp => {
-            csv += `${esc(exp.name)},${exp.amount},${exp.frequency},${exp.startYear},${exp.endYear || ''},${exp.category},${exp.growth}\n`;
+            csv += `${esc(exp.name)},${exp.amount},${exp.frequency},${exp.startYear},${exp.endYear || ''},${exp.category},${exp.growth},${exp.givingSource || ''}\n`;
         });
         csv += '\n';
 
@@ -6810,25 +11476,39 @@ class UIController {
         // Milestones
         if (data.milestones.length > 0) {
             csv += '[MILESTONES]\n';
-            csv += 'Year,Name,Type,Cost,IsPositive,Recurring,RecurringAmount,RecurringInterval,RecurringGrowth\n';
+            csv += 'Year,Name,Type,Cost,IsPositive,Recurring,RecurringAmount,RecurringInterval,RecurringGrowth,InheritedIRA\n';
             data.milestones.forEach(m => {
-                csv += `${m.year},${esc(m.name)},${m.type},${m.cost},${m.isPositive},${m.recurring || false},${m.recurringAmount || 0},${m.recurringInterval || 1},${m.recurringGrowth || 0}\n`;
+                // Inherited IRA format: "type=traditional;distribution=even;targetBracket=22;annualRmds=false;ownerId=personA"
+                const inheritedIra = m.inheritedAccountType
+                    ? `type=${m.inheritedAccountType};distribution=${m.inheritedDistribution || 'even'};targetBracket=${m.inheritedTargetBracket || 22};annualRmds=${!!m.inheritedAnnualRmds};ownerId=${m.ownerId === 'personB' ? 'personB' : 'personA'}`
+                    : '';
+                csv += `${m.year},${esc(m.name)},${m.type},${m.cost},${m.isPositive},${m.recurring || false},${m.recurringAmount || 0},${m.recurringInterval || 1},${m.recurringGrowth || 0},${inheritedIra}\n`;
             });
             csv += '\n';
         }
 
         // Investment Glide Path
         csv += '[INVESTMENT_GLIDE_PATH]\n';
-        csv += 'StartYear,ExpectedReturn,Volatility\n';
+        csv += 'StartYear,ExpectedReturn,Volatility,Distribution,DegreesOfFreedom,Skew\n';
         data.investmentGlidePath.forEach(segment => {
-            csv += `${segment.startYear},${segment.expectedReturn},${segment.volatility}\n`;
+            csv += `${segment.startYear},${segment.expectedReturn},${segment.volatility},${segment.distribution || 'normal'},${segment.degreesOfFreedom ?? ''},${segment.skew ?? ''}\n`;
         });
         csv += '\n';
 
         // Withdrawal Strategy
         csv += '[WITHDRAWAL_STRATEGY]\n';
-        csv += 'Type,WithdrawalPercentage,InflationAdjusted,FixedAmount,RMD_StartAge,WithdrawalStartYear,WithdrawalMode\n';
-        csv += `${data.withdrawalStrategy.type},${data.withdrawalStrategy.withdrawalPercentage || 4},${data.withdrawalStrategy.inflationAdjusted},${data.withdrawalStrategy.fixedAmount || 0},${data.withdrawalStrategy.rmdStartAge},${data.withdrawalStrategy.withdrawalStartYear || ''},${data.withdrawalStrategy.withdrawalMode}\n`;
+        // WithdrawalSchedule format: "objective=lifetime_taxes;includeConversions=false;2030=2;2031=-1;2032=regular"
+        const schedule = data.withdrawalStrategy.withdrawalSchedule;
+        const withdrawalSchedule = schedule ? [
+            `objective=${schedule.objective}`,
+            `includeConversions=${!!schedule.includeConversions}`,
+            ...Object.entries(schedule.years || {}).map(([year, level]) => `${year}=${level === null ? 'regular' : level}`)
+        ].join(';') : '';
+        // RothConversion format: "enabled=true;strategy=fill_bracket;startYear=2030;endYear=;annualAmount=20000;targetBracket=12;cliffMargin=1000"
+        const conversion = data.withdrawalStrategy.rothConversion;
+        const rothConversion = conversion ? Object.entries(conversion).map(([key, value]) => `${key}=${value ?? ''}`).join(';') : '';
+        csv += 'Type,WithdrawalPercentage,InflationAdjusted,FixedAmount,RMD_StartAge,WithdrawalStartYear,WithdrawalMode,WithdrawalSchedule,RothConversion\n';
+        csv += `${data.withdrawalStrategy.type},${data.withdrawalStrategy.withdrawalPercentage || 4},${data.withdrawalStrategy.inflationAdjusted},${data.withdrawalStrategy.fixedAmount || 0},${data.withdrawalStrategy.rmdStartAge},${data.withdrawalStrategy.withdrawalStartYear || ''},${data.withdrawalStrategy.withdrawalMode},${withdrawalSchedule},${rothConversion}\n`;
         csv += '\n';
 
         return csv;
@@ -7070,7 +11750,7 @@ Tax-Optimized Sequence: ${data.withdrawalStrategy.taxOptimizedSequence.join(' 
                     "All dollar amounts are in USD",
                     "Monthly amounts in income/expenses are multiplied by 12 for annual calculations",
                     "Investment returns are nominal (not inflation-adjusted)",
-                    "Tax calculations use 2024 federal brackets only (no state taxes included)",
+                    "Tax calculations use 2024 federal brackets (indexed each year per the tax_bracket_indexing setting) plus simplified state income tax tables for the selected state of residence (local taxes not included)",
                     "The user's current age and retirement plans are in the 'settings' section"
                 ]
             },
@@ -7095,10 +11775,36 @@ Tax-Optimized Sequence: ${data.withdrawalStrategy.taxOptimizedSequence.join(' 
                 "plan_start_year": this.model.settings.planStartYear,
                 "projection_horizon_years": this.model.settings.projectionHorizon,
                 "tax_filing_status": this.model.settings.filingStatus,
-                "tax_filing_status_note": this.model.settings.filingStatus === 'married'
-                    ? "Married Filing Jointly - uses wider tax brackets (lower effective tax rate). First bracket: $23,200 @ 10%, top of 22% bracket: $201,050"
-                    : "Single filer - uses narrower tax brackets (higher effective tax rate). First bracket: $11,600 @ 10%, top of 22% bracket: $100,525",
+                "tax_filing_status_note": (() => {
+                    const tables = FEDERAL_TAX_TABLES.current;
+                    const status = this.model.settings.filingStatus;
+                    const brackets = tables.brackets[status] || tables.brackets.single;
+                    return `${FILING_STATUS_LABELS[status] || status} (2024 tables): standard deduction $${(tables.standardDeduction[status] || tables.standardDeduction.single).toLocaleString()}, first bracket $${brackets[0].limit.toLocaleString()} @ 10%, top of 22% bracket $${brackets[2].limit.toLocaleString()}`;
+                })(),
+                "filing_status_changes": "See filing_status in each projection year (wedding milestones, explicit changes, and single filing after a spouse's death)",
+                "tax_bracket_indexing": this.model.settings.taxBracketIndexing || 'inflation',
+                "tcja_sunset_year": this.model.settings.tcjaSunsetYear || null,
+                "state_of_residence": this.model.settings.state || "Not modeled",
+                "planned_state_moves": this.model.settings.stateChanges || [],
                 "inflation_assumption_percent": this.model.settings.inflation,
+                "medicare": this.model.settings.medicare?.enabled === false ? "Not modeled" : {
+                    "part_d_premium_monthly_2024": this.model.settings.medicare?.partDPremium ?? MEDICARE_PREMIUMS.partD,
+                    "premium_growth_percent": this.model.settings.medicare?.premiumGrowth ?? 5,
+                    "note": "Part B/D premiums from age 65 are included in expenses; IRMAA surcharges use MAGI from two years earlier"
+                },
+                "aca_marketplace": this.model.settings.aca?.enabled ? {
+                    "benchmark_premium_age_40_monthly_2024": this.model.settings.aca.benchmarkPremium,
+                    "plan_premium_percent_of_benchmark": this.model.settings.aca.planPremiumPercent,
+                    "premium_growth_percent": this.model.settings.aca.premiumGrowth,
+                    "enhanced_credits_through_year": this.model.settings.aca.enhancedCreditsThroughYear,
+                    "note": "Retired persons under 65 buy marketplace coverage; premiums net of the premium tax credit are included in expenses, with credit reconciliation in taxes"
+                } : "Not modeled",
+                "hsa_medical_expenses": this.model.settings.hsa?.saveReceipts
+                    ? "Paid out of pocket; receipts are saved and later HSA withdrawals are tax-free up to the unreimbursed total"
+                    : "Paid from the HSA each year (tax-free) while the balance lasts",
+                "charitable_bunching": this.model.settings.charitableBunching?.enabled
+                    ? `Charitable-category expenses are given ${this.model.settings.charitableBunching.interval} years at a time starting ${this.model.settings.charitableBunching.startYear || this.model.settings.planStartYear}, nothing in between`
+                    : "Not used - charitable expenses are given as scheduled",
                 "household_composition": this.model.settings.household.personB ? "Couple" : "Single",
 
                 "person_a": {
@@ -7306,6 +12012,15 @@ Tax-Optimized Sequence: ${data.withdrawalStrategy.taxOptimizedSequence.join(' 
                                        period.volatility > 10 ? "Moderate volatility - typical for balanced portfolios" :
                                        "Low volatility - stable but lower growth potential"
                 })),
+                // The last run's assumptions if results are on screen, otherwise the current settings
+                "monte_carlo_returns": this.monteCarloShown ? {
+                    "model": this.monteCarloShown.returnModel,
+                    "seed": this.monteCarloShown.seed,
+                    "simulations": this.monteCarloShown.completed
+                } : {
+                    "model": this.getReturnModelDescription(),
+                    "seed": this.model.settings.monteCarlo?.seed || null
+                },
 
                 "_ai_guidance": {
                     "rule_of_thumb": "Traditional rule: Stock allocation = 110 - age (e.g., age 40 → 70% stocks)",
@@ -7397,6 +12112,10 @@ Tax-Optimized Sequence: ${data.withdrawalStrategy.taxOptimizedSequence.join(' 
                 "withdrawal_mode_explanation": this.model.withdrawalStrategy.withdrawalMode === 'always' ?
                     "ALWAYS mode: Withdrawals apply starting from withdrawal_start_year regardless of surplus/deficit. Strategic withdrawals occur even if income > expenses." :
                     "DEFICIT_ONLY mode: Withdrawals only occur when income < expenses. More conservative - lets portfolio grow longer during surplus years.",
+                "withdrawal_schedule_explanation": this.model.withdrawalStrategy.withdrawalSchedule ?
+                    "withdrawalSchedule.years maps each retirement year to a level from the withdrawal optimizer: traditional money is withdrawn first until ordinary income reaches the top of that federal bracket (0 = lowest bracket, -1 = only the deduction, null = regular order)" +
+                    (this.model.withdrawalStrategy.withdrawalSchedule.includeConversions ? "; room left under the level is converted to Roth." : ".") :
+                    "No optimizer schedule - withdrawals follow taxOptimizedSequence.",
 
                 "_ai_guidance": {
                     "questions_to_ask": [
@@ -7425,7 +12144,7 @@ Tax-Optimized Sequence: ${data.withdrawalStrategy.taxOptimizedSequence.join(' 
                     const personAAge = this.model.settings.planStartYear - this.model.settings.household.personA.birthYear + (p.year - this.model.settings.planStartYear);
                     // Calculate effective tax rate using total taxable income (income + traditional withdrawals + tax bombs)
                     // NOT just "income" which could be near zero in retirement
-                    const totalTaxableIncome = p.income + (p.traditionalWithdrawals || 0) + (p.milestoneTaxableIncome || 0) + (p.debtTaxableIncome || 0);
+                    const totalTaxableIncome = p.income + (p.traditionalWithdrawals || 0) + (p.milestoneTaxableIncome || 0) + (p.debtTaxableIncome || 0) + (p.capitalGains || 0);
                     const effectiveTaxRate = totalTaxableIncome > 0 ? ((p.taxes || 0) / totalTaxableIncome * 100) : 0;
                     return {
                         year: p.year,
@@ -7439,6 +12158,50 @@ Tax-Optimized Sequence: ${data.withdrawalStrategy.taxOptimizedSequence.join(' 
                         end_balance: Math.round(p.endBalance),
                         income: Math.round(p.income),
                         taxes: Math.round(p.taxes || 0),
+                        federal_taxes: Math.round(p.federalTaxes ?? (p.taxes || 0)),
+                        state_taxes: Math.round(p.stateTaxes || 0),
+                        state_of_residence: p.state || null,
+                        filing_status: p.filingStatus,
+                        capital_gains_realized: Math.round(p.capitalGains || 0),
+                        capital_gains_tax: Math.round(p.capitalGainsTax || 0),
+                        social_security: Math.round(p.socialSecurityIncome || 0),
+                        taxable_social_security: Math.round(p.taxableSocialSecurity || 0),
+                        roth_conversions: Math.round(p.rothConversions || 0),
+                        roth_conversion_tax: Math.round(p.rothConversionTax || 0),
+                        inherited_ira_distributions: Math.round(p.inheritedIraDistributions || 0),
+                        inherited_ira_tax_withheld: Math.round(p.inheritedIraTax || 0),
+                        inherited_ira_balance: Math.round(p.inheritedIraBalance || 0),
+                        early_withdrawal_penalty: Math.round(p.earlyWithdrawalPenalty || 0),
+                        taxable_roth_earnings: Math.round(p.taxableRothEarnings || 0),
+                        sepp_72t_payments: Math.round(p.seppWithdrawals || 0),
+                        hsa_medical_withdrawals: Math.round(p.hsaMedicalWithdrawals || 0),
+                        taxable_hsa_withdrawals: Math.round(p.taxableHsaWithdrawals || 0),
+                        qualified_dividends: Math.round(p.qualifiedDividends || 0),
+                        taxable_interest: Math.round(p.taxableInterest || 0),
+                        net_investment_income_tax: Math.round(p.niit || 0),
+                        investment_income_tax_drag: Math.round(p.taxDrag || 0),
+                        deduction: Math.round(p.deduction || 0),
+                        itemizes: !!p.itemizes,
+                        itemized_deductions: p.itemizedDeductions ? Math.round(p.itemizedDeductions.total) : 0,
+                        charitable_giving: Math.round(p.charitableGiving || 0),
+                        mortgage_interest: Math.round(p.mortgageInterest || 0),
+                        qualified_charitable_distributions: Math.round(p.qualifiedCharitableDistributions || 0),
+                        appreciated_shares_donated: Math.round(p.appreciatedSharesGifted || 0),
+                        daf_contributions: Math.round(p.dafContributions || 0),
+                        daf_balance: Math.round(p.dafBalance || 0),
+                        employee_contributions: Math.round(p.employeeContributions || 0),
+                        employer_contributions: Math.round(p.employerContributions || 0),
+                        pre_tax_contributions: Math.round(p.preTaxContributions || 0),
+                        payroll_taxes: Math.round(p.payrollTaxes || 0),
+                        magi: Math.round(p.magi || 0),
+                        medicare_premiums: Math.round(p.medicareCost || 0),
+                        medicare_irmaa_surcharge: Math.round(p.medicareIrmaa || 0),
+                        irmaa_tier: p.irmaaTier || 0,
+                        aca_premium: Math.round(p.acaPremium || 0),
+                        aca_premium_tax_credit: Math.round(p.acaPremiumTaxCredit || 0),
+                        aca_magi_percent_fpl: p.acaCovered ? Math.round(p.acaFplPercent || 0) : null,
+                        aca_over_subsidy_cliff: !!p.acaOverCliff,
+                        self_employment_tax: Math.round(p.payrollTaxDetail?.selfEmployment || 0),
                         effective_tax_rate: Math.round(effectiveTaxRate * 10) / 10,
                         expenses: Math.round(p.expenses),
                         housing_costs_breakdown: {
@@ -7483,6 +12246,23 @@ Tax-Optimized Sequence: ${data.withdrawalStrategy.taxOptimizedSequence.join(' 
                     })()
                 },
 
+                "legacy": this.projectionEngine.calculateLegacy(projections).map(l => ({
+                    "person": l.name,
+                    "year": l.year,
+                    "age": l.age,
+                    "beyond_plan_horizon": l.beyondHorizon,
+                    "passes_to_survivor": l.toSurvivor ? l.survivorName : null,
+                    "estate_by_type": Object.fromEntries(Object.entries(l.byType).map(([type, amount]) => [type, Math.round(amount)])),
+                    "home_equity": Math.round(l.homeEquity),
+                    "debts": Math.round(l.debts),
+                    "gross_estate": Math.round(l.grossEstate),
+                    "estate_tax_exclusion": Math.round(l.exclusion),
+                    "federal_estate_tax": Math.round(l.estateTax),
+                    "heirs_income_tax": Math.round(l.heirsIncomeTax),
+                    "step_up_gain_forgiven": Math.round(l.stepUpGain),
+                    "net_to_heirs": Math.round(l.netToHeirs)
+                })),
+
                 "_ai_guidance": {
                     "red_flags": [
                         "Net worth declining over time (except in early retirement)",
@@ -7503,7 +12283,7 @@ Tax-Optimized Sequence: ${data.withdrawalStrategy.taxOptimizedSequence.join(' 
                     "how_to_read": {
                         "start_balance": "Portfolio value at beginning of year",
                         "income": "Gross income before taxes (salary + retirement income + pensions)",
-                        "taxes": "Federal income taxes calculated based on filing status (single vs married filing jointly). Uses 2024 tax brackets.",
+                        "taxes": "Federal plus state income taxes calculated based on filing status (single vs married filing jointly). Uses 2024 tax brackets indexed forward each year. See federal_taxes and state_taxes for the split.",
                         "effective_tax_rate": "Actual tax rate paid as percentage of total taxable income (taxes / (income + traditional_withdrawals + tax_bombs) * 100). More accurate than income-only in retirement.",
                         "expenses": "Annual living expenses",
                         "contributions": "After-tax savings = income - TAXES - expenses (excludes windfalls). This is the TRUE savings rate.",
@@ -7563,7 +12343,7 @@ Tax-Optimized Sequence: ${data.withdrawalStrategy.taxOptimizedSequence.join(' 
                             {
                                 "id": 1234567890,
                                 "name": "Income Source Name",
-                                "category": "salary|business|investment|rental|pension|social_security|freelance|other",
+                                "category": "salary|business|investment|rental|pension|social_security|freelance|self_employment|other",
                                 "amount": 5000,
                                 "frequency": "monthly|annual",
                                 "startYear": 2025,
@@ -7600,7 +12380,7 @@ Tax-Optimized Sequence: ${data.withdrawalStrategy.taxOptimizedSequence.join(' 
                             "planStartYear": 2025,
                             "projectionHorizon": 40,
                             "inflation": 3.0,
-                            "filingStatus": "single|married",
+                            "filingStatus": "single|married|hoh|qss",
                             "household": {
                                 "personA": {
                                     "name": "Person Name",
@@ -7725,13 +12505,13 @@ Tax-Optimized Sequence: ${data.withdrawalStrategy.taxOptimizedSequence.join(' 
                     "SETTINGS": {
                         "header": "PlanStartYear,ProjectionHorizon,Inflation,FilingStatus",
                         "example": "2026,45,3.0,married",
-                        "notes": "FilingStatus: 'single' or 'married'"
+                        "notes": "FilingStatus: 'single', 'married' (jointly), 'hoh' (head of household) or 'qss' (qualifying surviving spouse); 'mfs' (married filing separately) is projected as 'married'. FilingStatusChanges (optional): 'year:status' pairs separated by semicolons, e.g. 2030:married;2052:qss"
                     },
 
                     "PERSON_A": {
-                        "header": "Name,BirthYear,RetirementYear,LifeExpectancy,SS_Enabled,SS_Amount,SS_StartAge",
-                        "example": "John,1980,2045,95,true,30000,70",
-                        "notes": "SS_Enabled: true/false. SS_Amount: annual Social Security benefit. SS_StartAge: 62-70 typical"
+                        "header": "Name,BirthYear,RetirementYear,LifeExpectancy,SS_Enabled,SS_Amount,SS_StartAge,SS_Method,SS_PIA,SS_Earnings,SS_IncludeSalary",
+                        "example": "John,1980,2045,95,true,30000,70,manual,,,true",
+                        "notes": "SS_Enabled: true/false. SS_Amount: annual Social Security benefit at SS_StartAge. SS_StartAge: 62-70. Optional: SS_Method (manual, pia, earnings), SS_PIA (monthly benefit at full retirement age), SS_Earnings (earnings record as 'year:amount;year:amount'), SS_IncludeSalary (add the person's future salaries to the record - incomes with Owner set to them, plus half of household-owned ones for a couple)"
                     },
 
                     "PERSON_B": {
@@ -7741,21 +12521,21 @@ Tax-Optimized Sequence: ${data.withdrawalStrategy.taxOptimizedSequence.join(' 
                     },
 
                     "ACCOUNTS": {
-                        "header": "Name,Type,Balance,InterestRate",
-                        "example": "401k,traditional,250000,7.0",
-                        "notes": "Type: cash, taxable, traditional, roth, or hsa. InterestRate: expected annual return %"
+                        "header": "Name,Type,Balance,InterestRate,CostBasis,Contribution,Overflow,WithdrawalAccess,DividendYield,InterestYield",
+                        "example": "401k,traditional,250000,7.0,,method=percent_of_salary;percent=10;ownerId=personA;plan=401k;employerMatchPercent=50;employerMatchLimit=6,false,ownerId=personA;employerPlan=true",
+                        "notes": "Type: cash, taxable, traditional, roth, or hsa. InterestRate: expected annual return %. Optional: CostBasis (taxable only), Contribution rule (method: percent_of_salary/fixed/max; plan: 401k/ira/hsa/none), Overflow=true for the account that receives leftover savings, WithdrawalAccess for early withdrawal rules (ownerId; employerPlan=true for Rule of 55; seppStartYear and seppInterestRate for 72(t) payments; rothContributions and rothOpenedYear for Roth accounts; hsaReceipts for unreimbursed medical expenses), DividendYield and InterestYield (taxable only: % of balance paid as qualified dividends / interest each year, taxed annually; blank = 1.5% / 0%)"
                     },
 
                     "INCOMES": {
-                        "header": "Name,Amount,Frequency,StartYear,EndYear,Category,Growth",
-                        "example": "Salary,8000,monthly,2026,2045,salary,3.0",
-                        "notes": "Frequency: monthly or annual. EndYear: blank for ongoing. Category: salary, business, investment, rental, pension, social_security, freelance, other. Growth: annual increase %"
+                        "header": "Name,Amount,Frequency,StartYear,EndYear,Category,Growth,Owner",
+                        "example": "Salary,8000,monthly,2026,2045,salary,3.0,personA",
+                        "notes": "Frequency: monthly or annual. EndYear: blank for ongoing. Category: salary, business, investment, rental, pension, social_security, freelance, self_employment, other. Growth: annual increase %. Owner: personA, personB or household (blank = household) - whose earnings these are for payroll tax, contribution rules and Social Security; household wages are split evenly between a couple"
                     },
 
                     "EXPENSES": {
-                        "header": "Name,Amount,Frequency,StartYear,EndYear,Category,Growth",
-                        "example": "Groceries,800,monthly,2026,,food,3.0",
-                        "notes": "Same format as INCOMES. EndYear blank = ongoing. Category: housing, transportation, food, healthcare, entertainment, insurance, utilities, other"
+                        "header": "Name,Amount,Frequency,StartYear,EndYear,Category,Growth,GivingSource",
+                        "example": "Groceries,800,monthly,2026,,food,3.0,",
+                        "notes": "Same format as INCOMES. EndYear blank = ongoing. Category: housing, transportation, food, healthcare, entertainment, insurance, utilities, charitable (tax-deductible giving, itemized), other. GivingSource (charitable only): cash, qcd (IRA after 70½), shares (appreciated taxable shares) or daf (donor-advised fund)"
                     },
 
                     "HOUSING_RENTAL": {
@@ -7783,25 +12563,25 @@ Tax-Optimized Sequence: ${data.withdrawalStrategy.taxOptimizedSequence.join(' 
                     },
 
                     "MILESTONES": {
-                        "header": "Year,Name,Type,Cost,IsPositive,Recurring,RecurringAmount,RecurringInterval,RecurringGrowth",
-                        "example": "2030,New Car,other,35000,false,true,40000,8,5.0",
-                        "notes": "Optional section. Type: retirement, home, education, travel, other. IsPositive: false=expense, true=windfall. Recurring: true if repeats. RecurringInterval: years between recurrences"
+                        "header": "Year,Name,Type,Cost,IsPositive,Recurring,RecurringAmount,RecurringInterval,RecurringGrowth,InheritedIRA",
+                        "example": "2030,New Car,other,35000,false,true,40000,8,5.0,",
+                        "notes": "Optional section. Type: retirement, home, inheritance, education, travel, other. IsPositive: false=expense, true=windfall. Recurring: true if repeats. RecurringInterval: years between recurrences. InheritedIRA (inheritance only, blank = cash): 'type=traditional|roth;distribution=even|backload|bracket;targetBracket=22;annualRmds=true|false;ownerId=personA|personB' - an inherited IRA emptied under the 10-year rule, distributions taxed as ordinary income"
                     },
 
                     "INVESTMENT_GLIDE_PATH": {
-                        "header": "StartYear,ExpectedReturn,Volatility",
+                        "header": "StartYear,ExpectedReturn,Volatility,Distribution,DegreesOfFreedom,Skew",
                         "example_rows": [
-                            "2026,8.0,18",
-                            "2035,6.0,12",
-                            "2050,4.0,6"
+                            "2026,8.0,18,lognormal,,",
+                            "2035,6.0,12,student_t,5,0.9",
+                            "2050,4.0,6,normal,,"
                         ],
-                        "notes": "Define investment return expectations over time. Typical: aggressive (8-10%) early, conservative (4-5%) late. Volatility is standard deviation."
+                        "notes": "Define investment return expectations over time. Typical: aggressive (8-10%) early, conservative (4-5%) late. Volatility is standard deviation. Distribution (Monte Carlo, blank = normal): normal, lognormal or student_t. DegreesOfFreedom (2.5-100, default 5; fewer = fatter tails) and Skew (0.5-2, default 1 = symmetric; below 1 = longer losing side) apply to student_t only."
                     },
 
                     "WITHDRAWAL_STRATEGY": {
-                        "header": "Type,WithdrawalPercentage,InflationAdjusted,FixedAmount,RMD_StartAge,WithdrawalStartYear,WithdrawalMode",
-                        "example": "fixed_percentage,4.0,true,0,73,,as_needed",
-                        "notes": "Type: fixed_percentage (4% rule), fixed_amount, dynamic, rmd. WithdrawalMode: as_needed (only withdraw when needed) or always (strategic withdrawals even with surplus). WithdrawalStartYear: leave blank for auto-detection"
+                        "header": "Type,WithdrawalPercentage,InflationAdjusted,FixedAmount,RMD_StartAge,WithdrawalStartYear,WithdrawalMode,WithdrawalSchedule,RothConversion",
+                        "example": "fixed_percentage,4.0,true,0,73,,as_needed,,enabled=true;strategy=fill_bracket;startYear=;endYear=;annualAmount=20000;targetBracket=12;cliffMargin=1000",
+                        "notes": "Type: fixed_percentage (4% rule), fixed_amount, dynamic, rmd. WithdrawalMode: as_needed (only withdraw when needed) or always (strategic withdrawals even with surplus). WithdrawalStartYear: leave blank for auto-detection. WithdrawalSchedule (optional, from the withdrawal optimizer): 'objective=lifetime_taxes|terminal_wealth;includeConversions=true|false;2030=2;2031=-1;2032=regular' - each year's level: regular (normal order), -1 (traditional withdrawals up to the deduction), or 0-4 (up to the top of the 10%/12%/22%/24%/32% bracket). RothConversion (optional, blank = no conversions): 'enabled=true|false;strategy=fixed_amount|fill_bracket|irmaa_cliff|aca_cliff;startYear=;endYear=;annualAmount=20000;targetBracket=12;cliffMargin=1000' - startYear blank = withdrawal start, endYear blank = year before RMDs; annualAmount for fixed_amount, targetBracket (%) for fill_bracket, cliffMargin ($ kept below the threshold) for the cliff strategies"
                     }
                 },
 
@@ -7825,9 +12605,9 @@ Brokerage,taxable,120000,7.0
 Savings,cash,50000,3.5
 
 [INCOMES]
-Name,Amount,Frequency,StartYear,EndYear,Category,Growth
-John Salary,8000,monthly,2026,2045,salary,3.0
-Jane Salary,7000,monthly,2026,2047,salary,3.0
+Name,Amount,Frequency,StartYear,EndYear,Category,Growth,Owner
+John Salary,8000,monthly,2026,2045,salary,3.0,personA
+Jane Salary,7000,monthly,2026,2047,salary,3.0,personB
 
 [EXPENSES]
 Name,Amount,Frequency,StartYear,EndYear,Category,Growth
@@ -7837,18 +12617,18 @@ Healthcare Medicare,400,monthly,2045,,healthcare,4.0
 Travel,15000,annual,2026,,entertainment,3.0
 
 [MILESTONES]
-Year,Name,Type,Cost,IsPositive,Recurring,RecurringAmount,RecurringInterval,RecurringGrowth
-2030,New Car,other,35000,false,true,40000,8,5.0
+Year,Name,Type,Cost,IsPositive,Recurring,RecurringAmount,RecurringInterval,RecurringGrowth,InheritedIRA
+2030,New Car,other,35000,false,true,40000,8,5.0,
 
 [INVESTMENT_GLIDE_PATH]
-StartYear,ExpectedReturn,Volatility
-2026,8.0,18
-2035,6.0,12
-2050,4.0,6
+StartYear,ExpectedReturn,Volatility,Distribution,DegreesOfFreedom,Skew
+2026,8.0,18,lognormal,,
+2035,6.0,12,student_t,5,0.9
+2050,4.0,6,normal,,
 
 [WITHDRAWAL_STRATEGY]
-Type,WithdrawalPercentage,InflationAdjusted,FixedAmount,RMD_StartAge,WithdrawalStartYear,WithdrawalMode
-fixed_percentage,4.0,true,0,73,,as_needed`,
+Type,WithdrawalPercentage,InflationAdjusted,FixedAmount,RMD_StartAge,WithdrawalStartYear,WithdrawalMode,WithdrawalSchedule,RothConversion
+fixed_percentage,4.0,true,0,73,,as_needed,,enabled=true;strategy=fill_bracket;startYear=;endYear=;annualAmount=20000;targetBracket=12;cliffMargin=1000`,
 
                 "how_to_generate_csv_for_user": [
                     "1. Extract the relevant data from the JSON sections above (accounts, incomes, expenses, etc.)",
@@ -7891,33 +12671,117 @@ fixed_percentage,4.0,true,0,73,,as_needed`,
         const projections = this.projectionEngine.projectNetWorth(40); // Full 40-year projection
         const filingStatus = this.model.settings.filingStatus;
 
-        // Update filing status display
-        const statusDisplay = {
-            'single': 'Single',
-            'married': 'Married Filing Jointly',
-            'hoh': 'Head of Household'
-        };
+        // Update filing status display (plus any changes over the projection)
         const statusElement = document.getElementById('currentFilingStatus');
         if (statusElement) {
-            statusElement.textContent = statusDisplay[filingStatus] || filingStatus;
+            const timeline = [FILING_STATUS_LABELS[filingStatus] || filingStatus];
+            let previousStatus = filingStatus;
+            projections.forEach(p => {
+                if (p.filingStatus && p.filingStatus !== previousStatus) {
+                    timeline.push(`${FILING_STATUS_LABELS[p.filingStatus] || p.filingStatus} from ${p.year}`);
+                    previousStatus = p.filingStatus;
+                }
+            });
+            statusElement.textContent = timeline.join(' → ');
+        }
+
+        // State of residence (plus any planned moves)
+        const stateElement = document.getElementById('currentTaxState');
+        if (stateElement) {
+            const stateName = (code) => code && STATE_TAX_TABLES[code] ? STATE_TAX_TABLES[code].name : 'Not modeled';
+            const moves = (this.model.settings.stateChanges || []).map(move => `${stateName(move.state)} from ${move.year}`);
+            stateElement.textContent = [stateName(this.model.settings.state), ...moves].join(' → ');
+        }
+
+        // Bracket indexing and TCJA expiry assumptions
+        const lawElement = document.getElementById('currentTaxLaw');
+        if (lawElement) {
+            const settings = this.model.settings;
+            const indexingDisplay = {
+                'inflation': `brackets indexed at ${settings.inflation}%/yr (inflation)`,
+                'chained_cpi': `brackets indexed at ${settings.chainedCpiRate}%/yr (chained CPI)`,
+                'none': 'brackets frozen at 2024 levels'
+            };
+            lawElement.textContent = `${indexingDisplay[settings.taxBracketIndexing || 'inflation']}; ` +
+                (settings.tcjaSunsetYear ? `pre-2018 rates from ${settings.tcjaSunsetYear}` : 'current law throughout');
         }
 
         const taxData = projections.map(p => {
-            const earnedIncome = p.income;
+            // Social Security is shown separately - only its taxable portion counts toward taxable income
+            const socialSecurity = p.socialSecurityIncome || 0;
+            const taxableSocialSecurity = p.taxableSocialSecurity ?? socialSecurity;
+            const earnedIncome = p.income - socialSecurity;
             const traditionalWithdrawals = p.traditionalWithdrawals || 0;
             const milestoneTaxBombs = p.milestoneTaxableIncome || 0;
             const debtTaxBombs = p.debtTaxableIncome || 0;
-            const totalTaxableIncome = earnedIncome + traditionalWithdrawals + milestoneTaxBombs + debtTaxBombs;
+            const capitalGains = p.capitalGains || 0;
+            const rothConversions = p.rothConversions || 0;
+            const preTaxContributions = p.preTaxContributions || 0;
+            const payroll = p.payrollTaxDetail || {};
+            const seTaxDeduction = payroll.seDeduction || 0;
+            const taxableRothEarnings = p.taxableRothEarnings || 0;
+            const taxableHsaWithdrawals = p.taxableHsaWithdrawals || 0;
+            const qualifiedDividends = p.qualifiedDividends || 0;
+            const taxableInterest = p.taxableInterest || 0;
+            const totalTaxableIncome = earnedIncome - preTaxContributions - seTaxDeduction + taxableSocialSecurity + traditionalWithdrawals + taxableRothEarnings + taxableHsaWithdrawals + milestoneTaxBombs + debtTaxBombs + capitalGains + qualifiedDividends + taxableInterest + rothConversions;
 
             return {
                 year: p.year,
                 earnedIncome: earnedIncome,
+                preTaxContributions: preTaxContributions,
+                socialSecurity: socialSecurity,
+                taxableSocialSecurity: taxableSocialSecurity,
                 withdrawals: p.withdrawals || 0,
                 traditionalWithdrawals: traditionalWithdrawals,
+                seppWithdrawals: p.seppWithdrawals || 0,
+                taxableRothEarnings: taxableRothEarnings,
+                taxableHsaWithdrawals: taxableHsaWithdrawals,
+                hsaMedicalWithdrawals: p.hsaMedicalWithdrawals || 0,
+                earlyWithdrawalPenalty: p.earlyWithdrawalPenalty || 0,
+                penalizedWithdrawals: p.penalizedWithdrawals || 0,
+                capitalGains: capitalGains,
+                capitalGainsTax: p.capitalGainsTax || 0,
+                qualifiedDividends: qualifiedDividends,
+                taxableInterest: taxableInterest,
+                taxDrag: p.taxDrag || 0,
+                niit: p.niit || 0,
+                deduction: p.deduction || 0,
+                itemizes: !!p.itemizes,
+                itemizedDeductions: p.itemizedDeductions || null,
+                charitableGiving: p.charitableGiving || 0,
+                qualifiedCharitableDistributions: p.qualifiedCharitableDistributions || 0,
+                appreciatedSharesGifted: p.appreciatedSharesGifted || 0,
+                capitalGainsAvoided: p.capitalGainsAvoided || 0,
+                dafContributions: p.dafContributions || 0,
+                dafBalance: p.dafBalance || 0,
+                inheritedIraDistributions: p.inheritedIraDistributions || 0,
+                inheritedIraTax: p.inheritedIraTax || 0,
+                inheritedIraBalance: p.inheritedIraBalance || 0,
+                rothConversions: rothConversions,
+                rothConversionTax: p.rothConversionTax || 0,
                 milestoneTaxableIncome: milestoneTaxBombs,
                 debtTaxableIncome: debtTaxBombs,
                 totalTaxableIncome: totalTaxableIncome,
                 tax: p.taxes,
+                federalTax: p.federalTaxes ?? p.taxes,
+                stateTax: p.stateTaxes || 0,
+                state: p.state,
+                payrollTax: p.payrollTaxes || 0,
+                magi: p.magi || 0,
+                medicareCost: p.medicareCost || 0,
+                medicareIrmaa: p.medicareIrmaa || 0,
+                irmaaTier: p.irmaaTier || 0,
+                acaCovered: p.acaCovered || 0,
+                acaPremium: p.acaPremium || 0,
+                acaCredit: p.acaPremiumTaxCredit || 0,
+                acaReconciliation: p.acaPremiumTaxCreditReconciliation || 0,
+                acaFplPercent: p.acaFplPercent || 0,
+                acaCliffMagi: p.acaCliffMagi ?? null,
+                acaMagi: p.acaMagi || 0,
+                acaOverCliff: !!p.acaOverCliff,
+                ficaTax: (payroll.socialSecurity || 0) + (payroll.medicare || 0) + (payroll.additionalMedicare || 0),
+                selfEmploymentTax: payroll.selfEmployment || 0,
+                seTaxDeduction: seTaxDeduction,
                 effectiveRate: totalTaxableIncome > 0 ? (p.taxes / totalTaxableIncome) * 100 : 0
             };
         });
@@ -7932,13 +12796,32 @@ fixed_percentage,4.0,true,0,73,,as_needed`,
             type: 'bar',
             data: {
                 labels: taxData.map(d => d.year),
-                datasets: [{
-                    label: 'Federal Taxes',
-                    data: taxData.map(d => d.tax),
-                    backgroundColor: '#ef4444',
-                    borderColor: '#dc2626',
-                    borderWidth: 1
-                }]
+                datasets: [
+                    {
+                        label: 'Federal Taxes',
+                        data: taxData.map(d => d.federalTax),
+                        backgroundColor: '#ef4444',
+                        borderColor: '#dc2626',
+                        borderWidth: 1,
+                        stack: 'taxes'
+                    },
+                    {
+                        label: 'State Taxes',
+                        data: taxData.map(d => d.stateTax),
+                        backgroundColor: '#f97316',
+                        borderColor: '#ea580c',
+                        borderWidth: 1,
+                        stack: 'taxes'
+                    },
+                    {
+                        label: 'Payroll Taxes',
+                        data: taxData.map(d => d.payrollTax),
+                        backgroundColor: '#b91c1c',
+                        borderColor: '#991b1b',
+                        borderWidth: 1,
+                        stack: 'taxes'
+                    }
+                ]
             },
             options: {
                 responsive: true,
@@ -7952,9 +12835,28 @@ fixed_percentage,4.0,true,0,73,,as_needed`,
                             label: (context) => {
                                 const dataPoint = taxData[context.dataIndex];
                                 return [
-                                    `Taxes: $${context.parsed.y.toLocaleString()}`,
-                                    `Earned Income: $${dataPoint.earnedIncome.toLocaleString()}`,
+                                    `${context.dataset.label}: $${Math.round(context.parsed.y).toLocaleString()}`,
+                                    `Total Taxes: $${Math.round(dataPoint.tax).toLocaleString()}${dataPoint.state ? ` (${dataPoint.state})` : ''}`,
+                                    `Earned Income: $${Math.round(dataPoint.earnedIncome).toLocaleString()}`,
+                                    `Pre-Tax Contributions: -$${Math.round(dataPoint.preTaxContributions).toLocaleString()}`,
+                                    ...(dataPoint.acaCovered > 0 ? [`ACA: premium $${Math.round(dataPoint.acaPremium).toLocaleString()}, credit $${Math.round(dataPoint.acaCredit).toLocaleString()} (${Math.round(dataPoint.acaFplPercent)}% FPL${dataPoint.acaOverCliff ? ', over the subsidy cliff' : ''})`] : []),
+                                    `MAGI: $${Math.round(dataPoint.magi).toLocaleString()}${dataPoint.irmaaTier > 0 ? ` (Medicare IRMAA tier ${dataPoint.irmaaTier}: +$${Math.round(dataPoint.medicareIrmaa).toLocaleString()})` : ''}`,
+                                    `Payroll Taxes: $${Math.round(dataPoint.payrollTax).toLocaleString()} (FICA $${Math.round(dataPoint.ficaTax).toLocaleString()}, SE $${Math.round(dataPoint.selfEmploymentTax).toLocaleString()})`,
+                                    `Social Security: $${Math.round(dataPoint.socialSecurity).toLocaleString()} (taxable $${Math.round(dataPoint.taxableSocialSecurity).toLocaleString()})`,
                                     `Traditional Withdrawals: $${dataPoint.traditionalWithdrawals.toLocaleString()}`,
+                                    ...(dataPoint.earlyWithdrawalPenalty > 0 ? [`Early Withdrawal Penalty: $${Math.round(dataPoint.earlyWithdrawalPenalty).toLocaleString()} (on $${Math.round(dataPoint.penalizedWithdrawals).toLocaleString()})`] : []),
+                                    ...(dataPoint.taxableRothEarnings > 0 ? [`Taxable Roth Earnings: $${Math.round(dataPoint.taxableRothEarnings).toLocaleString()}`] : []),
+                                    ...(dataPoint.hsaMedicalWithdrawals + dataPoint.taxableHsaWithdrawals > 0 ? [`HSA: $${Math.round(dataPoint.hsaMedicalWithdrawals).toLocaleString()} for medical costs (tax-free), $${Math.round(dataPoint.taxableHsaWithdrawals).toLocaleString()} non-qualified (taxable)`] : []),
+                                    `Capital Gains: $${Math.round(dataPoint.capitalGains).toLocaleString()} (tax $${Math.round(dataPoint.capitalGainsTax).toLocaleString()})`,
+                                    ...(dataPoint.qualifiedDividends + dataPoint.taxableInterest > 0 ? [`Dividends/Interest: $${Math.round(dataPoint.qualifiedDividends).toLocaleString()} / $${Math.round(dataPoint.taxableInterest).toLocaleString()} (tax drag $${Math.round(dataPoint.taxDrag).toLocaleString()})`] : []),
+                                    ...(dataPoint.niit > 0 ? [`Net Investment Income Tax: $${Math.round(dataPoint.niit).toLocaleString()}`] : []),
+                                    `Deduction: $${Math.round(dataPoint.deduction).toLocaleString()} (${dataPoint.itemizes ? 'itemized' : 'standard'})`,
+                                    ...(dataPoint.charitableGiving > 0 ? [`Charitable Giving: $${Math.round(dataPoint.charitableGiving).toLocaleString()}`] : []),
+                                    ...(dataPoint.qualifiedCharitableDistributions > 0 ? [`QCDs (excluded from income): $${Math.round(dataPoint.qualifiedCharitableDistributions).toLocaleString()}`] : []),
+                                    ...(dataPoint.appreciatedSharesGifted > 0 ? [`Shares Donated: $${Math.round(dataPoint.appreciatedSharesGifted).toLocaleString()} (gain never taxed $${Math.round(dataPoint.capitalGainsAvoided).toLocaleString()})`] : []),
+                                    ...(dataPoint.dafContributions > 0 || dataPoint.dafBalance > 0 ? [`Donor-Advised Fund: $${Math.round(dataPoint.dafContributions).toLocaleString()} contributed, $${Math.round(dataPoint.dafBalance).toLocaleString()} left to grant`] : []),
+                                    ...(dataPoint.inheritedIraDistributions > 0 || dataPoint.inheritedIraBalance > 0 ? [`Inherited IRA: $${Math.round(dataPoint.inheritedIraDistributions).toLocaleString()} distributed (withheld $${Math.round(dataPoint.inheritedIraTax).toLocaleString()}), $${Math.round(dataPoint.inheritedIraBalance).toLocaleString()} left`] : []),
+                                    `Roth Conversions: $${Math.round(dataPoint.rothConversions).toLocaleString()} (tax $${Math.round(dataPoint.rothConversionTax).toLocaleString()})`,
                                     `Tax Bombs: $${(dataPoint.milestoneTaxableIncome + dataPoint.debtTaxableIncome).toLocaleString()}`,
                                     `Total Taxable: $${dataPoint.totalTaxableIncome.toLocaleString()}`,
                                     `Effective Rate: ${dataPoint.effectiveRate.toFixed(1)}%`
@@ -7964,7 +12866,11 @@ fixed_percentage,4.0,true,0,73,,as_needed`,
                     }
                 },
                 scales: {
+                    x: {
+                        stacked: true
+                    },
                     y: {
+                        stacked: true,
                         beginAtZero: true,
                         ticks: {
                             callback: (value) => '$' + value.toLocaleString()
@@ -7982,9 +12888,17 @@ fixed_percentage,4.0,true,0,73,,as_needed`,
                     <tr style="background: #f1f5f9; border-bottom: 2px solid #e2e8f0;">
                         <th style="padding: 12px; text-align: left;">Year</th>
                         <th style="padding: 12px; text-align: right;">Earned Income</th>
+                        <th style="padding: 12px; text-align: right;">Taxable Social Security</th>
                         <th style="padding: 12px; text-align: right;">Traditional Withdrawals</th>
+                        <th style="padding: 12px; text-align: right;">Capital Gains</th>
+                        <th style="padding: 12px; text-align: right;" title="Qualified dividends and interest paid by taxable accounts and reinvested - taxed every year">Dividends & Interest</th>
+                        <th style="padding: 12px; text-align: right;">Roth Conversions</th>
                         <th style="padding: 12px; text-align: right;">Tax Bombs 💣</th>
+                        <th style="padding: 12px; text-align: right;">Federal Tax</th>
+                        <th style="padding: 12px; text-align: right;">State Tax</th>
                         <th style="padding: 12px; text-align: right;">Total Taxes</th>
+                        <th style="padding: 12px; text-align: right;">Payroll Tax</th>
+                        <th style="padding: 12px; text-align: right;" title="Before 65: ACA marketplace premiums net of the premium tax credit. 65+: Medicare Part B/D premiums; IRMAA surcharges use MAGI from two years earlier">Health Insurance</th>
                         <th style="padding: 12px; text-align: right;">Effective Rate</th>
                     </tr>
                 </thead>
@@ -7993,21 +12907,125 @@ fixed_percentage,4.0,true,0,73,,as_needed`,
                         const totalTaxBombs = d.milestoneTaxableIncome + d.debtTaxableIncome;
                         return `
                         <tr style="border-bottom: 1px solid #e2e8f0;">
-                            <td style="padding: 12px;">${d.year}</td>
-                            <td style="padding: 12px; text-align: right;">$${d.earnedIncome.toLocaleString()}</td>
-                            <td style="padding: 12px; text-align: right;">$${d.traditionalWithdrawals.toLocaleString()}</td>
+                            <td style="padding: 12px;"><a href="#form1040View" onclick="ui.showForm1040(${d.year}); return false;" title="Show this year's Form 1040">${d.year}</a></td>
+                            <td style="padding: 12px; text-align: right;" title="Pre-tax 401k/IRA/HSA contributions excluded: $${Math.round(d.preTaxContributions).toLocaleString()}${d.seTaxDeduction > 0 ? `; half SE tax deducted: $${Math.round(d.seTaxDeduction).toLocaleString()}` : ''}">$${Math.round(d.earnedIncome).toLocaleString()}</td>
+                            <td style="padding: 12px; text-align: right;" title="Total benefits: $${Math.round(d.socialSecurity).toLocaleString()}">$${Math.round(d.taxableSocialSecurity).toLocaleString()}${d.socialSecurity > 0 ? ` <small style="color: var(--text-secondary);">${Math.round(d.taxableSocialSecurity / d.socialSecurity * 100)}%</small>` : ''}</td>
+                            <td style="padding: 12px; text-align: right;" title="${d.qualifiedCharitableDistributions > 0 ? `QCDs (not taxed, not included): $${Math.round(d.qualifiedCharitableDistributions).toLocaleString()}; ` : ''}${d.seppWithdrawals > 0 ? `72(t) payments: $${Math.round(d.seppWithdrawals).toLocaleString()}; ` : ''}penalized early withdrawals: $${Math.round(d.penalizedWithdrawals).toLocaleString()}${d.taxableRothEarnings > 0 ? `; non-qualified Roth earnings taxed: $${Math.round(d.taxableRothEarnings).toLocaleString()}` : ''}${d.taxableHsaWithdrawals > 0 ? `; non-qualified HSA withdrawals taxed: $${Math.round(d.taxableHsaWithdrawals).toLocaleString()}` : ''}">
+                                $${d.traditionalWithdrawals.toLocaleString()}
+                                ${d.earlyWithdrawalPenalty > 0 ? `<br><small style="color: var(--danger-color);">+$${Math.round(d.earlyWithdrawalPenalty).toLocaleString()} early withdrawal penalty</small>` : ''}
+                            </td>
+                            <td style="padding: 12px; text-align: right;" title="Tax on gains and qualified dividends: $${Math.round(d.capitalGainsTax).toLocaleString()}">$${Math.round(d.capitalGains).toLocaleString()}</td>
+                            <td style="padding: 12px; text-align: right;" title="Qualified dividends: $${Math.round(d.qualifiedDividends).toLocaleString()}; interest: $${Math.round(d.taxableInterest).toLocaleString()}${d.niit > 0 ? `; Net Investment Income Tax: $${Math.round(d.niit).toLocaleString()}` : ''}">
+                                $${Math.round(d.qualifiedDividends + d.taxableInterest).toLocaleString()}
+                                ${d.taxDrag > 0 ? `<br><small style="color: var(--text-secondary);">$${Math.round(d.taxDrag).toLocaleString()} tax drag${d.niit > 0 ? ' incl. NIIT' : ''}</small>` : ''}
+                            </td>
+                            <td style="padding: 12px; text-align: right;" title="Tax on conversions: $${Math.round(d.rothConversionTax).toLocaleString()}">$${Math.round(d.rothConversions).toLocaleString()}</td>
                             <td style="padding: 12px; text-align: right;">
                                 ${totalTaxBombs > 0 ?
                                     `<span style="color: var(--danger); font-weight: 600;">$${totalTaxBombs.toLocaleString()} 💣</span>` :
                                     '$0'}
                             </td>
+                            <td style="padding: 12px; text-align: right;" title="${d.itemizedDeductions ? `Itemized: mortgage interest $${Math.round(d.itemizedDeductions.mortgageInterest).toLocaleString()}, SALT $${Math.round(d.itemizedDeductions.salt).toLocaleString()}${d.itemizedDeductions.saltLost > 0 ? ` ($${Math.round(d.itemizedDeductions.saltLost).toLocaleString()} over the cap)` : ''}, charitable $${Math.round(d.itemizedDeductions.charitable).toLocaleString()}, medical $${Math.round(d.itemizedDeductions.medical).toLocaleString()} = $${Math.round(d.itemizedDeductions.total).toLocaleString()}` : 'Standard deduction'}">
+                                $${Math.round(d.federalTax).toLocaleString()}
+                                <br><small style="color: var(--text-secondary);">${d.itemizes ? 'itemized' : 'standard'} $${Math.round(d.deduction).toLocaleString()}</small>
+                            </td>
+                            <td style="padding: 12px; text-align: right;">$${Math.round(d.stateTax).toLocaleString()}${d.state ? ` <small style="color: var(--text-secondary);">${d.state}</small>` : ''}</td>
                             <td style="padding: 12px; text-align: right; color: #ef4444;">$${d.tax.toLocaleString()}</td>
+                            <td style="padding: 12px; text-align: right;" title="FICA: $${Math.round(d.ficaTax).toLocaleString()}, self-employment: $${Math.round(d.selfEmploymentTax).toLocaleString()}">$${Math.round(d.payrollTax).toLocaleString()}</td>
+                            <td style="padding: 12px; text-align: right;" title="MAGI this year: $${Math.round(d.magi).toLocaleString()} (sets IRMAA two years from now)${d.acaCovered > 0 ? `; ACA premium $${Math.round(d.acaPremium).toLocaleString()}, credit $${Math.round(d.acaCredit).toLocaleString()}${d.acaCliffMagi ? `, cliff at $${Math.round(d.acaCliffMagi).toLocaleString()} MAGI` : ''}` : ''}">
+                                ${d.medicareCost + d.acaPremium > 0 ? `$${Math.round(d.medicareCost + d.acaPremium - d.acaCredit).toLocaleString()}` : '—'}
+                                ${d.irmaaTier > 0 ? `<br><small style="color: var(--danger-color);">+$${Math.round(d.medicareIrmaa).toLocaleString()} IRMAA tier ${d.irmaaTier}</small>` : ''}
+                                ${d.acaCovered > 0 ? `<br><small style="color: ${d.acaOverCliff ? 'var(--danger-color)' : 'var(--text-secondary)'};">${Math.round(d.acaFplPercent)}% FPL${d.acaOverCliff ? ` ⚠️ $${Math.round(d.acaMagi - d.acaCliffMagi).toLocaleString()} over cliff` : d.acaCredit > 0 ? ` · credit $${Math.round(d.acaCredit).toLocaleString()}` : ''}</small>` : ''}
+                            </td>
                             <td style="padding: 12px; text-align: right;">${d.effectiveRate.toFixed(1)}%</td>
                         </tr>
                     `;}).join('')}
                 </tbody>
             </table>
         `;
+
+        // Form 1040 drill-down - keep the selected year when the projections are refreshed
+        this.form1040Projections = projections;
+        const yearSelector = document.getElementById('form1040Year');
+        if (yearSelector) {
+            const selectedYear = parseInt(yearSelector.value) || projections[0]?.year;
+            yearSelector.innerHTML = projections.map(p =>
+                `<option value="${p.year}" ${p.year === selectedYear ? 'selected' : ''}>${p.year}</option>`
+            ).join('');
+            this.renderForm1040(parseInt(yearSelector.value));
+        }
+    }
+
+    showForm1040(year) {
+        // Jump from the tax breakdown table to that year's Form 1040
+        const yearSelector = document.getElementById('form1040Year');
+        if (!yearSelector) return;
+        yearSelector.value = year;
+        this.renderForm1040(year);
+        document.getElementById('form1040View').scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
+
+    renderForm1040(year) {
+        const container = document.getElementById('form1040View');
+        const projection = (this.form1040Projections || []).find(p => p.year === year);
+        if (!container || !projection) return;
+
+        const form = this.projectionEngine.getForm1040(projection);
+        const money = (amount) => `${amount < 0 ? '-' : ''}$${Math.abs(Math.round(amount)).toLocaleString()}`;
+        const percent = (rate) => `${(rate * 100).toFixed(1)}%`;
+        const totalLines = ['9', '11', '15', '24'];
+        const check = (formAmount, engineAmount) => Math.abs(formAmount - engineAmount) < 1
+            ? '<span style="color: var(--success-color);">✓ matches the projection</span>'
+            : `<span style="color: var(--danger-color);">⚠️ projection used ${money(engineAmount)}</span>`;
+
+        container.innerHTML = `
+            <p style="color: var(--text-secondary); margin-bottom: 10px;">
+                ${FILING_STATUS_LABELS[form.filingStatus] || form.filingStatus} · ${form.lawLabel}${form.stateCode && STATE_TAX_TABLES[form.stateCode] ? ` · ${STATE_TAX_TABLES[form.stateCode].name}` : ''}
+            </p>
+            <table style="width: 100%; border-collapse: collapse;">
+                <thead>
+                    <tr style="background: #f1f5f9; border-bottom: 2px solid #e2e8f0;">
+                        <th style="padding: 8px 12px; text-align: left; width: 60px;">Line</th>
+                        <th style="padding: 8px 12px; text-align: left;">Description</th>
+                        <th style="padding: 8px 12px; text-align: right;">Amount</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${form.lines.map(line => `
+                        <tr style="border-top: ${totalLines.includes(line.number) ? '2px solid #cbd5e1' : '1px solid #e2e8f0'}; ${totalLines.includes(line.number) ? 'font-weight: 600;' : ''}">
+                            <td style="padding: 8px 12px;">${line.number}</td>
+                            <td style="padding: 8px 12px;">
+                                ${line.label}
+                                ${line.note ? `<br><small style="color: var(--text-secondary); font-weight: normal;">${line.note}</small>` : ''}
+                                ${line.number === '11' ? `<br><small style="font-weight: normal;">${check(form.agi, form.engineAgi)}</small>` : ''}
+                            </td>
+                            <td style="padding: 8px 12px; text-align: right;">${money(line.amount)}</td>
+                        </tr>
+                        ${line.sources.map(source => `
+                            <tr style="color: var(--text-secondary); font-size: 13px;">
+                                <td></td>
+                                <td style="padding: 2px 12px 2px 28px;">${source.label}${source.note ? ` <small>(${source.note})</small>` : ''}</td>
+                                <td style="padding: 2px 12px; text-align: right;">${money(source.amount)}</td>
+                            </tr>
+                        `).join('')}
+                    `).join('')}
+                    <tr style="border-top: 2px solid #cbd5e1; font-weight: 600;">
+                        <td style="padding: 8px 12px;"></td>
+                        <td style="padding: 8px 12px;">
+                            Federal tax after credits
+                            <br><small style="font-weight: normal;">${check(form.federalTax, form.engineFederalTax)}</small>
+                        </td>
+                        <td style="padding: 8px 12px; text-align: right; color: #ef4444;">${money(form.federalTax)}</td>
+                    </tr>
+                </tbody>
+            </table>
+            <div style="display: flex; flex-wrap: wrap; gap: 20px; margin-top: 15px; padding: 12px; background: var(--primary-light); border-radius: 8px; font-size: 14px;">
+                <div><strong>Effective rate:</strong> ${percent(form.effectiveRate)} <small style="color: var(--text-secondary);">of AGI</small></div>
+                <div title="Federal tax on the next $1,000 of ordinary income, including Social Security taxation, capital gains stacking and NIIT"><strong>Marginal rate:</strong> ${percent(form.marginalRate)} <small style="color: var(--text-secondary);">(${percent(form.bracketRate)} bracket)</small></div>
+                <div><strong>State tax:</strong> ${money(form.stateTaxes)}</div>
+                ${form.selfEmploymentTax > 0 ? `<div><strong>Self-employment tax:</strong> ${money(form.selfEmploymentTax)} <small style="color: var(--text-secondary);">(with payroll taxes)</small></div>` : ''}
+            </div>
+        `;
     }
 
     toggleWithdrawalSettings(strategyType) {
@@ -8050,7 +13068,18 @@ fixed_percentage,4.0,true,0,73,,as_needed`,
             rmdStartAge: parseInt(document.getElementById('rmdStartAge').value),
             withdrawalStartYear: parseInt(document.getElementById('withdrawalStartYear').value),
             withdrawalMode: selectedMode ? selectedMode.value : 'always',
-            autoWithdrawalStart: this.model.withdrawalStrategy.autoWithdrawalStart
+            autoWithdrawalStart: this.model.withdrawalStrategy.autoWithdrawalStart,
+            taxOptimizedSequence: this.model.withdrawalStrategy.taxOptimizedSequence,
+            withdrawalSchedule: this.model.withdrawalStrategy.withdrawalSchedule || null,
+            rothConversion: {
+                enabled: document.getElementById('rothConversionEnabled').checked,
+                strategy: document.getElementById('rothConversionStrategy').value,
+                startYear: parseInt(document.getElementById('rothConversionStartYear').value) || null,
+                endYear: parseInt(document.getElementById('rothConversionEndYear').value) || null,
+                annualAmount: parseFloat(document.getElementById('rothConversionAmount').value) || 0,
+                targetBracket: parseFloat(document.getElementById('rothConversionBracket').value) || 12,
+                cliffMargin: parseFloat(document.getElementById('rothConversionMargin').value) || 0
+            }
         };
 
         this.saveData();
@@ -8931,19 +13960,11 @@ fixed_percentage,4.0,true,0,73,,as_needed`,
         ];
 
         const datasets = [];
+        const legacyRows = []; // What each scenario leaves heirs at the last life expectancy
 
         this.scenarios.forEach((scenario, index) => {
             // Create a temporary model with this scenario's data
-            const tempModel = new FinancialModel();
-            tempModel.accounts = scenario.data.accounts;
-            tempModel.incomes = scenario.data.incomes;
-            tempModel.expenses = scenario.data.expenses;
-            tempModel.milestones = scenario.data.milestones;
-            tempModel.settings = scenario.data.settings;
-            tempModel.investmentGlidePath = scenario.data.investmentGlidePath;
-            tempModel.withdrawalStrategy = scenario.data.withdrawalStrategy;
-            tempModel.housing = scenario.data.housing || tempModel.housing;
-            tempModel.debts = scenario.data.debts || tempModel.debts;
+            const tempModel = this.createScenarioModel(scenario);
 
             const tempEngine = new ProjectionEngine(tempModel);
             const projections = tempEngine.projectNetWorth(40);
@@ -8961,6 +13982,8 @@ fixed_percentage,4.0,true,0,73,,as_needed`,
                 tension: 0.4
             });
 
+            legacyRows.push({ name: scenario.name, legacy: tempEngine.calculateLegacy(projections).pop() });
+
             // Liquid net worth (dotted line, same color)
             datasets.push({
                 label: `${scenario.name} (Liquid)`,
@@ -8980,6 +14003,42 @@ fixed_percentage,4.0,true,0,73,,as_needed`,
             years.push(currentYear + i);
         }
 
+        // Legacy comparison (spend down vs. leave Roth, etc.)
+        const legacyContainer = document.getElementById('scenarioLegacyComparison');
+        if (legacyContainer) {
+            const fmt = (value) => `$${Math.round(value).toLocaleString()}`;
+            const cell = 'padding: 8px; text-align: right;';
+            legacyContainer.innerHTML = `
+                <h3 style="font-size: 1.1rem; margin: 20px 0 10px;">Legacy at Last Life Expectancy</h3>
+                <table style="width: 100%; border-collapse: collapse; font-size: 13px;">
+                    <thead>
+                        <tr style="border-bottom: 2px solid var(--border-color);">
+                            <th style="text-align: left; padding: 8px;">Scenario</th>
+                            <th style="${cell}">Year</th>
+                            <th style="${cell}">Traditional</th>
+                            <th style="${cell}">Roth</th>
+                            <th style="${cell}">Estate</th>
+                            <th style="${cell}" title="Estate tax plus heirs' income tax on traditional IRAs and HSAs">Taxes</th>
+                            <th style="${cell} font-weight: 600;">Net to Heirs</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${legacyRows.filter(row => row.legacy).map(row => `
+                            <tr style="border-bottom: 1px solid var(--border-color);">
+                                <td style="padding: 8px;">${this.escapeHtml(row.name)}</td>
+                                <td style="${cell}">${row.legacy.year}</td>
+                                <td style="${cell}">${fmt(row.legacy.byType.traditional)}</td>
+                                <td style="${cell}">${fmt(row.legacy.byType.roth)}</td>
+                                <td style="${cell}">${fmt(row.legacy.grossEstate)}</td>
+                                <td style="${cell}">${fmt(row.legacy.estateTax + row.legacy.heirsIncomeTax)}</td>
+                                <td style="${cell} font-weight: 600;">${fmt(row.legacy.netToHeirs)}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            `;
+        }
+
         this.charts.scenarioComparison = new Chart(ctx, {
             type: 'line',
             data: {
@@ -9016,6 +14075,86 @@ fixed_percentage,4.0,true,0,73,,as_needed`,
         });
     }
 
+    // Temporary model holding a saved scenario's data (for comparisons; the working plan is untouched)
+    createScenarioModel(scenario) {
+        const tempModel = new FinancialModel();
+        tempModel.accounts = scenario.data.accounts;
+        tempModel.incomes = scenario.data.incomes;
+        tempModel.expenses = scenario.data.expenses;
+        tempModel.milestones = scenario.data.milestones;
+        tempModel.settings = scenario.data.settings;
+        tempModel.investmentGlidePath = scenario.data.investmentGlidePath;
+        tempModel.withdrawalStrategy = scenario.data.withdrawalStrategy;
+        tempModel.housing = scenario.data.housing || tempModel.housing;
+        tempModel.debts = scenario.data.debts || tempModel.debts;
+        return tempModel;
+    }
+
+    // Monte Carlo for every saved scenario. With common random numbers all scenarios run with the Monte Carlo
+    // tab's seed, so simulation n faces the same markets in each and can be compared path by path with the
+    // first scenario. Without them each scenario uses its own saved seed.
+    runScenarioMonteCarloComparison() {
+        const container = document.getElementById('scenarioMonteCarloComparison');
+        if (!container || this.scenarios.length === 0) return;
+
+        const numSims = parseInt(document.getElementById('numSimulations').value) || 1000;
+        const commonRandomNumbers = document.getElementById('scenarioCommonRandomNumbers').checked;
+        const seed = this.getMonteCarloSeed();
+        container.innerHTML = `<p style="color: #64748b;">Running ${numSims.toLocaleString()} simulations for each of ${this.scenarios.length} scenarios...</p>`;
+
+        // Let the message render before the (slow) simulations start
+        setTimeout(() => {
+            const runs = this.scenarios.map((scenario, index) => {
+                const tempModel = this.createScenarioModel(scenario);
+                const simulator = new MonteCarloSimulator(tempModel, new ProjectionEngine(tempModel));
+                const firstPeriod = tempModel.investmentGlidePath[0];
+                const scenarioSeed = commonRandomNumbers ? seed : (scenario.data.settings?.monteCarlo?.seed || seed + index + 1);
+                const paths = simulator.simulatePaths(numSims, firstPeriod?.expectedReturn ?? 7, firstPeriod?.volatility ?? 15, 40, scenarioSeed);
+                const finals = paths.map(path => path[path.length - 1].netWorthExcludingHome);
+                return { scenario, seed: scenarioSeed, finals, final: simulator.analyzeResults(paths).pop() };
+            });
+
+            const first = runs[0];
+            const fmt = (value) => `$${Math.round(value).toLocaleString()}`;
+            const cell = 'padding: 8px; text-align: right;';
+            container.innerHTML = `
+                <table style="width: 100%; border-collapse: collapse; font-size: 13px;">
+                    <thead>
+                        <tr style="border-bottom: 2px solid var(--border-color);">
+                            <th style="text-align: left; padding: 8px;">Scenario</th>
+                            <th style="${cell}">Seed</th>
+                            <th style="${cell}" title="Share of simulations that end with liquid net worth above zero">Success (Liquid)</th>
+                            <th style="${cell}">vs. ${this.escapeHtml(first.scenario.name)}</th>
+                            <th style="${cell}">10th Percentile</th>
+                            <th style="${cell}">Median</th>
+                            <th style="${cell}" title="Share of simulations where this scenario ends with more liquid net worth than the first one in the same markets (common random numbers only)">Ends Ahead</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${runs.map((run, index) => {
+                            const diff = run.final.successRateExcludingHome - first.final.successRateExcludingHome;
+                            const ahead = run.finals.filter((value, i) => value > first.finals[i]).length / numSims * 100;
+                            return `
+                                <tr style="border-bottom: 1px solid var(--border-color);">
+                                    <td style="padding: 8px;">${this.escapeHtml(run.scenario.name)}</td>
+                                    <td style="${cell}">${run.seed}</td>
+                                    <td style="${cell} font-weight: 600;">${run.final.successRateExcludingHome.toFixed(1)}%</td>
+                                    <td style="${cell} color: ${diff > 0 ? 'var(--success)' : diff < 0 ? 'var(--danger)' : 'inherit'};">${index === 0 ? '-' : `${diff >= 0 ? '+' : ''}${diff.toFixed(1)} pts`}</td>
+                                    <td style="${cell}">${fmt(run.final.p10ExcludingHome)}</td>
+                                    <td style="${cell}">${fmt(run.final.medianExcludingHome)}</td>
+                                    <td style="${cell}">${index === 0 || !commonRandomNumbers ? '-' : `${ahead.toFixed(1)}%`}</td>
+                                </tr>
+                            `;
+                        }).join('')}
+                    </tbody>
+                </table>
+                <p style="color: #64748b; font-size: 13px; margin-top: 8px;">${numSims.toLocaleString()} simulations per scenario, liquid net worth in the final year. ${commonRandomNumbers
+                    ? `Every scenario used seed ${seed}, so the differences reflect the plans.`
+                    : 'Each scenario used its own seed, so part of the differences is sampling noise.'}</p>
+            `;
+        }, 20);
+    }
+
     deleteAllData() {
         const confirmed = confirm('⚠️ WARNING: This will permanently delete ALL your data including accounts, income, expenses, milestones, and investment glide path.\n\nThis action cannot be undone.\n\nAre you absolutely sure you want to delete everything?');
 
@@ -9053,6 +14192,12 @@ fixed_percentage,4.0,true,0,73,,as_needed`,
                     projectionHorizon: 40,
                     inflation: 3.0,
                     filingStatus: 'single',
+                    filingStatusChanges: [],
+                    state: null,
+                    stateChanges: [],
+                    taxBracketIndexing: 'inflation',
+                    chainedCpiRate: 2.5,
+                    tcjaSunsetYear: null,
                     household: {
                         personA: {
                             name: 'Person A',
@@ -9074,6 +14219,36 @@ fixed_percentage,4.0,true,0,73,,as_needed`,
                         annualAmount: 0,
                         startYear: currentYear,
                         growth: 0
+                    },
+                    medicare: {
+                        enabled: true,
+                        partDPremium: 35,
+                        premiumGrowth: 5.0,
+                        priorMagi: null
+                    },
+                    aca: {
+                        enabled: false,
+                        benchmarkPremium: 500,
+                        planPremiumPercent: 100,
+                        premiumGrowth: 5.0,
+                        enhancedCreditsThroughYear: 2025
+                    },
+                    hsa: {
+                        saveReceipts: false
+                    },
+                    charitableBunching: {
+                        enabled: false,
+                        interval: 2,
+                        startYear: null
+                    },
+                    legacy: {
+                        heirTaxRate: 24
+                    },
+                    monteCarlo: {
+                        seed: null,
+                        returnModel: 'parametric',
+                        blockLength: 5,
+                        stockPercent: 60
                     }
                 };
 
@@ -9093,6 +14268,24 @@ fixed_percentage,4.0,true,0,73,,as_needed`,
 
 // Initialize the application
 let ui;
-document.addEventListener('DOMContentLoaded', () => {
-    ui = new UIController();
-});
+if (typeof document !== 'undefined') {
+    document.addEventListener('DOMContentLoaded', () => {
+        ui = new UIController();
+    });
+} else if (typeof self !== 'undefined' && typeof importScripts === 'function') {
+    // Loaded as a Monte Carlo Web Worker (see UIController.startMonteCarloRun): simulate this worker's share
+    // of the runs on a copy of the plan, reporting back one batch at a time
+    self.onmessage = (event) => {
+        const { plan, expectedReturn, volatility, years, seed, start, count, batchSize } = event.data;
+        const model = new FinancialModel();
+        Object.assign(model, plan);
+        const simulator = new MonteCarloSimulator(model, new ProjectionEngine(model));
+
+        for (let done = 0; done < count; done += batchSize) {
+            const size = Math.min(batchSize, count - done);
+            const paths = simulator.simulatePaths(size, expectedReturn, volatility, years, seed, start + done);
+            self.postMessage({ type: 'batch', start: start + done, paths });
+        }
+        self.postMessage({ type: 'done' });
+    };
+}